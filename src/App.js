@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import {
   Upload,
   BarChart3,
@@ -8,6 +8,13 @@ import {
   X,
   Brain,
   Lightbulb,
+  ScatterChart as ScatterIcon,
+  ClipboardPaste,
+  AlertCircle,
+  SlidersHorizontal,
+  Filter,
+  Settings,
+  ShieldCheck,
 } from "lucide-react";
 import {
   BarChart,
@@ -24,7 +31,114 @@ import {
   Legend,
   ResponsiveContainer,
 } from "recharts";
-import Papa from "papaparse";
+import ImportPreview from "./components/ImportPreview";
+import TypeBadge from "./components/TypeBadge";
+import DataQualityReport from "./components/DataQualityReport";
+import CorrelationHeatmap from "./components/CorrelationHeatmap";
+import ScatterPlot from "./components/ScatterPlot";
+import DistributionChart from "./components/DistributionChart";
+import ChartBuilder, {
+  CHART_TYPES,
+  chartFitsData,
+  describeChart,
+} from "./components/ChartBuilder";
+import CustomChart from "./components/CustomChart";
+import TimeSeriesChart from "./components/TimeSeriesChart";
+import PivotTable from "./components/PivotTable";
+import DataGrid from "./components/DataGrid";
+import TransformPanel from "./components/TransformPanel";
+import ExportMenu from "./components/ExportMenu";
+import ChartCard, { ChartExportContext } from "./components/ChartCard";
+import AISettings from "./components/AISettings";
+import AskPanel from "./components/AskPanel";
+import AIReportCard from "./components/AIReportCard";
+import PrivacyPanel from "./components/PrivacyPanel";
+import OutlierPanel from "./components/OutlierPanel";
+import {
+  PROVIDERS,
+  complete,
+  isOffline,
+  loadSettings,
+  saveSettings,
+  sendsData,
+  withRetry,
+} from "./aiClient";
+import { parseReport, partialReport } from "./aiReport";
+import { factCheck } from "./findings";
+import { analyzeData, getCategoryColumns } from "./analysis";
+import { toNumber } from "./columnTypes";
+import { baseName, downloadFile } from "./download";
+import { summaryTable } from "./export";
+import {
+  applyFilters,
+  hasFilters,
+  matchesFilters,
+  removeFilter,
+  toggleFilterValue,
+} from "./filters";
+import {
+  NUMERIC_STAT_ROWS,
+  formatBytes,
+  formatNumber,
+  formatStat,
+} from "./format";
+import { HOVER_DELAY, describePoint, insightKey } from "./chartInsight";
+import {
+  DEFAULT_OUTLIER_SETTINGS,
+  OUTLIER_METHODS,
+  isOutside,
+  outlierFenceMap,
+} from "./outliers";
+import { columnModes, sourceColumns } from "./privacy";
+import { profileData } from "./profile";
+import { insightRequest, reportRequest } from "./prompts";
+import { buildReport } from "./report";
+import { COLORS } from "./theme";
+
+const PROCESSING_STAGES = [
+  { id: "reading", label: "Reading file" },
+  { id: "analyzing", label: "Analyzing columns" },
+];
+
+const CHART_ICONS = {
+  pie: PieChart,
+  bar: BarChart3,
+  line: TrendingUp,
+  scatter: ScatterIcon,
+  distribution: BarChart3,
+};
+
+const DASHBOARD_TABS = [
+  { id: "overview", label: "Overview" },
+  { id: "quality", label: "Data Quality" },
+  { id: "pivot", label: "Pivot" },
+  { id: "ask", label: "Ask" },
+  { id: "transform", label: "Clean & Transform" },
+];
+
+const EMPTY_HISTORY = { past: [], present: [], future: [] };
+// The analyses the data worker derives from the rows (see parseWorker.js)
+const EMPTY_DERIVED = { piiColumns: {}, outliers: {}, findings: null };
+
+// Line chart dot that is ringed when its value is an outlier
+const OutlierDot = ({ cx, cy, value, fill, fences }) => {
+  if (cx == null || cy == null) return null;
+  return (
+    <g>
+      <circle cx={cx} cy={cy} r={3} fill={fill} />
+      {isOutside(value, fences) && (
+        <circle
+          cx={cx}
+          cy={cy}
+          r={7}
+          fill="none"
+          stroke="#000"
+          strokeWidth={2}
+        />
+      )}
+    </g>
+  );
+};
 
 export default function CSVVisualizer() {
   const [file, setFile] = useState(null);
@@ -33,197 +147,487 @@ export default function CSVVisualizer() {
   const [analysis, setAnalysis] = useState(null);
   const [activeView, setActiveView] = useState("upload");
   const [aiInsights, setAiInsights] = useState(null);
+  // The report as it streams in, the last failed attempt while retrying,
+  // and the error once attempts run out
+  const [aiReportDraft, setAiReportDraft] = useState(null);
+  const [aiRetry, setAiRetry] = useState(null);
+  const [aiReportError, setAiReportError] = useState(null);
   const [loading, setLoading] = useState(false);
   const [processingData, setProcessingData] = useState(false);
   const [hoverInsight, setHoverInsight] = useState(null);
   const [insightLoading, setInsightLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [uploadError, setUploadError] = useState(null);
+  const [showPaste, setShowPaste] = useState(false);
+  const [pastedText, setPastedText] = useState("");
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importSummary, setImportSummary] = useState(null);
+  const [dashboardTab, setDashboardTab] = useState("overview");
+  const [previewRowFilter, setPreviewRowFilter] = useState(null);
+  const [customCharts, setCustomCharts] = useState([]);
+  const [showChartBuilder, setShowChartBuilder] = useState(false);
+  const [chartFilters, setChartFilters] = useState({});
+  // Rows in the imported table; the data worker keeps the table itself
+  // and replays transform steps from it
+  const [sourceRowCount, setSourceRowCount] = useState(0);
+  const [stepHistory, setStepHistory] = useState(EMPTY_HISTORY);
+  const [stepErrors, setStepErrors] = useState({});
+  const [stepNotes, setStepNotes] = useState({});
+  const [aiSettings, setAiSettings] = useState(loadSettings);
+  const [showAISettings, setShowAISettings] = useState(false);
+  const [askMessages, setAskMessages] = useState([]);
+  // Column -> privacy mode chosen by the user; see privacy.js
+  const [privacyOverrides, setPrivacyOverrides] = useState({});
+  const [showPrivacy, setShowPrivacy] = useState(false);
+  // The AI report waits for a review when the data looks personal
+  const [aiReportPending, setAiReportPending] = useState(false);
+  // Outlier method and threshold; kept across files like the AI settings
+  const [outlierSettings, setOutlierSettings] = useState(
+    DEFAULT_OUTLIER_SETTINGS
+  );
+  const [derived, setDerived] = useState(EMPTY_DERIVED);
+  // The data worker of the open file and the ids of its latest requests
+  const jobRef = useRef(null);
+  const reportController = useRef(null);
+  const insightCache = useRef(new Map());
+  const pendingInsight = useRef({ timer: null, controller: null, key: null });
+  const previewRef = useRef(null);
+
+  // Profiling walks every cell, so it only runs once the tab is opened
+  const profile = useMemo(
+    () =>
+      dashboardTab === "quality" && analysis
+        ? profileData(data, headers, analysis.types)
+        : null,
+    [dashboardTab, data, headers, analysis]
+  );
 
-  const COLORS = [
-    "#000000",
-    "#1a1a1a",
-    "#333333",
-    "#4d4d4d",
-    "#666666",
-    "#808080",
-    "#999999",
-    "#b3b3b3",
-  ];
+  // Cross-filtered view of the data; the column types stay those of the
+  // full dataset so charts don't change kind as the subset shrinks
+  const filteredData = useMemo(
+    () => applyFilters(data, chartFilters),
+    [data, chartFilters]
+  );
+  const filteredAnalysis = useMemo(
+    () =>
+      analysis && hasFilters(chartFilters)
+        ? analyzeData(filteredData, headers, { types: analysis.types })
+        : analysis,
+    [analysis, chartFilters, filteredData, headers]
+  );
 
-  const handleFileUpload = (e) => {
-    const uploadedFile = e.target.files[0];
-    if (uploadedFile && uploadedFile.type === "text/csv") {
-      setFile(uploadedFile);
-      setProcessingData(true);
-      setActiveView("processing");
-
-      Papa.parse(uploadedFile, {
-        complete: async (result) => {
-          const cleanData = result.data.filter((row) =>
-            Object.values(row).some((val) => val !== null && val !== "")
-          );
-          setData(cleanData);
-          const cols = Object.keys(cleanData[0] || {});
-          setHeaders(cols);
-          const analysisResult = analyzeData(cleanData, cols);
-          setAnalysis(analysisResult);
-
-          // Add a small delay to show the processing animation
-          await new Promise((resolve) => setTimeout(resolve, 1500));
-
-          await generateAIInsights(cleanData, cols, analysisResult);
-          setProcessingData(false);
-          setActiveView("dashboard");
-        },
-        header: true,
-        dynamicTyping: true,
-        skipEmptyLines: true,
-      });
-    }
+  // Categories outside an active selection are faded rather than hidden
+  const categoryCellProps = (column, key) => ({
+    cursor: "pointer",
+    fillOpacity:
+      chartFilters[column] && !chartFilters[column].includes(key) ? 0.25 : 1,
+  });
+
+  // Computed in the data worker. localFindings are the rule-based
+  // findings, shown on their own when there is no AI report and used to
+  // check the claims of one when there is. Outliers are detected over the
+  // whole dataset, so row indices match data and the fences stay put
+  // while the charts are cross-filtered.
+  const { piiColumns, outliers, findings: localFindings } = derived;
+  const checkedInsights = useMemo(
+    () =>
+      aiInsights && localFindings
+        ? factCheck(aiInsights, analysis, localFindings.facts)
+        : aiInsights,
+    [aiInsights, analysis, localFindings]
+  );
+  const outlierFences = useMemo(() => outlierFenceMap(outliers), [outliers]);
+  const privacyModes = useMemo(
+    () => columnModes(headers, piiColumns, privacyOverrides),
+    [headers, piiColumns, privacyOverrides]
+  );
+  // The report prompt shown for review, built only while the panel is open
+  const privacyPayload = useMemo(
+    () =>
+      showPrivacy && analysis
+        ? reportRequest(data, headers, analysis, privacyModes, outlierSettings)
+            .prompt
+        : "",
+    [showPrivacy, data, headers, analysis, privacyModes, outlierSettings]
+  );
+
+  // Cached insights quote the column statistics and the provider's answer
+  useEffect(() => {
+    insightCache.current.clear();
+  }, [analysis, aiSettings, privacyModes]);
+
+  const dateOrders = useMemo(() => {
+    const orders = {};
+    Object.entries(analysis?.types || {}).forEach(([column, typeInfo]) => {
+      if (typeInfo.dateOrder) orders[column] = typeInfo.dateOrder;
+    });
+    return orders;
+  }, [analysis]);
+  // Chart cards on the overview register here for the dashboard report
+  const chartCards = useRef(new Set());
+  const chartExport = useMemo(
+    () => ({ cards: chartCards.current, fileName: baseName(file?.name) }),
+    [file]
+  );
+
+  const handleCategoryClick = (column, value, event) => {
+    const additive =
+      event && (event.ctrlKey || event.metaKey || event.shiftKey);
+    setChartFilters((prev) => toggleFilterValue(prev, column, value, additive));
   };
 
-  const analyzeData = (csvData, cols) => {
-    const numericColumns = {};
-    const categoricalColumns = {};
-
-    cols.forEach((header) => {
-      const values = csvData
-        .map((row) => row[header])
-        .filter((v) => v !== null && v !== "" && v !== undefined);
-      const numericValues = values.filter(
-        (v) =>
-          (!isNaN(v) && v !== "" && typeof v !== "string") ||
-          (typeof v === "string" && !isNaN(parseFloat(v)) && isFinite(v))
-      );
+  const startProcessing = (source, name, options) => {
+    setUploadError(null);
+    setProcessingData(true);
+    setProgress({ stage: "reading", bytesRead: 0, totalBytes: 0, rows: 0 });
+    setActiveView("processing");
+
+    const worker = new Worker(new URL("./parseWorker.js", import.meta.url));
+    jobRef.current = { worker, lastId: 0, lastTransform: 0 };
 
+    worker.onerror = (event) => {
+      event.preventDefault();
+      resetToUpload();
+      setUploadError(`Could not read ${name}: ${event.message}`);
+    };
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      const job = jobRef.current;
+      if (message.type === "progress") {
+        setProgress(message);
+        return;
+      }
+      if (message.type === "error") {
+        if (message.id) {
+          console.error("Data worker error:", message.message);
+          return;
+        }
+        console.error("Data Import Error:", message.message);
+        resetToUpload();
+        setUploadError(`Could not read ${name}: ${message.message}`);
+        return;
+      }
+      // Replies to requests that newer ones have replaced are dropped
+      if (message.type === "transformed" && message.id === job.lastTransform) {
+        showTransformed(message);
+      }
+      if (message.id === job.lastId) setDerived(message.derived);
+      if (message.type !== "done") return;
+
+      setData(message.data);
+      setHeaders(message.headers);
+      setAnalysis(message.analysis);
+      setSourceRowCount(message.data.length);
+      setImportSummary(message.importSummary);
+      setProcessingData(false);
+      setActiveView("dashboard");
+
+      // Nothing leaves the browser before the user has reviewed what
+      // would be sent, unless they opted in to sending the report right
+      // away for files without personal data. The mock provider is local.
+      const detected = message.derived.piiColumns;
       if (
-        numericValues.length > values.length * 0.5 &&
-        numericValues.length > 0
+        !isOffline(aiSettings) &&
+        (!sendsData(aiSettings) ||
+          (aiSettings.autoSendReport && !Object.keys(detected).length))
       ) {
-        const numbers = numericValues.map((v) =>
-          typeof v === "number" ? v : parseFloat(v)
+        generateAIInsights(
+          message.data,
+          message.headers,
+          message.analysis,
+          columnModes(message.headers, detected)
         );
-        const sum = numbers.reduce((a, b) => a + b, 0);
-        const sortedNumbers = [...numbers].sort((a, b) => a - b);
-        const mid = Math.floor(sortedNumbers.length / 2);
-        const median =
-          sortedNumbers.length % 2 === 0
-            ? (sortedNumbers[mid - 1] + sortedNumbers[mid]) / 2
-            : sortedNumbers[mid];
-
-        numericColumns[header] = {
-          mean: (sum / numbers.length).toFixed(2),
-          median: median.toFixed(2),
-          min: Math.min(...numbers).toFixed(2),
-          max: Math.max(...numbers).toFixed(2),
-          sum: sum.toFixed(2),
-          count: numbers.length,
-        };
       } else {
-        const freq = {};
-        values.forEach((v) => {
-          const key = String(v);
-          freq[key] = (freq[key] || 0) + 1;
-        });
-        const sortedFreq = Object.entries(freq).sort((a, b) => b[1] - a[1]);
-        categoricalColumns[header] = {
-          unique: Object.keys(freq).length,
-          mostCommon: sortedFreq[0],
-          distribution: freq,
-          total: values.length,
-        };
+        setAiReportPending(true);
       }
+    };
+
+    worker.postMessage({
+      type: "import",
+      id: 0,
+      source,
+      name,
+      options,
+      outlierSettings,
+      privacyOverrides: {},
     });
+  };
 
-    return {
-      totalRows: csvData.length,
-      totalColumns: cols.length,
-      numeric: numericColumns,
-      categorical: categoricalColumns,
-    };
+  // Sends a request to the data worker of the open file; returns its id
+  const postToWorker = (message) => {
+    const job = jobRef.current;
+    if (!job) return 0;
+    job.lastId += 1;
+    job.worker.postMessage({
+      outlierSettings,
+      privacyOverrides,
+      ...message,
+      id: job.lastId,
+    });
+    return job.lastId;
   };
 
-  const generateAIInsights = async (csvData, cols, analysisResult) => {
-    setLoading(true);
-    try {
-      // Prepare data summary for AI
-      const dataSummary = {
-        columns: cols,
-        rowCount: csvData.length,
-        sampleRows: csvData.slice(0, 5),
-        statistics: analysisResult,
-      };
-
-      const response = await fetch("https://api.anthropic.com/v1/messages", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
+  const changeOutlierSettings = (settings) => {
+    setOutlierSettings(settings);
+    postToWorker({ type: "derive", outlierSettings: settings });
+  };
+
+  // The local findings quote the sample rows as the report prompt does
+  const changePrivacyMode = (column, mode) => {
+    const overrides = { ...privacyOverrides, [column]: mode };
+    setPrivacyOverrides(overrides);
+    postToWorker({ type: "derive", privacyOverrides: overrides });
+  };
+
+  const handleFileUpload = (e) => {
+    const uploadedFile = e.target.files[0];
+    // Allow picking the same file again after an error
+    e.target.value = "";
+    if (uploadedFile) {
+      setFile(uploadedFile);
+      openImportPreview(uploadedFile, uploadedFile.name);
+    }
+  };
+
+  const handlePasteSubmit = () => {
+    if (!pastedText.trim()) {
+      setUploadError("Paste some rows of data first.");
+      return;
+    }
+    setFile({ name: "Pasted data", size: pastedText.length });
+    openImportPreview(pastedText, "Pasted data");
+  };
+
+  const openImportPreview = (source, name) => {
+    setUploadError(null);
+    setPendingImport({ source, name });
+    setActiveView("preview");
+  };
+
+  const confirmImport = (options) => {
+    const { source, name } = pendingImport;
+    setPendingImport(null);
+    startProcessing(source, name, options);
+  };
+
+  // Saves the overview as a standalone HTML file, or opens it in a new
+  // window and prints it, for "Save as PDF".
+  const exportReport = (print) => {
+    const charts = [...chartCards.current]
+      .map((card) => card.current)
+      .filter((card) => card.body.current)
+      .sort((a, b) =>
+        a.body.current.compareDocumentPosition(b.body.current) &
+        Node.DOCUMENT_POSITION_FOLLOWING
+          ? -1
+          : 1
+      )
+      .map((card) => ({
+        title: card.title,
+        description: card.description,
+        svg: card.getSvg()?.markup,
+      }));
+    const name = baseName(file?.name);
+    const html = buildReport({
+      title: `${name} report`,
+      subtitle: `${file?.name} · generated ${new Date().toLocaleString()}`,
+      filters: Object.entries(chartFilters).map(
+        ([column, values]) => `${column}: ${values.join(", ")}`
+      ),
+      insights: checkedInsights || localFindings,
+      kpis: [
+        {
+          label: "Total Rows",
+          value: filteredData.length.toLocaleString(),
+          note: hasFilters(chartFilters)
+            ? `of ${data.length.toLocaleString()} before filters`
+            : null,
         },
-        body: JSON.stringify({
-          model: "claude-sonnet-4-20250514",
-          max_tokens: 1000,
-          messages: [
-            {
-              role: "user",
-              content: `Analyze this CSV data and provide intelligent insights. Here's the data summary:
-
-Columns: ${cols.join(", ")}
-Total Rows: ${csvData.length}
-Sample Data: ${JSON.stringify(csvData.slice(0, 3))}
-Statistics: ${JSON.stringify(analysisResult)}
-
-Please provide:
-1. What type of data is this? (e.g., sales data, employee data, survey results, etc.)
-2. Key insights and patterns you notice
-3. Notable trends or anomalies
-4. Recommendations for further analysis
-5. What the data reveals about the subject
-
-Format your response as JSON with these keys: dataType, keyInsights (array), trends (array), recommendations (array), summary`,
-            },
-          ],
-        }),
-      });
+        { label: "Total Columns", value: headers.length },
+        {
+          label: "Numeric Fields",
+          value: Object.keys(filteredAnalysis.numeric).length,
+        },
+      ],
+      charts,
+      statistics: summaryTable(filteredAnalysis, headers),
+      autoPrint: print,
+    });
+    if (!print) {
+      downloadFile(html, `${name}-report.html`, "text/html");
+      return;
+    }
+    const reportWindow = window.open("", "_blank");
+    if (!reportWindow) {
+      throw new Error("Allow pop-ups for this page to print the report");
+    }
+    reportWindow.document.write(html);
+    reportWindow.document.close();
+  };
+
+  const resetToUpload = () => {
+    jobRef.current?.worker.terminate();
+    jobRef.current = null;
+    setDerived(EMPTY_DERIVED);
+    reportController.current?.abort();
+    reportController.current = null;
+    setLoading(false);
+    setAiReportDraft(null);
+    setAiRetry(null);
+    setAiReportError(null);
+    setPendingImport(null);
+    setProcessingData(false);
+    setProgress(null);
+    setActiveView("upload");
+    setFile(null);
+    setData([]);
+    setHeaders([]);
+    setAnalysis(null);
+    setAiInsights(null);
+    setImportSummary(null);
+    setDashboardTab("overview");
+    setPreviewRowFilter(null);
+    setCustomCharts([]);
+    setShowChartBuilder(false);
+    setChartFilters({});
+    setSourceRowCount(0);
+    setStepHistory(EMPTY_HISTORY);
+    setStepErrors({});
+    setStepNotes({});
+    setAskMessages([]);
+    setPrivacyOverrides({});
+    setShowPrivacy(false);
+    setAiReportPending(false);
+    cancelChartInsight();
+    insightCache.current.clear();
+  };
+
+  // The data worker replays the steps; showTransformed takes its reply
+  const applySteps = (steps) => {
+    jobRef.current.lastTransform = postToWorker({ type: "transform", steps });
+  };
+
+  const showTransformed = (result) => {
+    const nextHeaders = result.headers;
+    setData(result.data);
+    setAnalysis(result.analysis);
+    setStepErrors(result.errors);
+    setStepNotes(result.notes);
+    setHeaders(nextHeaders);
+    // Row indices from the quality report no longer line up with the data
+    setPreviewRowFilter(null);
+    setChartFilters((prev) =>
+      Object.keys(prev).reduce(
+        (kept, column) =>
+          nextHeaders.includes(column) ? kept : removeFilter(kept, column),
+        prev
+      )
+    );
+  };
+
+  const commitSteps = (steps) => {
+    setStepHistory((prev) => ({
+      past: [...prev.past, prev.present],
+      present: steps,
+      future: [],
+    }));
+    applySteps(steps);
+  };
 
-      const result = await response.json();
-      const aiText = result.content[0].text;
-
-      // Try to parse JSON response
-      try {
-        const jsonMatch = aiText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          const insights = JSON.parse(jsonMatch[0]);
-          setAiInsights(insights);
-        } else {
-          // Fallback if not JSON
-          setAiInsights({
-            dataType: "Unknown",
-            summary: aiText,
-            keyInsights: ["AI analysis completed - see summary"],
-            trends: [],
-            recommendations: [],
+  const undoStep = () => {
+    const { past, present, future } = stepHistory;
+    const previous = past[past.length - 1];
+    setStepHistory({
+      past: past.slice(0, -1),
+      present: previous,
+      future: [present, ...future],
+    });
+    applySteps(previous);
+  };
+
+  const redoStep = () => {
+    const { past, present, future } = stepHistory;
+    setStepHistory({
+      past: [...past, present],
+      present: future[0],
+      future: future.slice(1),
+    });
+    applySteps(future[0]);
+  };
+
+  const moveStep = (id, offset) => {
+    const steps = [...stepHistory.present];
+    const from = steps.findIndex((step) => step.id === id);
+    const [step] = steps.splice(from, 1);
+    steps.splice(from + offset, 0, step);
+    commitSteps(steps);
+  };
+
+  const showRowsInPreview = (label, rows) => {
+    setPreviewRowFilter({ label, rows });
+    setDashboardTab("overview");
+    // Wait for the overview tab to render before scrolling to the table
+    setTimeout(() => {
+      previewRef.current?.scrollIntoView({ behavior: "smooth" });
+    }, 0);
+  };
+
+  // Streams the report into the overview; modes are the privacy modes
+  // per column (see privacy.js). Failed attempts are retried with backoff
+  // and the last error is kept for the error card.
+  const generateAIInsights = async (csvData, cols, analysisResult, modes) => {
+    reportController.current?.abort();
+    const controller = new AbortController();
+    reportController.current = controller;
+    setLoading(true);
+    setAiInsights(null);
+    setAiReportError(null);
+    const { prompt, context } = reportRequest(
+      csvData,
+      cols,
+      analysisResult,
+      modes,
+      outlierSettings
+    );
+    try {
+      const report = await withRetry(
+        async () => {
+          setAiReportDraft(null);
+          const reply = await complete(aiSettings, {
+            task: "report",
+            context,
+            prompt,
+            maxTokens: aiSettings.maxTokens,
+            signal: controller.signal,
+            onText: (text) => setAiReportDraft(partialReport(text)),
           });
-        }
-      } catch (e) {
-        setAiInsights({
-          dataType: "Unknown",
-          summary: aiText,
-          keyInsights: ["AI analysis completed"],
-          trends: [],
-          recommendations: [],
-        });
-      }
+          return parseReport(reply, context.columns);
+        },
+        { signal: controller.signal, onRetry: setAiRetry }
+      );
+      setAiInsights(report);
     } catch (error) {
+      // A newer request or a reset replaced this one
+      if (error.name === "AbortError") return;
       console.error("AI Analysis Error:", error);
-      setAiInsights({
-        dataType: "Unable to determine",
-        summary:
-          "AI analysis is temporarily unavailable. Showing statistical analysis only.",
-        keyInsights: ["Manual analysis available in statistics section"],
-        trends: [],
-        recommendations: [],
+      setAiReportError({
+        message: error.message,
+        status: error.status,
+        attempts: error.attempts,
       });
     }
+    reportController.current = null;
     setLoading(false);
+    setAiReportDraft(null);
+    setAiRetry(null);
+  };
+
+  // Sends the report request reviewed in the privacy panel
+  const requestAIReport = () => {
+    setShowPrivacy(false);
+    setAiReportPending(false);
+    generateAIInsights(data, headers, analysis, privacyModes);
   };
 
   const getChartData = (column, limit = 10) => {
@@ -232,7 +636,7 @@ Format your response as JSON with these keys: dataType, keyInsights (array), tre
     const freq = {};
     let totalCount = 0;
 
-    data.forEach((row) => {
+    applyFilters(data, chartFilters, column).forEach((row) => {
       const val = row[column];
       if (val !== null && val !== "" && val !== undefined) {
         const key = String(val);
@@ -245,6 +649,7 @@ Format your response as JSON with these keys: dataType, keyInsights (array), tre
       .sort((a, b) => b[1] - a[1])
       .slice(0, limit)
       .map(([name, value]) => ({
+        key: name,
         name:
           String(name).length > 20
             ? String(name).substring(0, 20) + "..."
@@ -254,87 +659,138 @@ Format your response as JSON with these keys: dataType, keyInsights (array), tre
       }));
   };
 
-  const renderProcessingView = () => (
-    <div className="flex flex-col items-center justify-center min-h-screen bg-white p-6">
-      <div className="bg-black text-white rounded-2xl shadow-2xl p-12 max-w-2xl w-full border-4 border-black">
-        <div className="text-center">
-          <div className="inline-flex items-center justify-center w-24 h-24 bg-white rounded-full mb-8 animate-pulse">
-            <Brain className="w-12 h-12 text-black" />
-          </div>
+  const getStageDetail = (stageId) => {
+    if (!progress) return "";
+    if (stageId === "reading") {
+      return progress.totalBytes
+        ? `${formatBytes(progress.bytesRead)} / ${formatBytes(
+            progress.totalBytes
+          )}`
+        : "";
+    }
+    if (stageId === "analyzing" && progress.columnsTotal) {
+      return `${progress.columnsDone} / ${progress.columnsTotal} columns`;
+    }
+    return "";
+  };
 
-          <h2 className="text-3xl font-bold text-white mb-4">
-            Processing Your Data
-          </h2>
+  // Reading dominates wall time on large files, so it gets most of the bar.
+  const getOverallProgress = () => {
+    if (!progress) return 0;
+    if (progress.stage === "reading") {
+      return progress.totalBytes
+        ? Math.round((progress.bytesRead / progress.totalBytes) * 80)
+        : 0;
+    }
+    if (progress.stage === "analyzing") {
+      return (
+        80 +
+        Math.round(
+          ((progress.columnsDone || 0) / (progress.columnsTotal || 1)) * 20
+        )
+      );
+    }
+    return 100;
+  };
 
-          <div className="space-y-4 mb-8">
-            <div className="flex items-center justify-center space-x-3">
-              <div
-                className="w-3 h-3 bg-white rounded-full animate-bounce"
-                style={{ animationDelay: "0ms" }}
-              ></div>
-              <div
-                className="w-3 h-3 bg-white rounded-full animate-bounce"
-                style={{ animationDelay: "150ms" }}
-              ></div>
-              <div
-                className="w-3 h-3 bg-white rounded-full animate-bounce"
-                style={{ animationDelay: "300ms" }}
-              ></div>
+  const renderProcessingView = () => {
+    const currentStageIndex = PROCESSING_STAGES.findIndex(
+      (stage) => stage.id === progress?.stage
+    );
+
+    return (
+      <div className="flex flex-col items-center justify-center min-h-screen bg-white p-6">
+        <div className="bg-black text-white rounded-2xl shadow-2xl p-12 max-w-2xl w-full border-4 border-black">
+          <div className="text-center">
+            <div className="inline-flex items-center justify-center w-24 h-24 bg-white rounded-full mb-8 animate-pulse">
+              <Brain className="w-12 h-12 text-black" />
             </div>
 
-            <p className="text-gray-300 text-lg">{file?.name}</p>
-          </div>
+            <h2 className="text-3xl font-bold text-white mb-4">
+              Processing Your Data
+            </h2>
 
-          <div className="space-y-3 text-left bg-gray-900 rounded-lg p-6">
-            <div className="flex items-center space-x-3">
-              <div className="w-2 h-2 bg-green-400 rounded-full animate-pulse"></div>
-              <span className="text-white">Reading CSV file...</span>
-            </div>
-            <div className="flex items-center space-x-3">
-              <div
-                className="w-2 h-2 bg-green-400 rounded-full animate-pulse"
-                style={{ animationDelay: "200ms" }}
-              ></div>
-              <span className="text-white">Analyzing data structure...</span>
-            </div>
-            <div className="flex items-center space-x-3">
-              <div
-                className="w-2 h-2 bg-green-400 rounded-full animate-pulse"
-                style={{ animationDelay: "400ms" }}
-              ></div>
-              <span className="text-white">Calculating statistics...</span>
-            </div>
-            <div className="flex items-center space-x-3">
-              <div
-                className="w-2 h-2 bg-green-400 rounded-full animate-pulse"
-                style={{ animationDelay: "600ms" }}
-              ></div>
-              <span className="text-white">Generating AI insights...</span>
+            <div className="space-y-4 mb-8">
+              <div className="flex items-center justify-center space-x-3">
+                <div
+                  className="w-3 h-3 bg-white rounded-full animate-bounce"
+                  style={{ animationDelay: "0ms" }}
+                ></div>
+                <div
+                  className="w-3 h-3 bg-white rounded-full animate-bounce"
+                  style={{ animationDelay: "150ms" }}
+                ></div>
+                <div
+                  className="w-3 h-3 bg-white rounded-full animate-bounce"
+                  style={{ animationDelay: "300ms" }}
+                ></div>
+              </div>
+
+              <p className="text-gray-300 text-lg">{file?.name}</p>
             </div>
-            <div className="flex items-center space-x-3">
-              <div
-                className="w-2 h-2 bg-green-400 rounded-full animate-pulse"
-                style={{ animationDelay: "800ms" }}
-              ></div>
-              <span className="text-white">Creating visualizations...</span>
+
+            <div className="space-y-3 text-left bg-gray-900 rounded-lg p-6">
+              {PROCESSING_STAGES.map((stage, idx) => {
+                const status =
+                  idx < currentStageIndex
+                    ? "done"
+                    : idx === currentStageIndex
+                    ? "active"
+                    : "pending";
+                return (
+                  <div key={stage.id} className="flex items-center space-x-3">
+                    <div
+                      className={`w-2 h-2 rounded-full ${
+                        status === "done"
+                          ? "bg-green-400"
+                          : status === "active"
+                          ? "bg-green-400 animate-pulse"
+                          : "bg-gray-600"
+                      }`}
+                    ></div>
+                    <span
+                      className={
+                        status === "pending" ? "text-gray-500" : "text-white"
+                      }
+                    >
+                      {stage.label}
+                      {status === "done" && " ✓"}
+                    </span>
+                    {status === "active" && (
+                      <span className="text-gray-400 text-sm ml-auto">
+                        {getStageDetail(stage.id)}
+                      </span>
+                    )}
+                  </div>
+                );
+              })}
             </div>
-          </div>
 
-          <div className="mt-8">
-            <div className="w-full bg-gray-700 rounded-full h-2 overflow-hidden">
-              <div
-                className="bg-white h-2 rounded-full animate-pulse"
-                style={{
-                  width: "100%",
-                  animation: "pulse 1.5s ease-in-out infinite",
-                }}
-              ></div>
+            <div className="mt-8">
+              <div className="w-full bg-gray-700 rounded-full h-2 overflow-hidden">
+                <div
+                  className="bg-white h-2 rounded-full transition-all duration-300"
+                  style={{ width: `${getOverallProgress()}%` }}
+                ></div>
+              </div>
+              <p className="text-gray-400 text-sm mt-2">
+                {getOverallProgress()}% ·{" "}
+                {(progress?.rows || 0).toLocaleString()} rows processed
+              </p>
             </div>
+
+            <button
+              onClick={resetToUpload}
+              className="mt-8 inline-flex items-center space-x-2 px-4 py-2 bg-white text-black rounded-lg hover:bg-gray-200 transition-colors font-semibold"
+            >
+              <X className="w-4 h-4" />
+              <span>Cancel</span>
+            </button>
           </div>
         </div>
       </div>
-    </div>
-  );
+    );
+  };
 
   const renderUploadView = () => (
     <div className="flex flex-col items-center justify-center min-h-screen bg-white p-6">
@@ -347,7 +803,7 @@ Format your response as JSON with these keys: dataType, keyInsights (array), tre
             AI-Powered CSV Analyzer
           </h1>
           <p className="text-gray-300 text-lg">
-            Upload your CSV file for intelligent analysis and insights
+            Upload your data file for intelligent analysis and insights
           </p>
         </div>
 
@@ -355,20 +811,56 @@ Format your response as JSON with these keys: dataType, keyInsights (array), tre
           <div className="flex flex-col items-center justify-center pt-7">
             <Upload className="w-16 h-16 text-white mb-4" />
             <p className="mb-2 text-xl font-semibold text-white">
-              Click to upload CSV
+              Click to upload a data file
             </p>
             <p className="text-sm text-gray-400">
-              AI will analyze and understand your data automatically
+              CSV, TSV, semicolon or pipe delimited text, JSON and NDJSON
             </p>
           </div>
           <input
             type="file"
             className="hidden"
-            accept=".csv"
+            accept=".csv,.tsv,.tab,.txt,.psv,.json,.ndjson,.jsonl,text/csv,text/plain,text/tab-separated-values,application/json"
             onChange={handleFileUpload}
           />
         </label>
 
+        <div className="mt-6">
+          <button
+            onClick={() => setShowPaste(!showPaste)}
+            className="flex items-center space-x-2 text-gray-300 hover:text-white transition-colors font-semibold"
+          >
+            <ClipboardPaste className="w-5 h-5" />
+            <span>{showPaste ? "Hide paste area" : "Paste data instead"}</span>
+          </button>
+          {showPaste && (
+            <div className="mt-4">
+              <textarea
+                value={pastedText}
+                onChange={(e) => setPastedText(e.target.value)}
+                placeholder="Paste cells copied from a spreadsheet, or CSV/JSON text, including the header row"
+                rows={8}
+                className="w-full p-3 bg-gray-900 text-white border-2 border-white rounded-lg font-mono text-sm"
+              />
+              <button
+                onClick={handlePasteSubmit}
+                className="mt-3 px-4 py-2 bg-white text-black rounded-lg hover:bg-gray-200 transition-colors font-semibold"
+              >
+                Analyze pasted data
+              </button>
+            </div>
+          )}
+        </div>
+
+        {uploadError && (
+          <div className="mt-6 p-4 bg-white text-black border-2 border-black rounded-lg">
+            <p className="font-medium flex items-start">
+              <AlertCircle className="w-5 h-5 mr-2 flex-shrink-0 mt-0.5" />
+              {uploadError}
+            </p>
+          </div>
+        )}
+
         {file && (
           <div className="mt-6 p-4 bg-white text-black border-2 border-black rounded-lg">
             <p className="font-medium flex items-center">
@@ -378,67 +870,153 @@ Format your response as JSON with these keys: dataType, keyInsights (array), tre
           </div>
         )}
       </div>
+      <button
+        onClick={() => setShowAISettings(true)}
+        className="mt-6 inline-flex items-center space-x-2 text-sm font-semibold text-black hover:underline"
+      >
+        <Settings className="w-4 h-4" />
+        <span>AI settings · {PROVIDERS[aiSettings.provider]?.label}</span>
+      </button>
     </div>
   );
 
-  const generateChartInsight = async (chartType, column, dataPoint) => {
+  const cancelChartInsight = () => {
+    const request = pendingInsight.current;
+    clearTimeout(request.timer);
+    request.controller?.abort();
+    pendingInsight.current = { timer: null, controller: null, key: null };
+    setHoverInsight(null);
+    setInsightLoading(false);
+  };
+
+  const fetchChartInsight = async (
+    key,
+    { chartType, column, dataPoint, sources, keyColumns }
+  ) => {
+    const request = pendingInsight.current;
+    request.controller?.abort();
+    request.controller = null;
+    const about = { chartType, column, point: describePoint(dataPoint) };
+    // The point is only explained when every column it shows may be shared
+    const excluded = [
+      ...new Set([column, ...sourceColumns(sources, keyColumns)]),
+    ].filter((c) => privacyModes[c] === "exclude");
+    if (excluded.length) {
+      setHoverInsight({
+        about,
+        text: `${excluded.join(", ")} ${
+          excluded.length === 1 ? "is" : "are"
+        } excluded from AI requests. Change this under Privacy.`,
+      });
+      setInsightLoading(false);
+      return;
+    }
+    if (insightCache.current.has(key)) {
+      setHoverInsight({ about, text: insightCache.current.get(key) });
+      setInsightLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    request.controller = controller;
+    setHoverInsight({ about, text: null });
     setInsightLoading(true);
     try {
-      const contextData = {
+      const { prompt, context } = insightRequest({
         chartType,
         column,
         dataPoint,
+        sources,
+        keyColumns,
         totalRows: data.length,
-        columnStats: analysis.numeric[column] || analysis.categorical[column],
-      };
-
-      const response = await fetch("https://api.anthropic.com/v1/messages", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: "claude-sonnet-4-20250514",
-          max_tokens: 300,
-          messages: [
-            {
-              role: "user",
-              content: `Provide a brief insight about this data point from a ${chartType} chart:
-
-Column: ${column}
-Data Point: ${JSON.stringify(dataPoint)}
-Total Records: ${data.length}
-Column Statistics: ${JSON.stringify(contextData.columnStats)}
-
-Give a 2-3 sentence insight about what this data point means, its significance, or any interesting pattern. Be specific and actionable.`,
-            },
-          ],
-        }),
+        analysis,
+        modes: privacyModes,
       });
-
-      const result = await response.json();
-      const insightText = result.content[0].text;
-      setHoverInsight(insightText);
+      const insightText = await complete(aiSettings, {
+        task: "insight",
+        context,
+        prompt,
+        maxTokens: aiSettings.insightMaxTokens,
+        signal: controller.signal,
+      });
+      insightCache.current.set(key, insightText);
+      if (request.controller === controller) {
+        setHoverInsight({ about, text: insightText });
+      }
     } catch (error) {
+      // A newer request replaced this one
+      if (error.name === "AbortError") return;
       console.error("Insight generation error:", error);
-      setHoverInsight("Unable to generate insight at this moment.");
+      if (request.controller === controller) {
+        setHoverInsight({
+          about,
+          text: `Unable to generate insight: ${error.message}`,
+        });
+      }
     }
-    setInsightLoading(false);
+    if (request.controller === controller) {
+      request.controller = null;
+      setInsightLoading(false);
+    }
+  };
+
+  // Called on every mouse move over a chart. Only the point the pointer
+  // settles on is explained; answers are cached for the session. sources
+  // and keyColumns say which columns the point's fields come from (see
+  // protectPoint).
+  const generateChartInsight = (
+    chartType,
+    column,
+    dataPoint,
+    sources,
+    keyColumns = {}
+  ) => {
+    if (isOffline(aiSettings)) return;
+    const key = insightKey(chartType, column, dataPoint);
+    const request = pendingInsight.current;
+    if (key === request.key) return;
+    request.key = key;
+    clearTimeout(request.timer);
+    request.timer = setTimeout(
+      () =>
+        fetchChartInsight(key, {
+          chartType,
+          column,
+          dataPoint,
+          sources,
+          keyColumns,
+        }),
+      HOVER_DELAY
+    );
   };
 
   const handleChartHover = (chart, data) => {
     if (data && data.activePayload && data.activePayload[0]) {
       const payload = data.activePayload[0].payload;
+      // Line charts plot one field per column; pie and bar charts count
+      // the categories of chart.column
+      const sources = chart.columns
+        ? {
+            index: [],
+            ...Object.fromEntries(chart.columns.map((col) => [col, [col]])),
+          }
+        : {
+            key: [chart.column],
+            name: [chart.column],
+            value: [],
+            percentage: [],
+          };
       generateChartInsight(
         chart.type,
         chart.column || chart.columns[0],
-        payload
+        payload,
+        sources
       );
     }
   };
 
   const getBestChartsForData = () => {
-    const categoricalCols = Object.keys(analysis?.categorical || {});
+    const categoricalCols = getCategoryColumns(analysis);
     const numericCols = Object.keys(analysis?.numeric || {});
 
     const charts = [];
@@ -469,8 +1047,10 @@ Give a 2-3 sentence insight about what this data point means, its significance,
       }
     });
 
-    // Add line charts for numeric data to show trends
-    if (numericCols.length >= 2) {
+    // Without a date column the best we can do is plot in record order;
+    // dated data gets the time-series view instead
+    const hasDates = Object.keys(analysis?.dates || {}).length > 0;
+    if (numericCols.length >= 2 && !hasDates) {
       charts.push({
         type: "line",
         columns: numericCols.slice(0, 3),
@@ -479,55 +1059,50 @@ Give a 2-3 sentence insight about what this data point means, its significance,
       });
     }
 
-    // Add scatter/comparison for numeric data
+    // Add a scatter plot for the relationship between two measures
     if (numericCols.length >= 2) {
       charts.push({
-        type: "comparison",
+        type: "scatter",
         columns: [numericCols[0], numericCols[1]],
-        title: `${numericCols[0]} vs ${numericCols[1]}`,
-        description: `Comparison of two numeric variables`,
+        title: `${numericCols[1]} vs ${numericCols[0]}`,
+        description: `Relationship between ${numericCols[0]} and ${numericCols[1]} across all records`,
       });
     }
 
-    return charts.slice(0, 6); // Limit to 6 most relevant charts
+    // Every measure gets its distribution on top of the 6 most relevant charts
+    const distributions = numericCols.map((col) => ({
+      type: "distribution",
+      column: col,
+      title: `${col} Distribution`,
+      description: `Histogram and box plot of ${analysis.numeric[col].count} values`,
+    }));
+
+    return [...charts.slice(0, 6), ...distributions];
   };
 
+  const categoryChartTable = (column, limit) => ({
+    headers: [column, "Count", "Percentage"],
+    rows: getChartData(column, limit).map((entry) => [
+      entry.key,
+      entry.value,
+      entry.percentage,
+    ]),
+  });
+
   const getLineChartData = (columns) => {
-    return data.slice(0, 50).map((row, idx) => {
+    return filteredData.slice(0, 50).map((row, idx) => {
       const point = { index: idx + 1 };
       columns.forEach((col) => {
-        const val = row[col];
-        if (!isNaN(val) && val !== null && val !== "") {
-          point[col] = typeof val === "number" ? val : parseFloat(val);
+        const val = toNumber(row[col]);
+        if (!isNaN(val)) {
+          point[col] = val;
         }
       });
       return point;
     });
   };
 
-  const getComparisonData = (col1, col2) => {
-    return data
-      .slice(0, 100)
-      .map((row, idx) => {
-        const val1 = row[col1];
-        const val2 = row[col2];
-        if (!isNaN(val1) && !isNaN(val2) && val1 !== null && val2 !== null) {
-          return {
-            [col1]: typeof val1 === "number" ? val1 : parseFloat(val1),
-            [col2]: typeof val2 === "number" ? val2 : parseFloat(val2),
-            index: idx + 1,
-          };
-        }
-        return null;
-      })
-      .filter(Boolean);
-  };
-
   const renderDashboard = () => {
-    const categoricalCols = Object.keys(analysis?.categorical || {});
-    const numericCols = Object.keys(analysis?.numeric || {});
-    const charts = getBestChartsForData();
-
     return (
       <div className="min-h-screen bg-white">
         <div className="bg-black text-white shadow-lg border-b-4 border-black">
@@ -541,204 +1116,426 @@ Give a 2-3 sentence insight about what this data point means, its significance,
                 <p className="text-sm text-gray-300">{file?.name}</p>
               </div>
             </div>
-            <button
-              onClick={() => {
-                setActiveView("upload");
-                setFile(null);
-                setData([]);
-                setAnalysis(null);
-                setAiInsights(null);
-              }}
-              className="flex items-center space-x-2 px-4 py-2 bg-white text-black rounded-lg hover:bg-gray-200 transition-colors font-semibold"
-            >
-              <X className="w-4 h-4" />
-              <span>Clear Data</span>
-            </button>
+            <div className="flex items-center space-x-3">
+              <button
+                onClick={() => setShowAISettings(true)}
+                className="p-2 bg-white text-black rounded-lg hover:bg-gray-200 transition-colors"
+                aria-label="AI settings"
+                title={`AI settings · ${PROVIDERS[aiSettings.provider]?.label}`}
+              >
+                <Settings className="w-5 h-5" />
+              </button>
+              <button
+                onClick={() => setShowPrivacy(true)}
+                className="p-2 bg-white text-black rounded-lg hover:bg-gray-200 transition-colors"
+                aria-label="Privacy"
+                title={aiSettings.offline ? "Privacy · offline" : "Privacy"}
+              >
+                <ShieldCheck className="w-5 h-5" />
+              </button>
+              <ExportMenu
+                rows={filteredData}
+                headers={headers}
+                analysis={filteredAnalysis}
+                fileName={file?.name}
+                totalRows={data.length}
+                onReport={
+                  dashboardTab === "overview" ? exportReport : undefined
+                }
+              />
+              <button
+                onClick={resetToUpload}
+                className="flex items-center space-x-2 px-4 py-2 bg-white text-black rounded-lg hover:bg-gray-200 transition-colors font-semibold"
+              >
+                <X className="w-4 h-4" />
+                <span>Clear Data</span>
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white border-b-4 border-black">
+          <div className="max-w-7xl mx-auto px-6 flex space-x-2">
+            {DASHBOARD_TABS.map((tab) => (
+              <button
+                key={tab.id}
+                onClick={() => setDashboardTab(tab.id)}
+                className={`px-4 py-3 font-semibold transition-colors ${
+                  dashboardTab === tab.id
+                    ? "bg-black text-white"
+                    : "text-black hover:bg-gray-100"
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
           </div>
         </div>
 
         <div className="max-w-7xl mx-auto px-6 py-8">
-          {loading && (
-            <div className="bg-black text-white rounded-xl shadow-lg p-8 mb-8 border-4 border-black text-center">
-              <Brain className="w-12 h-12 text-white mx-auto mb-4 animate-pulse" />
-              <p className="text-xl font-semibold">
-                AI is analyzing your data...
-              </p>
+          {hasFilters(chartFilters) && (
+            <div className="flex flex-wrap items-center gap-2 mb-6">
+              <Filter className="w-4 h-4 text-black" />
+              {Object.entries(chartFilters).map(([column, values]) => (
+                <span
+                  key={column}
+                  className="inline-flex items-center space-x-2 px-3 py-1 bg-black text-white rounded-full text-sm font-semibold"
+                >
+                  <span>
+                    {column}: {values.join(", ")}
+                  </span>
+                  <button
+                    onClick={() =>
+                      setChartFilters((prev) => removeFilter(prev, column))
+                    }
+                    aria-label={`Remove ${column} filter`}
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              ))}
+              <button
+                onClick={() => setChartFilters({})}
+                className="text-sm font-semibold text-black hover:underline"
+              >
+                Clear all
+              </button>
+              <span className="text-sm text-gray-600">
+                {filteredData.length.toLocaleString()} of{" "}
+                {data.length.toLocaleString()} rows · Ctrl/⌘/Shift-click to
+                select several
+              </span>
             </div>
           )}
+          {dashboardTab === "quality" && profile ? (
+            <DataQualityReport
+              profile={profile}
+              headers={headers}
+              types={analysis.types}
+              totalRows={data.length}
+              importSummary={importSummary}
+              onSelectRows={showRowsInPreview}
+            />
+          ) : dashboardTab === "transform" ? (
+            <TransformPanel
+              headers={headers}
+              rows={data}
+              dateOrders={dateOrders}
+              steps={stepHistory.present}
+              errors={stepErrors}
+              notes={stepNotes}
+              canUndo={stepHistory.past.length > 0}
+              canRedo={stepHistory.future.length > 0}
+              rowCount={data.length}
+              sourceRowCount={sourceRowCount}
+              onAdd={(step) =>
+                commitSteps([
+                  ...stepHistory.present,
+                  { ...step, id: Date.now() },
+                ])
+              }
+              onRemove={(id) =>
+                commitSteps(
+                  stepHistory.present.filter((step) => step.id !== id)
+                )
+              }
+              onMove={moveStep}
+              onUndo={undoStep}
+              onRedo={redoStep}
+              onReset={() => commitSteps([])}
+            />
+          ) : dashboardTab === "ask" ? (
+            <AskPanel
+              data={data}
+              headers={headers}
+              analysis={analysis}
+              modes={privacyModes}
+              aiSettings={aiSettings}
+              messages={askMessages}
+              setMessages={setAskMessages}
+            />
+          ) : dashboardTab === "pivot" ? (
+            <PivotTable
+              data={filteredData}
+              headers={headers}
+              analysis={analysis}
+              fileName={baseName(file?.name)}
+              onSendToChart={(spec) => {
+                setCustomCharts((prev) => [
+                  ...prev,
+                  { ...spec, id: Date.now() },
+                ]);
+                setDashboardTab("overview");
+              }}
+            />
+          ) : (
+            renderOverview()
+          )}
+        </div>
+      </div>
+    );
+  };
 
-          {aiInsights && !loading && (
-            <div className="bg-black text-white rounded-xl shadow-lg p-8 mb-8 border-4 border-black">
-              <h3 className="text-2xl font-bold mb-6 flex items-center">
-                <Lightbulb className="w-6 h-6 mr-3 text-white" />
-                AI Intelligence Report
-              </h3>
-
-              <div className="space-y-6">
-                <div>
-                  <h4 className="text-lg font-semibold text-gray-300 mb-2">
-                    Data Type Identified:
-                  </h4>
-                  <p className="text-xl font-bold">{aiInsights.dataType}</p>
-                </div>
+  const renderOverview = () => {
+    const categoricalCols = Object.keys(filteredAnalysis?.categorical || {});
+    const numericCols = Object.keys(filteredAnalysis?.numeric || {});
+    const charts = getBestChartsForData();
+    const previewRows = previewRowFilter
+      ? previewRowFilter.rows
+          .map((idx) => data[idx])
+          .filter((row) => matchesFilters(row, chartFilters))
+      : filteredData;
 
-                <div>
-                  <h4 className="text-lg font-semibold text-gray-300 mb-2">
-                    Executive Summary:
-                  </h4>
-                  <p className="text-white leading-relaxed">
-                    {aiInsights.summary}
-                  </p>
-                </div>
+    return (
+      <ChartExportContext.Provider value={chartExport}>
+        {aiReportError && !loading && (
+          <AIReportCard error={aiReportError} onRetry={requestAIReport} />
+        )}
 
-                {aiInsights.keyInsights &&
-                  aiInsights.keyInsights.length > 0 && (
-                    <div>
-                      <h4 className="text-lg font-semibold text-gray-300 mb-3">
-                        Key Insights:
-                      </h4>
-                      <ul className="space-y-2">
-                        {aiInsights.keyInsights.map((insight, idx) => (
-                          <li key={idx} className="flex items-start">
-                            <span className="text-white mr-2">•</span>
-                            <span className="text-white">{insight}</span>
-                          </li>
-                        ))}
-                      </ul>
-                    </div>
-                  )}
+        {aiReportPending && !loading && (
+          <div className="bg-white rounded-xl shadow-lg p-6 mb-8 border-4 border-black flex items-start justify-between space-x-6">
+            <div className="flex items-start">
+              <ShieldCheck className="w-6 h-6 mr-3 flex-shrink-0 text-black" />
+              <div>
+                <h3 className="text-lg font-bold text-black">
+                  AI report not requested yet
+                </h3>
+                <p className="text-sm text-gray-600">
+                  {isOffline(aiSettings)
+                    ? "Offline mode is on, so nothing has been sent to the AI provider."
+                    : Object.keys(piiColumns).length
+                    ? `${Object.keys(piiColumns).join(", ")} look${
+                        Object.keys(piiColumns).length === 1 ? "s" : ""
+                      } like personal data and ${
+                        Object.keys(piiColumns).length === 1 ? "is" : "are"
+                      } excluded by default. Review what would be sent first.`
+                    : "Nothing has been sent to the AI provider yet. Review what would be sent first."}
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={() => setShowPrivacy(true)}
+              className="px-4 py-2 bg-black text-white rounded-lg font-semibold hover:bg-gray-800 whitespace-nowrap"
+            >
+              Review
+            </button>
+          </div>
+        )}
 
-                {aiInsights.trends && aiInsights.trends.length > 0 && (
-                  <div>
-                    <h4 className="text-lg font-semibold text-gray-300 mb-3">
-                      Trends & Patterns:
-                    </h4>
-                    <ul className="space-y-2">
-                      {aiInsights.trends.map((trend, idx) => (
-                        <li key={idx} className="flex items-start">
-                          <span className="text-white mr-2">→</span>
-                          <span className="text-white">{trend}</span>
-                        </li>
-                      ))}
-                    </ul>
-                  </div>
-                )}
+        {loading || checkedInsights ? (
+          <AIReportCard
+            report={checkedInsights || aiReportDraft}
+            local={localFindings}
+            loading={loading}
+            retry={aiRetry}
+          />
+        ) : (
+          localFindings && <AIReportCard report={localFindings} />
+        )}
 
-                {aiInsights.recommendations &&
-                  aiInsights.recommendations.length > 0 && (
-                    <div>
-                      <h4 className="text-lg font-semibold text-gray-300 mb-3">
-                        Recommendations:
-                      </h4>
-                      <ul className="space-y-2">
-                        {aiInsights.recommendations.map((rec, idx) => (
-                          <li key={idx} className="flex items-start">
-                            <span className="text-white mr-2">✓</span>
-                            <span className="text-white">{rec}</span>
-                          </li>
-                        ))}
-                      </ul>
-                    </div>
-                  )}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+          <div className="bg-black text-white rounded-xl shadow-lg p-6 border-4 border-black">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-gray-300 text-sm font-medium">Total Rows</p>
+                <p className="text-3xl font-bold text-white mt-1">
+                  {filteredAnalysis?.totalRows}
+                </p>
+                {hasFilters(chartFilters) && (
+                  <p className="text-gray-300 text-xs mt-1">
+                    of {analysis.totalRows} before filters
+                  </p>
+                )}
+              </div>
+              <div className="bg-white rounded-full p-3">
+                <TrendingUp className="w-8 h-8 text-black" />
               </div>
             </div>
-          )}
+          </div>
 
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
-            <div className="bg-black text-white rounded-xl shadow-lg p-6 border-4 border-black">
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="text-gray-300 text-sm font-medium">
-                    Total Rows
-                  </p>
-                  <p className="text-3xl font-bold text-white mt-1">
-                    {analysis?.totalRows}
-                  </p>
-                </div>
-                <div className="bg-white rounded-full p-3">
-                  <TrendingUp className="w-8 h-8 text-black" />
-                </div>
+          <div className="bg-black text-white rounded-xl shadow-lg p-6 border-4 border-black">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-gray-300 text-sm font-medium">
+                  Total Columns
+                </p>
+                <p className="text-3xl font-bold text-white mt-1">
+                  {filteredAnalysis?.totalColumns}
+                </p>
+              </div>
+              <div className="bg-white rounded-full p-3">
+                <BarChart3 className="w-8 h-8 text-black" />
               </div>
             </div>
+          </div>
 
-            <div className="bg-black text-white rounded-xl shadow-lg p-6 border-4 border-black">
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="text-gray-300 text-sm font-medium">
-                    Total Columns
-                  </p>
-                  <p className="text-3xl font-bold text-white mt-1">
-                    {analysis?.totalColumns}
-                  </p>
-                </div>
-                <div className="bg-white rounded-full p-3">
-                  <BarChart3 className="w-8 h-8 text-black" />
-                </div>
+          <div className="bg-black text-white rounded-xl shadow-lg p-6 border-4 border-black">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-gray-300 text-sm font-medium">
+                  Numeric Fields
+                </p>
+                <p className="text-3xl font-bold text-white mt-1">
+                  {numericCols.length}
+                </p>
+              </div>
+              <div className="bg-white rounded-full p-3">
+                <PieChart className="w-8 h-8 text-black" />
               </div>
             </div>
+          </div>
+        </div>
 
-            <div className="bg-black text-white rounded-xl shadow-lg p-6 border-4 border-black">
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="text-gray-300 text-sm font-medium">
-                    Numeric Fields
+        {hoverInsight && (
+          <div className="bg-black text-white rounded-xl shadow-lg p-6 mb-8 border-4 border-black sticky top-4 z-20">
+            <div className="flex items-start space-x-3">
+              <Lightbulb className="w-6 h-6 text-white flex-shrink-0 mt-1" />
+              <div className="flex-1">
+                <h4 className="text-lg font-bold">AI Insight</h4>
+                <p className="text-sm text-gray-400 mb-2">
+                  {hoverInsight.about.chartType} · {hoverInsight.about.column}
+                  {hoverInsight.about.point && ` · ${hoverInsight.about.point}`}
+                </p>
+                {insightLoading ? (
+                  <p className="text-gray-300 animate-pulse">
+                    Analyzing data point...
                   </p>
-                  <p className="text-3xl font-bold text-white mt-1">
-                    {numericCols.length}
+                ) : (
+                  <p className="text-gray-200 leading-relaxed">
+                    {hoverInsight.text}
                   </p>
-                </div>
-                <div className="bg-white rounded-full p-3">
-                  <PieChart className="w-8 h-8 text-black" />
-                </div>
+                )}
               </div>
+              <button
+                onClick={cancelChartInsight}
+                className="p-1 rounded hover:bg-gray-800"
+                aria-label="Dismiss insight"
+              >
+                <X className="w-5 h-5 text-white" />
+              </button>
             </div>
           </div>
+        )}
 
-          {hoverInsight && (
-            <div className="bg-black text-white rounded-xl shadow-lg p-6 mb-8 border-4 border-black sticky top-4 z-20">
-              <div className="flex items-start space-x-3">
-                <Lightbulb className="w-6 h-6 text-white flex-shrink-0 mt-1" />
-                <div>
-                  <h4 className="text-lg font-bold mb-2">AI Insight</h4>
-                  {insightLoading ? (
-                    <p className="text-gray-300 animate-pulse">
-                      Analyzing data point...
-                    </p>
-                  ) : (
-                    <p className="text-gray-200 leading-relaxed">
-                      {hoverInsight}
-                    </p>
-                  )}
-                </div>
-              </div>
-            </div>
-          )}
+        {showChartBuilder ? (
+          <ChartBuilder
+            headers={headers}
+            numericCols={numericCols}
+            categoryCols={getCategoryColumns(filteredAnalysis)}
+            onAdd={(spec) =>
+              setCustomCharts((prev) => [...prev, { ...spec, id: Date.now() }])
+            }
+            onClose={() => setShowChartBuilder(false)}
+          />
+        ) : (
+          <button
+            onClick={() => setShowChartBuilder(true)}
+            className="mb-6 inline-flex items-center space-x-2 px-4 py-2 bg-black text-white rounded-lg font-semibold hover:bg-gray-800 transition-colors"
+          >
+            <SlidersHorizontal className="w-4 h-4" />
+            <span>Build a chart</span>
+          </button>
+        )}
 
-          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
-            {charts.map((chart, idx) => (
-              <div
-                key={idx}
-                className="bg-white rounded-xl shadow-lg p-6 border-4 border-black"
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+          {customCharts
+            .filter((spec) => chartFitsData(spec, headers, numericCols))
+            .map((spec) => (
+              <ChartCard
+                key={spec.id}
+                title={describeChart(spec)}
+                description={`${CHART_TYPES[spec.chartType]} · custom chart`}
+                actions={
+                  <button
+                    onClick={() =>
+                      setCustomCharts((prev) =>
+                        prev.filter((c) => c.id !== spec.id)
+                      )
+                    }
+                    className="p-1 rounded hover:bg-gray-100"
+                    aria-label="Remove chart"
+                  >
+                    <X className="w-5 h-5 text-black" />
+                  </button>
+                }
               >
-                <h3 className="text-xl font-bold text-black mb-2 flex items-center">
-                  {chart.type === "pie" && (
-                    <PieChart className="w-5 h-5 mr-2 text-black" />
-                  )}
-                  {chart.type === "bar" && (
-                    <BarChart3 className="w-5 h-5 mr-2 text-black" />
-                  )}
-                  {chart.type === "line" && (
-                    <TrendingUp className="w-5 h-5 mr-2 text-black" />
-                  )}
-                  {chart.type === "comparison" && (
-                    <BarChart3 className="w-5 h-5 mr-2 text-black" />
-                  )}
-                  {chart.title}
-                </h3>
-                <p className="text-sm text-gray-600 mb-4">
-                  {chart.description}w{" "}
-                </p>
-
+                <CustomChart
+                  data={
+                    chartFilters[spec.x]
+                      ? applyFilters(data, chartFilters, spec.x)
+                      : filteredData
+                  }
+                  spec={spec}
+                  analysis={filteredAnalysis}
+                  categoryColumns={getCategoryColumns(filteredAnalysis)}
+                  onCategoryClick={handleCategoryClick}
+                  selected={chartFilters[spec.x]}
+                  onHover={(point, sources, keyColumns) =>
+                    generateChartInsight(
+                      spec.chartType,
+                      spec.x,
+                      point,
+                      sources,
+                      keyColumns
+                    )
+                  }
+                />
+              </ChartCard>
+            ))}
+          {charts.map((chart, idx) => (
+            <ChartCard
+              key={idx}
+              title={chart.title}
+              description={chart.description}
+              icon={CHART_ICONS[chart.type]}
+              getData={
+                chart.type === "pie" || chart.type === "bar"
+                  ? () =>
+                      categoryChartTable(
+                        chart.column,
+                        chart.type === "pie" ? 8 : 10
+                      )
+                  : chart.type === "line"
+                  ? () => ({
+                      headers: ["Record #", ...chart.columns],
+                      rows: getLineChartData(chart.columns).map((point) => [
+                        point.index,
+                        ...chart.columns.map((col) => point[col] ?? ""),
+                      ]),
+                    })
+                  : undefined
+              }
+            >
+              {chart.type === "distribution" ? (
+                <DistributionChart
+                  data={filteredData}
+                  column={chart.column}
+                  stats={filteredAnalysis.numeric[chart.column]}
+                  fences={outliers[chart.column]}
+                  fenceLabel={`Whiskers at ${outlierSettings.threshold} ${
+                    OUTLIER_METHODS[outlierSettings.method].unit
+                  }`}
+                  onBinHover={(bin, sources) =>
+                    generateChartInsight(chart.type, chart.column, bin, sources)
+                  }
+                />
+              ) : chart.type === "scatter" ? (
+                <ScatterPlot
+                  data={filteredData}
+                  x={chart.columns[0]}
+                  y={chart.columns[1]}
+                  fences={outlierFences}
+                  categoryColumns={getCategoryColumns(filteredAnalysis)}
+                  onPointHover={(point, sources) =>
+                    generateChartInsight(
+                      chart.type,
+                      chart.columns[0],
+                      point,
+                      sources
+                    )
+                  }
+                />
+              ) : (
                 <ResponsiveContainer width="100%" height={300}>
                   {chart.type === "pie" && (
                     <RePieChart
@@ -746,6 +1543,13 @@ Give a 2-3 sentence insight about what this data point means, its significance,
                     >
                       <Pie
                         data={getChartData(chart.column, 8)}
+                        onClick={(entry, index, event) =>
+                          handleCategoryClick(
+                            chart.column,
+                            entry.payload?.key ?? entry.key,
+                            event
+                          )
+                        }
                         cx="50%"
                         cy="50%"
                         labelLine={true}
@@ -760,6 +1564,7 @@ Give a 2-3 sentence insight about what this data point means, its significance,
                           <Cell
                             key={`cell-${index}`}
                             fill={COLORS[index % COLORS.length]}
+                            {...categoryCellProps(chart.column, entry.key)}
                           />
                         ))}
                       </Pie>
@@ -832,11 +1637,23 @@ Give a 2-3 sentence insight about what this data point means, its significance,
                           ];
                         }}
                       />
-                      <Bar dataKey="value" fill="#000000" radius={[8, 8, 0, 0]}>
+                      <Bar
+                        dataKey="value"
+                        fill="#000000"
+                        radius={[8, 8, 0, 0]}
+                        onClick={(entry, index, event) =>
+                          handleCategoryClick(
+                            chart.column,
+                            entry.payload?.key ?? entry.key,
+                            event
+                          )
+                        }
+                      >
                         {getChartData(chart.column, 10).map((entry, index) => (
                           <Cell
                             key={`cell-${index}`}
                             fill={COLORS[index % COLORS.length]}
+                            {...categoryCellProps(chart.column, entry.key)}
                           />
                         ))}
                       </Bar>
@@ -892,176 +1709,201 @@ Give a 2-3 sentence insight about what this data point means, its significance,
                           dataKey={col}
                           stroke={COLORS[i % COLORS.length]}
                           strokeWidth={2}
-                          dot={{ fill: COLORS[i % COLORS.length] }}
+                          dot={(props) => (
+                            <OutlierDot
+                              key={props.index}
+                              {...props}
+                              fill={COLORS[i % COLORS.length]}
+                              fences={outlierFences[col]}
+                            />
+                          )}
                         />
                       ))}
                     </LineChart>
                   )}
-
-                  {chart.type === "comparison" && (
-                    <BarChart
-                      data={getComparisonData(
-                        chart.columns[0],
-                        chart.columns[1]
-                      )}
-                      onMouseMove={(data) => handleChartHover(chart, data)}
-                    >
-                      <CartesianGrid strokeDasharray="3 3" stroke="#000" />
-                      <XAxis
-                        dataKey="index"
-                        stroke="#000"
-                        label={{
-                          value: "Record #",
-                          position: "insideBottom",
-                          offset: -5,
-                        }}
-                      />
-                      <YAxis stroke="#000" />
-                      <Tooltip
-                        contentStyle={{
-                          backgroundColor: "#000",
-                          color: "#fff",
-                          border: "3px solid #000",
-                          borderRadius: "8px",
-                          padding: "12px",
-                          fontSize: "14px",
-                          fontWeight: "bold",
-                        }}
-                        formatter={(value, name) => {
-                          return [
-                            <div key="tooltip" style={{ marginBottom: "4px" }}>
-                              {name}:{" "}
-                              {typeof value === "number"
-                                ? value.toFixed(2)
-                                : value}
-                            </div>,
-                            "",
-                          ];
-                        }}
-                        labelFormatter={(label) => `Record #${label}`}
-                      />
-                      <Legend />
-                      <Bar dataKey={chart.columns[0]} fill={COLORS[0]} />
-                      <Bar dataKey={chart.columns[1]} fill={COLORS[3]} />
-                    </BarChart>
-                  )}
                 </ResponsiveContainer>
-              </div>
-            ))}
-          </div>
+              )}
+            </ChartCard>
+          ))}
+        </div>
 
-          <div className="bg-white rounded-xl shadow-lg p-6 mb-8 border-4 border-black">
-            <h3 className="text-xl font-bold text-black mb-6 flex items-center">
-              <TrendingUp className="w-5 h-5 mr-2 text-black" />
-              Statistical Analysis
-            </h3>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              {numericCols.map((col) => (
-                <div
-                  key={col}
-                  className="bg-gray-100 rounded-lg p-5 border-2 border-black"
-                >
-                  <h4 className="font-semibold text-black mb-3 text-lg">
-                    {col}
-                  </h4>
-                  <div className="space-y-2">
-                    <div className="flex justify-between">
-                      <span className="text-gray-700">Mean:</span>
-                      <span className="font-semibold text-black">
-                        {analysis.numeric[col].mean}
-                      </span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-700">Median:</span>
-                      <span className="font-semibold text-black">
-                        {analysis.numeric[col].median}
-                      </span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-700">Min:</span>
-                      <span className="font-semibold text-black">
-                        {analysis.numeric[col].min}
-                      </span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-700">Max:</span>
-                      <span className="font-semibold text-black">
-                        {analysis.numeric[col].max}
-                      </span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-700">Sum:</span>
-                      <span className="font-semibold text-black">
-                        {analysis.numeric[col].sum}
-                      </span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-700">Count:</span>
+        {numericCols.length > 0 &&
+          Object.keys(filteredAnalysis.dates).length > 0 && (
+            <TimeSeriesChart
+              data={filteredData}
+              analysis={filteredAnalysis}
+              outlierSettings={outlierSettings}
+              onPointHover={(point, dateColumn, sources) =>
+                generateChartInsight("time series", dateColumn, point, sources)
+              }
+            />
+          )}
+
+        {numericCols.length >= 2 && (
+          <CorrelationHeatmap data={filteredData} analysis={filteredAnalysis} />
+        )}
+
+        <div className="bg-white rounded-xl shadow-lg p-6 mb-8 border-4 border-black">
+          <h3 className="text-xl font-bold text-black mb-6 flex items-center">
+            <TrendingUp className="w-5 h-5 mr-2 text-black" />
+            Statistical Analysis
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {numericCols.map((col) => (
+              <div
+                key={col}
+                className="bg-gray-100 rounded-lg p-5 border-2 border-black"
+              >
+                <h4 className="font-semibold text-black mb-3 text-lg">
+                  {col}
+                  <TypeBadge typeInfo={filteredAnalysis.types[col]} />
+                </h4>
+                <div className="grid grid-cols-2 gap-x-6 gap-y-2">
+                  {NUMERIC_STAT_ROWS.map((stat) => (
+                    <div key={stat.key} className="flex justify-between">
+                      <span className="text-gray-700">{stat.label}:</span>
                       <span className="font-semibold text-black">
-                        {analysis.numeric[col].count}
+                        {stat.unitless
+                          ? formatNumber(
+                              filteredAnalysis.numeric[col][stat.key]
+                            )
+                          : formatStat(
+                              filteredAnalysis.numeric[col][stat.key],
+                              filteredAnalysis.types[col].type
+                            )}
                       </span>
                     </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+            {Object.keys(filteredAnalysis?.dates || {}).map((col) => (
+              <div
+                key={col}
+                className="bg-gray-100 rounded-lg p-5 border-2 border-black"
+              >
+                <h4 className="font-semibold text-black mb-3 text-lg">
+                  {col}
+                  <TypeBadge typeInfo={filteredAnalysis.types[col]} />
+                </h4>
+                <div className="space-y-2">
+                  <div className="flex justify-between">
+                    <span className="text-gray-700">Earliest:</span>
+                    <span className="font-semibold text-black">
+                      {filteredAnalysis.dates[col].min?.slice(0, 10)}
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-700">Latest:</span>
+                    <span className="font-semibold text-black">
+                      {filteredAnalysis.dates[col].max?.slice(0, 10)}
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-700">Distinct:</span>
+                    <span className="font-semibold text-black">
+                      {filteredAnalysis.dates[col].unique}
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-700">Count:</span>
+                    <span className="font-semibold text-black">
+                      {filteredAnalysis.dates[col].count}
+                    </span>
                   </div>
                 </div>
-              ))}
-            </div>
+              </div>
+            ))}
           </div>
+        </div>
 
-          <div className="bg-white rounded-xl shadow-lg p-6 border-4 border-black">
-            <h3 className="text-xl font-bold text-black mb-4 flex items-center">
-              <FileText className="w-5 h-5 mr-2 text-black" />
-              Data Preview
-            </h3>
-            <div className="overflow-auto max-h-96 border-2 border-gray-300 rounded-lg">
-              <table className="w-full">
-                <thead className="sticky top-0 z-10">
-                  <tr className="bg-black text-white">
-                    {headers.map((header) => (
-                      <th
-                        key={header}
-                        className="px-4 py-3 text-left text-sm font-semibold border-b-2 border-black whitespace-nowrap"
-                      >
-                        {header}
-                      </th>
-                    ))}
-                  </tr>
-                </thead>
-                <tbody>
-                  {data.map((row, idx) => (
-                    <tr
-                      key={idx}
-                      className="hover:bg-gray-100 transition-colors"
-                    >
-                      {headers.map((header) => (
-                        <td
-                          key={header}
-                          className="px-4 py-3 text-sm text-black border-b border-gray-300 whitespace-nowrap"
-                        >
-                          {row[header]}
-                        </td>
-                      ))}
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-            <div className="mt-4 flex items-center justify-between">
-              <p className="text-gray-600 text-sm">
-                Showing all {data.length} rows
-              </p>
-              <p className="text-gray-500 text-xs">
-                Scroll horizontally and vertically to view all data
-              </p>
+        {numericCols.length > 0 && (
+          <OutlierPanel
+            outliers={outliers}
+            analysis={analysis}
+            settings={outlierSettings}
+            onSettingsChange={changeOutlierSettings}
+            onSelectRows={showRowsInPreview}
+          />
+        )}
+
+        <div
+          ref={previewRef}
+          className="bg-white rounded-xl shadow-lg p-6 border-4 border-black"
+        >
+          <h3 className="text-xl font-bold text-black mb-4 flex items-center">
+            <FileText className="w-5 h-5 mr-2 text-black" />
+            Data Preview
+          </h3>
+          {previewRowFilter && (
+            <div className="mb-4 inline-flex items-center space-x-2 px-3 py-1 bg-black text-white rounded-full text-sm font-semibold">
+              <span>
+                {previewRowFilter.label} ({previewRowFilter.rows.length} rows)
+              </span>
+              <button
+                onClick={() => setPreviewRowFilter(null)}
+                aria-label="Clear row filter"
+              >
+                <X className="w-4 h-4" />
+              </button>
             </div>
-          </div>
+          )}
+          <DataGrid
+            rows={previewRows}
+            totalRows={data.length}
+            headers={headers}
+            analysis={filteredAnalysis}
+            outliers={outlierFences}
+          />
         </div>
-      </div>
+      </ChartExportContext.Provider>
     );
   };
 
-  return activeView === "upload"
-    ? renderUploadView()
-    : activeView === "processing"
-    ? renderProcessingView()
-    : renderDashboard();
+  return (
+    <>
+      {activeView === "upload" ? (
+        renderUploadView()
+      ) : activeView === "preview" ? (
+        <ImportPreview
+          source={pendingImport.source}
+          name={pendingImport.name}
+          onConfirm={confirmImport}
+          onCancel={resetToUpload}
+        />
+      ) : activeView === "processing" ? (
+        renderProcessingView()
+      ) : (
+        renderDashboard()
+      )}
+      {showAISettings && (
+        <AISettings
+          settings={aiSettings}
+          onSave={(settings) => {
+            saveSettings(settings);
+            setAiSettings(settings);
+            setShowAISettings(false);
+          }}
+          onClose={() => setShowAISettings(false)}
+        />
+      )}
+      {showPrivacy && analysis && (
+        <PrivacyPanel
+          headers={headers}
+          types={analysis.types}
+          detected={piiColumns}
+          modes={privacyModes}
+          onModeChange={changePrivacyMode}
+          settings={aiSettings}
+          onSettingsChange={(settings) => {
+            saveSettings(settings);
+            setAiSettings(settings);
+          }}
+          payload={privacyPayload}
+          onSend={requestAIReport}
+          onClose={() => setShowPrivacy(false)}
+        />
+      )}
+    </>
+  );
 }
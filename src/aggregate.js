@@ -0,0 +1,114 @@
+import { toNumber } from "./columnTypes";
+import { quantile } from "./stats";
+
+export const AGGREGATIONS = {
+  count: "Count",
+  sum: "Sum",
+  mean: "Mean",
+  median: "Median",
+  min: "Min",
+  max: "Max",
+};
+
+// Series beyond this many group-by values are folded into "Other".
+export const MAX_SERIES = 8;
+const OTHER = "Other";
+// Name of the group of empty cells
+export const BLANK = "(blank)";
+
+const isBlank = (v) => v === null || v === undefined || v === "";
+
+// Reduces a group's cells with one of AGGREGATIONS. count counts rows;
+// the rest ignore cells that don't read as numbers.
+export const aggregate = (values, fn) => {
+  if (fn === "count") return values.length;
+  const numbers = [];
+  values.forEach((v) => {
+    const n = toNumber(v);
+    if (Number.isFinite(n)) numbers.push(n);
+  });
+  if (!numbers.length) return null;
+  switch (fn) {
+    case "sum":
+      return numbers.reduce((a, b) => a + b, 0);
+    case "mean":
+      return numbers.reduce((a, b) => a + b, 0) / numbers.length;
+    case "median":
+      return quantile(
+        numbers.sort((a, b) => a - b),
+        0.5
+      );
+    case "min":
+      return numbers.reduce((a, b) => (b < a ? b : a));
+    case "max":
+      return numbers.reduce((a, b) => (b > a ? b : a));
+    default:
+      throw new Error(`Unknown aggregation: ${fn}`);
+  }
+};
+
+export const compareKeys = (a, b) =>
+  String(a).localeCompare(String(b), undefined, { numeric: true });
+
+// The group-by values that get their own series, most frequent first.
+const topSeries = (data, groupBy) => {
+  const counts = {};
+  data.forEach((row) => {
+    const key = isBlank(row[groupBy]) ? BLANK : String(row[groupBy]);
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  const keys = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+  return keys.length > MAX_SERIES
+    ? [...keys.slice(0, MAX_SERIES - 1), OTHER]
+    : keys;
+};
+
+// Groups rows by x and aggregates each measure per group. With a groupBy
+// column the first measure is split into one series per group value.
+// Returns { rows: [{ name, [series]: value }], series: [dataKey] }.
+export const groupAggregate = (
+  data,
+  { x, ys = [], agg = "count", groupBy = "", sort = "x-asc", topN = 0 }
+) => {
+  const measures = agg === "count" ? ["Count"] : ys;
+  const seriesKeys = groupBy
+    ? topSeries(data, groupBy)
+    : measures.map((y) => (agg === "count" ? y : `${AGGREGATIONS[agg]} ${y}`));
+
+  const groups = new Map();
+  data.forEach((row) => {
+    const name = isBlank(row[x]) ? BLANK : String(row[x]);
+    if (!groups.has(name)) groups.set(name, {});
+    const cells = groups.get(name);
+    if (groupBy) {
+      const raw = isBlank(row[groupBy]) ? BLANK : String(row[groupBy]);
+      const key = seriesKeys.includes(raw) ? raw : OTHER;
+      (cells[key] = cells[key] || []).push(row[measures[0]]);
+    } else {
+      measures.forEach((y, i) => {
+        (cells[seriesKeys[i]] = cells[seriesKeys[i]] || []).push(row[y]);
+      });
+    }
+  });
+
+  let rows = [...groups.entries()].map(([name, cells]) => {
+    const point = { name, __total: 0 };
+    seriesKeys.forEach((key) => {
+      const value = cells[key] ? aggregate(cells[key], agg) : null;
+      point[key] = value;
+      point.__total += value || 0;
+    });
+    return point;
+  });
+
+  const sorters = {
+    "x-asc": (a, b) => compareKeys(a.name, b.name),
+    "x-desc": (a, b) => compareKeys(b.name, a.name),
+    "value-desc": (a, b) => b.__total - a.__total,
+    "value-asc": (a, b) => a.__total - b.__total,
+  };
+  rows.sort(sorters[sort] || sorters["x-asc"]);
+  if (topN > 0) rows = rows.slice(0, topN);
+
+  return { rows, series: seriesKeys };
+};
@@ -0,0 +1,419 @@
+import { isDateType, isNumericType } from "./columnTypes";
+import { formatNumber } from "./format";
+import { measureName } from "./query";
+
+// One entry point, complete(), for every AI request the app makes. The
+// provider, endpoint, key and limits come from the settings panel and are
+// kept in the browser, never in source.
+
+const SETTINGS_KEY = "csv-visualizer:ai-settings";
+const API_KEY_KEY = "csv-visualizer:ai-key";
+const ANTHROPIC_VERSION = "2023-06-01";
+// Long enough for loading states to be visible while developing
+const MOCK_DELAY = 400;
+// The mock streams its reply in pieces of this many characters
+const MOCK_CHUNK = 24;
+const MOCK_CHUNK_DELAY = 30;
+export const RETRY_ATTEMPTS = 3;
+// Doubles after every failed attempt: 1s, 2s, 4s...
+const RETRY_BASE_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+export const PROVIDERS = {
+  anthropic: {
+    label: "Anthropic",
+    endpoint: "https://api.anthropic.com/v1/messages",
+    model: "claude-sonnet-4-20250514",
+  },
+  openai: {
+    label: "OpenAI-compatible (local or hosted)",
+    endpoint: "http://localhost:11434/v1/chat/completions",
+    model: "llama3.1",
+  },
+  mock: {
+    label: "Mock (offline, deterministic)",
+    endpoint: "",
+    model: "mock",
+  },
+};
+
+export const DEFAULT_SETTINGS = {
+  provider: "anthropic",
+  endpoint: PROVIDERS.anthropic.endpoint,
+  model: PROVIDERS.anthropic.model,
+  apiKey: "",
+  rememberKey: false,
+  maxTokens: 2000,
+  insightMaxTokens: 300,
+  // Blocks every request that would leave the browser
+  offline: false,
+  // Requests the report on import when no column looks like personal
+  // data, instead of waiting for the privacy review
+  autoSendReport: false,
+};
+
+// Timeouts, rate limits and server errors are worth another attempt
+const isRetryableStatus = (status) =>
+  status === 408 || status === 429 || status >= 500;
+
+// status is the HTTP status when there was a response. retryAfter is in
+// seconds, from the Retry-After header.
+export class AIError extends Error {
+  constructor(message, status, { retryable, retryAfter } = {}) {
+    super(message);
+    this.name = "AIError";
+    this.status = status;
+    this.retryable = retryable ?? isRetryableStatus(status);
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Whether requests go over the network (only the mock provider is local)
+export const sendsData = ({ provider }) => provider !== "mock";
+export const isOffline = (settings) =>
+  Boolean(settings.offline) && sendsData(settings);
+
+// The key lives in sessionStorage unless the user asks for it to be
+// remembered on this device. Storage can be unavailable (private mode,
+// sandboxed iframes), in which case settings last for the page only.
+export const loadSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}");
+    const storage = saved.rememberKey ? localStorage : sessionStorage;
+    return {
+      ...DEFAULT_SETTINGS,
+      ...saved,
+      apiKey: storage.getItem(API_KEY_KEY) || "",
+    };
+  } catch (error) {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+export const saveSettings = ({ apiKey, ...settings }) => {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    const [keep, clear] = settings.rememberKey
+      ? [localStorage, sessionStorage]
+      : [sessionStorage, localStorage];
+    clear.removeItem(API_KEY_KEY);
+    if (apiKey) keep.setItem(API_KEY_KEY, apiKey);
+    else keep.removeItem(API_KEY_KEY);
+  } catch (error) {
+    console.warn("AI settings could not be saved:", error);
+  }
+};
+
+const abortError = () => new DOMException("Aborted", "AbortError");
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(abortError());
+      },
+      { once: true }
+    );
+  });
+
+// Runs request(attempt) until it succeeds, fails with an error that is
+// not worth retrying, or runs out of attempts. onRetry hears about each
+// wait before it starts.
+export const withRetry = async (
+  request,
+  { attempts = RETRY_ATTEMPTS, signal, onRetry } = {}
+) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request(attempt);
+    } catch (error) {
+      if (!(error instanceof AIError)) throw error;
+      error.attempts = attempt;
+      if (!error.retryable || attempt >= attempts) throw error;
+      const delay = Math.min(
+        error.retryAfter
+          ? error.retryAfter * 1000
+          : RETRY_BASE_DELAY * 2 ** (attempt - 1),
+        MAX_RETRY_DELAY
+      );
+      onRetry?.({ attempt, attempts, delay, error });
+      await wait(delay, signal);
+    }
+  }
+};
+
+const send = async (url, headers, body, signal) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      signal,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    });
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    throw new AIError(`Could not reach ${url}: ${error.message}`, undefined, {
+      retryable: true,
+    });
+  }
+  if (!response.ok) {
+    const result = await response.json().catch(() => null);
+    const retryAfter = Number(response.headers.get("retry-after"));
+    throw new AIError(
+      result?.error?.message || `Request failed (HTTP ${response.status})`,
+      response.status,
+      { retryAfter: retryAfter > 0 ? retryAfter : undefined }
+    );
+  }
+  return response;
+};
+
+const post = async (url, headers, body, signal) => {
+  const response = await send(url, headers, body, signal);
+  const result = await response.json().catch(() => null);
+  if (!result) throw new AIError(`${url} did not answer with JSON`);
+  return result;
+};
+
+// Calls onEvent with the parsed data of every server-sent event.
+const readEvents = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+    const lines = buffer.split(/\r?\n/);
+    buffer = done ? "" : lines.pop();
+    lines.forEach((line) => {
+      if (!line.startsWith("data:")) return;
+      const data = line.slice(5).trim();
+      if (!data || data === "[DONE]") return;
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (error) {
+        throw new AIError("The AI provider sent a malformed stream");
+      }
+      onEvent(event);
+    });
+    if (done) return;
+  }
+};
+
+// A reply cut off by the token limit is rarely usable (JSON especially),
+// and asking again gets the same result.
+const checkComplete = (text, truncated, maxTokens) => {
+  if (truncated) {
+    throw new AIError(
+      `The reply was cut off at the ${maxTokens}-token limit. Raise it in AI settings.`
+    );
+  }
+  return text;
+};
+
+// Picks columns and an aggregation by keyword: enough to exercise the
+// chat with questions like "average sales by region in Q3".
+const mockQuery = ({ question, columns }) => {
+  const text = question.toLowerCase();
+  const mentioned = columns.filter((c) => text.includes(c.name.toLowerCase()));
+  const pick = (test) => mentioned.find(test) || columns.find(test);
+  const measure = pick((c) => isNumericType(c.type));
+  const group = pick((c) => !isNumericType(c.type) && !isDateType(c.type));
+  const date = pick((c) => isDateType(c.type));
+  const agg = /how many|count|number of/.test(text)
+    ? "count"
+    : /average|mean/.test(text)
+    ? "mean"
+    : /median/.test(text)
+    ? "median"
+    : "sum";
+  const measures =
+    agg === "count" || !measure
+      ? [{ agg: "count" }]
+      : [{ agg, column: measure.name }];
+  const single = /highest|most|top|largest|best/.test(text);
+  const lowest = /lowest|least|smallest|worst/.test(text);
+  const quarter = text.match(/\bq([1-4])\b/);
+  return {
+    title: `${measureName(measures[0])}${group ? ` by ${group.name}` : ""}`,
+    query: {
+      filters:
+        quarter && date
+          ? [
+              {
+                column: date.name,
+                part: "quarter",
+                op: "equals",
+                value: Number(quarter[1]),
+              },
+            ]
+          : [],
+      groupBy: group ? [group.name] : [],
+      measures,
+      sort: {
+        by: measureName(measures[0]),
+        direction: lowest ? "asc" : "desc",
+      },
+      limit: single || lowest ? 1 : 10,
+    },
+  };
+};
+
+// Canned answers built from the request's context, so the same data
+// always gets the same response.
+const mockResponse = (task, context) => {
+  if (task === "query") return JSON.stringify(mockQuery(context));
+  if (task === "report") {
+    const numeric = Object.entries(context.statistics?.numeric || {});
+    return JSON.stringify({
+      dataType: "Mock analysis",
+      summary: `${context.rowCount.toLocaleString()} rows across ${
+        context.columns.length
+      } columns: ${context.columns.join(", ")}.`,
+      confidence: "low",
+      keyInsights: numeric.slice(0, 3).map(([column, stats]) => ({
+        text: `${column} averages ${formatNumber(
+          stats.mean
+        )} (range ${formatNumber(stats.min)} to ${formatNumber(stats.max)}).`,
+        columns: [column],
+        confidence: "high",
+      })),
+      trends: [],
+      recommendations: [
+        {
+          text: "Switch to a real provider in AI settings for genuine insights.",
+          columns: [],
+          confidence: "high",
+        },
+      ],
+    });
+  }
+  if (task === "insight") {
+    return `${context.column} on the ${
+      context.chartType
+    } chart: ${Object.entries(context.dataPoint || {})
+      .filter(([, value]) => typeof value !== "object")
+      .map(([key, value]) => `${key} = ${value}`)
+      .join(", ")}. This is a mock insight.`;
+  }
+  return "Mock response.";
+};
+
+// Sends prompt to the configured provider and resolves with the reply
+// text. task ("report", "insight", "query") and context only matter to the mock
+// provider. With onText the reply is streamed and onText is called with
+// the text so far as it grows. Failures reject with an AIError; aborting
+// rejects with the usual AbortError.
+export const complete = async (
+  settings,
+  { task, prompt, context = {}, maxTokens, signal, onText }
+) => {
+  const { provider, endpoint, model, apiKey } = settings;
+  const messages = [{ role: "user", content: prompt }];
+
+  if (isOffline(settings)) {
+    throw new AIError("Offline mode is on, so nothing is sent to the AI");
+  }
+  if (provider === "mock") {
+    await wait(MOCK_DELAY, signal);
+    const reply = mockResponse(task, context);
+    if (onText) {
+      for (let end = MOCK_CHUNK; end < reply.length; end += MOCK_CHUNK) {
+        onText(reply.slice(0, end));
+        await wait(MOCK_CHUNK_DELAY, signal);
+      }
+      onText(reply);
+    }
+    return reply;
+  }
+  if (!endpoint) throw new AIError("Set an endpoint URL in AI settings");
+
+  if (provider === "anthropic") {
+    if (!apiKey) throw new AIError("Add an Anthropic API key in AI settings");
+    const headers = {
+      "x-api-key": apiKey,
+      "anthropic-version": ANTHROPIC_VERSION,
+      // The request comes straight from the user's browser
+      "anthropic-dangerous-direct-browser-access": "true",
+    };
+    const body = { model, max_tokens: maxTokens, messages };
+    if (!onText) {
+      const result = await post(endpoint, headers, body, signal);
+      const text = (result.content || [])
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join("");
+      return checkComplete(
+        text,
+        result.stop_reason === "max_tokens",
+        maxTokens
+      );
+    }
+    const response = await send(
+      endpoint,
+      headers,
+      { ...body, stream: true },
+      signal
+    );
+    let text = "";
+    let stopReason = null;
+    await readEvents(response, (event) => {
+      if (event.type === "content_block_delta" && event.delta.text) {
+        text += event.delta.text;
+        onText(text);
+      } else if (event.type === "message_delta") {
+        stopReason = event.delta?.stop_reason;
+      } else if (event.type === "error") {
+        // Mid-stream errors (usually overload) have no HTTP status
+        throw new AIError(
+          event.error?.message || "The stream failed",
+          undefined,
+          { retryable: true }
+        );
+      }
+    });
+    return checkComplete(text, stopReason === "max_tokens", maxTokens);
+  }
+
+  if (provider === "openai") {
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    const body = { model, max_tokens: maxTokens, messages };
+    if (!onText) {
+      const result = await post(endpoint, headers, body, signal);
+      const choice = result.choices?.[0];
+      return checkComplete(
+        choice?.message?.content ?? "",
+        choice?.finish_reason === "length",
+        maxTokens
+      );
+    }
+    const response = await send(
+      endpoint,
+      headers,
+      { ...body, stream: true },
+      signal
+    );
+    let text = "";
+    let finishReason = null;
+    await readEvents(response, (event) => {
+      const choice = event.choices?.[0];
+      if (choice?.delta?.content) {
+        text += choice.delta.content;
+        onText(text);
+      }
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+    });
+    return checkComplete(text, finishReason === "length", maxTokens);
+  }
+
+  throw new AIError(`Unknown AI provider: ${provider}`);
+};
@@ -0,0 +1,144 @@
+import { AIError } from "./aiClient";
+
+// The AI Intelligence Report: the shape the model is asked for, the
+// validation of its reply, and a lenient reading of a reply that is still
+// streaming in.
+
+export const CONFIDENCE_LEVELS = ["high", "medium", "low"];
+
+export const REPORT_LISTS = [
+  ["keyInsights", "Key insights"],
+  ["trends", "Trends & patterns"],
+  ["recommendations", "Recommendations"],
+];
+
+const MAX_ITEMS = 8;
+
+export const REPORT_SCHEMA = `{
+  "dataType": string,       // what kind of data this is, e.g. "Retail sales"
+  "summary": string,        // 2-4 sentences
+  "confidence": Confidence, // how sure you are of dataType and summary
+  "keyInsights": Item[],
+  "trends": Item[],         // [] when there is nothing over time or order
+  "recommendations": Item[]
+}
+Item = {
+  "text": string,           // one sentence
+  "columns": string[],      // exact names of the columns it is based on
+  "confidence": Confidence
+}
+Confidence = "high" | "medium" | "low"`;
+
+// The reply is retried when it does not validate: another sample from
+// the model usually gets the format right.
+const invalid = (problem) =>
+  new AIError(
+    `The AI reply did not match the report format: ${problem}`,
+    undefined,
+    { retryable: true }
+  );
+
+const isText = (value) => typeof value === "string" && value.trim() !== "";
+
+const checkConfidence = (value, path) => {
+  if (!CONFIDENCE_LEVELS.includes(value)) {
+    throw invalid(`${path} must be one of ${CONFIDENCE_LEVELS.join(", ")}`);
+  }
+  return value;
+};
+
+// Column names the model made up are dropped rather than failing the
+// whole report.
+const checkItem = (item, path, known) => {
+  if (!item || typeof item !== "object") {
+    throw invalid(`${path} must be an object`);
+  }
+  if (!isText(item.text)) throw invalid(`${path}.text must be text`);
+  if (!Array.isArray(item.columns)) {
+    throw invalid(`${path}.columns must be a list of column names`);
+  }
+  return {
+    text: item.text.trim(),
+    columns: item.columns.filter((column) => known.has(column)),
+    confidence: checkConfidence(item.confidence, `${path}.confidence`),
+  };
+};
+
+export const validateReport = (value, columns) => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw invalid("expected a JSON object");
+  }
+  ["dataType", "summary"].forEach((key) => {
+    if (!isText(value[key])) throw invalid(`${key} must be text`);
+  });
+  const known = new Set(columns);
+  const report = {
+    dataType: value.dataType.trim(),
+    summary: value.summary.trim(),
+    confidence: checkConfidence(value.confidence, "confidence"),
+  };
+  REPORT_LISTS.forEach(([key]) => {
+    if (!Array.isArray(value[key])) throw invalid(`${key} must be a list`);
+    report[key] = value[key]
+      .slice(0, MAX_ITEMS)
+      .map((item, i) => checkItem(item, `${key}[${i}]`, known));
+  });
+  return report;
+};
+
+// Models like to wrap JSON in prose or code fences
+const jsonText = (text) => {
+  const start = text.indexOf("{");
+  return start === -1 ? "" : text.slice(start);
+};
+
+export const parseReport = (text, columns) => {
+  const json = jsonText(text);
+  const end = json.lastIndexOf("}");
+  let value;
+  try {
+    value = JSON.parse(json.slice(0, end + 1));
+  } catch (error) {
+    throw invalid("the reply is not valid JSON");
+  }
+  return validateReport(value, columns);
+};
+
+// Closes the strings, arrays and objects left open in a JSON prefix.
+const closeJson = (text) => {
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+  for (const ch of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') inString = true;
+    else if (ch === "{") closers.push("}");
+    else if (ch === "[") closers.push("]");
+    else if (ch === "}" || ch === "]") closers.pop();
+  }
+  return (
+    (inString ? `${escaped ? text.slice(0, -1) : text}"` : text) +
+    closers.reverse().join("")
+  );
+};
+
+// Whatever can be read from a reply still streaming in, or null. Values
+// that are cut mid-way (a key without its value, half a number) are
+// dropped back to the last comma until the rest parses.
+export const partialReport = (text) => {
+  let json = jsonText(text);
+  for (let tries = 0; json && tries < 10; tries++) {
+    try {
+      const value = JSON.parse(closeJson(json));
+      return value && typeof value === "object" ? value : null;
+    } catch (error) {
+      const comma = json.lastIndexOf(",");
+      if (comma === -1) return null;
+      json = json.slice(0, comma);
+    }
+  }
+  return null;
+};
@@ -0,0 +1,133 @@
+import { AIError } from "./aiClient";
+import { parseReport, partialReport } from "./aiReport";
+
+const columns = ["region", "sales"];
+const report = {
+  dataType: " Retail sales ",
+  summary: "Sales by region.",
+  confidence: "medium",
+  keyInsights: [
+    { text: "North leads.", columns: ["region", "city"], confidence: "high" },
+  ],
+  trends: [],
+  recommendations: [
+    { text: " Chart sales. ", columns: ["sales"], confidence: "low" },
+  ],
+};
+
+const errorOf = (text) => {
+  try {
+    parseReport(text, columns);
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe("parseReport", () => {
+  it("reads the report inside prose or a code fence", () => {
+    const expected = {
+      dataType: "Retail sales",
+      summary: "Sales by region.",
+      confidence: "medium",
+      keyInsights: [
+        { text: "North leads.", columns: ["region"], confidence: "high" },
+      ],
+      trends: [],
+      recommendations: [
+        { text: "Chart sales.", columns: ["sales"], confidence: "low" },
+      ],
+    };
+    expect(parseReport(JSON.stringify(report), columns)).toEqual(expected);
+    expect(
+      parseReport(
+        "Here is the report:\n```json\n" +
+          JSON.stringify(report, null, 2) +
+          "\n```\nLet me know.",
+        columns
+      )
+    ).toEqual(expected);
+  });
+
+  it("keeps at most eight items per list", () => {
+    const item = { text: "x", columns: [], confidence: "low" };
+    const long = { ...report, keyInsights: Array(12).fill(item) };
+    expect(parseReport(JSON.stringify(long), columns).keyInsights).toHaveLength(
+      8
+    );
+  });
+
+  it.each([
+    ["the reply is not valid JSON", "no JSON here"],
+    ["the reply is not valid JSON", '{"dataType": "x",'],
+    ["the reply is not valid JSON", "[1, 2]"],
+    ["dataType must be text", '{"summary": "s"}'],
+    ["summary must be text", { ...report, summary: " " }],
+    [
+      "confidence must be one of high, medium, low",
+      { ...report, confidence: "sure" },
+    ],
+    ["trends must be a list", { ...report, trends: null }],
+    ["keyInsights[0] must be an object", { ...report, keyInsights: ["text"] }],
+    [
+      "trends[0].text must be text",
+      { ...report, trends: [{ text: "", columns: [] }] },
+    ],
+    [
+      "trends[0].columns must be a list of column names",
+      { ...report, trends: [{ text: "t", columns: "sales" }] },
+    ],
+    [
+      "recommendations[0].confidence must be one of high, medium, low",
+      { ...report, recommendations: [{ text: "t", columns: [] }] },
+    ],
+  ])("rejects a reply where %s", (problem, reply) => {
+    const error = errorOf(
+      typeof reply === "string" ? reply : JSON.stringify(reply)
+    );
+    expect(error).toBeInstanceOf(AIError);
+    expect(error.message).toBe(
+      `The AI reply did not match the report format: ${problem}`
+    );
+    expect(error.retryable).toBe(true);
+  });
+});
+
+describe("partialReport", () => {
+  const full = JSON.stringify(report);
+
+  it("reads the complete reply", () => {
+    expect(partialReport(full)).toEqual(report);
+  });
+
+  it("closes open strings, lists and objects", () => {
+    expect(partialReport('```json\n{"dataType": "Retail sa')).toEqual({
+      dataType: "Retail sa",
+    });
+    expect(
+      partialReport('{"summary": "S", "keyInsights": [{"text": "North')
+    ).toEqual({ summary: "S", keyInsights: [{ text: "North" }] });
+  });
+
+  it("drops values cut mid-way", () => {
+    expect(partialReport('{"dataType": "x", "summary"')).toEqual({
+      dataType: "x",
+    });
+    expect(partialReport('{"dataType": "x", "ok": tr')).toEqual({
+      dataType: "x",
+    });
+    expect(partialReport('{"text": "a \\')).toEqual({ text: "a " });
+  });
+
+  it("gives null until there is an object to show", () => {
+    expect(partialReport("")).toBeNull();
+    expect(partialReport("Thinking about it")).toBeNull();
+    expect(partialReport('{"dataType"')).toBeNull();
+  });
+
+  it("reads every prefix of a reply without throwing", () => {
+    for (let i = 0; i <= full.length; i++) {
+      expect(() => partialReport(full.slice(0, i))).not.toThrow();
+    }
+  });
+});
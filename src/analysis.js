@@ -0,0 +1,87 @@
+import {
+  inferColumnType,
+  isDateType,
+  isNumericType,
+  parseDate,
+  toNumber,
+} from "./columnTypes";
+import { describe } from "./stats";
+
+// columnTypes holds the import dialog's per-column overrides, which take
+// precedence over inference. types skips inference altogether, so a
+// filtered subset is described with the full dataset's column types.
+export const analyzeData = (
+  csvData,
+  cols,
+  { onProgress, columnTypes = {}, types: knownTypes = {} } = {}
+) => {
+  const numericColumns = {};
+  const categoricalColumns = {};
+  const dateColumns = {};
+  const types = {};
+
+  cols.forEach((header, colIndex) => {
+    const values = csvData
+      .map((row) => row[header])
+      .filter((v) => v !== null && v !== "" && v !== undefined);
+    const typeInfo =
+      knownTypes[header] ||
+      inferColumnType(values, header, columnTypes[header]);
+    types[header] = typeInfo;
+
+    if (isNumericType(typeInfo.type)) {
+      const numbers = values.map(toNumber).filter((n) => Number.isFinite(n));
+      numericColumns[header] = describe(numbers, {
+        missingCount: csvData.length - values.length,
+        invalidCount: values.length - numbers.length,
+      });
+    } else if (isDateType(typeInfo.type)) {
+      let min = Infinity;
+      let max = -Infinity;
+      let count = 0;
+      values.forEach((v) => {
+        const time = parseDate(v, typeInfo.dateOrder);
+        if (isNaN(time)) return;
+        count++;
+        if (time < min) min = time;
+        if (time > max) max = time;
+      });
+      dateColumns[header] = {
+        min: count ? new Date(min).toISOString() : null,
+        max: count ? new Date(max).toISOString() : null,
+        count,
+        unique: new Set(values.map(String)).size,
+      };
+    } else {
+      const freq = {};
+      values.forEach((v) => {
+        const key = String(v);
+        freq[key] = (freq[key] || 0) + 1;
+      });
+      const sortedFreq = Object.entries(freq).sort((a, b) => b[1] - a[1]);
+      categoricalColumns[header] = {
+        unique: Object.keys(freq).length,
+        mostCommon: sortedFreq[0],
+        distribution: freq,
+        total: values.length,
+      };
+    }
+
+    if (onProgress) onProgress(colIndex + 1, cols.length);
+  });
+
+  return {
+    totalRows: csvData.length,
+    totalColumns: cols.length,
+    types,
+    numeric: numericColumns,
+    categorical: categoricalColumns,
+    dates: dateColumns,
+  };
+};
+
+// Columns worth grouping or colouring by; identifiers and free text are not.
+export const getCategoryColumns = (analysis) =>
+  Object.keys(analysis?.categorical || {}).filter((col) =>
+    ["categorical", "boolean"].includes(analysis.types[col].type)
+  );
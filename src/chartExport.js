@@ -0,0 +1,100 @@
+import { escapeXml } from "./export";
+
+// Turns rendered charts into standalone SVG and PNG files. Recharts draws
+// into SVG, but a chart can be several SVGs (histogram plus box plot,
+// legend icons) with HTML in between, and its fonts come from the page's
+// CSS, so both have to be carried over into the exported document.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+// lucide icons inside chart controls are SVGs too
+const CHART_SVGS = "svg:not(.lucide)";
+const LEGEND_LABELS = ".recharts-legend-item-text";
+const TEXT_STYLES = ["font-family", "font-size", "font-weight"];
+
+const isVisible = (rect) => rect.width > 0 && rect.height > 0;
+
+const copyTextStyles = (source, copy) => {
+  const originals = source.querySelectorAll("text");
+  copy.querySelectorAll("text").forEach((node, i) => {
+    const style = getComputedStyle(originals[i]);
+    TEXT_STYLES.forEach((prop) =>
+      node.style.setProperty(prop, style.getPropertyValue(prop))
+    );
+  });
+};
+
+// Everything drawn under element, laid out as on screen, as one SVG
+// document on a white background. Null when there is no SVG to export.
+export const chartSvgMarkup = (element) => {
+  const svgs = [...element.querySelectorAll(CHART_SVGS)]
+    .map((node) => ({ node, rect: node.getBoundingClientRect() }))
+    .filter(({ rect }) => isVisible(rect));
+  if (!svgs.length) return null;
+  const labels = [...element.querySelectorAll(LEGEND_LABELS)]
+    .map((node) => ({ node, rect: node.getBoundingClientRect() }))
+    .filter(({ rect }) => isVisible(rect));
+
+  const rects = [...svgs, ...labels].map(({ rect }) => rect);
+  const left = Math.min(...rects.map((r) => r.left));
+  const top = Math.min(...rects.map((r) => r.top));
+  const width = Math.ceil(Math.max(...rects.map((r) => r.right)) - left);
+  const height = Math.ceil(Math.max(...rects.map((r) => r.bottom)) - top);
+
+  const serializer = new XMLSerializer();
+  const drawings = svgs.map(({ node, rect }) => {
+    const copy = node.cloneNode(true);
+    copyTextStyles(node, copy);
+    copy.removeAttribute("style");
+    copy.setAttribute("x", rect.left - left);
+    copy.setAttribute("y", rect.top - top);
+    copy.setAttribute("width", rect.width);
+    copy.setAttribute("height", rect.height);
+    return serializer.serializeToString(copy);
+  });
+  const legend = labels.map(({ node, rect }) => {
+    const style = getComputedStyle(node);
+    return `<text x="${rect.left - left}" y="${
+      rect.top - top + rect.height / 2
+    }" dominant-baseline="middle" fill="${
+      style.color
+    }" font-family="${escapeXml(style.fontFamily)}" font-size="${
+      style.fontSize
+    }">${escapeXml(node.textContent)}</text>`;
+  });
+
+  return {
+    width,
+    height,
+    markup: `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><rect width="100%" height="100%" fill="#fff"/>${drawings.join(
+      ""
+    )}${legend.join("")}</svg>`,
+  };
+};
+
+// Rasterizes an SVG document at scale times its size.
+export const svgToPng = ({ markup, width, height }, scale = 1) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(
+      new Blob([markup], { type: "image/svg+xml" })
+    );
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const context = canvas.getContext("2d");
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(
+        (blob) =>
+          blob ? resolve(blob) : reject(new Error("Could not create the PNG")),
+        "image/png"
+      );
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not render the chart"));
+    };
+    image.src = url;
+  });
@@ -0,0 +1,39 @@
+import { formatNumber } from "./format";
+
+// The pointer has to rest on a data point this long before it is
+// explained, so sweeping across a chart sends no requests.
+export const HOVER_DELAY = 600;
+
+// Fields that name a point, in order of preference
+const LABEL_KEYS = ["label", "name", "range", "category"];
+// Bookkeeping fields of the chart data that mean nothing to a reader
+const HIDDEN_KEYS = ["key", "time", "__total", "row", "index"];
+const MAX_VALUES = 3;
+
+export const insightKey = (chartType, column, point) =>
+  JSON.stringify([chartType, column, point]);
+
+// Short label for the point an insight is about,
+// e.g. "North · value 120 · percentage 30.0".
+export const describePoint = (point) => {
+  const labelKey = LABEL_KEYS.find(
+    (key) => point[key] !== undefined && point[key] !== null
+  );
+  const values = Object.entries(point)
+    .filter(
+      ([key, value]) =>
+        key !== labelKey &&
+        !HIDDEN_KEYS.includes(key) &&
+        value !== null &&
+        value !== undefined &&
+        typeof value !== "object"
+    )
+    .slice(0, MAX_VALUES)
+    .map(
+      ([key, value]) =>
+        `${key} ${typeof value === "number" ? formatNumber(value) : value}`
+    );
+  return [labelKey && String(point[labelKey]), ...values]
+    .filter(Boolean)
+    .join(" · ");
+};
@@ -0,0 +1,254 @@
+export const NUMERIC_TYPES = ["integer", "float", "currency", "percentage"];
+export const DATE_TYPES = ["date", "datetime"];
+
+export const TYPE_LABELS = {
+  integer: "Integer",
+  float: "Decimal",
+  currency: "Currency",
+  percentage: "Percentage",
+  date: "Date",
+  datetime: "Date & time",
+  boolean: "Boolean",
+  identifier: "Identifier",
+  text: "Free text",
+  categorical: "Categorical",
+};
+
+export const isNumericType = (type) => NUMERIC_TYPES.includes(type);
+export const isDateType = (type) => DATE_TYPES.includes(type);
+
+// Inference looks at an evenly spaced sample so huge columns stay cheap.
+const SAMPLE_LIMIT = 5000;
+
+const BOOLEAN_WORDS = ["true", "false", "yes", "no", "y", "n"];
+const INTEGER_PATTERN = /^[-+]?\d+$/;
+const LEADING_ZERO_PATTERN = /^0\d+$/;
+const FLOAT_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+const GROUPED_NUMBER_PATTERN = /^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/;
+const CURRENCY_PATTERN =
+  /^\(?[-+]?\s?([$€£¥₹]|USD|EUR|GBP)\s?[-+]?\d{1,3}(,?\d{3})*(\.\d+)?\)?$|^[-+]?\d{1,3}(,?\d{3})*(\.\d+)?\s?([$€£¥₹]|USD|EUR|GBP)$/i;
+const PERCENT_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)\s?%$/;
+const ISO_DATE_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})([T ](\d{2}):(\d{2})(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const SLASH_DATE_PATTERN =
+  /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(,?\s+(\d{1,2}):(\d{2})(:\d{2})?\s*([AP]M)?)?$/i;
+const NAMED_DATE_PATTERN =
+  /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b.*\b\d{4}\b|\b\d{4}\b.*\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)/i;
+const TIME_PATTERN = /\d{1,2}:\d{2}/;
+const ID_NAME_PATTERN =
+  /(^|[^a-zA-Z])(id|uuid|guid|sku|zip|zipcode|postcode|postal ?code|phone|code|no\.?|number|key)$/i;
+// camelCase suffixes must stay case-sensitive, or "Paid" would count
+const ID_CAMEL_PATTERN = /[a-z](Id|ID|No)$/;
+
+const looksLikeIdName = (header) =>
+  ID_NAME_PATTERN.test(header) || ID_CAMEL_PATTERN.test(header);
+
+const sampleValues = (values) => {
+  if (values.length <= SAMPLE_LIMIT) return values;
+  const step = values.length / SAMPLE_LIMIT;
+  const sample = [];
+  for (let i = 0; i < SAMPLE_LIMIT; i++) {
+    sample.push(values[Math.floor(i * step)]);
+  }
+  return sample;
+};
+
+// Date.UTC rolls impossible dates over (31/02 becomes 2 March), so the
+// parts are read back to check the day exists.
+const isCalendarDate = (year, month, day) => {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return (
+    d.getUTCFullYear() === year &&
+    d.getUTCMonth() === month - 1 &&
+    d.getUTCDate() === day
+  );
+};
+
+// Parses a cell as a timestamp (ms). dateOrder settles whether 03/04/2024
+// is March 4th ("mdy") or 3rd April ("dmy").
+export const parseDate = (value, dateOrder = "mdy") => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value !== "string") return NaN;
+  const text = value.trim();
+
+  const iso = ISO_DATE_PATTERN.exec(text);
+  if (iso) {
+    if (!isCalendarDate(Number(iso[1]), Number(iso[2]), Number(iso[3]))) {
+      return NaN;
+    }
+    return Date.parse(text.replace(" ", "T"));
+  }
+  const slash = SLASH_DATE_PATTERN.exec(text);
+  if (slash) {
+    const [first, second, year] = [
+      Number(slash[1]),
+      Number(slash[2]),
+      Number(slash[3]),
+    ];
+    const [month, day] =
+      dateOrder === "dmy" ? [second, first] : [first, second];
+    if (!isCalendarDate(year, month, day)) return NaN;
+    let hours = slash[5] ? Number(slash[5]) : 0;
+    if (slash[8] && /pm/i.test(slash[8]) && hours < 12) hours += 12;
+    if (slash[8] && /am/i.test(slash[8]) && hours === 12) hours = 0;
+    const minutes = slash[6] ? Number(slash[6]) : 0;
+    const seconds = slash[7] ? Number(slash[7].slice(1)) : 0;
+    return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  }
+  if (NAMED_DATE_PATTERN.test(text)) {
+    return Date.parse(text);
+  }
+  return NaN;
+};
+
+// Reads a numeric cell, stripping currency symbols, grouping commas and
+// percent signs; accounting-style "(1,200)" is negative.
+export const toNumber = (value) => {
+  if (typeof value === "number") return value;
+  if (typeof value !== "string") return NaN;
+  let text = value.trim();
+  const negative = /^\(.*\)$/.test(text);
+  text = text.replace(/[()\s%,]/g, "").replace(/[$€£¥₹]|USD|EUR|GBP/gi, "");
+  if (!FLOAT_PATTERN.test(text)) return NaN;
+  const number = Number(text);
+  return negative ? -number : number;
+};
+
+const classifyValue = (value) => {
+  if (typeof value === "boolean") return "boolean";
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "float";
+  }
+  const text = String(value).trim();
+  if (BOOLEAN_WORDS.includes(text.toLowerCase())) return "boolean";
+  if (LEADING_ZERO_PATTERN.test(text)) return "leadingZero";
+  if (INTEGER_PATTERN.test(text)) return "integer";
+  if (FLOAT_PATTERN.test(text)) return "float";
+  if (GROUPED_NUMBER_PATTERN.test(text)) {
+    return text.includes(".") ? "float" : "integer";
+  }
+  if (PERCENT_PATTERN.test(text)) return "percentage";
+  if (CURRENCY_PATTERN.test(text)) return "currency";
+  if (!isNaN(parseDate(text, "mdy")) || !isNaN(parseDate(text, "dmy"))) {
+    return TIME_PATTERN.test(text) ? "datetime" : "date";
+  }
+  return "string";
+};
+
+// Slash dates are read in the order that more of them can only be read in
+// (13/04 is day-first, 04/13 month-first). A column with evidence for both
+// orders is flagged as mixed, since the values written the other way are
+// read as invalid dates.
+const detectDateOrder = (sample) => {
+  let dmy = 0;
+  let mdy = 0;
+  sample.forEach((value) => {
+    const match = SLASH_DATE_PATTERN.exec(String(value).trim());
+    if (!match) return;
+    if (Number(match[1]) > 12) dmy++;
+    else if (Number(match[2]) > 12) mdy++;
+  });
+  return {
+    dateOrder: dmy > mdy ? "dmy" : "mdy",
+    // Share of the unambiguous values that agree with the chosen order
+    agreement: dmy + mdy ? Math.max(dmy, mdy) / (dmy + mdy) : 1,
+    mixed: dmy > 0 && mdy > 0,
+  };
+};
+
+const describeStrings = (sample) => {
+  const unique = new Set(sample.map(String)).size;
+  const totalLength = sample.reduce((sum, v) => sum + String(v).length, 0);
+  const withSpaces = sample.filter((v) => /\s/.test(String(v).trim())).length;
+  return {
+    uniqueRatio: unique / sample.length,
+    unique,
+    avgLength: totalLength / sample.length,
+    spaceRatio: withSpaces / sample.length,
+  };
+};
+
+// Non-numeric, non-date columns: identifiers are near-unique compact tokens,
+// free text is long or sentence-like, everything else is a category.
+const classifyStrings = (sample, header, matched) => {
+  const { uniqueRatio, unique, avgLength, spaceRatio } =
+    describeStrings(sample);
+  if (looksLikeIdName(header) && spaceRatio < 0.05) {
+    return { type: "identifier", confidence: 0.9 };
+  }
+  if (uniqueRatio > 0.95 && spaceRatio < 0.05 && sample.length > 20) {
+    return { type: "identifier", confidence: uniqueRatio };
+  }
+  if (
+    avgLength > 40 ||
+    (uniqueRatio > 0.8 && spaceRatio > 0.5 && unique > 20)
+  ) {
+    return { type: "text", confidence: matched };
+  }
+  return { type: "categorical", confidence: matched };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Infers one of TYPE_LABELS' types for a column's non-empty values.
+// override is the import dialog's forced type ("number", "date", ...).
+export const inferColumnType = (values, header, override = "auto") => {
+  if (!values.length) return { type: "categorical", confidence: 0 };
+  const sample = sampleValues(values);
+  const counts = {};
+  sample.forEach((value) => {
+    const kind = classifyValue(value);
+    counts[kind] = (counts[kind] || 0) + 1;
+  });
+  const share = (...kinds) =>
+    kinds.reduce((sum, kind) => sum + (counts[kind] || 0), 0) / sample.length;
+
+  const numericShare = share("integer", "float", "currency", "percentage");
+  const dateShare = share("date", "datetime");
+  const dateType =
+    dateShare > 0 && share("datetime") >= dateShare / 2 ? "datetime" : "date";
+  const order = detectDateOrder(sample);
+  const dateInfo = (confidence) => ({
+    type: dateType,
+    confidence,
+    dateOrder: order.dateOrder,
+    ...(order.mixed && { mixedDateOrder: true }),
+  });
+  const numericType = () => {
+    if (numericShare === 0) return "float";
+    if (share("percentage") >= numericShare * 0.8) return "percentage";
+    if (share("currency") >= numericShare * 0.8) return "currency";
+    return share("float") > 0 ? "float" : "integer";
+  };
+
+  const forced = {
+    number: () => ({ type: numericType(), confidence: 1 }),
+    date: () => dateInfo(1),
+    boolean: () => ({ type: "boolean", confidence: 1 }),
+    identifier: () => ({ type: "identifier", confidence: 1 }),
+    text: () => ({ ...classifyStrings(sample, header, 1), confidence: 1 }),
+  };
+  if (forced[override]) return forced[override]();
+
+  let result;
+  if (share("boolean") >= 0.95) {
+    result = { type: "boolean", confidence: share("boolean") };
+  } else if (dateShare >= 0.8) {
+    result = dateInfo(dateShare * order.agreement);
+  } else if (counts.leadingZero && share("leadingZero", "integer") >= 0.8) {
+    result = {
+      type: "identifier",
+      confidence: share("leadingZero", "integer"),
+    };
+  } else if (numericShare > 0.5) {
+    // Employee numbers and ZIP codes are integers but not measures
+    const type = numericType();
+    result =
+      type === "integer" && looksLikeIdName(header)
+        ? { type: "identifier", confidence: 0.9 }
+        : { type, confidence: numericShare };
+  } else {
+    result = classifyStrings(sample, header, 1 - numericShare - dateShare);
+  }
+  return { ...result, confidence: round(result.confidence) };
+};
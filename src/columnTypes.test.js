@@ -0,0 +1,73 @@
+import { inferColumnType, parseDate, toNumber } from "./columnTypes";
+
+describe("parseDate", () => {
+  it("reads slash dates in the given order", () => {
+    expect(parseDate("03/04/2024", "mdy")).toBe(Date.UTC(2024, 2, 4));
+    expect(parseDate("03/04/2024", "dmy")).toBe(Date.UTC(2024, 3, 3));
+  });
+
+  it("rejects days that do not exist", () => {
+    expect(parseDate("2024-02-30")).toBeNaN();
+    expect(parseDate("31/02/2024", "dmy")).toBeNaN();
+    expect(parseDate("13/01/2024", "mdy")).toBeNaN();
+  });
+
+  it("reads times with AM and PM", () => {
+    expect(parseDate("1/2/2024 12:30 AM")).toBe(Date.UTC(2024, 0, 2, 0, 30));
+    expect(parseDate("1/2/2024 1:30 PM")).toBe(Date.UTC(2024, 0, 2, 13, 30));
+  });
+});
+
+describe("toNumber", () => {
+  it("strips currency, grouping and percent signs", () => {
+    expect(toNumber("$1,200.50")).toBe(1200.5);
+    expect(toNumber("(1,200)")).toBe(-1200);
+    expect(toNumber("12%")).toBe(12);
+    expect(toNumber("n/a")).toBeNaN();
+  });
+});
+
+describe("inferColumnType", () => {
+  it("tells the numeric types apart", () => {
+    expect(inferColumnType([1, 2, 3], "count").type).toBe("integer");
+    expect(inferColumnType([1.5, 2, 3], "price").type).toBe("float");
+    expect(inferColumnType(["$5", "$1,200.00"], "price").type).toBe("currency");
+    expect(inferColumnType(["5%", "12.5%"], "rate").type).toBe("percentage");
+    expect(inferColumnType(["1,200", "3,400,000"], "total").type).toBe(
+      "integer"
+    );
+  });
+
+  it("treats numbered codes as identifiers", () => {
+    expect(inferColumnType([101, 102, 103], "employee_id").type).toBe(
+      "identifier"
+    );
+    expect(inferColumnType(["02139", "10001", "94105"], "zip").type).toBe(
+      "identifier"
+    );
+  });
+
+  it("reads slash dates month-first unless the values say otherwise", () => {
+    expect(inferColumnType(["01/02/2024", "03/04/2024"], "day")).toEqual({
+      type: "date",
+      confidence: 1,
+      dateOrder: "mdy",
+    });
+    expect(inferColumnType(["01/02/2024", "25/04/2024"], "day").dateOrder).toBe(
+      "dmy"
+    );
+  });
+
+  it("follows the majority when the values mix both orders", () => {
+    const values = ["25/04/2024", "26/04/2024", "27/04/2024", "04/28/2024"];
+    const result = inferColumnType(values, "day");
+    expect(result.dateOrder).toBe("dmy");
+    expect(result.mixedDateOrder).toBe(true);
+    expect(result.confidence).toBeLessThan(1);
+  });
+
+  it("keeps the date order of a forced date column", () => {
+    const result = inferColumnType(["13/01/2024", "x"], "day", "date");
+    expect(result).toMatchObject({ confidence: 1, dateOrder: "dmy" });
+  });
+});
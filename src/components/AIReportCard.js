@@ -0,0 +1,180 @@
+import React from "react";
+import { AlertCircle, Brain, Lightbulb, RotateCcw } from "lucide-react";
+import { REPORT_LISTS } from "../aiReport";
+import { CHECK_LABELS } from "../findings";
+
+const BULLETS = {
+  keyInsights: "•",
+  trends: "→",
+  recommendations: "✓",
+};
+
+// A report still streaming in is unvalidated: a field may hold anything
+// the model wrote, so only text is rendered until parseReport has run.
+const textOf = (value) => (typeof value === "string" ? value : "");
+
+const Meta = ({ confidence, columns, check }) => {
+  const parts = [
+    textOf(confidence) && `${confidence} confidence`,
+    ...(Array.isArray(columns) ? columns.map(textOf) : []),
+  ].filter(Boolean);
+  if (!parts.length && !check) return null;
+  return (
+    <span className="block text-xs text-gray-400 mt-1">
+      {parts.join(" · ")}
+      {check && (
+        <span
+          className={`block ${
+            check.status === "supported" ? "" : "text-white font-semibold"
+          }`}
+        >
+          {CHECK_LABELS[check.status]}: {check.note}
+        </span>
+      )}
+    </span>
+  );
+};
+
+const Lists = ({ report, keys }) =>
+  REPORT_LISTS.filter(([key]) => keys.includes(key)).map(([key, label]) => {
+    const items = Array.isArray(report[key])
+      ? report[key].filter((item) => textOf(item?.text))
+      : [];
+    if (!items.length) return null;
+    return (
+      <div key={key}>
+        <h4 className="text-lg font-semibold text-gray-300 mb-3">{label}:</h4>
+        <ul className="space-y-2">
+          {items.map((item, idx) => (
+            <li key={idx} className="flex items-start">
+              <span className="text-white mr-2">{BULLETS[key]}</span>
+              <span className="text-white">
+                {item.text}
+                <Meta
+                  confidence={item.confidence}
+                  columns={item.columns}
+                  check={item.check}
+                />
+              </span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  });
+
+const ALL_LISTS = REPORT_LISTS.map(([key]) => key);
+
+// The AI Intelligence Report, or the findings computed locally (see
+// findings.js) when report.local is set. While loading, report is
+// whatever of the reply has streamed in so far (see partialReport), so
+// any field may be missing or cut short; retry describes the last failed
+// attempt. local findings are listed under an AI report for comparison.
+export default function AIReportCard({
+  report,
+  local,
+  loading,
+  retry,
+  error,
+  onRetry,
+}) {
+  if (error && !loading) {
+    return (
+      <div className="bg-white rounded-xl shadow-lg p-6 mb-8 border-4 border-black flex items-start justify-between space-x-6">
+        <div className="flex items-start">
+          <AlertCircle className="w-6 h-6 mr-3 flex-shrink-0 text-black" />
+          <div>
+            <h3 className="text-lg font-bold text-black">
+              The AI report could not be generated
+            </h3>
+            <p className="text-sm font-semibold text-black">
+              {[
+                error.status && `HTTP ${error.status}`,
+                error.attempts &&
+                  `${error.attempts} attempt${error.attempts === 1 ? "" : "s"}`,
+              ]
+                .filter(Boolean)
+                .join(" · ")}
+            </p>
+            <p className="text-sm text-gray-600">{error.message}</p>
+          </div>
+        </div>
+        <button
+          onClick={onRetry}
+          className="inline-flex items-center space-x-2 px-4 py-2 bg-black text-white rounded-lg font-semibold hover:bg-gray-800 whitespace-nowrap"
+        >
+          <RotateCcw className="w-4 h-4" />
+          <span>Try again</span>
+        </button>
+      </div>
+    );
+  }
+
+  const retryNote = retry && (
+    <p className="text-sm text-gray-300 mt-4">
+      Attempt {retry.attempt} failed
+      {retry.error.status ? ` (HTTP ${retry.error.status})` : ""}:{" "}
+      {retry.error.message} Trying again ({retry.attempt + 1} of{" "}
+      {retry.attempts}).
+    </p>
+  );
+
+  if (!textOf(report?.dataType)) {
+    return (
+      <div className="bg-black text-white rounded-xl shadow-lg p-8 mb-8 border-4 border-black text-center">
+        <Brain className="w-12 h-12 text-white mx-auto mb-4 animate-pulse" />
+        <p className="text-xl font-semibold">AI is analyzing your data...</p>
+        {retryNote}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-black text-white rounded-xl shadow-lg p-8 mb-8 border-4 border-black">
+      <h3 className="text-2xl font-bold mb-6 flex items-center">
+        <Lightbulb className="w-6 h-6 mr-3 text-white" />
+        {report.local ? "Data Findings" : "AI Intelligence Report"}
+        {loading && (
+          <span className="ml-3 text-sm font-normal text-gray-300 animate-pulse">
+            writing…
+          </span>
+        )}
+      </h3>
+
+      <div className="space-y-6">
+        {!report.local && (
+          <div>
+            <h4 className="text-lg font-semibold text-gray-300 mb-2">
+              Data Type Identified:
+            </h4>
+            <p className="text-xl font-bold">{report.dataType}</p>
+            <Meta confidence={report.confidence} />
+          </div>
+        )}
+
+        {textOf(report.summary) && (
+          <div>
+            <h4 className="text-lg font-semibold text-gray-300 mb-2">
+              {report.local ? "Overview:" : "Executive Summary:"}
+            </h4>
+            <p className="text-white leading-relaxed">{report.summary}</p>
+          </div>
+        )}
+
+        <Lists report={report} keys={ALL_LISTS} />
+
+        {local && (
+          <div className="border-t-2 border-gray-600 pt-6 space-y-6">
+            <p className="text-sm text-gray-300">
+              Computed in the browser from every row. Claims above are marked
+              where their numbers or directions can be checked against these
+              statistics.
+            </p>
+            <Lists report={local} keys={["keyInsights", "trends"]} />
+          </div>
+        )}
+      </div>
+      {retryNote}
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+import React, { useState } from "react";
+import { AlertCircle, CheckCircle2, Settings, X } from "lucide-react";
+import { PROVIDERS, complete } from "../aiClient";
+
+const inputClass = "w-full px-3 py-2 border-2 border-black rounded-lg text-sm";
+
+// Modal for the AI provider settings. Edits a draft; onSave receives the
+// new settings, which the caller persists with saveSettings.
+export default function AISettings({ settings, onSave, onClose }) {
+  const [draft, setDraft] = useState(settings);
+  const [test, setTest] = useState(null);
+  const isMock = draft.provider === "mock";
+
+  const update = (changes) => {
+    setDraft((prev) => ({ ...prev, ...changes }));
+    setTest(null);
+  };
+
+  const changeProvider = (provider) =>
+    update({
+      provider,
+      endpoint: PROVIDERS[provider].endpoint,
+      model: PROVIDERS[provider].model,
+    });
+
+  const testConnection = async () => {
+    setTest({ status: "running" });
+    try {
+      const reply = await complete(draft, {
+        prompt: "Reply with the single word OK.",
+        maxTokens: 10,
+      });
+      setTest({ status: "ok", message: `Connected. Reply: ${reply.trim()}` });
+    } catch (error) {
+      setTest({ status: "error", message: error.message });
+    }
+  };
+
+  const numberField = (key, label) => (
+    <label className="block text-sm font-semibold text-black">
+      <span className="block mb-1">{label}</span>
+      <input
+        type="number"
+        min={1}
+        value={draft[key]}
+        onChange={(e) => update({ [key]: Number(e.target.value) })}
+        className={inputClass}
+      />
+    </label>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-6">
+      <div className="bg-white text-black rounded-xl shadow-2xl border-4 border-black w-full max-w-lg p-6 max-h-full overflow-auto">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-bold flex items-center">
+            <Settings className="w-5 h-5 mr-2" />
+            AI settings
+          </h3>
+          <button
+            onClick={onClose}
+            className="p-1 rounded hover:bg-gray-100"
+            aria-label="Close AI settings"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <label className="block text-sm font-semibold">
+            <span className="block mb-1">Provider</span>
+            <select
+              value={draft.provider}
+              onChange={(e) => changeProvider(e.target.value)}
+              className={inputClass}
+            >
+              {Object.entries(PROVIDERS).map(([id, provider]) => (
+                <option key={id} value={id}>
+                  {provider.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {isMock ? (
+            <p className="text-sm text-gray-600">
+              Answers are generated locally from the data summary. Nothing
+              leaves the browser.
+            </p>
+          ) : (
+            <>
+              <label className="block text-sm font-semibold">
+                <span className="block mb-1">Endpoint URL</span>
+                <input
+                  type="url"
+                  value={draft.endpoint}
+                  onChange={(e) => update({ endpoint: e.target.value })}
+                  className={inputClass}
+                />
+              </label>
+              <label className="block text-sm font-semibold">
+                <span className="block mb-1">
+                  API key
+                  {draft.provider === "openai" && " (optional)"}
+                </span>
+                <input
+                  type="password"
+                  autoComplete="off"
+                  value={draft.apiKey}
+                  onChange={(e) => update({ apiKey: e.target.value })}
+                  className={inputClass}
+                />
+              </label>
+              <label className="flex items-center space-x-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={draft.rememberKey}
+                  onChange={(e) => update({ rememberKey: e.target.checked })}
+                />
+                <span>
+                  Remember the key on this device (otherwise it is forgotten
+                  when the tab closes)
+                </span>
+              </label>
+              <label className="block text-sm font-semibold">
+                <span className="block mb-1">Model</span>
+                <input
+                  type="text"
+                  value={draft.model}
+                  onChange={(e) => update({ model: e.target.value })}
+                  className={inputClass}
+                />
+              </label>
+            </>
+          )}
+
+          <div className="grid grid-cols-2 gap-4">
+            {numberField("maxTokens", "Report token limit")}
+            {numberField("insightMaxTokens", "Chart insight token limit")}
+          </div>
+
+          {test && test.status !== "running" && (
+            <p className="text-sm flex items-start">
+              {test.status === "ok" ? (
+                <CheckCircle2 className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+              ) : (
+                <AlertCircle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+              )}
+              {test.message}
+            </p>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between mt-6">
+          <button
+            onClick={testConnection}
+            disabled={test?.status === "running"}
+            className="px-4 py-2 border-2 border-black rounded-lg font-semibold hover:bg-gray-100 disabled:opacity-50"
+          >
+            {test?.status === "running" ? "Testing…" : "Test connection"}
+          </button>
+          <div className="flex space-x-2">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 rounded-lg font-semibold hover:bg-gray-100"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => onSave(draft)}
+              className="px-4 py-2 bg-black text-white rounded-lg font-semibold hover:bg-gray-800"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
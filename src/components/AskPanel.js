@@ -0,0 +1,339 @@
+import React, { useState } from "react";
+import { AlertCircle, MessageSquare, Send } from "lucide-react";
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { complete } from "../aiClient";
+import { getCategoryColumns } from "../analysis";
+import { isDateType } from "../columnTypes";
+import { formatNumber } from "../format";
+import { sharedColumns } from "../privacy";
+import {
+  fieldName,
+  formatQuery,
+  measureName,
+  parseQueryReply,
+  queryPrompt,
+  runQuery,
+  validateQuery,
+} from "../query";
+import { COLORS, TOOLTIP_STYLE } from "../theme";
+
+const MAX_TABLE_ROWS = 50;
+const MAX_CHART_MEASURES = 3;
+const MAX_CHART_ROWS = 50;
+// Earlier questions sent along so follow-ups can build on them
+const HISTORY_TURNS = 5;
+const MAX_EXAMPLE_VALUES = 8;
+const MAX_VALUE_LENGTH = 40;
+
+// What the model is told about each column: type and range or the most
+// common values, never whole rows. Masked and hashed columns are only
+// named and excluded ones are left out.
+const describeColumns = (headers, analysis, modes) =>
+  sharedColumns(headers, modes).map((name) => {
+    const info = { name, type: analysis.types[name]?.type };
+    if (modes[name] !== "include") return info;
+    const numeric = analysis.numeric[name];
+    const dates = analysis.dates[name];
+    const categorical = analysis.categorical[name];
+    if (numeric) return { ...info, min: numeric.min, max: numeric.max };
+    if (dates) {
+      return {
+        ...info,
+        min: dates.min?.slice(0, 10),
+        max: dates.max?.slice(0, 10),
+      };
+    }
+    if (categorical) {
+      return {
+        ...info,
+        values: Object.entries(categorical.distribution)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, MAX_EXAMPLE_VALUES)
+          .map(([value]) => value.slice(0, MAX_VALUE_LENGTH)),
+      };
+    }
+    return info;
+  });
+
+const cell = (value) =>
+  typeof value === "number" ? formatNumber(value) : String(value ?? "");
+
+function ResultChart({ result, query, types }) {
+  if (!query.groupBy.length || !query.measures.length) return null;
+  if (result.rows.length < 2) return null;
+  const groupNames = query.groupBy.map(fieldName);
+  const measures = query.measures.map(measureName).slice(0, MAX_CHART_MEASURES);
+  const rows = result.rows.slice(0, MAX_CHART_ROWS).map((row) => ({
+    ...row,
+    __label: groupNames.map((g) => row[g]).join(" · "),
+  }));
+  const first = query.groupBy[0];
+  // Dates and date parts read better as a line
+  const overTime =
+    query.groupBy.length === 1 &&
+    (first.part
+      ? first.part !== "weekday"
+      : isDateType(types[first.column]?.type));
+  const Chart = overTime ? LineChart : BarChart;
+
+  return (
+    <ResponsiveContainer width="100%" height={260}>
+      <Chart data={rows}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#000" />
+        <XAxis dataKey="__label" stroke="#000" />
+        <YAxis stroke="#000" tickFormatter={(v) => formatNumber(v)} />
+        <Tooltip
+          contentStyle={TOOLTIP_STYLE}
+          formatter={(value, name) => [formatNumber(value), name]}
+        />
+        {measures.length > 1 && <Legend />}
+        {measures.map((m, i) =>
+          overTime ? (
+            <Line
+              key={m}
+              type="monotone"
+              dataKey={m}
+              stroke={COLORS[(i * 3) % COLORS.length]}
+              strokeWidth={2}
+            />
+          ) : (
+            <Bar key={m} dataKey={m} fill={COLORS[(i * 3) % COLORS.length]} />
+          )
+        )}
+      </Chart>
+    </ResponsiveContainer>
+  );
+}
+
+function Answer({ message, types }) {
+  if (message.status === "running") {
+    return <p className="text-gray-600 animate-pulse">Writing a query…</p>;
+  }
+  if (message.status === "error") {
+    return (
+      <p className="flex items-start text-black">
+        <AlertCircle className="w-5 h-5 mr-2 flex-shrink-0" />
+        {message.error}
+      </p>
+    );
+  }
+  const { title, query, result, rowCount } = message;
+  return (
+    <div className="space-y-4">
+      <div>
+        {title && <h4 className="text-lg font-bold text-black">{title}</h4>}
+        <p className="text-sm text-gray-600">
+          {result.matched.toLocaleString()} of {rowCount.toLocaleString()} rows
+          matched · {result.rows.length.toLocaleString()} result row
+          {result.rows.length === 1 ? "" : "s"}
+        </p>
+      </div>
+      <ResultChart result={result} query={query} types={types} />
+      {result.rows.length > 0 ? (
+        <div className="overflow-auto max-h-80 border-2 border-black rounded-lg">
+          <table className="min-w-full text-sm">
+            <thead className="sticky top-0">
+              <tr className="bg-black text-white">
+                {result.headers.map((h) => (
+                  <th key={h} className="px-3 py-2 text-left font-semibold">
+                    {h}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {result.rows.slice(0, MAX_TABLE_ROWS).map((row, i) => (
+                <tr key={i} className="border-b border-gray-300">
+                  {result.headers.map((h) => (
+                    <td key={h} className="px-3 py-2 whitespace-nowrap">
+                      {cell(row[h])}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-600">No rows match this query.</p>
+      )}
+      {result.rows.length > MAX_TABLE_ROWS && (
+        <p className="text-xs text-gray-500">
+          Showing the first {MAX_TABLE_ROWS} rows
+        </p>
+      )}
+      <details className="text-sm">
+        <summary className="cursor-pointer font-semibold text-black">
+          Query
+        </summary>
+        <code className="block mt-2 p-3 bg-gray-100 rounded-lg text-xs break-words">
+          {formatQuery(query)}
+        </code>
+        <pre className="mt-2 p-3 bg-gray-100 rounded-lg text-xs overflow-auto">
+          {JSON.stringify(query, null, 2)}
+        </pre>
+      </details>
+    </div>
+  );
+}
+
+// Chat where each question is turned into a structured query by the
+// model and run locally over every row. messages live in the dashboard so
+// the conversation survives switching tabs.
+export default function AskPanel({
+  data,
+  headers,
+  analysis,
+  modes,
+  aiSettings,
+  messages,
+  setMessages,
+}) {
+  const [question, setQuestion] = useState("");
+  const running = messages.some((m) => m.status === "running");
+
+  const numeric = Object.keys(analysis.numeric)[0];
+  const category = getCategoryColumns(analysis)[0];
+  const examples = [
+    category && `How many rows are there per ${category}?`,
+    numeric &&
+      category &&
+      `Which ${category} has the highest average ${numeric}?`,
+  ].filter(Boolean);
+
+  const update = (id, changes) =>
+    setMessages((prev) =>
+      prev.map((m) => (m.id === id ? { ...m, ...changes } : m))
+    );
+
+  const ask = async (text) => {
+    const asked = text.trim();
+    if (!asked || running) return;
+    const id = Date.now();
+    const history = messages
+      .filter((m) => m.status === "done")
+      .slice(-HISTORY_TURNS)
+      .map((m) => ({ question: m.question, query: m.query }));
+    setMessages((prev) => [
+      ...prev,
+      { id, question: asked, status: "running" },
+    ]);
+    setQuestion("");
+
+    try {
+      const columns = describeColumns(headers, analysis, modes);
+      const reply = await complete(aiSettings, {
+        task: "query",
+        context: { question: asked, columns },
+        maxTokens: aiSettings.maxTokens,
+        prompt: queryPrompt({
+          question: asked,
+          columns,
+          rowCount: data.length,
+          history,
+        }),
+      });
+      const { title, query: raw } = parseQueryReply(reply);
+      const query = validateQuery(raw, sharedColumns(headers, modes));
+      const result = runQuery(data, query, { headers, types: analysis.types });
+      update(id, {
+        status: "done",
+        title,
+        query,
+        result,
+        rowCount: data.length,
+      });
+    } catch (error) {
+      console.error("Query error:", error);
+      update(id, { status: "error", error: error.message });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 border-4 border-black">
+      <h3 className="text-xl font-bold text-black mb-2 flex items-center">
+        <MessageSquare className="w-5 h-5 mr-2 text-black" />
+        Ask your data
+      </h3>
+      <p className="text-sm text-gray-600 mb-6">
+        Questions are turned into a query that runs here, over all{" "}
+        {data.length.toLocaleString()} rows. Only column names, types and common
+        values are sent to the AI provider, and excluded columns are left out.
+      </p>
+
+      <div className="space-y-6 mb-6">
+        {messages.map((message) => (
+          <div key={message.id} className="space-y-3">
+            <div className="flex justify-end">
+              <p className="max-w-xl px-4 py-2 bg-black text-white rounded-xl">
+                {message.question}
+              </p>
+            </div>
+            <div className="p-4 border-2 border-black rounded-xl">
+              <Answer message={message} types={analysis.types} />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {!messages.length && examples.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {examples.map((example) => (
+            <button
+              key={example}
+              onClick={() => ask(example)}
+              className="px-3 py-1 rounded-full border-2 border-black text-sm font-semibold hover:bg-gray-100"
+            >
+              {example}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          ask(question);
+        }}
+        className="flex space-x-2"
+      >
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder="e.g. Which region had the highest average order value in Q3?"
+          className="flex-1 px-4 py-2 border-2 border-black rounded-lg"
+        />
+        <button
+          type="submit"
+          disabled={running || !question.trim()}
+          className="inline-flex items-center space-x-2 px-4 py-2 bg-black text-white rounded-lg font-semibold disabled:opacity-50"
+        >
+          <Send className="w-4 h-4" />
+          <span>Ask</span>
+        </button>
+        {messages.length > 0 && (
+          <button
+            type="button"
+            onClick={() => setMessages([])}
+            disabled={running}
+            className="px-4 py-2 border-2 border-black rounded-lg font-semibold hover:bg-gray-100 disabled:opacity-50"
+          >
+            Clear
+          </button>
+        )}
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import React from "react";
+import { formatNumber } from "../format";
+
+const WIDTH = 600;
+const HEIGHT = 90;
+const PADDING = 20;
+// Drawing every outlier of a large column adds nothing but DOM nodes
+const MAX_OUTLIER_MARKS = 300;
+
+// Horizontal box-and-whisker plot drawn as plain SVG.
+// fenceLabel says where the whiskers stop.
+export default function BoxPlot({
+  box,
+  min,
+  max,
+  fenceLabel = "Whiskers at 1.5 × IQR",
+}) {
+  const span = max - min || 1;
+  const scale = (v) => PADDING + ((v - min) / span) * (WIDTH - 2 * PADDING);
+  const mid = HEIGHT / 2 - 10;
+  const step = Math.max(1, Math.ceil(box.outliers.length / MAX_OUTLIER_MARKS));
+  const marks = box.outliers.filter((_, i) => i % step === 0);
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full"
+        role="img"
+        aria-label="Box plot"
+      >
+        <line
+          x1={scale(box.whiskerLow)}
+          x2={scale(box.q1)}
+          y1={mid}
+          y2={mid}
+          stroke="#000"
+          strokeWidth={2}
+        />
+        <line
+          x1={scale(box.q3)}
+          x2={scale(box.whiskerHigh)}
+          y1={mid}
+          y2={mid}
+          stroke="#000"
+          strokeWidth={2}
+        />
+        {[box.whiskerLow, box.whiskerHigh].map((v, i) => (
+          <line
+            key={i}
+            x1={scale(v)}
+            x2={scale(v)}
+            y1={mid - 10}
+            y2={mid + 10}
+            stroke="#000"
+            strokeWidth={2}
+          />
+        ))}
+        <rect
+          x={scale(box.q1)}
+          y={mid - 18}
+          width={Math.max(1, scale(box.q3) - scale(box.q1))}
+          height={36}
+          fill="#e5e5e5"
+          stroke="#000"
+          strokeWidth={2}
+        />
+        <line
+          x1={scale(box.median)}
+          x2={scale(box.median)}
+          y1={mid - 18}
+          y2={mid + 18}
+          stroke="#000"
+          strokeWidth={3}
+        />
+        {marks.map((v, i) => (
+          <circle
+            key={i}
+            cx={scale(v)}
+            cy={mid}
+            r={3}
+            fill="none"
+            stroke="#000"
+          >
+            <title>Outlier: {formatNumber(v)}</title>
+          </circle>
+        ))}
+        {[min, box.median, max].map((v, i) => (
+          <text
+            key={i}
+            x={scale(v)}
+            y={HEIGHT - 6}
+            fontSize={12}
+            textAnchor={i === 0 ? "start" : i === 2 ? "end" : "middle"}
+          >
+            {formatNumber(v)}
+          </text>
+        ))}
+      </svg>
+      <p className="text-xs text-gray-500">
+        Box: Q1 {formatNumber(box.q1)} – Q3 {formatNumber(box.q3)} ·{" "}
+        {fenceLabel} · {box.outliers.length.toLocaleString()} outliers
+        {marks.length < box.outliers.length && ` (${marks.length} drawn)`}
+      </p>
+    </div>
+  );
+}
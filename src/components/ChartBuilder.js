@@ -0,0 +1,244 @@
+import React, { useState } from "react";
+import { Plus, X } from "lucide-react";
+import { AGGREGATIONS } from "../aggregate";
+
+export const CHART_TYPES = {
+  bar: "Bar",
+  stacked: "Stacked bar",
+  line: "Line",
+  area: "Area",
+  scatter: "Scatter",
+  pie: "Pie",
+  histogram: "Histogram",
+};
+
+const SORT_ORDERS = {
+  "x-asc": "X ascending",
+  "x-desc": "X descending",
+  "value-desc": "Value high → low",
+  "value-asc": "Value low → high",
+};
+
+// Scatter and histogram plot raw values, so grouping options don't apply.
+const isAggregated = (chartType) =>
+  !["scatter", "histogram"].includes(chartType);
+
+const EMPTY_SPEC = {
+  chartType: "bar",
+  x: "",
+  ys: [],
+  agg: "count",
+  groupBy: "",
+  sort: "x-asc",
+  topN: 0,
+};
+
+export const describeChart = (spec) => {
+  if (spec.chartType === "histogram") return `Histogram of ${spec.x}`;
+  if (spec.chartType === "scatter") return `${spec.ys[0]} vs ${spec.x}`;
+  const measure =
+    spec.agg === "count"
+      ? "Count"
+      : `${AGGREGATIONS[spec.agg]} of ${spec.ys.join(", ")}`;
+  return `${measure} by ${spec.x}${spec.groupBy ? ` and ${spec.groupBy}` : ""}`;
+};
+
+const validate = (spec, numericCols) => {
+  if (!spec.x) return "Pick an X column.";
+  if (spec.chartType === "histogram") {
+    return numericCols.includes(spec.x) ? null : "Histograms need numeric X.";
+  }
+  if (spec.chartType === "scatter") {
+    if (!numericCols.includes(spec.x)) return "Scatter plots need numeric X.";
+    return spec.ys.length ? null : "Pick a Y column.";
+  }
+  if (spec.agg === "count") return null;
+  if (!spec.ys.length) return "Pick at least one Y column to aggregate.";
+  if (spec.groupBy && spec.ys.length > 1) {
+    return "Group-by splits a single Y column into series.";
+  }
+  return null;
+};
+
+// Custom charts outlive the columns they were built on when transform
+// steps drop, rename or retype them; such charts are skipped.
+export const chartFitsData = (spec, headers, numericCols) =>
+  [spec.x, ...spec.ys, spec.groupBy]
+    .filter(Boolean)
+    .every((column) => headers.includes(column)) &&
+  !validate(spec, numericCols) &&
+  spec.ys.every((y) => numericCols.includes(y));
+
+const Field = ({ label, children }) => (
+  <label className="flex flex-col text-sm font-semibold text-black">
+    <span className="mb-1">{label}</span>
+    {children}
+  </label>
+);
+
+const selectClass = "px-2 py-1 border-2 border-black rounded";
+
+export default function ChartBuilder({
+  headers,
+  numericCols,
+  categoryCols,
+  onAdd,
+  onClose,
+}) {
+  const [spec, setSpec] = useState(EMPTY_SPEC);
+  const update = (changes) => setSpec((prev) => ({ ...prev, ...changes }));
+  const error = validate(spec, numericCols);
+  const aggregated = isAggregated(spec.chartType);
+  const yDisabled = aggregated && spec.agg === "count";
+
+  const toggleY = (col) => {
+    const ys =
+      spec.chartType === "scatter"
+        ? [col]
+        : spec.ys.includes(col)
+        ? spec.ys.filter((y) => y !== col)
+        : [...spec.ys, col];
+    update({ ys });
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-8 border-4 border-black">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-black">Chart Builder</h3>
+        <button
+          onClick={onClose}
+          className="p-1 rounded hover:bg-gray-100"
+          aria-label="Close chart builder"
+        >
+          <X className="w-5 h-5 text-black" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        <Field label="Chart type">
+          <select
+            value={spec.chartType}
+            onChange={(e) => update({ chartType: e.target.value, ys: [] })}
+            className={selectClass}
+          >
+            {Object.entries(CHART_TYPES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </Field>
+        <Field label="X column">
+          <select
+            value={spec.x}
+            onChange={(e) => update({ x: e.target.value })}
+            className={selectClass}
+          >
+            <option value="">Select…</option>
+            {(aggregated ? headers : numericCols).map((col) => (
+              <option key={col} value={col}>
+                {col}
+              </option>
+            ))}
+          </select>
+        </Field>
+        {aggregated && (
+          <>
+            <Field label="Aggregation">
+              <select
+                value={spec.agg}
+                onChange={(e) => update({ agg: e.target.value })}
+                className={selectClass}
+              >
+                {Object.entries(AGGREGATIONS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </Field>
+            <Field label="Group by / series">
+              <select
+                value={spec.groupBy}
+                onChange={(e) => update({ groupBy: e.target.value })}
+                className={selectClass}
+                disabled={spec.chartType === "pie"}
+              >
+                <option value="">None</option>
+                {categoryCols.map((col) => (
+                  <option key={col} value={col}>
+                    {col}
+                  </option>
+                ))}
+              </select>
+            </Field>
+            <Field label="Sort">
+              <select
+                value={spec.sort}
+                onChange={(e) => update({ sort: e.target.value })}
+                className={selectClass}
+              >
+                {Object.entries(SORT_ORDERS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </Field>
+            <Field label="Top N (0 = all)">
+              <input
+                type="number"
+                min={0}
+                value={spec.topN}
+                onChange={(e) =>
+                  update({ topN: Math.max(0, Number(e.target.value) || 0) })
+                }
+                className={selectClass}
+              />
+            </Field>
+          </>
+        )}
+      </div>
+
+      {spec.chartType !== "histogram" && (
+        <div className="mb-4">
+          <p className="text-sm font-semibold text-black mb-1">
+            Y column{spec.chartType === "scatter" ? "" : "(s)"}
+            {yDisabled && " — not used when counting rows"}
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {numericCols.map((col) => (
+              <button
+                key={col}
+                onClick={() => toggleY(col)}
+                disabled={yDisabled}
+                className={`px-3 py-1 rounded-full border-2 border-black text-sm font-semibold disabled:opacity-40 ${
+                  spec.ys.includes(col)
+                    ? "bg-black text-white"
+                    : "bg-white text-black"
+                }`}
+              >
+                {col}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="flex items-center gap-4">
+        <button
+          onClick={() => {
+            onAdd({ ...spec, ys: yDisabled ? [] : spec.ys });
+            setSpec(EMPTY_SPEC);
+          }}
+          disabled={!!error}
+          className="inline-flex items-center space-x-2 px-4 py-2 bg-black text-white rounded-lg font-semibold disabled:opacity-40"
+        >
+          <Plus className="w-4 h-4" />
+          <span>Add to dashboard</span>
+        </button>
+        {error && <span className="text-sm text-gray-600">{error}</span>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+} from "react";
+import ChartExportMenu from "./ChartExportMenu";
+import { chartSvgMarkup } from "../chartExport";
+
+// Provided by the dashboard: { cards, fileName }. Mounted cards add
+// themselves to the cards Set so the report can collect every chart.
+export const ChartExportContext = createContext(null);
+const ChartDataContext = createContext(null);
+
+// Lets a chart that derives its own data (histogram bins, aggregated
+// series) hand it to the enclosing card's CSV download. table is
+// { headers, rows } or null.
+export const useChartData = (table) => {
+  const published = useContext(ChartDataContext);
+  useEffect(() => {
+    if (published && table) published.current = table;
+  }, [published, table]);
+};
+
+const slug = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+// Frame shared by the dashboard's charts: title, description, a download
+// menu and any extra actions. getData and getSvg replace what is read
+// from the children, for charts that aren't drawn with SVG or that know
+// their data better.
+export default function ChartCard({
+  title,
+  description,
+  icon: Icon,
+  actions,
+  getData,
+  getSvg,
+  className = "",
+  children,
+}) {
+  const exportContext = useContext(ChartExportContext);
+  const bodyRef = useRef(null);
+  const published = useRef(null);
+
+  const svgFor = () =>
+    getSvg ? getSvg() : bodyRef.current && chartSvgMarkup(bodyRef.current);
+  const entry = useRef(null);
+  entry.current = { title, description, body: bodyRef, getSvg: svgFor };
+
+  const cards = exportContext?.cards;
+  useEffect(() => {
+    if (!cards) return undefined;
+    const card = entry;
+    cards.add(card);
+    return () => cards.delete(card);
+  }, [cards]);
+
+  const fileName = useMemo(
+    () => [exportContext?.fileName, slug(title)].filter(Boolean).join("-"),
+    [exportContext, title]
+  );
+
+  return (
+    <div
+      className={`bg-white rounded-xl shadow-lg p-6 border-4 border-black ${className}`}
+    >
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h3 className="text-xl font-bold text-black flex items-center">
+            {Icon && <Icon className="w-5 h-5 mr-2 text-black" />}
+            {title}
+          </h3>
+          {description && (
+            <p className="text-sm text-gray-600 mt-2">{description}</p>
+          )}
+        </div>
+        <div className="flex items-center space-x-1">
+          {actions}
+          <ChartExportMenu
+            fileName={fileName}
+            getSvg={svgFor}
+            getData={() => (getData ? getData() : published.current)}
+          />
+        </div>
+      </div>
+      <ChartDataContext.Provider value={published}>
+        <div ref={bodyRef}>{children}</div>
+      </ChartDataContext.Provider>
+    </div>
+  );
+}
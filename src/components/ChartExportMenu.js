@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import { AlertCircle, Download } from "lucide-react";
+import { svgToPng } from "../chartExport";
+import { downloadFile, toCSV } from "../download";
+
+const PNG_SCALES = [1, 2, 3, 4];
+
+const itemClass =
+  "w-full px-3 py-2 text-sm text-left font-semibold rounded hover:bg-gray-100 disabled:text-gray-400 disabled:hover:bg-white";
+
+// Download menu of a chart card. getSvg returns chartSvgMarkup's result
+// (or null), getData { headers, rows } (or null); both are called lazily
+// so nothing is serialized until the user asks for it.
+export default function ChartExportMenu({ fileName, getSvg, getData }) {
+  const [open, setOpen] = useState(false);
+  const [scale, setScale] = useState(2);
+  const [error, setError] = useState(null);
+
+  const run = async (action) => {
+    setError(null);
+    try {
+      await action();
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const requireSvg = () => {
+    const svg = getSvg();
+    if (!svg) throw new Error("This chart has nothing to draw yet");
+    return svg;
+  };
+
+  const downloadSvg = () =>
+    run(() =>
+      downloadFile(requireSvg().markup, `${fileName}.svg`, "image/svg+xml")
+    );
+
+  const downloadPng = () =>
+    run(async () =>
+      downloadFile(
+        await svgToPng(requireSvg(), scale),
+        `${fileName}@${scale}x.png`
+      )
+    );
+
+  const downloadData = () =>
+    run(() => {
+      const table = getData();
+      if (!table) throw new Error("This chart has no data to export");
+      downloadFile(
+        toCSV(table.headers, table.rows),
+        `${fileName}.csv`,
+        "text/csv"
+      );
+    });
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((v) => !v)}
+        className="p-1 rounded hover:bg-gray-100"
+        aria-label="Download chart"
+        title="Download chart"
+      >
+        <Download className="w-5 h-5 text-black" />
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-60 bg-white border-2 border-black rounded-lg shadow-lg z-30 p-2">
+          <button onClick={downloadSvg} className={itemClass}>
+            SVG image
+          </button>
+          <div className="flex items-center">
+            <button onClick={downloadPng} className={itemClass}>
+              PNG image
+            </button>
+            <select
+              value={scale}
+              onChange={(e) => setScale(Number(e.target.value))}
+              className="px-2 py-1 border-2 border-black rounded text-sm"
+              aria-label="PNG resolution"
+            >
+              {PNG_SCALES.map((s) => (
+                <option key={s} value={s}>
+                  {s}×
+                </option>
+              ))}
+            </select>
+          </div>
+          <button onClick={downloadData} className={itemClass}>
+            Chart data (CSV)
+          </button>
+          {error && (
+            <p className="px-3 py-1 text-xs text-black flex items-start">
+              <AlertCircle className="w-4 h-4 mr-1 flex-shrink-0" />
+              {error}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
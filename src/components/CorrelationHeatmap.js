@@ -0,0 +1,209 @@
+import React, { useMemo, useState } from "react";
+import { Grid3x3 } from "lucide-react";
+import { toNumber } from "../columnTypes";
+import { correlationMatrix } from "../stats";
+import { getCategoryColumns } from "../analysis";
+import { escapeXml } from "../export";
+import ChartCard from "./ChartCard";
+import ScatterPlot from "./ScatterPlot";
+
+const METHODS = [
+  { id: "pearson", label: "Pearson" },
+  { id: "spearman", label: "Spearman" },
+];
+
+export const numericSeries = (data, columns) => {
+  const series = {};
+  columns.forEach((col) => {
+    series[col] = Float64Array.from(data, (row) => toNumber(row[col]));
+  });
+  return series;
+};
+
+const CELL_SIZE = 48;
+const FONT = 'font-family="system-ui, sans-serif" font-size="12"';
+// Rough width of a 12px character, to make room for the labels
+const CHAR_WIDTH = 7;
+const MAX_LABEL_CHARS = 22;
+
+const shorten = (label) =>
+  label.length > MAX_LABEL_CHARS
+    ? `${label.slice(0, MAX_LABEL_CHARS - 1)}…`
+    : label;
+
+// The matrix is an HTML table on screen, so the download is drawn here
+// the same way: darker for stronger, dashed for negative coefficients.
+const heatmapSvg = (columns, matrix) => {
+  const labels = columns.map(shorten);
+  const offset = Math.max(...labels.map((l) => l.length)) * CHAR_WIDTH + 10;
+  const size = offset + columns.length * CELL_SIZE;
+  const headings = labels.map((label, i) => {
+    const center = offset + i * CELL_SIZE + CELL_SIZE / 2;
+    return `<text ${FONT} font-weight="600" text-anchor="end" dominant-baseline="middle" x="${
+      offset - 6
+    }" y="${center}">${escapeXml(
+      label
+    )}</text><text ${FONT} font-weight="600" dominant-baseline="middle" transform="translate(${center} ${
+      offset - 6
+    }) rotate(-90)">${escapeXml(label)}</text>`;
+  });
+  const cells = matrix.flatMap((row, i) =>
+    row.map(({ r }, j) => {
+      const strength = Number.isNaN(r) ? 0 : Math.abs(r);
+      const x = offset + j * CELL_SIZE;
+      const y = offset + i * CELL_SIZE;
+      return `<rect x="${x}" y="${y}" width="${CELL_SIZE}" height="${CELL_SIZE}" fill="rgba(0,0,0,${strength})" stroke="#999"${
+        r < 0 ? ' stroke-dasharray="4 3"' : ""
+      }/><text ${FONT} font-weight="600" text-anchor="middle" dominant-baseline="middle" x="${
+        x + CELL_SIZE / 2
+      }" y="${y + CELL_SIZE / 2}" fill="${strength > 0.5 ? "#fff" : "#000"}">${
+        Number.isNaN(r) ? "–" : r.toFixed(2)
+      }</text>`;
+    })
+  );
+  return {
+    width: size,
+    height: size,
+    markup: `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}"><rect width="100%" height="100%" fill="#fff"/>${headings.join(
+      ""
+    )}${cells.join("")}</svg>`,
+  };
+};
+
+export default function CorrelationHeatmap({ data, analysis }) {
+  const columns = useMemo(() => Object.keys(analysis.numeric), [analysis]);
+  const [method, setMethod] = useState("pearson");
+  const [hovered, setHovered] = useState(null);
+  const [selectedPair, setSelectedPair] = useState(null);
+
+  const { matrix } = useMemo(
+    () => correlationMatrix(numericSeries(data, columns), method),
+    [data, columns, method]
+  );
+
+  const describeCell = (i, j) => {
+    const { r, n } = matrix[i][j];
+    return `${columns[i]} × ${columns[j]}: ${
+      Number.isNaN(r) ? "n/a" : r.toFixed(3)
+    } (n = ${n.toLocaleString()})`;
+  };
+
+  return (
+    <ChartCard
+      title="Correlation Matrix"
+      icon={Grid3x3}
+      className="mb-8"
+      description={
+        hovered
+          ? describeCell(hovered[0], hovered[1])
+          : "Hover a cell for its coefficient; click it to plot the pair."
+      }
+      actions={
+        <div className="flex border-2 border-black rounded-lg overflow-hidden">
+          {METHODS.map((m) => (
+            <button
+              key={m.id}
+              onClick={() => setMethod(m.id)}
+              className={`px-3 py-1 text-sm font-semibold ${
+                method === m.id ? "bg-black text-white" : "bg-white text-black"
+              }`}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+      }
+      getSvg={() => heatmapSvg(columns, matrix)}
+      getData={() => ({
+        headers: ["", ...columns],
+        rows: matrix.map((row, i) => [
+          columns[i],
+          ...row.map(({ r }) => (Number.isNaN(r) ? "" : r)),
+        ]),
+      })}
+    >
+      <div className="overflow-auto">
+        <table className="border-collapse">
+          <thead>
+            <tr>
+              <th></th>
+              {columns.map((col) => (
+                <th
+                  key={col}
+                  className="px-1 pb-2 text-xs font-semibold text-black align-bottom"
+                >
+                  <div
+                    className="whitespace-nowrap"
+                    style={{
+                      writingMode: "vertical-rl",
+                      transform: "rotate(180deg)",
+                    }}
+                  >
+                    {col}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {columns.map((rowCol, i) => (
+              <tr key={rowCol}>
+                <th className="pr-2 text-xs font-semibold text-black text-right whitespace-nowrap">
+                  {rowCol}
+                </th>
+                {columns.map((col, j) => {
+                  const { r } = matrix[i][j];
+                  const strength = Number.isNaN(r) ? 0 : Math.abs(r);
+                  return (
+                    <td
+                      key={col}
+                      title={describeCell(i, j)}
+                      onMouseEnter={() => setHovered([i, j])}
+                      onMouseLeave={() => setHovered(null)}
+                      onClick={() => i !== j && setSelectedPair([rowCol, col])}
+                      className={`w-12 h-12 text-center text-xs font-semibold border border-gray-300 ${
+                        i !== j
+                          ? "cursor-pointer hover:outline hover:outline-2"
+                          : ""
+                      }`}
+                      style={{
+                        backgroundColor: `rgba(0, 0, 0, ${strength})`,
+                        color: strength > 0.5 ? "#fff" : "#000",
+                        // Negative coefficients get a dashed border
+                        borderStyle: r < 0 ? "dashed" : "solid",
+                      }}
+                    >
+                      {Number.isNaN(r) ? "–" : r.toFixed(2)}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {selectedPair && (
+        <div className="mt-6 border-t-2 border-black pt-6">
+          <div className="flex items-center justify-between mb-4">
+            <h4 className="text-lg font-bold text-black">
+              {selectedPair[1]} vs {selectedPair[0]}
+            </h4>
+            <button
+              onClick={() => setSelectedPair(null)}
+              className="px-3 py-1 bg-black text-white rounded-lg text-sm font-semibold"
+            >
+              Close
+            </button>
+          </div>
+          <ScatterPlot
+            data={data}
+            x={selectedPair[1]}
+            y={selectedPair[0]}
+            categoryColumns={getCategoryColumns(analysis)}
+          />
+        </div>
+      )}
+    </ChartCard>
+  );
+}
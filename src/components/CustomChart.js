@@ -0,0 +1,225 @@
+import React, { useMemo } from "react";
+import {
+  Area,
+  AreaChart,
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Cell,
+  Legend,
+  Line,
+  LineChart,
+  Pie,
+  PieChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import DistributionChart from "./DistributionChart";
+import ScatterPlot from "./ScatterPlot";
+import { useChartData } from "./ChartCard";
+import { BLANK, groupAggregate } from "../aggregate";
+import { formatNumber } from "../format";
+import { COLORS, TOOLTIP_STYLE } from "../theme";
+
+// Spreads series across the grey palette so neighbours stay distinguishable
+const seriesColor = (i, count) =>
+  COLORS[Math.floor((i * COLORS.length) / Math.max(count, 1))];
+
+// Renders a chart built in the ChartBuilder from its spec. onHover gets
+// the hovered point and the columns its fields come from (see
+// protectPoint). Pie and bar slices of a categorical x column cross-filter
+// the dashboard through onCategoryClick, like the overview charts; selected
+// holds the values of x that are filtered on.
+export default function CustomChart({
+  data,
+  spec,
+  analysis,
+  categoryColumns,
+  onHover,
+  onCategoryClick,
+  selected,
+}) {
+  const aggregated = useMemo(
+    () =>
+      ["scatter", "histogram"].includes(spec.chartType)
+        ? null
+        : groupAggregate(data, spec),
+    [data, spec]
+  );
+  // Histograms and scatter plots publish their own data
+  useChartData(
+    useMemo(
+      () =>
+        aggregated && {
+          headers: [spec.x, ...aggregated.series],
+          rows: aggregated.rows.map((row) => [
+            row.name,
+            ...aggregated.series.map((s) => row[s] ?? ""),
+          ]),
+        },
+      [aggregated, spec.x]
+    )
+  );
+
+  if (spec.chartType === "histogram") {
+    return (
+      <DistributionChart
+        data={data}
+        column={spec.x}
+        stats={analysis.numeric[spec.x]}
+        showBoxPlot={false}
+        onBinHover={onHover}
+      />
+    );
+  }
+  if (spec.chartType === "scatter") {
+    return (
+      <ScatterPlot
+        data={data}
+        x={spec.x}
+        y={spec.ys[0]}
+        categoryColumns={categoryColumns}
+        onPointHover={onHover}
+      />
+    );
+  }
+
+  const { rows, series } = aggregated;
+  // The columns each field of a row comes from (see protectPoint); series
+  // split by groupBy are named after its values
+  const measures = spec.agg === "count" ? [] : spec.ys;
+  const sources = {
+    name: [spec.x],
+    __total: measures,
+    ...Object.fromEntries(
+      series.map((key, i) => [
+        key,
+        spec.groupBy ? measures.slice(0, 1) : measures.slice(i, i + 1),
+      ])
+    ),
+  };
+  const keyColumns = spec.groupBy
+    ? Object.fromEntries(series.map((key) => [key, spec.groupBy]))
+    : {};
+  const handleMove = (state) => {
+    const payload = state?.activePayload?.[0]?.payload;
+    if (payload && onHover) onHover(payload, sources, keyColumns);
+  };
+  const clickable =
+    Boolean(onCategoryClick) && categoryColumns.includes(spec.x);
+  // Filters hold cell values, and empty cells are grouped as BLANK
+  const keyOf = (name) => (name === BLANK ? "" : name);
+  const handleClick = (entry, index, event) =>
+    onCategoryClick(spec.x, keyOf(entry.payload?.name ?? entry.name), event);
+  const cellProps = (row) =>
+    clickable && {
+      cursor: "pointer",
+      fillOpacity: selected && !selected.includes(keyOf(row.name)) ? 0.25 : 1,
+    };
+  const axes = [
+    <CartesianGrid key="grid" strokeDasharray="3 3" stroke="#000" />,
+    <XAxis key="x" dataKey="name" stroke="#000" />,
+    <YAxis key="y" stroke="#000" tickFormatter={(v) => formatNumber(v)} />,
+    <Tooltip
+      key="tooltip"
+      contentStyle={TOOLTIP_STYLE}
+      formatter={(value, name) => [formatNumber(value), name]}
+    />,
+    series.length > 1 && <Legend key="legend" />,
+  ];
+
+  let chart;
+  if (spec.chartType === "pie") {
+    chart = (
+      <PieChart onMouseMove={handleMove}>
+        <Pie
+          data={rows}
+          dataKey={series[0]}
+          nameKey="name"
+          outerRadius={100}
+          label={({ name }) => name}
+          onClick={clickable ? handleClick : undefined}
+        >
+          {rows.map((row, i) => (
+            <Cell
+              key={row.name}
+              fill={seriesColor(i, rows.length)}
+              stroke="#fff"
+              strokeWidth={2}
+              {...cellProps(row)}
+            />
+          ))}
+        </Pie>
+        <Tooltip
+          contentStyle={TOOLTIP_STYLE}
+          formatter={(value, name) => [formatNumber(value), name]}
+        />
+      </PieChart>
+    );
+  } else if (spec.chartType === "line") {
+    chart = (
+      <LineChart data={rows} onMouseMove={handleMove}>
+        {axes}
+        {series.map((key, i) => (
+          <Line
+            key={key}
+            type="monotone"
+            dataKey={key}
+            stroke={seriesColor(i, series.length)}
+            strokeWidth={2}
+            connectNulls
+          />
+        ))}
+      </LineChart>
+    );
+  } else if (spec.chartType === "area") {
+    chart = (
+      <AreaChart data={rows} onMouseMove={handleMove}>
+        {axes}
+        {series.map((key, i) => (
+          <Area
+            key={key}
+            type="monotone"
+            dataKey={key}
+            stroke="#000"
+            fill={seriesColor(i, series.length)}
+            fillOpacity={0.5}
+            connectNulls
+          />
+        ))}
+      </AreaChart>
+    );
+  } else {
+    chart = (
+      <BarChart data={rows} onMouseMove={handleMove}>
+        {axes}
+        {series.map((key, i) => (
+          <Bar
+            key={key}
+            dataKey={key}
+            fill={seriesColor(i, series.length)}
+            stackId={spec.chartType === "stacked" ? "stack" : undefined}
+            stroke="#000"
+            onClick={clickable ? handleClick : undefined}
+          >
+            {clickable &&
+              rows.map((row) => <Cell key={row.name} {...cellProps(row)} />)}
+          </Bar>
+        ))}
+      </BarChart>
+    );
+  }
+
+  return (
+    <div>
+      <ResponsiveContainer width="100%" height={300}>
+        {chart}
+      </ResponsiveContainer>
+      <p className="text-xs text-gray-500 mt-1">
+        {rows.length.toLocaleString()} groups
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,391 @@
+import React, { useMemo, useState } from "react";
+import {
+  ArrowUpDown,
+  ChevronDown,
+  ChevronUp,
+  Crosshair,
+  Eye,
+  EyeOff,
+  Search,
+  X,
+} from "lucide-react";
+import TypeBadge from "./TypeBadge";
+import {
+  activeFilterCount,
+  cellText,
+  filterGridRows,
+  filterKind,
+  sortGridRows,
+} from "../grid";
+import { describeFences, isOutside } from "../outliers";
+
+// Only the rows in view (plus some overscan) are rendered, so the grid
+// stays responsive with hundreds of thousands of rows.
+const ROW_HEIGHT = 40;
+const VIEWPORT_HEIGHT = 384;
+const OVERSCAN = 10;
+const DEFAULT_WIDTH = 180;
+const MIN_WIDTH = 60;
+
+const inputClass =
+  "w-full px-2 py-1 text-xs text-black border border-gray-400 rounded font-normal";
+
+const emptyFilter = (kind) =>
+  kind === "range" ? { kind, min: "", max: "" } : { kind, value: "" };
+
+// outliers maps columns to their outlier fences (see outlierFenceMap);
+// cells outside them are highlighted and can be filtered on.
+export default function DataGrid({
+  rows,
+  totalRows,
+  headers,
+  analysis,
+  outliers = {},
+}) {
+  const [sort, setSort] = useState({ column: null, direction: "asc" });
+  const [columnFilters, setColumnFilters] = useState({});
+  const [search, setSearch] = useState("");
+  const [columnOrder, setColumnOrder] = useState([]);
+  const [hidden, setHidden] = useState([]);
+  const [widths, setWidths] = useState({});
+  const [scrollTop, setScrollTop] = useState(0);
+  const [showColumnMenu, setShowColumnMenu] = useState(false);
+  const [dragColumn, setDragColumn] = useState(null);
+  const [outliersOnly, setOutliersOnly] = useState(false);
+  const hasOutliers = Object.keys(outliers).length > 0;
+
+  // Columns added or removed upstream are merged into the user's order
+  const orderedColumns = useMemo(
+    () => [
+      ...columnOrder.filter((h) => headers.includes(h)),
+      ...headers.filter((h) => !columnOrder.includes(h)),
+    ],
+    [columnOrder, headers]
+  );
+  const visibleColumns = useMemo(
+    () => orderedColumns.filter((h) => !hidden.includes(h)),
+    [orderedColumns, hidden]
+  );
+
+  const gridRows = useMemo(() => {
+    const filtered = filterGridRows(rows, {
+      columnFilters,
+      search,
+      columns: visibleColumns,
+      outliers: outliersOnly && hasOutliers ? outliers : null,
+    });
+    return sortGridRows(filtered, sort, analysis.types[sort.column]);
+  }, [
+    rows,
+    columnFilters,
+    search,
+    visibleColumns,
+    outliersOnly,
+    hasOutliers,
+    outliers,
+    sort,
+    analysis,
+  ]);
+
+  const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const lastRow = Math.min(
+    gridRows.length,
+    Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN
+  );
+  const widthOf = (column) => widths[column] || DEFAULT_WIDTH;
+  const tableWidth = visibleColumns.reduce((sum, c) => sum + widthOf(c), 0);
+
+  const toggleSort = (column) =>
+    setSort((prev) =>
+      prev.column !== column
+        ? { column, direction: "asc" }
+        : prev.direction === "asc"
+        ? { column, direction: "desc" }
+        : { column: null, direction: "asc" }
+    );
+
+  const filterFor = (column) =>
+    columnFilters[column] || emptyFilter(filterKind(column, analysis));
+  const updateFilter = (column, changes) =>
+    setColumnFilters((prev) => ({
+      ...prev,
+      [column]: { ...filterFor(column), ...changes },
+    }));
+
+  const startResize = (column, event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const startX = event.clientX;
+    const startWidth = widthOf(column);
+    const onMove = (e) =>
+      setWidths((prev) => ({
+        ...prev,
+        [column]: Math.max(MIN_WIDTH, startWidth + e.clientX - startX),
+      }));
+    const onUp = () => {
+      window.removeEventListener("mousemove", onMove);
+      window.removeEventListener("mouseup", onUp);
+    };
+    window.addEventListener("mousemove", onMove);
+    window.addEventListener("mouseup", onUp);
+  };
+
+  const moveColumn = (column, target) => {
+    if (!column || column === target) return;
+    const next = orderedColumns.filter((c) => c !== column);
+    next.splice(next.indexOf(target), 0, column);
+    setColumnOrder(next);
+  };
+
+  const toggleHidden = (column) =>
+    setHidden((prev) =>
+      prev.includes(column)
+        ? prev.filter((c) => c !== column)
+        : [...prev, column]
+    );
+
+  const filterCount = activeFilterCount(columnFilters);
+
+  const renderFilter = (column) => {
+    const filter = filterFor(column);
+    if (filter.kind === "range") {
+      return (
+        <div className="flex space-x-1">
+          <input
+            type="number"
+            placeholder="Min"
+            value={filter.min}
+            onChange={(e) => updateFilter(column, { min: e.target.value })}
+            className={inputClass}
+          />
+          <input
+            type="number"
+            placeholder="Max"
+            value={filter.max}
+            onChange={(e) => updateFilter(column, { max: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+      );
+    }
+    if (filter.kind === "picklist") {
+      return (
+        <select
+          value={filter.value}
+          onChange={(e) => updateFilter(column, { value: e.target.value })}
+          className={inputClass}
+        >
+          <option value="">All</option>
+          {Object.keys(analysis.categorical[column]?.distribution || {})
+            .sort()
+            .map((value) => (
+              <option key={value} value={value}>
+                {value}
+              </option>
+            ))}
+        </select>
+      );
+    }
+    return (
+      <input
+        type="text"
+        placeholder="Contains…"
+        value={filter.value}
+        onChange={(e) => updateFilter(column, { value: e.target.value })}
+        className={inputClass}
+      />
+    );
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <div className="relative flex-1 min-w-[200px]">
+          <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-gray-500" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search all visible columns"
+            className="w-full pl-9 pr-3 py-2 border-2 border-black rounded-lg text-sm"
+          />
+        </div>
+        {filterCount > 0 && (
+          <button
+            onClick={() => setColumnFilters({})}
+            className="inline-flex items-center space-x-1 px-3 py-2 text-sm font-semibold text-black hover:underline"
+          >
+            <X className="w-4 h-4" />
+            <span>
+              Clear {filterCount} column filter{filterCount === 1 ? "" : "s"}
+            </span>
+          </button>
+        )}
+        {hasOutliers && (
+          <button
+            onClick={() => setOutliersOnly((v) => !v)}
+            className={`inline-flex items-center space-x-2 px-3 py-2 border-2 border-black rounded-lg text-sm font-semibold ${
+              outliersOnly
+                ? "bg-black text-white"
+                : "bg-white text-black hover:bg-gray-100"
+            }`}
+          >
+            <Crosshair className="w-4 h-4" />
+            <span>Outliers only</span>
+          </button>
+        )}
+        <div className="relative">
+          <button
+            onClick={() => setShowColumnMenu((v) => !v)}
+            className="inline-flex items-center space-x-2 px-3 py-2 border-2 border-black rounded-lg text-sm font-semibold hover:bg-gray-100"
+          >
+            <Eye className="w-4 h-4" />
+            <span>
+              Columns ({visibleColumns.length}/{orderedColumns.length})
+            </span>
+          </button>
+          {showColumnMenu && (
+            <div className="absolute right-0 mt-2 w-64 max-h-72 overflow-auto bg-white border-2 border-black rounded-lg shadow-lg z-30 p-2">
+              {orderedColumns.map((column) => (
+                <button
+                  key={column}
+                  onClick={() => toggleHidden(column)}
+                  className="w-full flex items-center space-x-2 px-2 py-1 text-sm text-left hover:bg-gray-100 rounded"
+                >
+                  {hidden.includes(column) ? (
+                    <EyeOff className="w-4 h-4 text-gray-400" />
+                  ) : (
+                    <Eye className="w-4 h-4 text-black" />
+                  )}
+                  <span className="truncate">{column}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div
+        className="overflow-auto border-2 border-gray-300 rounded-lg"
+        style={{ height: VIEWPORT_HEIGHT }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table
+          className="text-sm"
+          style={{ tableLayout: "fixed", width: tableWidth }}
+        >
+          <colgroup>
+            {visibleColumns.map((column) => (
+              <col key={column} style={{ width: widthOf(column) }} />
+            ))}
+          </colgroup>
+          <thead className="sticky top-0 z-10">
+            <tr className="bg-black text-white">
+              {visibleColumns.map((column) => (
+                <th
+                  key={column}
+                  draggable
+                  onDragStart={() => setDragColumn(column)}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={() => {
+                    moveColumn(dragColumn, column);
+                    setDragColumn(null);
+                  }}
+                  className="relative px-3 pt-3 pb-2 text-left font-semibold align-top"
+                >
+                  <button
+                    onClick={() => toggleSort(column)}
+                    className="flex items-center space-x-1 max-w-full"
+                    title="Sort; drag the header to reorder"
+                  >
+                    <span className="truncate">{column}</span>
+                    {sort.column === column ? (
+                      sort.direction === "asc" ? (
+                        <ChevronUp className="w-4 h-4 flex-shrink-0" />
+                      ) : (
+                        <ChevronDown className="w-4 h-4 flex-shrink-0" />
+                      )
+                    ) : (
+                      <ArrowUpDown className="w-3 h-3 flex-shrink-0 opacity-50" />
+                    )}
+                  </button>
+                  <TypeBadge typeInfo={analysis.types[column]} inverted />
+                  <div
+                    onMouseDown={(e) => startResize(column, e)}
+                    className="absolute top-0 right-0 w-2 h-full cursor-col-resize hover:bg-gray-500"
+                    aria-hidden="true"
+                  />
+                </th>
+              ))}
+            </tr>
+            <tr className="bg-gray-100">
+              {visibleColumns.map((column) => (
+                <th
+                  key={column}
+                  className="px-2 py-2 border-b-2 border-black font-normal"
+                >
+                  {renderFilter(column)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {firstRow > 0 && (
+              <tr
+                style={{ height: firstRow * ROW_HEIGHT }}
+                aria-hidden="true"
+              />
+            )}
+            {gridRows.slice(firstRow, lastRow).map((row, idx) => (
+              <tr
+                key={firstRow + idx}
+                style={{ height: ROW_HEIGHT }}
+                className="hover:bg-gray-100 transition-colors"
+              >
+                {visibleColumns.map((column) => {
+                  const outlying = isOutside(row[column], outliers[column]);
+                  return (
+                    <td
+                      key={column}
+                      title={
+                        outlying
+                          ? `${cellText(
+                              row[column]
+                            )} (outlier: ${describeFences(outliers[column])})`
+                          : cellText(row[column])
+                      }
+                      className={`px-3 border-b border-gray-300 whitespace-nowrap overflow-hidden text-ellipsis ${
+                        outlying
+                          ? "bg-black text-white font-semibold"
+                          : "text-black"
+                      }`}
+                    >
+                      {cellText(row[column])}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+            {lastRow < gridRows.length && (
+              <tr
+                style={{ height: (gridRows.length - lastRow) * ROW_HEIGHT }}
+                aria-hidden="true"
+              />
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-4 flex items-center justify-between">
+        <p className="text-gray-600 text-sm">
+          {gridRows.length < totalRows
+            ? `Showing ${gridRows.length.toLocaleString()} of ${totalRows.toLocaleString()} rows`
+            : `Showing all ${totalRows.toLocaleString()} rows`}
+        </p>
+        <p className="text-gray-500 text-xs">
+          Click a header to sort, drag it to reorder, drag its edge to resize
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+import React from "react";
+import { AlertCircle } from "lucide-react";
+import TypeBadge from "./TypeBadge";
+
+const ISSUE_COLUMNS = [
+  { key: "missing", label: "Missing" },
+  { key: "mixedType", label: "Mixed type" },
+  { key: "whitespace", label: "Whitespace" },
+  { key: "duplicateKeys", label: "Duplicate keys" },
+  { key: "outOfPattern", label: "Out of pattern" },
+];
+
+const ISSUE_DESCRIPTIONS = {
+  missing: "Missing values in",
+  mixedType: "Values that do not match the type of",
+  whitespace: "Leading/trailing whitespace in",
+  duplicateKeys: "Duplicate values in key column",
+  outOfPattern: "Values outside the usual pattern of",
+};
+
+export default function DataQualityReport({
+  profile,
+  headers,
+  types,
+  totalRows,
+  importSummary,
+  onSelectRows,
+}) {
+  const renderCount = (indices, label) => {
+    if (!indices) return <span className="text-gray-400">n/a</span>;
+    if (!indices.length) return <span className="text-gray-500">0</span>;
+    return (
+      <button
+        onClick={() => onSelectRows(label, indices)}
+        className="font-bold text-black underline hover:bg-black hover:text-white px-1 rounded"
+      >
+        {indices.length.toLocaleString()}
+      </button>
+    );
+  };
+
+  const columnsWithIssues = headers.filter((header) =>
+    ISSUE_COLUMNS.some(({ key }) => profile.columns[header][key]?.length)
+  ).length;
+
+  return (
+    <div className="space-y-8">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="bg-black text-white rounded-xl shadow-lg p-6 border-4 border-black">
+          <p className="text-gray-300 text-sm font-medium">Duplicate Rows</p>
+          <p className="text-3xl font-bold text-white mt-1">
+            {profile.duplicateRows.length ? (
+              <button
+                onClick={() =>
+                  onSelectRows("Duplicate rows", profile.duplicateRows)
+                }
+                className="underline hover:text-gray-300"
+              >
+                {profile.duplicateRows.length.toLocaleString()}
+              </button>
+            ) : (
+              0
+            )}
+          </p>
+        </div>
+        <div className="bg-black text-white rounded-xl shadow-lg p-6 border-4 border-black">
+          <p className="text-gray-300 text-sm font-medium">
+            Empty Rows Dropped on Import
+          </p>
+          <p className="text-3xl font-bold text-white mt-1">
+            {(importSummary?.emptyRows || 0).toLocaleString()}
+          </p>
+        </div>
+        <div className="bg-black text-white rounded-xl shadow-lg p-6 border-4 border-black">
+          <p className="text-gray-300 text-sm font-medium">
+            Columns With Issues
+          </p>
+          <p className="text-3xl font-bold text-white mt-1">
+            {columnsWithIssues} / {headers.length}
+          </p>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6 border-4 border-black">
+        <h3 className="text-xl font-bold text-black mb-2 flex items-center">
+          <AlertCircle className="w-5 h-5 mr-2 text-black" />
+          Column Profile
+        </h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Click a count to show the affected rows in the data preview. Duplicate
+          keys are only checked for columns that look like keys.
+        </p>
+        <div className="overflow-auto border-2 border-gray-300 rounded-lg">
+          <table className="w-full">
+            <thead>
+              <tr className="bg-black text-white">
+                <th className="px-4 py-3 text-left text-sm font-semibold whitespace-nowrap">
+                  Column
+                </th>
+                <th className="px-4 py-3 text-left text-sm font-semibold whitespace-nowrap">
+                  Missing Rate
+                </th>
+                {ISSUE_COLUMNS.map(({ key, label }) => (
+                  <th
+                    key={key}
+                    className="px-4 py-3 text-left text-sm font-semibold whitespace-nowrap"
+                  >
+                    {label}
+                  </th>
+                ))}
+                <th className="px-4 py-3 text-left text-sm font-semibold whitespace-nowrap">
+                  Pattern
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {headers.map((header) => {
+                const column = profile.columns[header];
+                return (
+                  <tr key={header} className="hover:bg-gray-100">
+                    <td className="px-4 py-3 text-sm text-black border-b border-gray-300 whitespace-nowrap font-semibold">
+                      {header}
+                      <TypeBadge typeInfo={types[header]} />
+                    </td>
+                    <td className="px-4 py-3 text-sm text-black border-b border-gray-300 whitespace-nowrap">
+                      <div className="flex items-center space-x-2">
+                        <div className="w-20 bg-gray-200 rounded-full h-2 overflow-hidden">
+                          <div
+                            className="bg-black h-2"
+                            style={{ width: `${column.missingRate * 100}%` }}
+                          ></div>
+                        </div>
+                        <span>{(column.missingRate * 100).toFixed(1)}%</span>
+                      </div>
+                    </td>
+                    {ISSUE_COLUMNS.map(({ key }) => (
+                      <td
+                        key={key}
+                        className="px-4 py-3 text-sm text-black border-b border-gray-300 whitespace-nowrap"
+                      >
+                        {renderCount(
+                          column[key],
+                          `${ISSUE_DESCRIPTIONS[key]} ${header}`
+                        )}
+                      </td>
+                    ))}
+                    <td className="px-4 py-3 text-sm text-gray-600 border-b border-gray-300 whitespace-nowrap font-mono">
+                      {column.pattern || "—"}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-gray-600 text-sm mt-4">
+          Profiled {totalRows.toLocaleString()} rows
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+import React, { useMemo, useState } from "react";
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import BoxPlot from "./BoxPlot";
+import { useChartData } from "./ChartCard";
+import { toNumber } from "../columnTypes";
+import { formatNumber } from "../format";
+import { boxPlot, histogram, suggestBinCount } from "../stats";
+import { TOOLTIP_STYLE } from "../theme";
+
+const BIN_RULES = [
+  { value: "fd", label: "Freedman–Diaconis" },
+  { value: "sturges", label: "Sturges" },
+];
+const MAX_BIN_SLIDER = 100;
+
+// Histogram plus box plot for one numeric column. stats is the column's
+// entry in analysis.numeric; fences, when given, are the column's outlier
+// fences (see outliers.js) and fenceLabel describes them. onBinHover gets
+// the bin and the columns its fields come from (see protectPoint).
+export default function DistributionChart({
+  data,
+  column,
+  stats,
+  fences,
+  fenceLabel,
+  showBoxPlot = true,
+  onBinHover,
+}) {
+  const [rule, setRule] = useState("fd");
+  const [binOverride, setBinOverride] = useState(null);
+
+  const values = useMemo(() => {
+    const numbers = [];
+    data.forEach((row) => {
+      const value = toNumber(row[column]);
+      if (Number.isFinite(value)) numbers.push(value);
+    });
+    return numbers;
+  }, [data, column]);
+
+  const suggested = suggestBinCount(stats, rule);
+  const binCount = binOverride ?? suggested;
+  const bins = useMemo(
+    () =>
+      histogram(values, binCount, stats.min, stats.max).map((bin) => ({
+        ...bin,
+        label: `${formatNumber(bin.x0)} – ${formatNumber(bin.x1)}`,
+      })),
+    [values, binCount, stats.min, stats.max]
+  );
+  const box = useMemo(
+    () => boxPlot(values, stats, fences),
+    [values, stats, fences]
+  );
+  useChartData(
+    useMemo(
+      () => ({
+        headers: ["Bin start", "Bin end", "Count"],
+        rows: bins.map((bin) => [bin.x0, bin.x1, bin.count]),
+      }),
+      [bins]
+    )
+  );
+
+  if (!stats.count) {
+    return <p className="text-sm text-gray-600">No values to plot.</p>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-4 mb-3 text-sm">
+        <label className="flex items-center space-x-2 font-semibold text-black">
+          <span>Binning</span>
+          <select
+            value={rule}
+            onChange={(e) => {
+              setRule(e.target.value);
+              setBinOverride(null);
+            }}
+            className="px-2 py-1 border-2 border-black rounded"
+          >
+            {BIN_RULES.map((r) => (
+              <option key={r.value} value={r.value}>
+                {r.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center space-x-2 font-semibold text-black">
+          <span>Bins</span>
+          <input
+            type="range"
+            min={1}
+            max={MAX_BIN_SLIDER}
+            value={binCount}
+            onChange={(e) => setBinOverride(Number(e.target.value))}
+          />
+          <span className="w-8">{binCount}</span>
+        </label>
+        {binOverride !== null && (
+          <button
+            onClick={() => setBinOverride(null)}
+            className="px-2 py-1 border-2 border-black rounded font-semibold hover:bg-gray-100"
+          >
+            Auto ({suggested})
+          </button>
+        )}
+      </div>
+      <ResponsiveContainer width="100%" height={220}>
+        <BarChart
+          data={bins}
+          barCategoryGap={1}
+          onMouseMove={(state) => {
+            const bin = state?.activePayload?.[0]?.payload;
+            if (bin && onBinHover) {
+              onBinHover(
+                { range: bin.label, count: bin.count },
+                { range: [column], count: [] }
+              );
+            }
+          }}
+        >
+          <CartesianGrid strokeDasharray="3 3" stroke="#000" />
+          <XAxis
+            dataKey="x0"
+            stroke="#000"
+            tickFormatter={(v) => formatNumber(v)}
+          />
+          <YAxis stroke="#000" allowDecimals={false} />
+          <Tooltip
+            contentStyle={TOOLTIP_STYLE}
+            labelFormatter={(_, payload) => payload?.[0]?.payload.label}
+            formatter={(value) => [value.toLocaleString(), "Records"]}
+          />
+          <Bar dataKey="count" fill="#000" />
+        </BarChart>
+      </ResponsiveContainer>
+      {showBoxPlot && (
+        <BoxPlot
+          box={box}
+          min={stats.min}
+          max={stats.max}
+          fenceLabel={fenceLabel}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import React, { useState } from "react";
+import { AlertCircle, Download } from "lucide-react";
+import { baseName, downloadFile, toCSV } from "../download";
+import { EXPORT_FORMATS, exportData, summaryTable } from "../export";
+import { DELIMITER_LABELS } from "../ingest";
+
+const selectClass = "px-2 py-1 border-2 border-black rounded text-sm";
+
+// Header dropdown that downloads the data as currently shown (after
+// transform steps and chart filters) or its statistics summary.
+// onReport(print) exports the dashboard report; it is only passed while
+// the charts are on screen.
+export default function ExportMenu({
+  rows,
+  headers,
+  analysis,
+  fileName,
+  totalRows,
+  onReport,
+}) {
+  const [open, setOpen] = useState(false);
+  const [reportError, setReportError] = useState(null);
+  const [format, setFormat] = useState("csv");
+  const [delimiter, setDelimiter] = useState(",");
+  const name = baseName(fileName);
+
+  const downloadData = () => {
+    const { extension, mime } = EXPORT_FORMATS[format];
+    downloadFile(
+      exportData(format, { rows, headers, analysis, delimiter }),
+      `${name}.${extension}`,
+      mime
+    );
+    setOpen(false);
+  };
+
+  const downloadSummary = () => {
+    const summary = summaryTable(analysis, headers);
+    downloadFile(
+      toCSV(summary.headers, summary.rows),
+      `${name}-statistics.csv`,
+      "text/csv"
+    );
+    setOpen(false);
+  };
+
+  const exportReport = (print) => {
+    setReportError(null);
+    try {
+      onReport(print);
+      setOpen(false);
+    } catch (error) {
+      setReportError(error.message);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((v) => !v)}
+        className="flex items-center space-x-2 px-4 py-2 bg-white text-black rounded-lg hover:bg-gray-200 transition-colors font-semibold"
+      >
+        <Download className="w-4 h-4" />
+        <span>Export</span>
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-72 bg-white text-black border-4 border-black rounded-xl shadow-lg z-40 p-4 space-y-3">
+          <p className="text-xs text-gray-600">
+            {rows.length < totalRows
+              ? `${rows.length.toLocaleString()} of ${totalRows.toLocaleString()} rows (filters applied)`
+              : `${rows.length.toLocaleString()} rows`}{" "}
+            × {headers.length} columns
+          </p>
+          <label className="flex flex-col text-sm font-semibold">
+            <span className="mb-1">Format</span>
+            <select
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+              className={selectClass}
+            >
+              {Object.entries(EXPORT_FORMATS).map(([id, f]) => (
+                <option key={id} value={id}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {format === "csv" && (
+            <label className="flex flex-col text-sm font-semibold">
+              <span className="mb-1">Delimiter</span>
+              <select
+                value={delimiter}
+                onChange={(e) => setDelimiter(e.target.value)}
+                className={selectClass}
+              >
+                {Object.entries(DELIMITER_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          {format === "xml" && (
+            <p className="text-xs text-gray-600">
+              Includes a second sheet with the summary statistics.
+            </p>
+          )}
+          <button
+            onClick={downloadData}
+            className="w-full px-4 py-2 bg-black text-white rounded-lg font-semibold"
+          >
+            Download data
+          </button>
+          <button
+            onClick={downloadSummary}
+            className="w-full px-4 py-2 border-2 border-black rounded-lg font-semibold hover:bg-gray-100"
+          >
+            Download summary statistics (CSV)
+          </button>
+          <div className="border-t-2 border-black pt-3 space-y-2">
+            <p className="text-sm font-semibold">Dashboard report</p>
+            {onReport ? (
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => exportReport(false)}
+                  className="flex-1 px-3 py-2 border-2 border-black rounded-lg text-sm font-semibold hover:bg-gray-100"
+                >
+                  HTML
+                </button>
+                <button
+                  onClick={() => exportReport(true)}
+                  className="flex-1 px-3 py-2 border-2 border-black rounded-lg text-sm font-semibold hover:bg-gray-100"
+                >
+                  Print / PDF
+                </button>
+              </div>
+            ) : (
+              <p className="text-xs text-gray-600">
+                Open the Overview tab to export the report.
+              </p>
+            )}
+            {reportError && (
+              <p className="text-xs flex items-start">
+                <AlertCircle className="w-4 h-4 mr-1 flex-shrink-0" />
+                {reportError}
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
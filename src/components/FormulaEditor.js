@@ -0,0 +1,138 @@
+import React, { useMemo } from "react";
+import { AlertCircle } from "lucide-react";
+import { compileFormula, FUNCTIONS } from "../formula";
+import { cellText } from "../grid";
+
+const PREVIEW_ROWS = 5;
+
+// compileFormula without the throw: { compiled } or { error }
+export const checkFormula = (formula, headers, dateOrders) => {
+  try {
+    return { compiled: compileFormula(formula, headers, { dateOrders }) };
+  } catch (error) {
+    return { error };
+  }
+};
+
+// Checks the formula as it is typed and previews it on the first rows.
+export default function FormulaEditor({
+  name,
+  formula,
+  headers,
+  rows,
+  dateOrders,
+  onChange,
+}) {
+  const { compiled, error } = useMemo(
+    () => checkFormula(formula, headers, dateOrders),
+    [formula, headers, dateOrders]
+  );
+  const preview = useMemo(() => {
+    if (!compiled) return [];
+    // A row that fails to evaluate shows its error instead of a result
+    return rows.slice(0, PREVIEW_ROWS).map((row) => {
+      const inputs = compiled.columns.map((c) => cellText(row[c]));
+      try {
+        return { inputs, result: cellText(compiled.evaluate(row)) };
+      } catch (error) {
+        return { inputs, error: error.message };
+      }
+    });
+  }, [compiled, rows]);
+
+  return (
+    <div className="col-span-full space-y-3">
+      <label className="flex flex-col text-sm font-semibold text-black">
+        <span className="mb-1">New column name</span>
+        <input
+          value={name}
+          onChange={(e) => onChange({ name: e.target.value })}
+          className="px-2 py-1 border-2 border-black rounded text-sm"
+        />
+        {headers.includes(name) && (
+          <span className="mt-1 text-xs font-normal text-gray-600">
+            A column named "{name}" already exists.
+          </span>
+        )}
+      </label>
+      <label className="flex flex-col text-sm font-semibold text-black">
+        <span className="mb-1">Formula</span>
+        <textarea
+          value={formula}
+          onChange={(e) => onChange({ formula: e.target.value })}
+          rows={3}
+          spellCheck={false}
+          placeholder="([Revenue] - [Cost]) / [Revenue]"
+          className="px-2 py-1 border-2 border-black rounded text-sm font-mono"
+        />
+      </label>
+      {formula && error && (
+        <div className="text-xs text-black">
+          <p className="flex items-center font-semibold">
+            <AlertCircle className="w-3 h-3 mr-1" />
+            {error.message}
+            {error.position !== undefined &&
+              ` (at character ${error.position + 1})`}
+          </p>
+          {error.position !== undefined && (
+            <pre className="mt-1 font-mono text-gray-600 overflow-x-auto">
+              {formula.split("\n").join(" ")}
+              {"\n"}
+              {" ".repeat(error.position)}^
+            </pre>
+          )}
+        </div>
+      )}
+      {compiled && (
+        <div className="overflow-auto border-2 border-black rounded-lg">
+          <table className="w-full text-xs">
+            <thead className="bg-black text-white">
+              <tr>
+                {compiled.columns.map((c) => (
+                  <th key={c} className="px-2 py-1 text-left font-semibold">
+                    {c}
+                  </th>
+                ))}
+                <th className="px-2 py-1 text-left font-semibold">
+                  {name || "Result"}
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.map((line, idx) => (
+                <tr key={idx} className="border-b border-gray-200">
+                  {line.inputs.map((value, i) => (
+                    <td key={i} className="px-2 py-1 text-gray-600">
+                      {value}
+                    </td>
+                  ))}
+                  <td className="px-2 py-1 font-semibold text-black">
+                    {line.error ? (
+                      <span className="flex items-center">
+                        <AlertCircle className="w-3 h-3 mr-1 flex-shrink-0" />
+                        {line.error}
+                      </span>
+                    ) : (
+                      line.result
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <details className="text-xs text-gray-600">
+        <summary className="cursor-pointer font-semibold text-black">
+          Formula reference
+        </summary>
+        <p className="mt-1">
+          Operators: + − * / % ^, &amp; (join text), = &lt;&gt; &lt; &lt;= &gt;
+          &gt;=, and, or, not. Reference columns by name, or as [Column Name]
+          when the name has spaces.
+        </p>
+        <p className="mt-1">Functions: {Object.keys(FUNCTIONS).join(", ")}</p>
+      </details>
+    </div>
+  );
+}
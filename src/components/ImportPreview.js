@@ -0,0 +1,311 @@
+import React, { useEffect, useState } from "react";
+import { FileText, SlidersHorizontal, X } from "lucide-react";
+import {
+  COLUMN_TYPE_OVERRIDES,
+  DEFAULT_IMPORT_OPTIONS,
+  DELIMITER_LABELS,
+  ENCODINGS,
+  previewSource,
+} from "../ingest";
+
+const FORMAT_LABELS = {
+  delimited: "Delimited text",
+  json: "JSON array",
+  ndjson: "Newline-delimited JSON",
+};
+
+const SEPARATOR_LABELS = {
+  "": "None",
+  ",": "Comma (1,000)",
+  ".": "Period (1.000)",
+  " ": "Space (1 000)",
+  "'": "Apostrophe (1'000)",
+};
+
+const selectClassName =
+  "w-full mt-1 px-3 py-2 bg-white text-black border-2 border-black rounded-lg text-sm";
+
+export default function ImportPreview({ source, name, onConfirm, onCancel }) {
+  const [options, setOptions] = useState(DEFAULT_IMPORT_OPTIONS);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let stale = false;
+    previewSource(source, { name, options })
+      .then((result) => {
+        if (stale) return;
+        setPreview(result);
+        setError(null);
+      })
+      .catch((err) => {
+        if (stale) return;
+        setPreview(null);
+        setError(err.message);
+      });
+    return () => {
+      stale = true;
+    };
+  }, [source, name, options]);
+
+  const updateOption = (key, value) =>
+    setOptions((prev) => ({ ...prev, [key]: value }));
+
+  const setColumnType = (header, type) =>
+    setOptions((prev) => ({
+      ...prev,
+      columnTypes: { ...prev.columnTypes, [header]: type },
+    }));
+
+  const isDelimited = !preview || preview.format === "delimited";
+
+  const renderCell = (value) => {
+    if (value === null || value === undefined) {
+      return <span className="text-gray-400">—</span>;
+    }
+    return String(value);
+  };
+
+  return (
+    <div className="min-h-screen bg-white p-6">
+      <div className="max-w-7xl mx-auto bg-black text-white rounded-2xl shadow-2xl p-8 border-4 border-black">
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center space-x-3">
+            <SlidersHorizontal className="w-8 h-8 text-white" />
+            <div>
+              <h2 className="text-2xl font-bold text-white">Import Preview</h2>
+              <p className="text-sm text-gray-300 flex items-center">
+                <FileText className="w-4 h-4 mr-1" />
+                {name}
+                {preview && ` · ${FORMAT_LABELS[preview.format]}`}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onCancel}
+            className="flex items-center space-x-2 px-4 py-2 bg-white text-black rounded-lg hover:bg-gray-200 transition-colors font-semibold"
+          >
+            <X className="w-4 h-4" />
+            <span>Cancel</span>
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 bg-white text-black rounded-xl p-5 mb-6">
+          <label className="text-sm font-semibold">
+            Encoding
+            <select
+              className={selectClassName}
+              value={options.encoding}
+              onChange={(e) => updateOption("encoding", e.target.value)}
+            >
+              {ENCODINGS.map((encoding) => (
+                <option key={encoding.id} value={encoding.id}>
+                  {encoding.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="text-sm font-semibold">
+            Delimiter
+            <select
+              className={selectClassName}
+              disabled={!isDelimited}
+              value={options.delimiter ?? "auto"}
+              onChange={(e) =>
+                updateOption(
+                  "delimiter",
+                  e.target.value === "auto" ? null : e.target.value
+                )
+              }
+            >
+              <option value="auto">
+                Auto
+                {preview?.delimiter &&
+                  !options.delimiter &&
+                  ` (${DELIMITER_LABELS[preview.delimiter]})`}
+              </option>
+              {Object.entries(DELIMITER_LABELS).map(([value, label]) => (
+                <option key={label} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="text-sm font-semibold">
+            Quote character
+            <select
+              className={selectClassName}
+              disabled={!isDelimited}
+              value={options.quoteChar}
+              onChange={(e) => updateOption("quoteChar", e.target.value)}
+            >
+              <option value={'"'}>Double quote (")</option>
+              <option value="'">Single quote (')</option>
+            </select>
+          </label>
+
+          <label className="text-sm font-semibold">
+            Header row
+            <input
+              type="number"
+              min={0}
+              className={selectClassName}
+              disabled={!isDelimited}
+              value={options.headerRow}
+              onChange={(e) =>
+                updateOption("headerRow", Math.max(0, Number(e.target.value)))
+              }
+            />
+            <span className="text-xs font-normal text-gray-600">
+              Line number; 0 if there is no header
+            </span>
+          </label>
+
+          <label className="text-sm font-semibold">
+            Rows to skip after header
+            <input
+              type="number"
+              min={0}
+              className={selectClassName}
+              disabled={!isDelimited}
+              value={options.skipRows}
+              onChange={(e) =>
+                updateOption("skipRows", Math.max(0, Number(e.target.value)))
+              }
+            />
+          </label>
+
+          <label className="text-sm font-semibold">
+            Decimal separator
+            <select
+              className={selectClassName}
+              value={options.decimalSeparator}
+              onChange={(e) => updateOption("decimalSeparator", e.target.value)}
+            >
+              <option value=".">Period (1.5)</option>
+              <option value=",">Comma (1,5)</option>
+            </select>
+          </label>
+
+          <label className="text-sm font-semibold">
+            Thousands separator
+            <select
+              className={selectClassName}
+              value={options.thousandsSeparator}
+              onChange={(e) =>
+                updateOption("thousandsSeparator", e.target.value)
+              }
+            >
+              {Object.entries(SEPARATOR_LABELS).map(([value, label]) => (
+                <option key={label} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {error && (
+          <div className="p-4 mb-6 bg-white text-black border-2 border-black rounded-lg font-medium">
+            {error}
+          </div>
+        )}
+
+        {preview && isDelimited && (
+          <div className="mb-6">
+            <h3 className="text-lg font-semibold text-gray-300 mb-2">
+              Raw lines
+            </h3>
+            <pre className="bg-gray-900 rounded-lg p-4 text-sm overflow-x-auto">
+              {preview.rawLines.map((line, idx) => (
+                <div
+                  key={idx}
+                  className={
+                    idx + 1 === options.headerRow
+                      ? "text-white font-bold"
+                      : "text-gray-400"
+                  }
+                >
+                  <span className="inline-block w-8 text-gray-600">
+                    {idx + 1}
+                  </span>
+                  {line}
+                </div>
+              ))}
+            </pre>
+          </div>
+        )}
+
+        {preview && (
+          <div className="bg-white rounded-xl p-4 mb-6">
+            <div className="overflow-auto max-h-96 border-2 border-gray-300 rounded-lg">
+              <table className="w-full">
+                <thead className="sticky top-0 z-10">
+                  <tr className="bg-black text-white">
+                    {preview.headers.map((header) => (
+                      <th
+                        key={header}
+                        className="px-4 py-3 text-left text-sm font-semibold border-b-2 border-black whitespace-nowrap"
+                      >
+                        <div>{header}</div>
+                        <select
+                          className="mt-1 px-2 py-1 bg-white text-black rounded text-xs"
+                          value={options.columnTypes[header] || "auto"}
+                          onChange={(e) =>
+                            setColumnType(header, e.target.value)
+                          }
+                        >
+                          {COLUMN_TYPE_OVERRIDES.map((type) => (
+                            <option key={type.id} value={type.id}>
+                              {type.label}
+                            </option>
+                          ))}
+                        </select>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map((row, idx) => (
+                    <tr key={idx} className="hover:bg-gray-100">
+                      {preview.headers.map((header) => (
+                        <td
+                          key={header}
+                          className="px-4 py-2 text-sm text-black border-b border-gray-300 whitespace-nowrap"
+                        >
+                          {renderCell(row[header])}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-gray-600 text-sm mt-3">
+              Showing the first {preview.rows.length} rows as they will be
+              imported
+            </p>
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            disabled={!preview}
+            onClick={() =>
+              onConfirm({
+                ...options,
+                encoding: preview.encoding,
+                delimiter: options.delimiter || preview.delimiter || null,
+              })
+            }
+            className="px-6 py-3 bg-white text-black rounded-lg hover:bg-gray-200 transition-colors font-semibold disabled:opacity-50"
+          >
+            Import {preview ? preview.headers.length : 0} columns
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
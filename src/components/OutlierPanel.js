@@ -0,0 +1,131 @@
+import React from "react";
+import { Crosshair } from "lucide-react";
+import { formatNumber } from "../format";
+import { OUTLIER_METHODS, outlierRows } from "../outliers";
+
+// Method and threshold for outlier detection across the dashboard, with
+// the count per numeric column. Counts open the matching rows in the data
+// preview, like the data quality report does.
+export default function OutlierPanel({
+  outliers,
+  analysis,
+  settings,
+  onSettingsChange,
+  onSelectRows,
+}) {
+  const method = OUTLIER_METHODS[settings.method];
+  const columns = Object.keys(analysis.numeric);
+  const flagged = outlierRows(outliers);
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-8 border-4 border-black">
+      <h3 className="text-xl font-bold text-black mb-2 flex items-center">
+        <Crosshair className="w-5 h-5 mr-2 text-black" />
+        Outliers
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Values more than {settings.threshold} {method.unit}. They are ringed in
+        the charts and highlighted in the data preview.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-4 mb-4 text-sm font-semibold text-black">
+        <label className="flex items-center space-x-2">
+          <span>Method</span>
+          <select
+            value={settings.method}
+            onChange={(e) =>
+              onSettingsChange({
+                method: e.target.value,
+                threshold: OUTLIER_METHODS[e.target.value].threshold,
+              })
+            }
+            className="px-2 py-1 border-2 border-black rounded"
+          >
+            {Object.entries(OUTLIER_METHODS).map(([value, { label }]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center space-x-2">
+          <span>Threshold</span>
+          <input
+            type="number"
+            min={method.step}
+            step={method.step}
+            value={settings.threshold}
+            onChange={(e) => {
+              const threshold = Number(e.target.value);
+              if (threshold > 0) onSettingsChange({ ...settings, threshold });
+            }}
+            className="w-20 px-2 py-1 border-2 border-black rounded"
+          />
+        </label>
+        {flagged.length > 0 && (
+          <button
+            onClick={() => onSelectRows("Rows with an outlier", flagged)}
+            className="ml-auto px-3 py-1 bg-black text-white rounded-lg hover:bg-gray-800"
+          >
+            Show all {flagged.length.toLocaleString()} rows with an outlier
+          </button>
+        )}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="bg-black text-white">
+              <th className="px-3 py-2 text-left font-semibold">Column</th>
+              <th className="px-3 py-2 text-right font-semibold">Low fence</th>
+              <th className="px-3 py-2 text-right font-semibold">High fence</th>
+              <th className="px-3 py-2 text-right font-semibold">Outliers</th>
+            </tr>
+          </thead>
+          <tbody>
+            {columns.map((column) => {
+              const found = outliers[column];
+              return (
+                <tr key={column} className="border-b border-gray-300">
+                  <td className="px-3 py-2 font-semibold text-black">
+                    {column}
+                  </td>
+                  <td className="px-3 py-2 text-right">
+                    {found ? formatNumber(found.low) : "—"}
+                  </td>
+                  <td className="px-3 py-2 text-right">
+                    {found ? formatNumber(found.high) : "—"}
+                  </td>
+                  <td className="px-3 py-2 text-right">
+                    {!found ? (
+                      <span className="text-gray-400" title="No spread">
+                        n/a
+                      </span>
+                    ) : found.rows.length ? (
+                      <button
+                        onClick={() =>
+                          onSelectRows(`Outliers in ${column}`, found.rows)
+                        }
+                        className="font-bold text-black underline hover:bg-black hover:text-white px-1 rounded"
+                      >
+                        {found.rows.length.toLocaleString()} (
+                        {formatNumber(
+                          (found.rows.length / analysis.numeric[column].count) *
+                            100,
+                          1
+                        )}
+                        %)
+                      </button>
+                    ) : (
+                      <span className="text-gray-500">0</span>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
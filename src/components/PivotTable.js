@@ -0,0 +1,275 @@
+import React, { useMemo, useState } from "react";
+import { BarChart3, Download, GripVertical, X } from "lucide-react";
+import { AGGREGATIONS } from "../aggregate";
+import { downloadFile, toCSV } from "../download";
+import { formatNumber } from "../format";
+import { buildPivot, pivotRowLabel, pivotToTable, valueLabel } from "../pivot";
+
+const ZONES = [
+  { id: "rows", label: "Rows" },
+  { id: "columns", label: "Columns" },
+  { id: "values", label: "Values" },
+];
+// Larger pivots are still exported in full, just not drawn
+const MAX_RENDERED_COLUMNS = 40;
+const MAX_RENDERED_LINES = 500;
+
+const EMPTY_LAYOUT = { rows: [], columns: [], values: [] };
+
+const Chip = ({ children, onRemove, ...props }) => (
+  <span
+    className="inline-flex items-center space-x-1 px-2 py-1 bg-black text-white rounded-lg text-sm font-semibold"
+    {...props}
+  >
+    {children}
+    {onRemove && (
+      <button onClick={onRemove} aria-label="Remove field">
+        <X className="w-3 h-3" />
+      </button>
+    )}
+  </span>
+);
+
+// Drag-and-drop pivot table. Fields are dragged from the list into the
+// rows, columns and values zones.
+export default function PivotTable({
+  data,
+  headers,
+  analysis,
+  fileName,
+  onSendToChart,
+}) {
+  const [layout, setLayout] = useState(EMPTY_LAYOUT);
+  const [dragOver, setDragOver] = useState(null);
+
+  const pivot = useMemo(() => buildPivot(data, layout), [data, layout]);
+  const columnFields = layout.columns;
+
+  const addField = (zone, column) =>
+    setLayout((prev) => {
+      if (zone === "values") {
+        const agg = column in analysis.numeric ? "sum" : "count";
+        return { ...prev, values: [...prev.values, { column, agg }] };
+      }
+      // A field sits in at most one of rows and columns
+      const other = zone === "rows" ? "columns" : "rows";
+      return {
+        ...prev,
+        [other]: prev[other].filter((c) => c !== column),
+        [zone]: prev[zone].includes(column)
+          ? prev[zone]
+          : [...prev[zone], column],
+      };
+    });
+
+  const removeField = (zone, index) =>
+    setLayout((prev) => ({
+      ...prev,
+      [zone]: prev[zone].filter((_, i) => i !== index),
+    }));
+
+  const setValueAgg = (index, agg) =>
+    setLayout((prev) => ({
+      ...prev,
+      values: prev.values.map((v, i) => (i === index ? { ...v, agg } : v)),
+    }));
+
+  const exportPivot = () => {
+    const { headers: cols, body } = pivotToTable(pivot, layout.rows);
+    downloadFile(toCSV(cols, body), `${fileName}-pivot.csv`, "text/csv");
+  };
+
+  // Charts reuse the chart builder's spec: first row field on X, first
+  // column field as series, first value as the measure
+  const chartable = layout.rows.length > 0;
+  const sendToChart = () => {
+    const value = layout.values[0] || { column: null, agg: "count" };
+    onSendToChart({
+      chartType: columnFields.length ? "stacked" : "bar",
+      x: layout.rows[0],
+      ys: value.column && value.agg !== "count" ? [value.column] : [],
+      agg: value.column ? value.agg : "count",
+      groupBy: columnFields[0] || "",
+      sort: "x-asc",
+      topN: 0,
+    });
+  };
+
+  const shownColumns = pivot.columns.slice(0, MAX_RENDERED_COLUMNS);
+  // Keep the grand total visible when the body is cut short
+  const shownLines =
+    pivot.lines.length > MAX_RENDERED_LINES
+      ? [
+          ...pivot.lines.slice(0, MAX_RENDERED_LINES - 1),
+          pivot.lines[pivot.lines.length - 1],
+        ]
+      : pivot.lines;
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 border-4 border-black">
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-4 mb-6">
+        <div>
+          <p className="text-sm font-semibold text-black mb-2">Fields</p>
+          <div className="flex flex-wrap gap-2 max-h-48 overflow-auto">
+            {headers.map((col) => (
+              <span
+                key={col}
+                draggable
+                onDragStart={(e) => e.dataTransfer.setData("text/plain", col)}
+                className="inline-flex items-center px-2 py-1 border-2 border-black rounded-lg text-sm font-semibold cursor-move bg-white"
+              >
+                <GripVertical className="w-3 h-3 mr-1" />
+                {col}
+              </span>
+            ))}
+          </div>
+        </div>
+        {ZONES.map((zone) => (
+          <div
+            key={zone.id}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDragOver(zone.id);
+            }}
+            onDragLeave={() => setDragOver(null)}
+            onDrop={(e) => {
+              e.preventDefault();
+              setDragOver(null);
+              const column = e.dataTransfer.getData("text/plain");
+              if (headers.includes(column)) addField(zone.id, column);
+            }}
+            className={`min-h-24 p-3 border-4 border-dashed rounded-xl ${
+              dragOver === zone.id
+                ? "border-black bg-gray-100"
+                : "border-gray-400"
+            }`}
+          >
+            <p className="text-sm font-semibold text-black mb-2">
+              {zone.label}
+            </p>
+            <div className="flex flex-wrap gap-2">
+              {zone.id === "values"
+                ? layout.values.map((value, i) => (
+                    <Chip key={i} onRemove={() => removeField("values", i)}>
+                      <select
+                        value={value.agg}
+                        onChange={(e) => setValueAgg(i, e.target.value)}
+                        className="bg-black text-white"
+                      >
+                        {Object.entries(AGGREGATIONS).map(([id, label]) => (
+                          <option key={id} value={id}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                      <span>{value.column}</span>
+                    </Chip>
+                  ))
+                : layout[zone.id].map((col, i) => (
+                    <Chip key={col} onRemove={() => removeField(zone.id, i)}>
+                      <span>{col}</span>
+                    </Chip>
+                  ))}
+              {layout[zone.id].length === 0 && (
+                <span className="text-xs text-gray-500">
+                  {zone.id === "values"
+                    ? "Drop a field (counts rows when empty)"
+                    : "Drop fields here"}
+                </span>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <button
+          onClick={sendToChart}
+          disabled={!chartable}
+          className="inline-flex items-center space-x-2 px-4 py-2 bg-black text-white rounded-lg font-semibold disabled:opacity-40"
+          title="Charts the first row field, split by the first column field"
+        >
+          <BarChart3 className="w-4 h-4" />
+          <span>Send to chart</span>
+        </button>
+        <button
+          onClick={exportPivot}
+          className="inline-flex items-center space-x-2 px-4 py-2 border-2 border-black text-black rounded-lg font-semibold hover:bg-gray-100"
+        >
+          <Download className="w-4 h-4" />
+          <span>Export CSV</span>
+        </button>
+        <button
+          onClick={() => setLayout(EMPTY_LAYOUT)}
+          className="px-4 py-2 text-black font-semibold hover:underline"
+        >
+          Reset
+        </button>
+      </div>
+
+      <div className="overflow-auto max-h-[600px] border-2 border-black rounded-lg">
+        <table className="w-full text-sm">
+          <thead className="bg-black text-white sticky top-0">
+            <tr>
+              {(layout.rows.length ? layout.rows : [""]).map((field, i) => (
+                <th key={i} className="px-3 py-2 text-left font-semibold">
+                  {field}
+                </th>
+              ))}
+              {shownColumns.flatMap((col) =>
+                pivot.specs.map((spec, i) => (
+                  <th
+                    key={`${col.key}-${i}`}
+                    className="px-3 py-2 text-right font-semibold whitespace-nowrap"
+                  >
+                    {col.labels.length > 0 && (
+                      <div className="text-gray-300">
+                        {col.labels.join(" · ")}
+                      </div>
+                    )}
+                    {valueLabel(spec)}
+                  </th>
+                ))
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {shownLines.map((line, idx) => (
+              <tr
+                key={idx}
+                className={
+                  line.kind === "row"
+                    ? "border-b border-gray-200"
+                    : "border-b-2 border-black bg-gray-100 font-bold"
+                }
+              >
+                {(layout.rows.length ? layout.rows : [""]).map((_, i) => (
+                  <td key={i} className="px-3 py-2 text-black">
+                    {layout.rows.length ? pivotRowLabel(line, i) : "Total"}
+                  </td>
+                ))}
+                {shownColumns.flatMap((col) =>
+                  line.cells[col.key].map((value, i) => (
+                    <td
+                      key={`${col.key}-${i}`}
+                      className="px-3 py-2 text-right text-black"
+                    >
+                      {formatNumber(value)}
+                    </td>
+                  ))
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {(pivot.columns.length > shownColumns.length ||
+        pivot.lines.length > shownLines.length) && (
+        <p className="text-xs text-gray-500 mt-2">
+          Showing {shownLines.length} of {pivot.lines.length} rows and{" "}
+          {shownColumns.length} of {pivot.columns.length} column groups; the
+          export includes all of them.
+        </p>
+      )}
+    </div>
+  );
+}
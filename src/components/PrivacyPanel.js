@@ -0,0 +1,177 @@
+import React from "react";
+import { ShieldCheck, X } from "lucide-react";
+import TypeBadge from "./TypeBadge";
+import { PROVIDERS, isOffline, sendsData } from "../aiClient";
+import { PII_KINDS, PRIVACY_MODES } from "../privacy";
+
+// Review of what the AI provider gets to see: per-column modes, offline
+// mode, whether the report may be sent without this review and the exact
+// report request. onSend requests the AI report with the current modes.
+export default function PrivacyPanel({
+  headers,
+  types,
+  detected,
+  modes,
+  onModeChange,
+  settings,
+  onSettingsChange,
+  payload,
+  onSend,
+  onClose,
+}) {
+  const remote = sendsData(settings);
+  const blocked = isOffline(settings);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-6">
+      <div className="bg-white text-black rounded-xl shadow-2xl border-4 border-black w-full max-w-4xl p-6 max-h-full overflow-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold flex items-center">
+            <ShieldCheck className="w-5 h-5 mr-2" />
+            What the AI sees
+          </h3>
+          <button
+            onClick={onClose}
+            className="p-1 rounded hover:bg-gray-100"
+            aria-label="Close privacy review"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <label className="flex items-start space-x-3 p-4 mb-6 border-2 border-black rounded-lg">
+          <input
+            type="checkbox"
+            checked={Boolean(settings.offline)}
+            onChange={(e) =>
+              onSettingsChange({ ...settings, offline: e.target.checked })
+            }
+            className="mt-1"
+          />
+          <span>
+            <span className="font-semibold block">Offline mode</span>
+            <span className="text-sm text-gray-600">
+              Turns off every AI request that would leave this browser: the
+              report, chart insights and questions.{" "}
+              {remote
+                ? `Current provider: ${PROVIDERS[settings.provider]?.label} (${
+                    settings.endpoint
+                  }).`
+                : "The mock provider runs locally and keeps working."}
+            </span>
+          </span>
+        </label>
+
+        {remote && (
+          <label className="flex items-start space-x-3 p-4 mb-6 border-2 border-black rounded-lg">
+            <input
+              type="checkbox"
+              checked={Boolean(settings.autoSendReport)}
+              onChange={(e) =>
+                onSettingsChange({
+                  ...settings,
+                  autoSendReport: e.target.checked,
+                })
+              }
+              className="mt-1"
+            />
+            <span>
+              <span className="font-semibold block">
+                Send the report without review
+              </span>
+              <span className="text-sm text-gray-600">
+                Requests the AI report as soon as a file is opened, as long as
+                no column looks like personal data. Otherwise the report waits
+                for this review.
+              </span>
+            </span>
+          </label>
+        )}
+
+        <h4 className="font-semibold mb-2">Columns</h4>
+        <p className="text-sm text-gray-600 mb-3">
+          Masked values keep their shape (Xxxx 999) and hashed values become
+          pseudonyms that stay the same for this session. Excluded columns are
+          not mentioned at all.
+        </p>
+        <div className="border-2 border-black rounded-lg overflow-auto max-h-72 mb-6">
+          <table className="min-w-full text-sm">
+            <thead className="sticky top-0">
+              <tr className="bg-black text-white">
+                <th className="px-3 py-2 text-left font-semibold">Column</th>
+                <th className="px-3 py-2 text-left font-semibold">
+                  Personal data
+                </th>
+                <th className="px-3 py-2 text-left font-semibold">Sent as</th>
+              </tr>
+            </thead>
+            <tbody>
+              {headers.map((column) => (
+                <tr key={column} className="border-b border-gray-300">
+                  <td className="px-3 py-2">
+                    <span className="font-semibold">{column}</span>
+                    <TypeBadge typeInfo={types[column]} />
+                  </td>
+                  <td className="px-3 py-2">
+                    {detected[column] ? (
+                      <span>
+                        <span className="font-semibold">
+                          {PII_KINDS[detected[column].kind]}
+                        </span>
+                        <span className="text-gray-600">
+                          {" "}
+                          · {detected[column].reason}
+                        </span>
+                      </span>
+                    ) : (
+                      <span className="text-gray-400">—</span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2">
+                    <select
+                      value={modes[column]}
+                      onChange={(e) => onModeChange(column, e.target.value)}
+                      className="px-2 py-1 border-2 border-black rounded"
+                    >
+                      {Object.entries(PRIVACY_MODES).map(([mode, label]) => (
+                        <option key={mode} value={mode}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <h4 className="font-semibold mb-2">AI report request</h4>
+        <p className="text-sm text-gray-600 mb-3">
+          Sent exactly as shown. Chart insights send the hovered point and its
+          column's statistics; questions send column names, types and common
+          values. All follow the modes above.
+        </p>
+        <pre className="p-3 bg-gray-100 rounded-lg text-xs overflow-auto max-h-72 whitespace-pre-wrap break-words mb-6">
+          {payload}
+        </pre>
+
+        <div className="flex justify-end space-x-2">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg font-semibold hover:bg-gray-100"
+          >
+            Close
+          </button>
+          <button
+            onClick={onSend}
+            disabled={blocked}
+            className="px-4 py-2 bg-black text-white rounded-lg font-semibold hover:bg-gray-800 disabled:opacity-50"
+          >
+            {blocked ? "Offline" : "Send report request"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
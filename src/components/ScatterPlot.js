@@ -0,0 +1,259 @@
+import React, { useMemo, useState } from "react";
+import {
+  CartesianGrid,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+  Scatter,
+  ScatterChart,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { useChartData } from "./ChartCard";
+import { toNumber } from "../columnTypes";
+import { formatNumber } from "../format";
+import { isOutside } from "../outliers";
+import { linearRegression } from "../stats";
+import { COLORS, TOOLTIP_STYLE } from "../theme";
+
+// Recharts renders one SVG node per point, so large files are thinned out.
+const MAX_POINTS = 2000;
+// The palette is monochrome, so categories are told apart by marker shape.
+const SHAPES = ["circle", "square", "triangle", "diamond", "cross", "star"];
+const MAX_CATEGORIES = SHAPES.length - 1;
+const OTHER = "Other";
+
+// Outliers are drawn again on top as rings, so they stand out whatever
+// series they belong to.
+const ring = ({ cx, cy }) => (
+  <circle cx={cx} cy={cy} r={7} fill="none" stroke="#000" strokeWidth={2} />
+);
+
+export const getScatterPoints = (data, x, y, colorBy) => {
+  const points = [];
+  data.forEach((row, idx) => {
+    const xv = toNumber(row[x]);
+    const yv = toNumber(row[y]);
+    if (!Number.isNaN(xv) && !Number.isNaN(yv)) {
+      points.push({
+        x: xv,
+        y: yv,
+        row: idx + 1,
+        category: colorBy ? String(row[colorBy] ?? "(blank)") : null,
+      });
+    }
+  });
+  return points;
+};
+
+const sample = (points) => {
+  if (points.length <= MAX_POINTS) return points;
+  const step = points.length / MAX_POINTS;
+  const sampled = [];
+  for (let i = 0; i < MAX_POINTS; i++) {
+    sampled.push(points[Math.floor(i * step)]);
+  }
+  return sampled;
+};
+
+// Splits points into one series per frequent category plus "Other".
+const groupByCategory = (points) => {
+  const counts = {};
+  points.forEach((p) => {
+    counts[p.category] = (counts[p.category] || 0) + 1;
+  });
+  const top = Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_CATEGORIES)
+    .map(([name]) => name);
+  const groups = {};
+  points.forEach((p) => {
+    const name = top.includes(p.category) ? p.category : OTHER;
+    (groups[name] = groups[name] || []).push(p);
+  });
+  return [...top, OTHER]
+    .filter((name) => groups[name])
+    .map((name) => ({ name, points: groups[name] }));
+};
+
+// fences maps columns to their outlier fences (see outlierFenceMap); points
+// outside them on either axis are ringed. onPointHover gets the point and
+// the columns its fields come from (see protectPoint).
+export default function ScatterPlot({
+  data,
+  x,
+  y,
+  fences = {},
+  categoryColumns = [],
+  height = 300,
+  onPointHover,
+}) {
+  const [showTrend, setShowTrend] = useState(true);
+  const [colorBy, setColorBy] = useState("");
+
+  const allPoints = useMemo(
+    () => getScatterPoints(data, x, y, colorBy),
+    [data, x, y, colorBy]
+  );
+  // The fit uses every point, not just the plotted sample
+  const regression = useMemo(() => linearRegression(allPoints), [allPoints]);
+  const series = useMemo(() => {
+    const plotted = sample(allPoints);
+    return colorBy
+      ? groupByCategory(plotted)
+      : [{ name: `${y} vs ${x}`, points: plotted }];
+  }, [allPoints, colorBy, x, y]);
+  const outlierPoints = useMemo(
+    () =>
+      allPoints.filter(
+        (p) => isOutside(p.x, fences[x]) || isOutside(p.y, fences[y])
+      ),
+    [allPoints, fences, x, y]
+  );
+  const plottedOutliers = useMemo(() => sample(outlierPoints), [outlierPoints]);
+  // The columns each field of a point comes from (see protectPoint)
+  const hover = (point) =>
+    onPointHover &&
+    onPointHover(point.payload || point, {
+      x: [x],
+      y: [y],
+      row: [],
+      category: colorBy ? [colorBy] : [],
+    });
+
+  useChartData(
+    useMemo(
+      () => ({
+        headers: ["Row", x, y, ...(colorBy ? [colorBy] : [])],
+        rows: allPoints.map((p) => [
+          p.row,
+          p.x,
+          p.y,
+          ...(colorBy ? [p.category] : []),
+        ]),
+      }),
+      [allPoints, x, y, colorBy]
+    )
+  );
+
+  const plottedCount = series.reduce((sum, s) => sum + s.points.length, 0);
+  let trendSegment = null;
+  if (showTrend && regression && allPoints.length) {
+    let minX = Infinity;
+    let maxX = -Infinity;
+    allPoints.forEach((p) => {
+      if (p.x < minX) minX = p.x;
+      if (p.x > maxX) maxX = p.x;
+    });
+    trendSegment = [
+      { x: minX, y: regression.intercept + regression.slope * minX },
+      { x: maxX, y: regression.intercept + regression.slope * maxX },
+    ];
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-4 mb-3 text-sm">
+        <label className="flex items-center space-x-2 font-semibold text-black">
+          <input
+            type="checkbox"
+            checked={showTrend}
+            onChange={(e) => setShowTrend(e.target.checked)}
+          />
+          <span>Trend line</span>
+        </label>
+        {categoryColumns.length > 0 && (
+          <label className="flex items-center space-x-2 font-semibold text-black">
+            <span>Colour by</span>
+            <select
+              value={colorBy}
+              onChange={(e) => setColorBy(e.target.value)}
+              className="px-2 py-1 border-2 border-black rounded"
+            >
+              <option value="">None</option>
+              {categoryColumns.map((col) => (
+                <option key={col} value={col}>
+                  {col}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        {regression && (
+          <span className="ml-auto font-semibold text-black">
+            R² = {regression.r2.toFixed(3)} · y ={" "}
+            {formatNumber(regression.slope)}x{" "}
+            {regression.intercept < 0 ? "−" : "+"}{" "}
+            {formatNumber(Math.abs(regression.intercept))}
+          </span>
+        )}
+      </div>
+      <ResponsiveContainer width="100%" height={height}>
+        <ScatterChart margin={{ bottom: 20 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#000" />
+          <XAxis
+            type="number"
+            dataKey="x"
+            name={x}
+            stroke="#000"
+            domain={["auto", "auto"]}
+            tickFormatter={(v) => formatNumber(v)}
+            label={{ value: x, position: "insideBottom", offset: -10 }}
+          />
+          <YAxis
+            type="number"
+            dataKey="y"
+            name={y}
+            stroke="#000"
+            domain={["auto", "auto"]}
+            tickFormatter={(v) => formatNumber(v)}
+          />
+          <Tooltip
+            contentStyle={TOOLTIP_STYLE}
+            formatter={(value, name) => [formatNumber(value), name]}
+          />
+          {(colorBy || plottedOutliers.length > 0) && (
+            <Legend verticalAlign="top" />
+          )}
+          {series.map((s, i) => (
+            <Scatter
+              key={s.name}
+              name={s.name}
+              data={s.points}
+              fill={COLORS[(i * 2) % COLORS.length]}
+              fillOpacity={0.6}
+              shape={SHAPES[i % SHAPES.length]}
+              onMouseEnter={hover}
+            />
+          ))}
+          {plottedOutliers.length > 0 && (
+            <Scatter
+              name="Outliers"
+              data={plottedOutliers}
+              shape={ring}
+              legendType="circle"
+              onMouseEnter={hover}
+            />
+          )}
+          {trendSegment && (
+            <ReferenceLine
+              segment={trendSegment}
+              stroke="#000"
+              strokeWidth={2}
+              strokeDasharray="6 3"
+              ifOverflow="extendDomain"
+            />
+          )}
+        </ScatterChart>
+      </ResponsiveContainer>
+      <p className="text-xs text-gray-500 mt-1">
+        {plottedCount < allPoints.length
+          ? `Showing ${plottedCount.toLocaleString()} of ${allPoints.length.toLocaleString()} points (evenly sampled)`
+          : `${allPoints.length.toLocaleString()} points`}
+        {outlierPoints.length > 0 &&
+          ` · ${outlierPoints.length.toLocaleString()} ringed as outliers`}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,329 @@
+import React, { useMemo, useState } from "react";
+import { LineChart as LineIcon } from "lucide-react";
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ReferenceDot,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import ChartCard from "./ChartCard";
+import { AGGREGATIONS } from "../aggregate";
+import { formatNumber } from "../format";
+import { DEFAULT_OUTLIER_SETTINGS, seriesAnomalies } from "../outliers";
+import { COLORS, TOOLTIP_STYLE } from "../theme";
+import {
+  RESAMPLE_PERIODS,
+  addPeriodChange,
+  addRollingMean,
+  changeKey,
+  formatPeriod,
+  resample,
+  rollingKey,
+} from "../timeSeries";
+
+const ROLLING_WINDOWS = [0, 3, 7, 12];
+const MAX_MEASURES = 4;
+// Anomalies named under the chart; all of them are ringed
+const MAX_LISTED_ANOMALIES = 5;
+
+const selectClass = "px-2 py-1 border-2 border-black rounded";
+
+// Measures plotted over a date column, resampled to a chosen period.
+// Periods that stand out from their neighbours under outlierSettings are
+// ringed as anomalies.
+export default function TimeSeriesChart({
+  data,
+  analysis,
+  outlierSettings = DEFAULT_OUTLIER_SETTINGS,
+  onPointHover,
+}) {
+  const dateCols = Object.keys(analysis.dates);
+  const numericCols = Object.keys(analysis.numeric);
+  const [selectedDate, setDateColumn] = useState(dateCols[0]);
+  const [selectedMeasures, setMeasures] = useState(numericCols.slice(0, 1));
+  // Columns can disappear when the data changes underneath the chart
+  const dateColumn = dateCols.includes(selectedDate)
+    ? selectedDate
+    : dateCols[0];
+  const measures = useMemo(
+    () => selectedMeasures.filter((m) => m in analysis.numeric),
+    [selectedMeasures, analysis]
+  );
+  const [period, setPeriod] = useState("month");
+  const [agg, setAgg] = useState("sum");
+  const [rollingWindow, setRollingWindow] = useState(0);
+  const [showChange, setShowChange] = useState(false);
+
+  const points = useMemo(() => {
+    let result = resample(data, {
+      dateColumn,
+      dateOrder: analysis.types[dateColumn]?.dateOrder,
+      measures,
+      period,
+      agg,
+    });
+    measures.forEach((m) => {
+      if (rollingWindow) result = addRollingMean(result, m, rollingWindow);
+      result = addPeriodChange(result, m);
+    });
+    return result;
+  }, [data, analysis, dateColumn, measures, period, agg, rollingWindow]);
+
+  const anomalies = useMemo(
+    () =>
+      measures.flatMap((m, i) =>
+        seriesAnomalies(points, m, outlierSettings).map((idx) => ({
+          measure: m,
+          series: i,
+          point: points[idx],
+        }))
+      ),
+    [points, measures, outlierSettings]
+  );
+
+  // The columns each plotted field comes from (see protectPoint)
+  const sources = {
+    time: [dateColumn],
+    label: [dateColumn],
+    ...Object.fromEntries(
+      measures.flatMap((m) => [
+        [m, [m]],
+        [rollingKey(m, rollingWindow), [m]],
+        [changeKey(m), [m]],
+      ])
+    ),
+  };
+
+  const toggleMeasure = (col) =>
+    setMeasures((prev) =>
+      prev.includes(col)
+        ? prev.filter((m) => m !== col)
+        : [...prev, col].slice(-MAX_MEASURES)
+    );
+
+  const timeAxis = (
+    <XAxis
+      type="number"
+      dataKey="time"
+      scale="time"
+      domain={["dataMin", "dataMax"]}
+      stroke="#000"
+      tickFormatter={(t) => formatPeriod(t, period)}
+    />
+  );
+  const tooltip = (
+    <Tooltip
+      contentStyle={TOOLTIP_STYLE}
+      labelFormatter={(t) => formatPeriod(t, period)}
+      formatter={(value, name) => [formatNumber(value), name]}
+    />
+  );
+  const colorFor = (i) => COLORS[(i * 2) % COLORS.length];
+
+  return (
+    <ChartCard
+      title="Time Series"
+      icon={LineIcon}
+      className="mb-8"
+      description={`${AGGREGATIONS[agg]} per ${RESAMPLE_PERIODS[
+        period
+      ].toLowerCase()} over ${dateColumn}, sorted by date`}
+      getData={() => {
+        const columns = [
+          ...measures,
+          ...(rollingWindow
+            ? measures.map((m) => rollingKey(m, rollingWindow))
+            : []),
+          ...(showChange ? measures.map(changeKey) : []),
+        ];
+        return {
+          headers: [dateColumn, ...columns],
+          rows: points.map((p) => [p.label, ...columns.map((c) => p[c] ?? "")]),
+        };
+      }}
+    >
+      <div className="flex flex-wrap items-center gap-4 mb-3 text-sm font-semibold text-black">
+        <label className="flex items-center space-x-2">
+          <span>Date</span>
+          <select
+            value={dateColumn}
+            onChange={(e) => setDateColumn(e.target.value)}
+            className={selectClass}
+          >
+            {dateCols.map((col) => (
+              <option key={col} value={col}>
+                {col}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center space-x-2">
+          <span>Resample by</span>
+          <select
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            className={selectClass}
+          >
+            {Object.entries(RESAMPLE_PERIODS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center space-x-2">
+          <span>Aggregation</span>
+          <select
+            value={agg}
+            onChange={(e) => setAgg(e.target.value)}
+            className={selectClass}
+          >
+            {Object.entries(AGGREGATIONS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center space-x-2">
+          <span>Rolling average</span>
+          <select
+            value={rollingWindow}
+            onChange={(e) => setRollingWindow(Number(e.target.value))}
+            className={selectClass}
+          >
+            {ROLLING_WINDOWS.map((w) => (
+              <option key={w} value={w}>
+                {w ? `${w} periods` : "Off"}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center space-x-2">
+          <input
+            type="checkbox"
+            checked={showChange}
+            onChange={(e) => setShowChange(e.target.checked)}
+          />
+          <span>Period-over-period change</span>
+        </label>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {numericCols.map((col) => (
+          <button
+            key={col}
+            onClick={() => toggleMeasure(col)}
+            className={`px-3 py-1 rounded-full border-2 border-black text-sm font-semibold ${
+              measures.includes(col)
+                ? "bg-black text-white"
+                : "bg-white text-black"
+            }`}
+          >
+            {col}
+          </button>
+        ))}
+      </div>
+
+      {points.length === 0 || measures.length === 0 ? (
+        <p className="text-sm text-gray-600">
+          {measures.length
+            ? `No parseable dates in ${dateColumn}.`
+            : "Pick at least one measure to plot."}
+        </p>
+      ) : (
+        <>
+          <ResponsiveContainer width="100%" height={320}>
+            <LineChart
+              data={points}
+              onMouseMove={(state) => {
+                const point = state?.activePayload?.[0]?.payload;
+                if (point && onPointHover) {
+                  onPointHover(point, dateColumn, sources);
+                }
+              }}
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke="#000" />
+              {timeAxis}
+              <YAxis stroke="#000" tickFormatter={(v) => formatNumber(v)} />
+              {tooltip}
+              <Legend />
+              {measures.map((m, i) => (
+                <Line
+                  key={m}
+                  type="monotone"
+                  dataKey={m}
+                  stroke={colorFor(i)}
+                  strokeWidth={2}
+                  dot={points.length <= 60}
+                  connectNulls
+                />
+              ))}
+              {rollingWindow > 0 &&
+                measures.map((m, i) => (
+                  <Line
+                    key={rollingKey(m, rollingWindow)}
+                    type="monotone"
+                    dataKey={rollingKey(m, rollingWindow)}
+                    stroke={colorFor(i)}
+                    strokeWidth={2}
+                    strokeDasharray="6 3"
+                    dot={false}
+                    connectNulls
+                  />
+                ))}
+              {anomalies.map(({ measure, series, point }) => (
+                <ReferenceDot
+                  key={`${measure}-${point.time}`}
+                  x={point.time}
+                  y={point[measure]}
+                  r={7}
+                  fill="none"
+                  stroke={colorFor(series)}
+                  strokeWidth={2}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+          {showChange && (
+            <ResponsiveContainer width="100%" height={180}>
+              <BarChart data={points}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#000" />
+                {timeAxis}
+                <YAxis stroke="#000" tickFormatter={(v) => `${v}%`} />
+                {tooltip}
+                <ReferenceLine y={0} stroke="#000" />
+                {measures.map((m, i) => (
+                  <Bar key={m} dataKey={changeKey(m)} fill={colorFor(i)} />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          )}
+          <p className="text-xs text-gray-500 mt-1">
+            {points.length.toLocaleString()} periods, empty periods included
+            {anomalies.length > 0 &&
+              ` · ${anomalies.length.toLocaleString()} ringed as anomalies: ${anomalies
+                .slice(0, MAX_LISTED_ANOMALIES)
+                .map(
+                  ({ measure, point }) =>
+                    `${measure} ${formatNumber(point[measure])} in ${
+                      point.label
+                    }`
+                )
+                .join(", ")}${
+                anomalies.length > MAX_LISTED_ANOMALIES ? ", …" : ""
+              }`}
+          </p>
+        </>
+      )}
+    </ChartCard>
+  );
+}
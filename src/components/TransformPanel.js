@@ -0,0 +1,506 @@
+import React, { useState } from "react";
+import {
+  AlertCircle,
+  ChevronDown,
+  ChevronUp,
+  Plus,
+  Redo2,
+  Undo2,
+  Wand2,
+  X,
+} from "lucide-react";
+import FormulaEditor, { checkFormula } from "./FormulaEditor";
+import { COLUMN_TYPE_OVERRIDES } from "../ingest";
+import { FILL_METHODS, FILTER_OPERATORS, TRANSFORMS } from "../transforms";
+
+const DEFAULT_PARAMS = {
+  trim: { columns: [] },
+  changeType: { column: "", type: "number" },
+  fillMissing: { column: "", method: "constant", value: "" },
+  dropColumns: { columns: [] },
+  dedupe: { columns: [] },
+  findReplace: {
+    column: "",
+    find: "",
+    replace: "",
+    regex: false,
+    matchCase: false,
+  },
+  split: { column: "", delimiter: ",", parts: 2 },
+  merge: { columns: [], separator: " ", name: "" },
+  rename: { column: "", name: "" },
+  filterRows: { column: "", operator: "equals", value: "" },
+  calculate: { name: "", formula: "" },
+};
+
+// Steps that can't run without these params keep the Add button disabled
+const isComplete = (type, params, headers) => {
+  switch (type) {
+    case "calculate":
+      return (
+        !!params.name &&
+        !headers.includes(params.name) &&
+        !checkFormula(params.formula, headers).error
+      );
+    case "changeType":
+    case "fillMissing":
+    case "split":
+    case "filterRows":
+      return !!params.column;
+    case "dropColumns":
+      return params.columns.length > 0;
+    case "findReplace":
+      return !!params.find;
+    case "merge":
+      return params.columns.length >= 2 && !!params.name;
+    case "rename":
+      return !!params.column && !!params.name;
+    default:
+      return true;
+  }
+};
+
+const inputClass = "px-2 py-1 border-2 border-black rounded text-sm";
+
+const Field = ({ label, children }) => (
+  <label className="flex flex-col text-sm font-semibold text-black">
+    <span className="mb-1">{label}</span>
+    {children}
+  </label>
+);
+
+const ColumnSelect = ({ headers, value, onChange, emptyLabel = "Select…" }) => (
+  <select
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    className={inputClass}
+  >
+    <option value="">{emptyLabel}</option>
+    {headers.map((h) => (
+      <option key={h} value={h}>
+        {h}
+      </option>
+    ))}
+  </select>
+);
+
+const ColumnChips = ({ headers, value, onChange }) => (
+  <div className="flex flex-wrap gap-2">
+    {headers.map((h) => (
+      <button
+        key={h}
+        onClick={() =>
+          onChange(
+            value.includes(h) ? value.filter((c) => c !== h) : [...value, h]
+          )
+        }
+        className={`px-3 py-1 rounded-full border-2 border-black text-sm font-semibold ${
+          value.includes(h) ? "bg-black text-white" : "bg-white text-black"
+        }`}
+      >
+        {h}
+      </button>
+    ))}
+  </div>
+);
+
+// Step editor and history for the cleaning pipeline. The pipeline itself
+// lives in the dashboard, which replays it whenever the steps change.
+export default function TransformPanel({
+  headers,
+  rows,
+  dateOrders,
+  steps,
+  errors,
+  notes,
+  canUndo,
+  canRedo,
+  rowCount,
+  sourceRowCount,
+  onAdd,
+  onRemove,
+  onMove,
+  onUndo,
+  onRedo,
+  onReset,
+}) {
+  const [type, setType] = useState("trim");
+  const [params, setParams] = useState(DEFAULT_PARAMS.trim);
+  const update = (changes) => setParams((prev) => ({ ...prev, ...changes }));
+
+  const selectType = (nextType) => {
+    setType(nextType);
+    setParams(DEFAULT_PARAMS[nextType]);
+  };
+
+  const columnField = (label = "Column", emptyLabel) => (
+    <Field label={label}>
+      <ColumnSelect
+        headers={headers}
+        value={params.column}
+        onChange={(column) => update({ column })}
+        emptyLabel={emptyLabel}
+      />
+    </Field>
+  );
+
+  const renderParams = () => {
+    switch (type) {
+      case "trim":
+      case "dedupe":
+        return (
+          <div className="col-span-full">
+            <p className="text-sm font-semibold text-black mb-1">
+              Columns (none selected = all)
+            </p>
+            <ColumnChips
+              headers={headers}
+              value={params.columns}
+              onChange={(columns) => update({ columns })}
+            />
+          </div>
+        );
+      case "dropColumns":
+        return (
+          <div className="col-span-full">
+            <p className="text-sm font-semibold text-black mb-1">Columns</p>
+            <ColumnChips
+              headers={headers}
+              value={params.columns}
+              onChange={(columns) => update({ columns })}
+            />
+          </div>
+        );
+      case "changeType":
+        return (
+          <>
+            {columnField()}
+            <Field label="Type">
+              <select
+                value={params.type}
+                onChange={(e) => update({ type: e.target.value })}
+                className={inputClass}
+              >
+                {COLUMN_TYPE_OVERRIDES.map((t) => (
+                  <option key={t.id} value={t.id}>
+                    {t.label}
+                  </option>
+                ))}
+              </select>
+            </Field>
+          </>
+        );
+      case "fillMissing":
+        return (
+          <>
+            {columnField()}
+            <Field label="Fill with">
+              <select
+                value={params.method}
+                onChange={(e) => update({ method: e.target.value })}
+                className={inputClass}
+              >
+                {Object.entries(FILL_METHODS).map(([id, label]) => (
+                  <option key={id} value={id}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </Field>
+            {params.method === "constant" && (
+              <Field label="Value">
+                <input
+                  value={params.value}
+                  onChange={(e) => update({ value: e.target.value })}
+                  className={inputClass}
+                />
+              </Field>
+            )}
+          </>
+        );
+      case "findReplace":
+        return (
+          <>
+            {columnField("Column", "All columns")}
+            <Field label="Find">
+              <input
+                value={params.find}
+                onChange={(e) => update({ find: e.target.value })}
+                className={inputClass}
+              />
+            </Field>
+            <Field label="Replace with">
+              <input
+                value={params.replace}
+                onChange={(e) => update({ replace: e.target.value })}
+                className={inputClass}
+              />
+            </Field>
+            <div className="flex flex-col justify-end text-sm font-semibold text-black">
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={params.regex}
+                  onChange={(e) => update({ regex: e.target.checked })}
+                />
+                <span>Regular expression</span>
+              </label>
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={params.matchCase}
+                  onChange={(e) => update({ matchCase: e.target.checked })}
+                />
+                <span>Match case</span>
+              </label>
+            </div>
+          </>
+        );
+      case "split":
+        return (
+          <>
+            {columnField()}
+            <Field label="Delimiter">
+              <input
+                value={params.delimiter}
+                onChange={(e) => update({ delimiter: e.target.value })}
+                className={inputClass}
+              />
+            </Field>
+            <Field label="Into columns">
+              <input
+                type="number"
+                min={2}
+                value={params.parts}
+                onChange={(e) => update({ parts: Number(e.target.value) })}
+                className={inputClass}
+              />
+            </Field>
+          </>
+        );
+      case "merge":
+        return (
+          <>
+            <div className="col-span-full">
+              <p className="text-sm font-semibold text-black mb-1">
+                Columns, in order
+              </p>
+              <ColumnChips
+                headers={headers}
+                value={params.columns}
+                onChange={(columns) => update({ columns })}
+              />
+            </div>
+            <Field label="Separator">
+              <input
+                value={params.separator}
+                onChange={(e) => update({ separator: e.target.value })}
+                className={inputClass}
+              />
+            </Field>
+            <Field label="New column name">
+              <input
+                value={params.name}
+                onChange={(e) => update({ name: e.target.value })}
+                className={inputClass}
+              />
+            </Field>
+          </>
+        );
+      case "rename":
+        return (
+          <>
+            {columnField()}
+            <Field label="New name">
+              <input
+                value={params.name}
+                onChange={(e) => update({ name: e.target.value })}
+                className={inputClass}
+              />
+            </Field>
+          </>
+        );
+      case "filterRows":
+        return (
+          <>
+            {columnField("Keep rows where")}
+            <Field label="Condition">
+              <select
+                value={params.operator}
+                onChange={(e) => update({ operator: e.target.value })}
+                className={inputClass}
+              >
+                {Object.entries(FILTER_OPERATORS).map(([id, label]) => (
+                  <option key={id} value={id}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </Field>
+            {!["blank", "notBlank"].includes(params.operator) && (
+              <Field label="Value">
+                <input
+                  value={params.value}
+                  onChange={(e) => update({ value: e.target.value })}
+                  className={inputClass}
+                />
+              </Field>
+            )}
+          </>
+        );
+      case "calculate":
+        return (
+          <FormulaEditor
+            name={params.name}
+            formula={params.formula}
+            headers={headers}
+            rows={rows}
+            dateOrders={dateOrders}
+            onChange={update}
+          />
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="bg-white rounded-xl shadow-lg p-6 border-4 border-black">
+        <h3 className="text-xl font-bold text-black mb-4 flex items-center">
+          <Wand2 className="w-5 h-5 mr-2 text-black" />
+          Add a step
+        </h3>
+        <div className="grid grid-cols-2 gap-4 mb-4">
+          <Field label="Transform">
+            <select
+              value={type}
+              onChange={(e) => selectType(e.target.value)}
+              className={inputClass}
+            >
+              {Object.entries(TRANSFORMS).map(([id, t]) => (
+                <option key={id} value={id}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+          </Field>
+          {renderParams()}
+        </div>
+        <button
+          onClick={() => {
+            // Date functions keep reading dates the way the analysis did
+            onAdd({
+              type,
+              params: type === "calculate" ? { ...params, dateOrders } : params,
+            });
+            setParams(DEFAULT_PARAMS[type]);
+          }}
+          disabled={!isComplete(type, params, headers)}
+          className="inline-flex items-center space-x-2 px-4 py-2 bg-black text-white rounded-lg font-semibold disabled:opacity-40"
+        >
+          <Plus className="w-4 h-4" />
+          <span>Apply step</span>
+        </button>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6 border-4 border-black">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-black">Step history</h3>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={onUndo}
+              disabled={!canUndo}
+              className="p-2 border-2 border-black rounded-lg disabled:opacity-30"
+              aria-label="Undo"
+              title="Undo"
+            >
+              <Undo2 className="w-4 h-4" />
+            </button>
+            <button
+              onClick={onRedo}
+              disabled={!canRedo}
+              className="p-2 border-2 border-black rounded-lg disabled:opacity-30"
+              aria-label="Redo"
+              title="Redo"
+            >
+              <Redo2 className="w-4 h-4" />
+            </button>
+            <button
+              onClick={onReset}
+              disabled={!steps.length}
+              className="px-3 py-2 text-sm font-semibold text-black hover:underline disabled:opacity-30"
+            >
+              Reset all
+            </button>
+          </div>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          {rowCount.toLocaleString()} rows × {headers.length} columns
+          {rowCount !== sourceRowCount &&
+            ` (${sourceRowCount.toLocaleString()} rows imported)`}
+        </p>
+        {steps.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No steps yet. The imported data is shown as-is.
+          </p>
+        ) : (
+          <ol className="space-y-2">
+            {steps.map((step, idx) => (
+              <li
+                key={step.id}
+                className={`flex items-start justify-between p-3 border-2 rounded-lg ${
+                  errors[step.id]
+                    ? "border-dashed border-black"
+                    : "border-black"
+                }`}
+              >
+                <div>
+                  <p className="text-sm font-semibold text-black">
+                    {idx + 1}. {TRANSFORMS[step.type].describe(step.params)}
+                  </p>
+                  {errors[step.id] && (
+                    <p className="text-xs text-gray-600 flex items-center mt-1">
+                      <AlertCircle className="w-3 h-3 mr-1" />
+                      Skipped: {errors[step.id]}
+                    </p>
+                  )}
+                  {notes[step.id] && (
+                    <p className="text-xs text-gray-600 mt-1">
+                      {notes[step.id]}
+                    </p>
+                  )}
+                </div>
+                <div className="flex items-center space-x-1 flex-shrink-0">
+                  <button
+                    onClick={() => onMove(step.id, -1)}
+                    disabled={idx === 0}
+                    className="p-1 rounded hover:bg-gray-100 disabled:opacity-30"
+                    aria-label="Move step up"
+                  >
+                    <ChevronUp className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => onMove(step.id, 1)}
+                    disabled={idx === steps.length - 1}
+                    className="p-1 rounded hover:bg-gray-100 disabled:opacity-30"
+                    aria-label="Move step down"
+                  >
+                    <ChevronDown className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => onRemove(step.id)}
+                    className="p-1 rounded hover:bg-gray-100"
+                    aria-label="Remove step"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import React from "react";
+import { TYPE_LABELS } from "../columnTypes";
+
+// Shows a column's inferred type with its confidence, e.g. "Currency 98%".
+// Dates written in both day and month order are marked with an asterisk.
+export default function TypeBadge({ typeInfo, inverted = false }) {
+  if (!typeInfo) return null;
+  return (
+    <span
+      title={`Detected as ${TYPE_LABELS[typeInfo.type]} with ${Math.round(
+        typeInfo.confidence * 100
+      )}% confidence${
+        typeInfo.mixedDateOrder
+          ? "; the dates mix day-first and month-first values"
+          : ""
+      }`}
+      className={`inline-block ml-2 px-2 py-0.5 rounded text-xs font-semibold whitespace-nowrap ${
+        inverted ? "bg-white text-black" : "bg-black text-white"
+      }`}
+    >
+      {TYPE_LABELS[typeInfo.type]} {Math.round(typeInfo.confidence * 100)}%
+      {typeInfo.mixedDateOrder && "*"}
+    </span>
+  );
+}
@@ -0,0 +1,26 @@
+import Papa from "papaparse";
+
+// Saves content through a temporary object URL. CSV text gets a byte-order
+// mark, without which Excel reads it in the system's legacy encoding.
+export const downloadFile = (content, filename, type = "text/plain") => {
+  const blob =
+    content instanceof Blob
+      ? content
+      : new Blob([type === "text/csv" ? `\uFEFF${content}` : content], {
+          type,
+        });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+export const toCSV = (headers, rows, delimiter = ",") =>
+  Papa.unparse({ fields: headers, data: rows }, { delimiter });
+
+// "sales data.csv" -> "sales data"
+export const baseName = (name = "data") => name.replace(/\.[^.]+$/, "");
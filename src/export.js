@@ -0,0 +1,140 @@
+import { toCSV } from "./download";
+import { NUMERIC_STAT_ROWS } from "./format";
+import { TYPE_LABELS } from "./columnTypes";
+
+export const EXPORT_FORMATS = {
+  csv: { label: "CSV", extension: "csv", mime: "text/csv" },
+  json: { label: "JSON", extension: "json", mime: "application/json" },
+  ndjson: {
+    label: "NDJSON (one object per line)",
+    extension: "ndjson",
+    mime: "application/x-ndjson",
+  },
+  // SpreadsheetML is XML; Excel warns about a format mismatch when it is
+  // saved as .xls
+  xml: {
+    label: "Excel workbook (XML)",
+    extension: "xml",
+    mime: "application/xml",
+  },
+};
+
+const isBlank = (v) => v === null || v === undefined || v === "";
+
+// Objects keep the header order and write blanks as null.
+const toObjects = (rows, headers) =>
+  rows.map((row) => {
+    const out = {};
+    headers.forEach((h) => {
+      out[h] = isBlank(row[h]) ? null : row[h];
+    });
+    return out;
+  });
+
+const toArrays = (rows, headers) =>
+  rows.map((row) => headers.map((h) => (isBlank(row[h]) ? "" : row[h])));
+
+export const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const xmlCell = (value) => {
+  if (isBlank(value)) return "<Cell/>";
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<Cell><Data ss:Type="Number">${value}</Data></Cell>`;
+  }
+  if (typeof value === "boolean") {
+    return `<Cell><Data ss:Type="Boolean">${value ? 1 : 0}</Data></Cell>`;
+  }
+  return `<Cell><Data ss:Type="String">${escapeXml(value)}</Data></Cell>`;
+};
+
+// Excel 2003 XML (SpreadsheetML): plain text that Excel, LibreOffice and
+// Numbers open as a multi-sheet workbook, without a zip library.
+export const toSpreadsheetML = (sheets) => {
+  const worksheets = sheets.map(({ name, headers, rows }) => {
+    const headerRow = `<Row>${headers
+      .map(
+        (h) =>
+          `<Cell ss:StyleID="header"><Data ss:Type="String">${escapeXml(
+            h
+          )}</Data></Cell>`
+      )
+      .join("")}</Row>`;
+    const body = rows
+      .map((row) => `<Row>${row.map(xmlCell).join("")}</Row>`)
+      .join("\n");
+    // Sheet names are limited to 31 characters and cannot contain []:*?/\
+    const sheetName = escapeXml(name.replace(/[[\]:*?/\\]/g, " ").slice(0, 31));
+    return `<Worksheet ss:Name="${sheetName}"><Table>\n${headerRow}\n${body}\n</Table></Worksheet>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<?mso-application progid="Excel.Sheet"?>
+<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">
+<Styles><Style ss:ID="header"><Font ss:Bold="1"/></Style></Styles>
+${worksheets.join("\n")}
+</Workbook>`;
+};
+
+// One row per column with its type and every statistic analyzeData
+// computed for it; statistics that don't apply to the type stay blank.
+export const summaryTable = (analysis, headers) => {
+  const columns = [
+    "Column",
+    "Type",
+    ...NUMERIC_STAT_ROWS.map((stat) => stat.label),
+    "Most common",
+    "Most common count",
+    "Unique values",
+    "Earliest",
+    "Latest",
+  ];
+  const rows = headers.map((header) => {
+    const numeric = analysis.numeric[header];
+    const categorical = analysis.categorical[header];
+    const dates = analysis.dates[header];
+    const stat = (value) =>
+      value === undefined || Number.isNaN(value) ? "" : value;
+    return [
+      header,
+      TYPE_LABELS[analysis.types[header]?.type] || "",
+      ...NUMERIC_STAT_ROWS.map((s) => stat(numeric?.[s.key])),
+      categorical?.mostCommon?.[0] ?? "",
+      categorical?.mostCommon?.[1] ?? "",
+      categorical?.unique ?? dates?.unique ?? "",
+      dates?.min?.slice(0, 10) ?? "",
+      dates?.max?.slice(0, 10) ?? "",
+    ];
+  });
+  return { headers: columns, rows };
+};
+
+// Serializes rows for download in one of EXPORT_FORMATS. The workbook
+// carries the statistics summary as a second sheet.
+export const exportData = (
+  format,
+  { rows, headers, analysis, delimiter = "," }
+) => {
+  switch (format) {
+    case "csv":
+      return toCSV(headers, toArrays(rows, headers), delimiter);
+    case "json":
+      return JSON.stringify(toObjects(rows, headers), null, 2);
+    case "ndjson":
+      return toObjects(rows, headers)
+        .map((row) => JSON.stringify(row))
+        .join("\n");
+    case "xml": {
+      const summary = summaryTable(analysis, headers);
+      return toSpreadsheetML([
+        { name: "Data", headers, rows: toArrays(rows, headers) },
+        { name: "Statistics", headers: summary.headers, rows: summary.rows },
+      ]);
+    }
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+};
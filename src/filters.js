@@ -0,0 +1,41 @@
+// Cross-filters set by clicking chart categories: { column: [values] }.
+// Values within a column are alternatives; columns must all match.
+
+const cellKey = (value) =>
+  value === null || value === undefined ? "" : String(value);
+
+export const hasFilters = (filters) => Object.keys(filters).length > 0;
+
+export const matchesFilters = (row, filters, exceptColumn) =>
+  Object.entries(filters).every(
+    ([column, values]) =>
+      column === exceptColumn || values.includes(cellKey(row[column]))
+  );
+
+// exceptColumn leaves out that column's own filter, so the chart that set
+// it keeps showing every category.
+export const applyFilters = (data, filters, exceptColumn) =>
+  hasFilters(filters)
+    ? data.filter((row) => matchesFilters(row, filters, exceptColumn))
+    : data;
+
+// A plain click selects only this value, or clears the column when it is
+// already the sole selection; additive clicks (modifier keys) toggle it.
+export const toggleFilterValue = (filters, column, value, additive) => {
+  const current = filters[column] || [];
+  let next;
+  if (additive) {
+    next = current.includes(value)
+      ? current.filter((v) => v !== value)
+      : [...current, value];
+  } else {
+    next = current.length === 1 && current[0] === value ? [] : [value];
+  }
+  const { [column]: _removed, ...rest } = filters;
+  return next.length ? { ...rest, [column]: next } : rest;
+};
+
+export const removeFilter = (filters, column) => {
+  const { [column]: _removed, ...rest } = filters;
+  return rest;
+};
@@ -0,0 +1,535 @@
+import { getCategoryColumns } from "./analysis";
+import { parseDate, toNumber } from "./columnTypes";
+import { formatNumber } from "./format";
+import {
+  DEFAULT_OUTLIER_SETTINGS,
+  describeFences,
+  detectOutliers,
+  mostExtreme,
+} from "./outliers";
+import { columnModes, sanitizeColumnStats, sanitizeRows } from "./privacy";
+import { EXTREME_VALUES, SAMPLE_ROWS } from "./prompts";
+import { pearson, rank } from "./stats";
+import { formatPeriod, resample } from "./timeSeries";
+
+// Rule-based findings computed from the data alone, in the same shape as
+// the AI report (see aiReport.js) so the same card shows either. The
+// numbers behind them are kept as facts, which the AI's claims are
+// checked against.
+
+const DOMINANT_SHARE = 0.5;
+const TOP_N = 3;
+const CONCENTRATED_SHARE = 0.8;
+const STRONG_CORRELATION = 0.7;
+const MIN_PAIRS = 10;
+const MAX_CORRELATED_COLUMNS = 20;
+// Past this, the distribution is described as skewed
+const SKEWNESS = 1;
+const MISSING_SHARE = 0.2;
+const MAX_OUTLIER_SHARE = 0.1;
+const TREND_CORRELATION = 0.7;
+const MIN_PERIODS = 4;
+const MAX_TREND_MEASURES = 5;
+const MAX_ITEMS = 6;
+const DAY = 24 * 60 * 60 * 1000;
+
+const isBlank = (v) => v === null || v === undefined || v === "";
+
+const percent = (share) => `${formatNumber(share * 100, 0)}%`;
+
+const item = (text, columns, confidence = "high", score = 1) => ({
+  text,
+  columns,
+  confidence,
+  score,
+});
+
+// Sequential identifiers and row numbers would "correlate" and "trend"
+// with everything.
+const measureColumns = (analysis) =>
+  Object.keys(analysis.numeric).filter((column) => {
+    const stats = analysis.numeric[column];
+    return (
+      stats.count > 1 &&
+      !(
+        analysis.types[column].type === "integer" &&
+        stats.distinctCount / stats.count >= 0.98
+      )
+    );
+  });
+
+const concentration = (analysis, facts) =>
+  getCategoryColumns(analysis).flatMap((column) => {
+    const { distribution, total, unique } = analysis.categorical[column];
+    if (!total || unique < 2) return [];
+    const sorted = Object.entries(distribution).sort((a, b) => b[1] - a[1]);
+    facts.shares[column] = sorted
+      .slice(0, 10)
+      .map(([value, count]) => ({ value, count, share: count / total }));
+    const [top, count] = sorted[0];
+    if (count / total >= DOMINANT_SHARE) {
+      return [
+        item(
+          `${top} makes up ${percent(
+            count / total
+          )} of ${column} (${unique} distinct values).`,
+          [column],
+          "high",
+          count / total
+        ),
+      ];
+    }
+    const topCount = sorted.slice(0, TOP_N).reduce((sum, [, n]) => sum + n, 0);
+    if (unique > TOP_N + 1 && topCount / total >= CONCENTRATED_SHARE) {
+      return [
+        item(
+          `The top ${TOP_N} of ${unique} ${column} values (${sorted
+            .slice(0, TOP_N)
+            .map(([value]) => value)
+            .join(", ")}) cover ${percent(topCount / total)} of rows.`,
+          [column],
+          "high",
+          topCount / total
+        ),
+      ];
+    }
+    return [];
+  });
+
+const correlations = (data, measures, facts) => {
+  const columns = measures.slice(0, MAX_CORRELATED_COLUMNS);
+  const series = columns.map((column) =>
+    data.map((row) => {
+      const n = toNumber(row[column]);
+      return Number.isFinite(n) ? n : NaN;
+    })
+  );
+  const found = [];
+  for (let i = 0; i < columns.length; i++) {
+    for (let j = i + 1; j < columns.length; j++) {
+      const { r, n } = pearson(series[i], series[j]);
+      if (Number.isNaN(r) || n < MIN_PAIRS) continue;
+      facts.correlations.push({ columns: [columns[i], columns[j]], r, n });
+      if (Math.abs(r) < STRONG_CORRELATION) continue;
+      found.push(
+        item(
+          `${columns[i]} and ${columns[j]} are strongly ${
+            r > 0 ? "positively" : "negatively"
+          } correlated (r = ${formatNumber(
+            r
+          )} over ${n.toLocaleString()} rows).`,
+          [columns[i], columns[j]],
+          n >= 30 ? "high" : "medium",
+          Math.abs(r)
+        )
+      );
+    }
+  }
+  return found;
+};
+
+// The fences and counts the charts, the grid and the report prompt use,
+// from the user's outlier settings; facts.outliers keeps what the prompt
+// quotes of them.
+const outliers = (data, analysis, measures, settings, facts) => {
+  const detected = detectOutliers(data, analysis, settings);
+  Object.entries(detected).forEach(([column, outlier]) => {
+    facts.outliers[column] = {
+      low: outlier.low,
+      high: outlier.high,
+      count: outlier.rows.length,
+      mostExtreme: mostExtreme(data, column, outlier, EXTREME_VALUES),
+    };
+  });
+  return measures.flatMap((column) => {
+    const found = facts.outliers[column];
+    if (!found?.count) return [];
+    const {
+      count,
+      mostExtreme: [extreme],
+    } = found;
+    const share = count / analysis.numeric[column].count;
+    if (share > MAX_OUTLIER_SHARE) return [];
+    return [
+      item(
+        `${column} has ${count.toLocaleString()} outlier${
+          count === 1 ? "" : "s"
+        } (${percent(share)}) ${describeFences(
+          found
+        )}; the most extreme is ${formatNumber(extreme)}.`,
+        [column],
+        "high",
+        Math.min(1, share * 10)
+      ),
+    ];
+  });
+};
+
+const skewed = (analysis, measures) =>
+  measures.flatMap((column) => {
+    const { skewness, mean, median } = analysis.numeric[column];
+    if (Math.abs(skewness) < SKEWNESS) return [];
+    return [
+      item(
+        `${column} is ${
+          skewness > 0 ? "right" : "left"
+        }-skewed (skewness ${formatNumber(
+          skewness
+        )}): the mean of ${formatNumber(mean)} is pulled ${
+          skewness > 0 ? "above" : "below"
+        } the median of ${formatNumber(median)}.`,
+        [column],
+        "high",
+        Math.min(1, Math.abs(skewness) / 3)
+      ),
+    ];
+  });
+
+const missingData = (data, headers) =>
+  headers.flatMap((column) => {
+    const missing = data.filter((row) => isBlank(row[column])).length;
+    const share = missing / data.length;
+    if (share < MISSING_SHARE) return [];
+    return [
+      item(
+        `${column} is missing in ${percent(
+          share
+        )} of rows (${missing.toLocaleString()}).`,
+        [column],
+        "high",
+        share
+      ),
+    ];
+  });
+
+// Coarse enough to have a handful of points, fine enough to show a shape
+const trendPeriod = (span) =>
+  span > 3 * 365 * DAY
+    ? "quarter"
+    : span > 90 * DAY
+    ? "month"
+    : span > 21 * DAY
+    ? "week"
+    : "day";
+
+// Spearman correlation between period order and value: 1 is a series
+// that only ever goes up.
+const trends = (data, analysis, measures, facts) => {
+  const dateColumn = Object.keys(analysis.dates).sort(
+    (a, b) => analysis.dates[b].count - analysis.dates[a].count
+  )[0];
+  if (!dateColumn) return [];
+  const { min, max } = analysis.dates[dateColumn];
+  if (!min || !max) return [];
+  const period = trendPeriod(Date.parse(max) - Date.parse(min));
+  const dateOrder = analysis.types[dateColumn].dateOrder;
+  const dated = data.filter(
+    (row) => !isNaN(parseDate(row[dateColumn], dateOrder))
+  );
+  const series = [
+    { label: "The number of rows", column: null, agg: "count" },
+    ...measures
+      .slice(0, MAX_TREND_MEASURES)
+      .map((column) => ({ label: `Total ${column}`, column, agg: "sum" })),
+  ];
+
+  return series.flatMap(({ label, column, agg }) => {
+    const measure = column || dateColumn;
+    const points = resample(dated, {
+      dateColumn,
+      dateOrder,
+      measures: [measure],
+      period,
+      agg,
+    }).filter((p) => p[measure] !== null);
+    if (points.length < MIN_PERIODS) return [];
+    const values = points.map((p) => p[measure]);
+    const { r: rho } = pearson(rank(points.map((p, i) => i)), rank(values));
+    if (Number.isNaN(rho)) return [];
+    const first = values[0];
+    const last = values[values.length - 1];
+    const change = first ? (last - first) / Math.abs(first) : null;
+    const columns = column ? [column, dateColumn] : [dateColumn];
+    facts.trends.push({ column, columns, rho, first, last, change });
+    if (Math.abs(rho) < TREND_CORRELATION) return [];
+    const from = formatPeriod(points[0].time, period);
+    const to = formatPeriod(points[points.length - 1].time, period);
+    return [
+      item(
+        `${label} ${
+          rho > 0 ? "rose" : "fell"
+        } steadily by ${period}, from ${formatNumber(
+          first
+        )} in ${from} to ${formatNumber(last)} in ${to}${
+          change === null ? "" : ` (${change > 0 ? "+" : ""}${percent(change)})`
+        }; Spearman ρ = ${formatNumber(rho)} over ${points.length} ${period}s.`,
+        columns,
+        points.length >= 8 ? "high" : "medium",
+        Math.abs(rho)
+      ),
+    ];
+  });
+};
+
+const top = (items) =>
+  items
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_ITEMS)
+    .map(({ score, ...rest }) => rest);
+
+const recommendations = (missing, skewness, outlying) =>
+  [
+    ...missing
+      .slice(0, 2)
+      .map(({ columns: [column] }) =>
+        item(
+          `Fill or filter the missing ${column} values before comparing groups (Transform tab).`,
+          [column]
+        )
+      ),
+    ...skewness
+      .slice(0, 2)
+      .map(({ columns: [column] }) =>
+        item(
+          `Summarise ${column} with the median rather than the mean, or chart it on a log scale.`,
+          [column]
+        )
+      ),
+    ...outlying
+      .slice(0, 2)
+      .map(({ columns: [column] }) =>
+        item(
+          `Check the ${column} outliers for entry errors before averaging.`,
+          [column]
+        )
+      ),
+  ].map(({ score, ...rest }) => rest);
+
+// data and analysis must describe the same rows, and outlierSettings and
+// modes (the privacy mode of each column) be those the report prompt was
+// built with. facts holds the numbers factCheck compares claims with,
+// including the sample rows the report prompt quotes, protected the same
+// way.
+export const localReport = (
+  data,
+  headers,
+  analysis,
+  outlierSettings = DEFAULT_OUTLIER_SETTINGS,
+  modes = columnModes(headers, {})
+) => {
+  const facts = {
+    shares: {},
+    correlations: [],
+    trends: [],
+    outliers: {},
+    sampleRows: sanitizeRows(data.slice(0, SAMPLE_ROWS), headers, modes),
+  };
+  const measures = measureColumns(analysis);
+  const missing = data.length ? missingData(data, headers) : [];
+  const skewness = skewed(analysis, measures);
+  const outlying = outliers(data, analysis, measures, outlierSettings, facts);
+  const keyInsights = top([
+    ...concentration(analysis, facts),
+    ...correlations(data, measures, facts),
+    ...outlying,
+    ...skewness,
+    ...missing,
+  ]);
+  const counts = [
+    [measures.length, "numeric"],
+    [getCategoryColumns(analysis).length, "categorical"],
+    [Object.keys(analysis.dates).length, "date"],
+  ].filter(([n]) => n);
+
+  return {
+    local: true,
+    dataType: "Computed from the data",
+    summary: `${analysis.totalRows.toLocaleString()} rows and ${
+      headers.length
+    } columns${
+      counts.length
+        ? ` (${counts.map(([n, kind]) => `${n} ${kind}`).join(", ")})`
+        : ""
+    }. These findings are computed in the browser by fixed rules; nothing is sent anywhere.`,
+    confidence: "high",
+    keyInsights,
+    trends: top(trends(data, analysis, measures, facts)),
+    recommendations: recommendations(
+      top(missing),
+      top(skewness),
+      top(outlying)
+    ),
+    facts,
+  };
+};
+
+const numbersIn = (value) =>
+  typeof value === "number"
+    ? [value]
+    : value && typeof value === "object"
+    ? Object.values(value).flatMap(numbersIn)
+    : [];
+
+// Every number a claim about these columns could fairly quote: all the
+// report prompt sends about them (see reportRequest), plus the shares,
+// correlations and trends worked out from those.
+const knownNumbers = (analysis, facts, columns) => {
+  const numbers = [analysis.totalRows, analysis.totalColumns];
+  columns.forEach((column) => {
+    numbers.push(
+      ...numbersIn(analysis.types[column]),
+      ...numbersIn(sanitizeColumnStats(analysis, column, "include"))
+    );
+    facts.sampleRows.forEach((row) => numbers.push(toNumber(row[column])));
+    numbers.push(...numbersIn(facts.outliers[column]));
+    (facts.shares[column] || []).forEach(({ count, share }) =>
+      numbers.push(count, share * 100)
+    );
+    if (analysis.dates[column]) numbers.push(analysis.dates[column].count);
+  });
+  facts.correlations
+    .filter((c) => c.columns.some((column) => columns.includes(column)))
+    .forEach(({ r }) => numbers.push(r, r * 100));
+  facts.trends
+    .filter((t) => t.columns.some((column) => columns.includes(column)))
+    .forEach(({ first, last, change }) => {
+      numbers.push(first, last);
+      if (change !== null) numbers.push(change * 100);
+    });
+  return numbers.filter(Number.isFinite);
+};
+
+const MULTIPLIERS = {
+  k: 1e3,
+  thousand: 1e3,
+  m: 1e6,
+  million: 1e6,
+  bn: 1e9,
+  b: 1e9,
+  billion: 1e9,
+};
+const NUMBER =
+  /(-?\d[\d,]*(?:\.\d+)?)\s*(%|thousand|million|billion|bn\b|k\b|m\b|b\b)?/gi;
+
+// Numbers quoted in a claim, leaving out the ones that are not statistics:
+// dates, years, labels like Q3 and small counts ("the top 3").
+const quotedNumbers = (text, columns) => {
+  let plain = text.replace(/\d{4}-\d{2}(-\d{2})?/g, " ");
+  columns.forEach((column) => {
+    plain = plain.split(column).join(" ");
+  });
+  plain = plain.replace(/\b[A-Za-z]+\d+\w*/g, " ");
+  return [...plain.matchAll(NUMBER)].flatMap(([raw, digits, unit]) => {
+    const written = digits.replace(/,/g, "");
+    const value = Number(written);
+    const suffix = unit?.toLowerCase();
+    const multiplier = MULTIPLIERS[suffix] || 1;
+    const decimals = written.split(".")[1]?.length || 0;
+    const whole = !decimals && !suffix && !digits.includes(",");
+    if (whole && Math.abs(value) <= 10) return [];
+    if (whole && value >= 1900 && value <= 2100) return [];
+    return [
+      {
+        raw: raw.trim(),
+        value: value * multiplier,
+        // Half a unit of the last digit written, at least 2%
+        tolerance: (0.5 * multiplier) / 10 ** decimals,
+      },
+    ];
+  });
+};
+
+const matches = (quoted, known) =>
+  known.some(
+    (n) =>
+      Math.abs(n - quoted.value) <=
+      Math.max(quoted.tolerance, Math.abs(n) * 0.02)
+  );
+
+const RISING = /\b(increas|ris|rose|grow|grew|upward|climb)/i;
+const FALLING = /\b(decreas|declin|fall|fell|drop|downward|shrink)/i;
+
+// Direction words against the computed trend or correlation; returns a
+// note when they disagree.
+const contradiction = (text, columns, facts) => {
+  const correlation = facts.correlations.find(
+    (c) => columns.includes(c.columns[0]) && columns.includes(c.columns[1])
+  );
+  if (correlation && /correlat/i.test(text)) {
+    const saysNegative = /negative|inverse/i.test(text);
+    const saysPositive = /positive/i.test(text);
+    if (
+      (saysNegative && correlation.r > 0) ||
+      (saysPositive && correlation.r < 0)
+    ) {
+      return `computed correlation is r = ${formatNumber(correlation.r)}`;
+    }
+    return null;
+  }
+  const trend = facts.trends.find(
+    (t) => t.column && columns.includes(t.column)
+  );
+  if (!trend) return null;
+  const rising = RISING.test(text);
+  const falling = FALLING.test(text);
+  if (rising === falling) return null;
+  if ((rising && trend.rho < 0) || (falling && trend.rho > 0)) {
+    return `the computed trend of ${trend.column} is ${
+      trend.rho > 0 ? "upward" : "downward"
+    } (ρ = ${formatNumber(trend.rho)})`;
+  }
+  return null;
+};
+
+export const CHECK_LABELS = {
+  supported: "Matches the data",
+  unsupported: "Not backed by the data",
+  contradicted: "Contradicts the data",
+};
+
+// Marks each AI claim with check: { status, note }. status is "contradicted"
+// when it disagrees with a computed direction, "unsupported" when it
+// quotes a number no statistic matches, "supported" when its numbers all
+// match; claims with nothing checkable are left unmarked.
+export const factCheck = (report, analysis, facts) => {
+  const headers = Object.keys(analysis.types);
+  const checkItem = (claim) => {
+    const columns = [
+      ...new Set([
+        ...claim.columns,
+        ...headers.filter((h) => claim.text.includes(h)),
+      ]),
+    ];
+    const conflict = contradiction(claim.text, columns, facts);
+    if (conflict) {
+      return { ...claim, check: { status: "contradicted", note: conflict } };
+    }
+    const quoted = quotedNumbers(claim.text, headers);
+    if (!quoted.length) return claim;
+    const known = knownNumbers(
+      analysis,
+      facts,
+      columns.length ? columns : headers
+    );
+    const unmatched = quoted.filter((q) => !matches(q, known));
+    return {
+      ...claim,
+      check: unmatched.length
+        ? {
+            status: "unsupported",
+            note: `${unmatched
+              .map((q) => q.raw)
+              .join(", ")} not found in the computed statistics`,
+          }
+        : {
+            status: "supported",
+            note: "numbers match the computed statistics",
+          },
+    };
+  };
+  return {
+    ...report,
+    keyInsights: report.keyInsights.map(checkItem),
+    trends: report.trends.map(checkItem),
+  };
+};
@@ -0,0 +1,149 @@
+import { analyzeData } from "./analysis";
+import { factCheck, localReport } from "./findings";
+
+const headers = ["day", "region", "units", "sales", "note", "email"];
+const data = Array.from({ length: 24 }, (_, i) => ({
+  day: `${2023 + Math.floor(i / 12)}-${String((i % 12) + 1).padStart(
+    2,
+    "0"
+  )}-01`,
+  region: i % 4 === 3 ? "South" : "North",
+  units: 10 + Math.floor(i / 2),
+  sales: 100.5 + 10 * i,
+  note: i % 2 ? "" : "late",
+  email: `user${i}@example.com`,
+}));
+const analysis = analyzeData(data, headers);
+const modes = {
+  day: "include",
+  region: "include",
+  units: "include",
+  sales: "mask",
+  note: "include",
+  email: "exclude",
+};
+
+describe("localReport", () => {
+  const report = localReport(data, headers, analysis, undefined, modes);
+
+  it("finds concentration, correlations, missing values and trends", () => {
+    expect(report.local).toBe(true);
+    expect(report.keyInsights.map((item) => item.text)).toEqual([
+      "units and sales are strongly positively correlated (r = 1 over 24 rows).",
+      "North makes up 75% of region (2 distinct values).",
+      "note is missing in 50% of rows (12).",
+    ]);
+    expect(report.trends[0].text).toBe(
+      "Total sales rose steadily by month, from 100.5 in 2023-01 to 330.5 in 2024-12 (+229%); Spearman ρ = 1 over 24 months."
+    );
+    expect(report.trends[0].columns).toEqual(["sales", "day"]);
+    expect(report.recommendations).toEqual([
+      {
+        text: "Fill or filter the missing note values before comparing groups (Transform tab).",
+        columns: ["note"],
+        confidence: "high",
+      },
+    ]);
+  });
+
+  it("keeps the numbers behind the findings as facts", () => {
+    const { facts } = report;
+    expect(facts.shares.region).toEqual([
+      { value: "North", count: 18, share: 0.75 },
+      { value: "South", count: 6, share: 0.25 },
+    ]);
+    expect(facts.correlations).toEqual([
+      { columns: ["units", "sales"], r: expect.any(Number), n: 24 },
+    ]);
+    expect(facts.trends.map((t) => [t.column, t.first, t.last])).toEqual([
+      ["units", 10, 21],
+      ["sales", 100.5, 330.5],
+    ]);
+    expect(facts.outliers.sales).toMatchObject({ count: 0, high: 445.5 });
+  });
+
+  it("protects the sample rows as the report prompt does", () => {
+    expect(report.facts.sampleRows[0]).toEqual({
+      day: "2023-01-01",
+      region: "North",
+      units: 10,
+      sales: "999.9",
+      note: "late",
+    });
+    const open = localReport(data, headers, analysis);
+    expect(open.facts.sampleRows[0].email).toBe("user0@example.com");
+  });
+
+  it("leaves out identifiers and has nothing to say about no rows", () => {
+    const ids = data.map((row, i) => ({ ...row, units: i }));
+    const report = localReport(ids, headers, analyzeData(ids, headers));
+    expect(Object.keys(report.facts.outliers)).toEqual(["units", "sales"]);
+    expect(report.facts.correlations).toEqual([]);
+    const empty = localReport([], headers, analyzeData([], headers));
+    expect(empty.keyInsights).toEqual([]);
+    expect(empty.facts.sampleRows).toEqual([]);
+  });
+});
+
+describe("factCheck", () => {
+  const claim = (text, columns = []) => ({ text, columns, confidence: "high" });
+  const check = (text, columns, reportModes = modes) => {
+    const { facts } = localReport(
+      data,
+      headers,
+      analysis,
+      undefined,
+      reportModes
+    );
+    const [item] = factCheck(
+      { keyInsights: [claim(text, columns)], trends: [] },
+      analysis,
+      facts
+    ).keyInsights;
+    return item.check;
+  };
+
+  it("supports claims whose numbers match the statistics", () => {
+    expect(check("Average sales are 215.5.", ["sales"])).toEqual({
+      status: "supported",
+      note: "numbers match the computed statistics",
+    });
+    expect(check("North accounts for 75% of orders")?.status).toBe("supported");
+    expect(check("Sales are about 216 on average", ["sales"]).status).toBe(
+      "supported"
+    );
+  });
+
+  it("flags numbers no statistic matches", () => {
+    expect(check("units peaked at 480 in 2024", ["units"])).toEqual({
+      status: "unsupported",
+      note: "480 not found in the computed statistics",
+    });
+  });
+
+  it("only backs numbers from the sample rows the prompt could see", () => {
+    const text = "The third order had sales of 120.5.";
+    expect(check(text, ["sales"], {}).status).toBe("unsupported");
+    const open = Object.fromEntries(headers.map((h) => [h, "include"]));
+    expect(check(text, ["sales"], open).status).toBe("supported");
+  });
+
+  it("catches directions that contradict the data", () => {
+    expect(
+      check("units and sales are negatively correlated", ["units", "sales"])
+    ).toEqual({
+      status: "contradicted",
+      note: "computed correlation is r = 1",
+    });
+    expect(check("Sales fell over the period.", ["sales"]).status).toBe(
+      "contradicted"
+    );
+    expect(check("Sales grew over the period.", ["sales"])).toBeUndefined();
+  });
+
+  it("leaves claims without numbers unmarked", () => {
+    expect(check("Most orders come from the North", ["region"])).toBe(
+      undefined
+    );
+  });
+});
@@ -0,0 +1,48 @@
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Very small and very large magnitudes switch to scientific notation so
+// they are not rounded to 0.00 or printed with dozens of digits.
+export const formatNumber = (value, maximumFractionDigits = 2) => {
+  if (value === null || value === undefined || Number.isNaN(value)) {
+    return "—";
+  }
+  if (!Number.isFinite(value)) return String(value);
+  const abs = Math.abs(value);
+  if (abs !== 0 && (abs < 0.01 || abs >= 1e15)) {
+    return value.toExponential(2);
+  }
+  return value.toLocaleString(undefined, { maximumFractionDigits });
+};
+
+// Formats a statistic of a column according to the column's type.
+export const formatStat = (value, type) => {
+  const text = formatNumber(value);
+  return type === "percentage" && text !== "—" ? `${text}%` : text;
+};
+
+// Rows of the per-column statistics card, also used for the summary
+// export. unitless ones are not shown with the column's unit (e.g. %).
+export const NUMERIC_STAT_ROWS = [
+  { key: "mean", label: "Mean" },
+  { key: "median", label: "Median" },
+  { key: "stdDev", label: "Std Dev" },
+  { key: "variance", label: "Variance", unitless: true },
+  { key: "min", label: "Min" },
+  { key: "p5", label: "P5" },
+  { key: "q1", label: "Q1" },
+  { key: "q3", label: "Q3" },
+  { key: "p95", label: "P95" },
+  { key: "max", label: "Max" },
+  { key: "iqr", label: "IQR" },
+  { key: "sum", label: "Sum" },
+  { key: "skewness", label: "Skewness", unitless: true },
+  { key: "kurtosis", label: "Kurtosis", unitless: true },
+  { key: "count", label: "Count", unitless: true },
+  { key: "missingCount", label: "Missing", unitless: true },
+  { key: "zeroCount", label: "Zeros", unitless: true },
+  { key: "distinctCount", label: "Distinct", unitless: true },
+];
@@ -0,0 +1,524 @@
+import { parseDate, toNumber } from "./columnTypes";
+
+// A small spreadsheet-style expression language for calculated columns.
+// Formulas are parsed into a tree once and evaluated per row; nothing is
+// ever handed to eval or Function, so a formula can only read the row.
+//
+//   ([Revenue] - [Cost]) / [Revenue]
+//   if(age < 18, "minor", "adult")
+//   year([Order Date]) & "-Q" & quarter([Order Date])
+//
+// Columns are referenced by bare name or, when the name has spaces or
+// symbols, in square brackets.
+
+export class FormulaError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = "FormulaError";
+    this.position = position;
+  }
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const isBlank = (v) => v === null || v === undefined || v === "";
+
+const num = (v) => {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  if (typeof v === "boolean") return v ? 1 : 0;
+  if (isBlank(v)) return null;
+  const n = toNumber(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+const str = (v) => (isBlank(v) ? "" : String(v));
+
+const truthy = (v) => !(isBlank(v) || v === false || v === 0);
+
+const OPERATORS = [
+  "<=",
+  ">=",
+  "<>",
+  "!=",
+  "==",
+  "&&",
+  "||",
+  "+",
+  "-",
+  "*",
+  "/",
+  "%",
+  "^",
+  "&",
+  "=",
+  "<",
+  ">",
+  "!",
+  "(",
+  ")",
+  ",",
+];
+const WORD_OPERATORS = { and: "&&", or: "||", not: "!" };
+
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const start = i;
+    if (/[0-9.]/.test(ch)) {
+      const match = /^(\d+\.?\d*|\.\d+)(e[-+]?\d+)?/i.exec(text.slice(i));
+      if (!match) throw new FormulaError(`Unexpected "${ch}"`, i);
+      tokens.push({ type: "number", value: Number(match[0]), start });
+      i += match[0].length;
+    } else if (ch === '"' || ch === "'") {
+      let value = "";
+      i++;
+      while (i < text.length && text[i] !== ch) {
+        // A backslash escapes the next character
+        if (text[i] === "\\" && i + 1 < text.length) i++;
+        value += text[i++];
+      }
+      if (i >= text.length) throw new FormulaError("Unclosed string", start);
+      i++;
+      tokens.push({ type: "string", value, start });
+    } else if (ch === "[") {
+      const end = text.indexOf("]", i);
+      if (end === -1) throw new FormulaError('Missing "]"', start);
+      tokens.push({ type: "column", value: text.slice(i + 1, end), start });
+      i = end + 1;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(i));
+      const word = match[0];
+      const lower = word.toLowerCase();
+      const op =
+        Object.prototype.hasOwnProperty.call(WORD_OPERATORS, lower) &&
+        WORD_OPERATORS[lower];
+      tokens.push(
+        op
+          ? { type: "op", value: op, start }
+          : { type: "ident", value: word, start }
+      );
+      i += word.length;
+    } else {
+      const op = OPERATORS.find((o) => text.startsWith(o, i));
+      if (!op) throw new FormulaError(`Unexpected "${ch}"`, i);
+      tokens.push({ type: "op", value: op, start });
+      i += op.length;
+    }
+  }
+  tokens.push({ type: "end", start: text.length });
+  return tokens;
+};
+
+// Numbers are not read as dates: year(2024) would otherwise be 1970, the
+// year of 2024 milliseconds after the epoch.
+const time = (v) => {
+  if (v instanceof Date) return v.getTime();
+  return isBlank(v) || typeof v !== "string" ? NaN : parseDate(v);
+};
+
+const dateFn = (fn) => (t) => Number.isNaN(t) ? null : fn(new Date(t));
+
+const bucket = (value, ...bounds) => {
+  const n = num(value);
+  if (n === null) return null;
+  const edges = bounds.map(num).filter((b) => b !== null);
+  if (!edges.length || n < edges[0]) return `<${edges[0] ?? ""}`;
+  for (let i = 1; i < edges.length; i++) {
+    if (n < edges[i]) return `${edges[i - 1]}–${edges[i]}`;
+  }
+  return `≥${edges[edges.length - 1]}`;
+};
+
+const numeric =
+  (fn) =>
+  (...args) => {
+    const values = args.map(num);
+    return values.some((v) => v === null) ? null : fn(...values);
+  };
+
+// arity is [min, max]; dates marks arguments read as timestamps, using the
+// source column's day/month order when the argument is a plain column.
+// Date arguments must be text; numbers give blanks.
+export const FUNCTIONS = {
+  abs: { arity: [1, 1], fn: numeric(Math.abs) },
+  round: {
+    arity: [1, 2],
+    fn: numeric((x, digits = 0) => {
+      const factor = 10 ** digits;
+      return Math.round(x * factor) / factor;
+    }),
+  },
+  floor: { arity: [1, 1], fn: numeric(Math.floor) },
+  ceil: { arity: [1, 1], fn: numeric(Math.ceil) },
+  sqrt: { arity: [1, 1], fn: numeric(Math.sqrt) },
+  log: { arity: [1, 1], fn: numeric(Math.log) },
+  exp: { arity: [1, 1], fn: numeric(Math.exp) },
+  pow: { arity: [2, 2], fn: numeric(Math.pow) },
+  min: { arity: [1, Infinity], fn: numeric(Math.min) },
+  max: { arity: [1, Infinity], fn: numeric(Math.max) },
+  len: { arity: [1, 1], fn: (s) => str(s).length },
+  upper: { arity: [1, 1], fn: (s) => str(s).toUpperCase() },
+  lower: { arity: [1, 1], fn: (s) => str(s).toLowerCase() },
+  trim: { arity: [1, 1], fn: (s) => str(s).trim() },
+  left: { arity: [2, 2], fn: (s, n) => str(s).slice(0, num(n) ?? 0) },
+  right: {
+    arity: [2, 2],
+    fn: (s, n) => (num(n) > 0 ? str(s).slice(-num(n)) : ""),
+  },
+  mid: {
+    arity: [2, 3],
+    fn: (s, start, length) => {
+      const from = Math.max((num(start) ?? 1) - 1, 0);
+      const count = num(length);
+      return str(s).slice(from, count === null ? undefined : from + count);
+    },
+  },
+  concat: { arity: [1, Infinity], fn: (...parts) => parts.map(str).join("") },
+  contains: {
+    arity: [2, 2],
+    fn: (s, part) => str(s).toLowerCase().includes(str(part).toLowerCase()),
+  },
+  replace: {
+    arity: [3, 3],
+    fn: (s, find, replacement) =>
+      str(s).split(str(find)).join(str(replacement)),
+  },
+  year: { arity: [1, 1], dates: true, fn: dateFn((d) => d.getUTCFullYear()) },
+  month: { arity: [1, 1], dates: true, fn: dateFn((d) => d.getUTCMonth() + 1) },
+  day: { arity: [1, 1], dates: true, fn: dateFn((d) => d.getUTCDate()) },
+  quarter: {
+    arity: [1, 1],
+    dates: true,
+    fn: dateFn((d) => Math.floor(d.getUTCMonth() / 3) + 1),
+  },
+  // ISO weekday: Monday is 1, Sunday is 7
+  weekday: {
+    arity: [1, 1],
+    dates: true,
+    fn: dateFn((d) => ((d.getUTCDay() + 6) % 7) + 1),
+  },
+  datediff: {
+    arity: [2, 2],
+    dates: true,
+    fn: (a, b) =>
+      Number.isNaN(a) || Number.isNaN(b) ? null : Math.round((b - a) / DAY),
+  },
+  date: {
+    arity: [3, 3],
+    fn: numeric((y, m, d) => {
+      // Out of the Date range (about ±275,000 years) there is no date
+      const t = Date.UTC(y, m - 1, d);
+      return Number.isNaN(t) ? null : new Date(t).toISOString().slice(0, 10);
+    }),
+  },
+  isblank: { arity: [1, 1], fn: isBlank },
+  coalesce: {
+    arity: [1, Infinity],
+    fn: (...values) => values.find((v) => !isBlank(v)) ?? null,
+  },
+  bucket: { arity: [2, Infinity], fn: bucket },
+  // Evaluated by the interpreter so only the chosen branch runs
+  if: { arity: [2, 3] },
+};
+
+const BINARY_PRECEDENCE = {
+  "||": 1,
+  "&&": 2,
+  "=": 4,
+  "==": 4,
+  "!=": 4,
+  "<>": 4,
+  "<": 4,
+  "<=": 4,
+  ">": 4,
+  ">=": 4,
+  "&": 5,
+  "+": 6,
+  "-": 6,
+  "*": 7,
+  "/": 7,
+  "%": 7,
+  "^": 9,
+};
+const NOT_PRECEDENCE = 3;
+const NEGATE_PRECEDENCE = 8;
+// Deeper formulas are refused rather than overflowing the stack when they
+// are parsed or evaluated
+const MAX_NESTING = 200;
+
+const parse = (tokens, headers) => {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expect = (value) => {
+    const token = next();
+    if (token.value !== value || token.type !== "op") {
+      throw new FormulaError(`Expected "${value}"`, token.start);
+    }
+  };
+  const columns = new Set();
+  // Every operator of a chain counts, since 1 + 2 + 3 nests to the left
+  let nesting = 0;
+  const nest = (start) => {
+    nesting++;
+    if (nesting > MAX_NESTING) {
+      throw new FormulaError("Formula is nested too deeply", start);
+    }
+  };
+
+  const column = (name, start) => {
+    if (!headers.includes(name)) {
+      throw new FormulaError(`Unknown column "${name}"`, start);
+    }
+    columns.add(name);
+    return { kind: "column", name };
+  };
+
+  const primary = () => {
+    const token = next();
+    switch (token.type) {
+      case "number":
+      case "string":
+        return { kind: "literal", value: token.value };
+      case "column":
+        return column(token.value, token.start);
+      case "ident": {
+        const lower = token.value.toLowerCase();
+        if (peek().type === "op" && peek().value === "(") {
+          const def =
+            Object.prototype.hasOwnProperty.call(FUNCTIONS, lower) &&
+            FUNCTIONS[lower];
+          if (!def) {
+            throw new FormulaError(
+              `Unknown function "${token.value}"`,
+              token.start
+            );
+          }
+          next();
+          const args = [];
+          const starts = [];
+          const argument = () => {
+            starts.push(peek().start);
+            args.push(expression(0));
+          };
+          if (!(peek().type === "op" && peek().value === ")")) {
+            argument();
+            while (peek().type === "op" && peek().value === ",") {
+              next();
+              argument();
+            }
+          }
+          expect(")");
+          const [min, max] = def.arity;
+          if (args.length < min || args.length > max) {
+            throw new FormulaError(
+              `${lower}() takes ${
+                min === max
+                  ? min
+                  : max === Infinity
+                  ? `at least ${min}`
+                  : `${min} to ${max}`
+              } argument${(max === Infinity ? min : max) === 1 ? "" : "s"}`,
+              token.start
+            );
+          }
+          if (def.dates) {
+            const index = args.findIndex(
+              (arg) => arg.kind === "literal" && typeof arg.value === "number"
+            );
+            if (index !== -1) {
+              throw new FormulaError(
+                `${lower}() takes a date, not a number`,
+                starts[index]
+              );
+            }
+          }
+          return { kind: "call", name: lower, args };
+        }
+        if (lower === "true" || lower === "false") {
+          return { kind: "literal", value: lower === "true" };
+        }
+        if (lower === "null") return { kind: "literal", value: null };
+        return column(token.value, token.start);
+      }
+      case "op":
+        if (token.value === "(") {
+          const inner = expression(0);
+          expect(")");
+          return inner;
+        }
+        if (token.value === "-") {
+          return {
+            kind: "unary",
+            op: "-",
+            arg: expression(NEGATE_PRECEDENCE),
+          };
+        }
+        if (token.value === "!") {
+          return { kind: "unary", op: "!", arg: expression(NOT_PRECEDENCE) };
+        }
+        throw new FormulaError(`Unexpected "${token.value}"`, token.start);
+      default:
+        throw new FormulaError("Formula ends too early", token.start);
+    }
+  };
+
+  const expression = (minPrecedence) => {
+    const outer = nesting;
+    nest(peek().start);
+    let left = primary();
+    for (;;) {
+      const token = peek();
+      const precedence =
+        token.type === "op" ? BINARY_PRECEDENCE[token.value] : undefined;
+      if (precedence === undefined || precedence <= minPrecedence) break;
+      next();
+      nest(token.start);
+      // ^ is right-associative: 2 ^ 3 ^ 2 is 2 ^ 9
+      const right = expression(
+        token.value === "^" ? precedence - 1 : precedence
+      );
+      left = { kind: "binary", op: token.value, left, right };
+    }
+    nesting = outer;
+    return left;
+  };
+
+  const tree = expression(0);
+  if (peek().type !== "end") {
+    throw new FormulaError(`Unexpected "${peek().value}"`, peek().start);
+  }
+  return { tree, columns: [...columns] };
+};
+
+const compare = (a, b) => {
+  const x = num(a);
+  const y = num(b);
+  if (x !== null && y !== null) return x - y;
+  return str(a).localeCompare(str(b));
+};
+
+const binary = (op, a, b) => {
+  switch (op) {
+    case "+":
+    case "-":
+    case "*":
+    case "/":
+    case "%":
+    case "^": {
+      const x = num(a);
+      const y = num(b);
+      if (x === null || y === null) return null;
+      if ((op === "/" || op === "%") && y === 0) return null;
+      const result =
+        op === "+"
+          ? x + y
+          : op === "-"
+          ? x - y
+          : op === "*"
+          ? x * y
+          : op === "/"
+          ? x / y
+          : op === "%"
+          ? x % y
+          : x ** y;
+      return Number.isFinite(result) ? result : null;
+    }
+    case "&":
+      return str(a) + str(b);
+    case "=":
+    case "==":
+      return compare(a, b) === 0;
+    case "!=":
+    case "<>":
+      return compare(a, b) !== 0;
+    case "<":
+      return compare(a, b) < 0;
+    case "<=":
+      return compare(a, b) <= 0;
+    case ">":
+      return compare(a, b) > 0;
+    case ">=":
+      return compare(a, b) >= 0;
+    default:
+      throw new FormulaError(`Unknown operator "${op}"`);
+  }
+};
+
+// Compiles a formula against the available columns. Throws FormulaError
+// (with the character position) for syntax errors, unknown columns and
+// functions, and wrong argument counts. dateOrders maps date columns to
+// "mdy"/"dmy" so date functions read them the way the analysis did.
+export const compileFormula = (text, headers, { dateOrders = {} } = {}) => {
+  if (!text.trim()) throw new FormulaError("Enter a formula", 0);
+  const { tree, columns } = parse(tokenize(text), headers);
+
+  const evaluate = (node, row) => {
+    switch (node.kind) {
+      case "literal":
+        return node.value;
+      case "column":
+        return row[node.name] ?? null;
+      case "unary": {
+        const value = evaluate(node.arg, row);
+        if (node.op === "!") return !truthy(value);
+        const n = num(value);
+        return n === null ? null : -n;
+      }
+      case "binary":
+        // && and || short-circuit
+        if (node.op === "&&") {
+          return (
+            truthy(evaluate(node.left, row)) &&
+            truthy(evaluate(node.right, row))
+          );
+        }
+        if (node.op === "||") {
+          return (
+            truthy(evaluate(node.left, row)) ||
+            truthy(evaluate(node.right, row))
+          );
+        }
+        return binary(
+          node.op,
+          evaluate(node.left, row),
+          evaluate(node.right, row)
+        );
+      case "call": {
+        const def = FUNCTIONS[node.name];
+        if (node.name === "if") {
+          const [condition, then, otherwise] = node.args;
+          if (truthy(evaluate(condition, row))) return evaluate(then, row);
+          return otherwise ? evaluate(otherwise, row) : null;
+        }
+        const args = node.args.map((arg) => {
+          if (!def.dates) return evaluate(arg, row);
+          const value = evaluate(arg, row);
+          return arg.kind === "column" && typeof value === "string"
+            ? parseDate(value, dateOrders[arg.name])
+            : time(value);
+        });
+        return def.fn(...args);
+      }
+      default:
+        throw new FormulaError(`Unknown node "${node.kind}"`);
+    }
+  };
+
+  return {
+    columns,
+    // Runtime problems (text in arithmetic, division by zero) give blanks
+    evaluate: (row) => {
+      const value = evaluate(tree, row);
+      return typeof value === "number" && !Number.isFinite(value)
+        ? null
+        : value;
+    },
+  };
+};
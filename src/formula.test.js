@@ -0,0 +1,162 @@
+import { FormulaError, compileFormula } from "./formula";
+
+const headers = ["Revenue", "Cost", "Order Date", "name", "qty"];
+const row = {
+  Revenue: 200,
+  Cost: 150,
+  "Order Date": "03/04/2024",
+  name: "  Widget ",
+  qty: "",
+};
+
+const run = (text, values = row, options) =>
+  compileFormula(text, headers, options).evaluate(values);
+
+const errorOf = (text) => {
+  try {
+    compileFormula(text, headers);
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe("parser", () => {
+  it("reads bare and bracketed column names", () => {
+    const { columns } = compileFormula("([Revenue] - Cost) / Revenue", headers);
+    expect(columns).toEqual(["Revenue", "Cost"]);
+    expect(run("([Revenue] - Cost) / Revenue")).toBe(0.25);
+  });
+
+  it("follows operator precedence and associativity", () => {
+    expect(run("1 + 2 * 3")).toBe(7);
+    expect(run("(1 + 2) * 3")).toBe(9);
+    expect(run("2 ^ 3 ^ 2")).toBe(512);
+    expect(run("-2 ^ 2")).toBe(-4);
+    expect(run("10 - 4 - 3")).toBe(3);
+    expect(run("not 1 = 2 and true")).toBe(true);
+  });
+
+  it("reads strings with either quote and escapes", () => {
+    expect(run(`"a" & 'b' & "c\\"d"`)).toBe('abc"d');
+  });
+
+  it("accepts deep nesting up to the limit", () => {
+    expect(run("(".repeat(150) + "1" + ")".repeat(150))).toBe(1);
+  });
+});
+
+describe("operators", () => {
+  it("treats blanks and text in arithmetic as blanks", () => {
+    expect(run("qty + 1")).toBeNull();
+    expect(run("name * 2")).toBeNull();
+    expect(run("Revenue / 0")).toBeNull();
+    expect(run("Revenue % 0")).toBeNull();
+  });
+
+  it("compares numbers as numbers and text as text", () => {
+    expect(run('"10" > 9')).toBe(true);
+    expect(run('"b" > "a"')).toBe(true);
+    expect(run("Revenue <> Cost")).toBe(true);
+    expect(run("Revenue != 200")).toBe(false);
+    expect(run("Revenue == 200")).toBe(true);
+  });
+
+  it("short-circuits and and or", () => {
+    expect(run("qty or Revenue")).toBe(true);
+    expect(run("qty && Revenue")).toBe(false);
+    expect(run("Cost || 1")).toBe(true);
+  });
+
+  it("joins text with &", () => {
+    expect(run('Revenue & " units"')).toBe("200 units");
+    expect(run('qty & "x"')).toBe("x");
+  });
+});
+
+describe("functions", () => {
+  it("does arithmetic", () => {
+    expect(run("round(2.345, 2)")).toBe(2.35);
+    expect(run("abs(-3) + floor(1.7) + ceil(1.2)")).toBe(6);
+    expect(run("max(Revenue, Cost, 10)")).toBe(200);
+    expect(run("sqrt(-1)")).toBeNull();
+  });
+
+  it("handles text", () => {
+    expect(run("trim(name)")).toBe("Widget");
+    expect(run("upper(left(trim(name), 3))")).toBe("WID");
+    expect(run('right("abcdef", 2)')).toBe("ef");
+    expect(run('mid("abcdef", 2, 3)')).toBe("bcd");
+    expect(run('mid("abcdef", 4)')).toBe("def");
+    expect(run('mid("abcdef", 0, 2)')).toBe("ab");
+    expect(run('replace("a-b-c", "-", "+")')).toBe("a+b+c");
+    expect(run('contains(name, "WIDG")')).toBe(true);
+    expect(run("len(name)")).toBe(9);
+    expect(run('concat("a", 1, qty, "b")')).toBe("a1b");
+  });
+
+  it("reads dates in the column's day/month order", () => {
+    expect(run('year([Order Date]) & "-Q" & quarter([Order Date])')).toBe(
+      "2024-Q1"
+    );
+    expect(run("month([Order Date])")).toBe(3);
+    expect(
+      run("month([Order Date])", row, { dateOrders: { "Order Date": "dmy" } })
+    ).toBe(4);
+    expect(run('weekday("2024-01-07")')).toBe(7);
+    expect(run('datediff("2024-01-01", "2024-03-01")')).toBe(60);
+    expect(run("year(date(2024, 2, 29))")).toBe(2024);
+    expect(run("date(2023, 2, 29)")).toBe("2023-03-01");
+    expect(run("date(1e9, 1, 1)")).toBeNull();
+  });
+
+  it("gives blanks for numbers and text that are not dates", () => {
+    expect(run("year(Revenue)")).toBeNull();
+    expect(run("year(name)")).toBeNull();
+  });
+
+  it("runs only the chosen branch of if", () => {
+    expect(run('if(Revenue > Cost, "profit", "loss")')).toBe("profit");
+    expect(run('if(qty, "some")')).toBeNull();
+    expect(run("coalesce(qty, Cost)")).toBe(150);
+    expect(run("isblank(qty)")).toBe(true);
+  });
+
+  it("buckets numbers", () => {
+    expect(run("bucket(Revenue, 100, 500)")).toBe("100–500");
+    expect(run("bucket(50, 100, 500)")).toBe("<100");
+    expect(run("bucket(500, 100, 500)")).toBe("≥500");
+  });
+});
+
+describe("errors", () => {
+  it.each([
+    ["", "Enter a formula", 0],
+    ["Revenue +", "Formula ends too early", 9],
+    ["Revenue $ 2", 'Unexpected "$"', 8],
+    ['"open', "Unclosed string", 0],
+    ["[Order Date", 'Missing "]"', 0],
+    ["Price * 2", 'Unknown column "Price"', 0],
+    ["1 + nope(2)", 'Unknown function "nope"', 4],
+    ["constructor(1)", 'Unknown function "constructor"', 0],
+    ["round()", "round() takes 1 to 2 arguments", 0],
+    ["max()", "max() takes at least 1 argument", 0],
+    ["(1 + 2", 'Expected ")"', 6],
+    ["1 2", 'Unexpected "2"', 2],
+    ["year(2024)", "year() takes a date, not a number", 5],
+    ['datediff("2024-01-01", 5)', "datediff() takes a date, not a number", 23],
+  ])("%s", (text, message, position) => {
+    const error = errorOf(text);
+    expect(error).toBeInstanceOf(FormulaError);
+    expect(error.message).toBe(message);
+    expect(error.position).toBe(position);
+  });
+
+  it("refuses formulas nested too deeply", () => {
+    const parens = errorOf("(".repeat(5000) + "1" + ")".repeat(5000));
+    expect(parens).toBeInstanceOf(FormulaError);
+    expect(parens.message).toBe("Formula is nested too deeply");
+    const chain = errorOf(Array(5000).fill("1").join(" + "));
+    expect(chain).toBeInstanceOf(FormulaError);
+  });
+});
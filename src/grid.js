@@ -0,0 +1,102 @@
+import { compareKeys } from "./aggregate";
+import { isDateType, isNumericType, parseDate, toNumber } from "./columnTypes";
+import { isOutside } from "./outliers";
+
+// Category picklists beyond this many values fall back to text search.
+export const MAX_PICKLIST_VALUES = 50;
+
+const isBlank = (v) => v === null || v === undefined || v === "";
+
+export const cellText = (value) => (isBlank(value) ? "" : String(value));
+
+// Which per-column filter a column gets: "range", "picklist" or "text".
+export const filterKind = (column, analysis) => {
+  const type = analysis.types[column]?.type;
+  if (isNumericType(type)) return "range";
+  const categorical = analysis.categorical[column];
+  if (
+    (type === "categorical" || type === "boolean") &&
+    categorical &&
+    categorical.unique <= MAX_PICKLIST_VALUES
+  ) {
+    return "picklist";
+  }
+  return "text";
+};
+
+const matchesColumnFilter = (value, filter) => {
+  if (filter.kind === "range") {
+    if (filter.min === "" && filter.max === "") return true;
+    const n = toNumber(value);
+    if (!Number.isFinite(n)) return false;
+    if (filter.min !== "" && n < Number(filter.min)) return false;
+    if (filter.max !== "" && n > Number(filter.max)) return false;
+    return true;
+  }
+  if (filter.kind === "picklist") {
+    return !filter.value || cellText(value) === filter.value;
+  }
+  return (
+    !filter.value ||
+    cellText(value).toLowerCase().includes(filter.value.toLowerCase())
+  );
+};
+
+const isActive = (filter) =>
+  filter.kind === "range"
+    ? filter.min !== "" || filter.max !== ""
+    : filter.value !== "";
+
+export const activeFilterCount = (columnFilters) =>
+  Object.values(columnFilters).filter(isActive).length;
+
+// Applies per-column filters and the global search (over visible columns).
+// outliers, when given, is a map of outlier fences (see outlierFenceMap)
+// and keeps only the rows with a value outside them.
+export const filterGridRows = (
+  rows,
+  { columnFilters, search, columns, outliers }
+) => {
+  const filters = Object.entries(columnFilters).filter(([, f]) => isActive(f));
+  const needle = search.trim().toLowerCase();
+  const fenced = outliers ? Object.entries(outliers) : null;
+  if (!filters.length && !needle && !fenced) return rows;
+  return rows.filter(
+    (row) =>
+      filters.every(([column, f]) => matchesColumnFilter(row[column], f)) &&
+      (!fenced ||
+        fenced.some(([column, fences]) => isOutside(row[column], fences))) &&
+      (!needle ||
+        columns.some((column) =>
+          cellText(row[column]).toLowerCase().includes(needle)
+        ))
+  );
+};
+
+// Sorts by one column, reading cells the way the column's type does.
+// Blank cells always go last.
+export const sortGridRows = (rows, { column, direction }, typeInfo) => {
+  if (!column) return rows;
+  const type = typeInfo?.type;
+  const read = isNumericType(type)
+    ? toNumber
+    : isDateType(type)
+    ? (v) => parseDate(v, typeInfo.dateOrder)
+    : cellText;
+  const sign = direction === "desc" ? -1 : 1;
+  return rows
+    .map((row) => ({
+      row,
+      key: isBlank(row[column]) ? null : read(row[column]),
+    }))
+    .sort((a, b) => {
+      const aMissing = a.key === null || Number.isNaN(a.key);
+      const bMissing = b.key === null || Number.isNaN(b.key);
+      if (aMissing || bMissing) return aMissing - bMissing;
+      return (
+        sign *
+        (typeof a.key === "number" ? a.key - b.key : compareKeys(a.key, b.key))
+      );
+    })
+    .map(({ row }) => row);
+};
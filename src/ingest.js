@@ -0,0 +1,500 @@
+import Papa from "papaparse";
+
+// Files are read and reported in slices of this size.
+export const CHUNK_SIZE = 1024 * 1024;
+const SAMPLE_SIZE = 64 * 1024;
+const PREVIEW_ROWS = 50;
+const DELIMITERS = [",", "\t", ";", "|"];
+
+export const DELIMITER_LABELS = {
+  ",": "Comma",
+  "\t": "Tab",
+  ";": "Semicolon",
+  "|": "Pipe",
+};
+
+export const ENCODINGS = [
+  { id: "utf-8", label: "UTF-8" },
+  { id: "windows-1252", label: "Windows-1252 (Western European)" },
+  { id: "iso-8859-1", label: "ISO-8859-1 (Latin-1)" },
+  { id: "utf-16le", label: "UTF-16 LE" },
+];
+
+export const COLUMN_TYPE_OVERRIDES = [
+  { id: "auto", label: "Auto" },
+  { id: "number", label: "Number" },
+  { id: "text", label: "Text" },
+  { id: "boolean", label: "Boolean" },
+  { id: "date", label: "Date" },
+  { id: "identifier", label: "Identifier" },
+];
+
+export const DEFAULT_IMPORT_OPTIONS = {
+  encoding: "utf-8",
+  // null means sniff the delimiter from the file
+  delimiter: null,
+  quoteChar: '"',
+  // 1-based line holding the column names; 0 means the file has no header
+  headerRow: 1,
+  // Rows to drop between the header and the first data row
+  skipRows: 0,
+  decimalSeparator: ".",
+  thousandsSeparator: "",
+  columnTypes: {},
+};
+
+const getExtension = (name = "") => {
+  const match = /\.([^.]+)$/.exec(name.toLowerCase());
+  return match ? match[1] : "";
+};
+
+const countOutsideQuotes = (line, delimiter, quoteChar = '"') => {
+  let count = 0;
+  let inQuotes = false;
+  for (const ch of line) {
+    if (ch === quoteChar) inQuotes = !inQuotes;
+    else if (ch === delimiter && !inQuotes) count++;
+  }
+  return count;
+};
+
+// Picks the delimiter whose per-line count is most consistent across the
+// first lines of the sample; ties go to the one that splits into more fields.
+export const sniffDelimiter = (sample, quoteChar = '"') => {
+  const lines = sample
+    .split(/\r\n|\n|\r/)
+    .slice(0, 21)
+    .filter((line) => line.trim() !== "");
+  // The last line of a sample is usually cut off mid-row
+  if (lines.length > 2) lines.pop();
+
+  let best = { delimiter: ",", consistency: 0, fields: 0 };
+  DELIMITERS.forEach((delimiter) => {
+    const counts = lines.map((line) =>
+      countOutsideQuotes(line, delimiter, quoteChar)
+    );
+    const freq = {};
+    counts.forEach((c) => {
+      if (c > 0) freq[c] = (freq[c] || 0) + 1;
+    });
+    const mode = Object.entries(freq).sort((a, b) => b[1] - a[1])[0];
+    if (!mode) return;
+    const consistency = mode[1] / lines.length;
+    const fields = Number(mode[0]);
+    if (
+      consistency > best.consistency ||
+      (consistency === best.consistency && fields > best.fields)
+    ) {
+      best = { delimiter, consistency, fields };
+    }
+  });
+  return best.delimiter;
+};
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+export const parseLocaleNumber = (text, options) => {
+  let normalized = text.trim();
+  if (options.thousandsSeparator) {
+    normalized = normalized.split(options.thousandsSeparator).join("");
+  }
+  if (options.decimalSeparator !== ".") {
+    normalized = normalized.replace(options.decimalSeparator, ".");
+  }
+  return NUMBER_PATTERN.test(normalized) ? Number(normalized) : NaN;
+};
+
+const parseBoolean = (text) => {
+  const lower = text.trim().toLowerCase();
+  if (["true", "yes", "y", "1"].includes(lower)) return true;
+  if (["false", "no", "n", "0"].includes(lower)) return false;
+  return null;
+};
+
+// Turns one raw cell into the value stored in the row. Values that do not
+// fit a forced type are kept as they are so they still show up in the data.
+export const coerceValue = (raw, type, options) => {
+  if (raw === null || raw === undefined) return null;
+  if (typeof raw !== "string") {
+    return type === "text" ? String(raw) : raw;
+  }
+  if (raw.trim() === "") return null;
+
+  if (type === "text" || type === "date" || type === "identifier") return raw;
+  // Leading zeros mark codes (ZIPs, employee numbers) that must stay text
+  if (type === "auto" && /^0\d+$/.test(raw.trim())) return raw;
+  if (type === "boolean") {
+    const bool = parseBoolean(raw);
+    return bool === null ? raw : bool;
+  }
+
+  const number = parseLocaleNumber(raw, options);
+  if (!isNaN(number)) return number;
+  if (type === "auto") {
+    const lower = raw.trim().toLowerCase();
+    if (lower === "true") return true;
+    if (lower === "false") return false;
+  }
+  return raw;
+};
+
+const isEmptyRow = (row) =>
+  !Object.values(row).some(
+    (val) => val !== null && val !== "" && val !== undefined
+  );
+
+// JSON values that are not scalars are kept as their JSON text so every
+// cell stays displayable and countable.
+const flattenRecord = (record, options) => {
+  const row = {};
+  Object.entries(record).forEach(([key, value]) => {
+    row[key] =
+      value !== null && typeof value === "object"
+        ? JSON.stringify(value)
+        : coerceValue(value, options.columnTypes[key] || "auto", options);
+  });
+  return row;
+};
+
+const collectHeaders = (rows) => {
+  const seen = new Set();
+  rows.forEach((row) => Object.keys(row).forEach((key) => seen.add(key)));
+  return [...seen];
+};
+
+// Blank and repeated header cells would collapse columns when rows are keyed
+// by name, so they get generated or suffixed names instead.
+const uniqueHeaders = (cells) => {
+  const used = {};
+  return cells.map((cell, idx) => {
+    let name = String(cell ?? "").trim() || `Column ${idx + 1}`;
+    if (used[name]) {
+      used[name]++;
+      name = `${name}_${used[name]}`;
+    } else {
+      used[name] = 1;
+    }
+    return name;
+  });
+};
+
+const decode = (buffer, encoding) => new TextDecoder(encoding).decode(buffer);
+
+const readText = async (source, options) =>
+  typeof source === "string"
+    ? source
+    : decode(await source.arrayBuffer(), options.encoding);
+
+const sourceSize = (source) =>
+  typeof source === "string" ? source.length : source.size;
+
+const LINE_BREAKS = /\r\n|\r|\n/g;
+
+// Shapes Papa's array rows into keyed rows following the header/skip options.
+// Returns a function that accepts successive batches of parsed records.
+// headerRow is a physical line, as numbered in the raw preview; quoted
+// fields can span lines, so the line each record starts on is tracked.
+const createRowBuilder = (options, rows, state) => {
+  // 1-based line the next record starts on
+  let line = 1;
+  let beforeHeader = options.headerRow > 0;
+  let toSkip = options.skipRows;
+
+  return (records) => {
+    records.forEach((record) => {
+      line += record.reduce(
+        (breaks, field) => breaks + (field.match(LINE_BREAKS) || []).length,
+        1
+      );
+      if (beforeHeader) {
+        // The header is the record that holds the chosen line
+        if (line <= options.headerRow) return;
+        state.headers = uniqueHeaders(record);
+        beforeHeader = false;
+        return;
+      }
+      if (toSkip > 0) {
+        toSkip--;
+        return;
+      }
+      if (!state.headers) {
+        state.headers = uniqueHeaders(record.map(() => ""));
+      }
+      // Rows wider than the header get generated column names
+      if (record.length > state.headers.length) {
+        state.headers = uniqueHeaders([
+          ...state.headers,
+          ...record.slice(state.headers.length).map(() => ""),
+        ]);
+      }
+      const row = {};
+      state.headers.forEach((header, idx) => {
+        row[header] = coerceValue(
+          record[idx],
+          options.columnTypes[header] || "auto",
+          options
+        );
+      });
+      if (!isEmptyRow(row)) {
+        rows.push(row);
+      } else if (record.length > 1 || record[0] !== "") {
+        // Rows of empty fields are dropped but counted; blank lines are not
+        state.emptyRows++;
+      }
+    });
+  };
+};
+
+const delimitedFormat = {
+  id: "delimited",
+  label: "Delimited text",
+  detect: () => true,
+  parse: (source, { sample, options, onProgress }) =>
+    new Promise((resolve, reject) => {
+      const delimiter =
+        options.delimiter || sniffDelimiter(sample, options.quoteChar);
+      const rows = [];
+      const state = { headers: null, emptyRows: 0 };
+      const addRecords = createRowBuilder(options, rows, state);
+      let chunks = 0;
+
+      Papa.parse(source, {
+        delimiter,
+        quoteChar: options.quoteChar,
+        encoding: options.encoding,
+        chunkSize: CHUNK_SIZE,
+        chunk: (result) => {
+          chunks++;
+          addRecords(result.data);
+          onProgress(
+            Math.min(chunks * CHUNK_SIZE, sourceSize(source)),
+            rows.length
+          );
+        },
+        complete: () =>
+          resolve({
+            rows,
+            headers: state.headers || [],
+            delimiter,
+            emptyRows: state.emptyRows,
+          }),
+        error: (error) => reject(error),
+      });
+    }),
+  preview: (sample, options) => {
+    const delimiter =
+      options.delimiter || sniffDelimiter(sample, options.quoteChar);
+    const rows = [];
+    const state = { headers: null, emptyRows: 0 };
+    const addRecords = createRowBuilder(options, rows, state);
+    const result = Papa.parse(sample, {
+      delimiter,
+      quoteChar: options.quoteChar,
+      preview: options.headerRow + options.skipRows + PREVIEW_ROWS,
+    });
+    addRecords(result.data);
+    return { rows, headers: state.headers || [], delimiter };
+  },
+};
+
+const jsonFormat = {
+  id: "json",
+  label: "JSON array",
+  detect: (sample, name) => {
+    const trimmed = sample.trimStart();
+    return (
+      trimmed.startsWith("[") ||
+      trimmed.startsWith("{") ||
+      getExtension(name) === "json"
+    );
+  },
+  parse: async (source, { options, onProgress }) => {
+    const text = await readText(source, options);
+    const { rows, emptyRows } = jsonFormat.toRows(JSON.parse(text), options);
+    onProgress(sourceSize(source), rows.length);
+    return { rows, headers: collectHeaders(rows), emptyRows };
+  },
+  toRows: (parsed, options) => {
+    // Accept the common { "data": [...] } envelope as well as a bare array
+    if (!Array.isArray(parsed) && parsed && typeof parsed === "object") {
+      parsed = Object.values(parsed).find(Array.isArray);
+    }
+    if (!Array.isArray(parsed)) {
+      throw new Error("JSON file must contain an array of records");
+    }
+    const records = parsed
+      .filter((record) => record && typeof record === "object")
+      .map((record) => flattenRecord(record, options));
+    const rows = records.filter((row) => !isEmptyRow(row));
+    return { rows, emptyRows: records.length - rows.length };
+  },
+  preview: (sample, options) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(sample);
+    } catch (e) {
+      // The sample usually ends mid-array; close it after the last record
+      const cut = sample.lastIndexOf("}");
+      parsed = JSON.parse(sample.slice(0, cut + 1) + "]");
+    }
+    const rows = jsonFormat.toRows(parsed, options).rows.slice(0, PREVIEW_ROWS);
+    return { rows, headers: collectHeaders(rows) };
+  },
+};
+
+const ndjsonFormat = {
+  id: "ndjson",
+  label: "Newline-delimited JSON",
+  detect: (sample, name) => {
+    if (["ndjson", "jsonl"].includes(getExtension(name))) return true;
+    // Two complete objects on their own lines; a single line could just as
+    // well be a compact JSON document.
+    const lines = sample
+      .split(/\r?\n/)
+      .filter((line) => line.trim() !== "")
+      .slice(0, 2);
+    if (lines.length < 2) return false;
+    return lines.every((line) => {
+      if (!line.trim().startsWith("{")) return false;
+      try {
+        JSON.parse(line);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    });
+  },
+  createLineReader: (rows, options, state) => {
+    let lineNumber = 0;
+    return (lines) => {
+      lines.forEach((line) => {
+        lineNumber++;
+        if (line.trim() === "") return;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (e) {
+          throw new Error(`Invalid JSON on line ${lineNumber}`);
+        }
+        const row = flattenRecord(record, options);
+        if (!isEmptyRow(row)) rows.push(row);
+        else state.emptyRows++;
+      });
+    };
+  },
+  parse: async (source, { options, onProgress }) => {
+    const rows = [];
+    const state = { emptyRows: 0 };
+    const addLines = ndjsonFormat.createLineReader(rows, options, state);
+
+    if (typeof source === "string") {
+      addLines(source.split(/\r?\n/));
+      onProgress(source.length, rows.length);
+    } else {
+      // Decode slice by slice so a multi-byte character split across a
+      // slice boundary is not corrupted.
+      const decoder = new TextDecoder(options.encoding);
+      let partial = "";
+      for (let offset = 0; offset < source.size; offset += CHUNK_SIZE) {
+        const buffer = await source
+          .slice(offset, offset + CHUNK_SIZE)
+          .arrayBuffer();
+        const lines = (
+          partial + decoder.decode(buffer, { stream: true })
+        ).split(/\r?\n/);
+        partial = lines.pop();
+        addLines(lines);
+        onProgress(Math.min(offset + CHUNK_SIZE, source.size), rows.length);
+      }
+      addLines([partial + decoder.decode()]);
+    }
+    return { rows, headers: collectHeaders(rows), emptyRows: state.emptyRows };
+  },
+  preview: (sample, options) => {
+    const rows = [];
+    const lines = sample.split(/\r?\n/).slice(0, PREVIEW_ROWS + 1);
+    // Drop the last line, which may be cut off
+    if (lines.length > PREVIEW_ROWS) lines.pop();
+    ndjsonFormat.createLineReader(rows, options, { emptyRows: 0 })(lines);
+    return { rows, headers: collectHeaders(rows) };
+  },
+};
+
+// Checked in order; the delimited format accepts anything and comes last.
+export const FORMATS = [ndjsonFormat, jsonFormat, delimitedFormat];
+
+// A byte-order mark settles the encoding regardless of the chosen option.
+const detectEncoding = (bytes, fallback) => {
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return "utf-16le";
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return "utf-8";
+  }
+  return fallback;
+};
+
+export const readSample = async (source, options) => {
+  if (typeof source === "string") {
+    return { sample: source.slice(0, SAMPLE_SIZE), encoding: "utf-8" };
+  }
+  const bytes = new Uint8Array(
+    await source.slice(0, SAMPLE_SIZE).arrayBuffer()
+  );
+  const encoding = detectEncoding(bytes, options.encoding);
+  return { sample: decode(bytes, encoding), encoding };
+};
+
+export const detectFormat = (sample, name) => {
+  const extension = getExtension(name);
+  if (["xlsx", "xls", "ods"].includes(extension) || sample.startsWith("PK")) {
+    throw new Error(
+      "Spreadsheet workbooks cannot be read directly. Save the sheet as CSV, or copy the cells and use Paste data."
+    );
+  }
+  if (sample.includes("\u0000")) {
+    throw new Error(
+      "This file does not look like text in the selected encoding."
+    );
+  }
+  return FORMATS.find((format) => format.detect(sample, name));
+};
+
+const prepare = async (source, name, importOptions) => {
+  const options = { ...DEFAULT_IMPORT_OPTIONS, ...importOptions };
+  const { sample, encoding } = await readSample(source, options);
+  if (sample.trim() === "") {
+    throw new Error("The file is empty.");
+  }
+  return {
+    sample,
+    format: detectFormat(sample, name),
+    options: { ...options, encoding },
+  };
+};
+
+// Parses the start of a source for the import dialog: the first rows as they
+// will be imported plus the raw lines, so banners above the header are visible.
+export const previewSource = async (source, { name, options }) => {
+  const prepared = await prepare(source, name, options);
+  const result = prepared.format.preview(prepared.sample, prepared.options);
+  return {
+    ...result,
+    format: prepared.format.id,
+    encoding: prepared.options.encoding,
+    rawLines: prepared.sample.split(/\r\n|\n|\r/).slice(0, 15),
+  };
+};
+
+// Reads any supported source (File or pasted string) into rows keyed by
+// header, reporting (bytesRead, rowCount) as it goes.
+export const ingest = async (source, { name, options, onProgress }) => {
+  const prepared = await prepare(source, name, options);
+  const result = await prepared.format.parse(source, {
+    sample: prepared.sample,
+    options: prepared.options,
+    onProgress,
+  });
+  if (!result.rows.length) {
+    throw new Error("No data rows were found.");
+  }
+  return { ...result, format: prepared.format.id };
+};
@@ -0,0 +1,143 @@
+import {
+  coerceValue,
+  ingest,
+  parseLocaleNumber,
+  previewSource,
+  sniffDelimiter,
+} from "./ingest";
+
+const read = (source, options = {}, name = "data.csv") =>
+  ingest(source, { name, options, onProgress: () => {} });
+
+describe("sniffDelimiter", () => {
+  it("picks the delimiter with a consistent count per line", () => {
+    expect(sniffDelimiter("a;b;c\n1;2,5;3\n4;5,5;6\n")).toBe(";");
+    expect(sniffDelimiter("a\tb\n1\t2\n3\t4\n")).toBe("\t");
+    expect(sniffDelimiter("a|b|c\n1|2|3\n4|5|6\n")).toBe("|");
+  });
+
+  it("ignores delimiters inside quotes", () => {
+    expect(sniffDelimiter('name,note\n"Doe; J",x\n"Roe; K",y\n')).toBe(",");
+  });
+});
+
+describe("parseLocaleNumber", () => {
+  it("follows the decimal and thousands separators", () => {
+    const european = { decimalSeparator: ",", thousandsSeparator: "." };
+    expect(parseLocaleNumber("1.234,5", european)).toBe(1234.5);
+    expect(parseLocaleNumber("1,5", european)).toBe(1.5);
+    expect(
+      parseLocaleNumber("1,234.5", {
+        decimalSeparator: ".",
+        thousandsSeparator: ",",
+      })
+    ).toBe(1234.5);
+    expect(
+      isNaN(parseLocaleNumber("12 apples", { decimalSeparator: "." }))
+    ).toBe(true);
+  });
+});
+
+describe("coerceValue", () => {
+  const options = { decimalSeparator: ".", thousandsSeparator: "" };
+
+  it("keeps codes with leading zeros as text", () => {
+    expect(coerceValue("00123", "auto", options)).toBe("00123");
+    expect(coerceValue("123", "auto", options)).toBe(123);
+  });
+
+  it("keeps values that do not fit a forced type", () => {
+    expect(coerceValue("maybe", "boolean", options)).toBe("maybe");
+    expect(coerceValue("yes", "boolean", options)).toBe(true);
+    expect(coerceValue("42", "text", options)).toBe("42");
+    expect(coerceValue("  ", "auto", options)).toBeNull();
+  });
+});
+
+describe("ingest", () => {
+  it("reads delimited text with a sniffed delimiter", async () => {
+    const result = await read("city;sales\nOslo;1,5\nBergen;2\n", {
+      decimalSeparator: ",",
+    });
+    expect(result.format).toBe("delimited");
+    expect(result.delimiter).toBe(";");
+    expect(result.headers).toEqual(["city", "sales"]);
+    expect(result.rows).toEqual([
+      { city: "Oslo", sales: 1.5 },
+      { city: "Bergen", sales: 2 },
+    ]);
+  });
+
+  it("names blank and repeated header cells", async () => {
+    const { headers } = await read("a,,a\n1,2,3\n");
+    expect(headers).toEqual(["a", "Column 2", "a_2"]);
+  });
+
+  it("counts rows of empty fields but not blank lines", async () => {
+    const result = await read("a,b\n1,2\n,\n\n3,4\n");
+    expect(result.rows).toHaveLength(2);
+    expect(result.emptyRows).toBe(1);
+  });
+
+  it("finds the header on its physical line below a banner", async () => {
+    const text =
+      '"Sales report\nall regions"\nExported today\ncity,sales\nOslo,3\n';
+    const result = await read(text, { headerRow: 4 });
+    expect(result.headers).toEqual(["city", "sales"]);
+    expect(result.rows).toEqual([{ city: "Oslo", sales: 3 }]);
+  });
+
+  it("skips rows after the header", async () => {
+    const result = await read("a,b\nunits,units\n1,2\n", { skipRows: 1 });
+    expect(result.rows).toEqual([{ a: 1, b: 2 }]);
+  });
+
+  it("reads a JSON array and keeps nested values as JSON text", async () => {
+    const result = await read(
+      '[{"a": 1, "tags": ["x", "y"]}, {"a": 2, "b": "z"}, {}]',
+      {},
+      "data.json"
+    );
+    expect(result.format).toBe("json");
+    expect(result.headers).toEqual(["a", "tags", "b"]);
+    expect(result.rows[0].tags).toBe('["x","y"]');
+    expect(result.emptyRows).toBe(1);
+  });
+
+  it("rejects JSON that is not an array of records", async () => {
+    await expect(read('{"a": 1}', {}, "data.json")).rejects.toThrow(
+      "JSON file must contain an array of records"
+    );
+  });
+
+  it("reads newline-delimited JSON", async () => {
+    const result = await read('{"a": 1}\n\n{"a": 2, "b": "x"}\n', {}, "x.txt");
+    expect(result.format).toBe("ndjson");
+    expect(result.rows).toEqual([{ a: 1 }, { a: 2, b: "x" }]);
+  });
+
+  it("reports the line of invalid newline-delimited JSON", async () => {
+    await expect(
+      read('{"a": 1}\n{"a": 2}\n{"a": \n', {}, "data.ndjson")
+    ).rejects.toThrow("Invalid JSON on line 3");
+  });
+
+  it("refuses spreadsheet workbooks and empty files", async () => {
+    await expect(read("PK\u0003\u0004", {}, "book.xlsx")).rejects.toThrow(
+      "Spreadsheet workbooks cannot be read directly"
+    );
+    await expect(read("  \n")).rejects.toThrow("The file is empty.");
+  });
+});
+
+describe("previewSource", () => {
+  it("returns the raw lines along with the parsed rows", async () => {
+    const preview = await previewSource("Banner\na,b\n1,2\n", {
+      name: "data.csv",
+      options: { headerRow: 2 },
+    });
+    expect(preview.rawLines.slice(0, 3)).toEqual(["Banner", "a,b", "1,2"]);
+    expect(preview.headers).toEqual(["a", "b"]);
+    expect(preview.rows).toEqual([{ a: 1, b: 2 }]);
+  });
+});
@@ -0,0 +1,156 @@
+import { toNumber } from "./columnTypes";
+import { formatNumber } from "./format";
+import { describe, quantile } from "./stats";
+
+// Outliers are values outside a pair of fences; each method places the
+// fences threshold units away from the centre of the column. Fences make
+// detection cheap to repeat per cell and easy to draw on charts.
+
+export const OUTLIER_METHODS = {
+  iqr: {
+    label: "IQR fences",
+    unit: "× IQR beyond the quartiles",
+    threshold: 1.5,
+    step: 0.5,
+  },
+  zscore: {
+    label: "Z-score",
+    unit: "standard deviations from the mean",
+    threshold: 3,
+    step: 0.5,
+  },
+  modifiedZ: {
+    label: "Modified z-score",
+    unit: "robust deviations (MAD) from the median",
+    threshold: 3.5,
+    step: 0.5,
+  },
+};
+
+export const DEFAULT_OUTLIER_SETTINGS = { method: "iqr", threshold: 1.5 };
+
+// Scales the median absolute deviation to a standard deviation for
+// normal data (Iglewicz & Hoaglin)
+const MAD_SCALE = 0.6745;
+// Neighbours either side of a period that it is compared with
+const SERIES_WINDOW = 3;
+const MIN_SERIES_POINTS = 2 * SERIES_WINDOW + 1;
+
+const numbersOf = (data, column) => {
+  const numbers = [];
+  data.forEach((row) => {
+    const n = toNumber(row[column]);
+    if (Number.isFinite(n)) numbers.push(n);
+  });
+  return numbers;
+};
+
+const medianAbsoluteDeviation = (numbers, median) =>
+  quantile(
+    numbers.map((n) => Math.abs(n - median)).sort((a, b) => a - b),
+    0.5
+  );
+
+// { low, high } for one column, or null when the spread is zero and
+// every value would be an outlier. stats is the column's describe() output.
+export const outlierFences = (numbers, stats, { method, threshold }) => {
+  if (stats.count < 3) return null;
+  if (method === "zscore") {
+    if (!stats.stdDev) return null;
+    return {
+      low: stats.mean - threshold * stats.stdDev,
+      high: stats.mean + threshold * stats.stdDev,
+    };
+  }
+  if (method === "modifiedZ") {
+    const mad = medianAbsoluteDeviation(numbers, stats.median);
+    if (!mad) return null;
+    const reach = (threshold * mad) / MAD_SCALE;
+    return { low: stats.median - reach, high: stats.median + reach };
+  }
+  if (!stats.iqr) return null;
+  return {
+    low: stats.q1 - threshold * stats.iqr,
+    high: stats.q3 + threshold * stats.iqr,
+  };
+};
+
+export const isOutside = (value, fences) => {
+  if (!fences) return false;
+  const n = toNumber(value);
+  return Number.isFinite(n) && (n < fences.low || n > fences.high);
+};
+
+export const describeFences = (fences) =>
+  `outside ${formatNumber(fences.low)} to ${formatNumber(fences.high)}`;
+
+// Per numeric column: { low, high, rows } with rows the indices into data
+// of the outlying values. Columns without a spread are left out.
+export const detectOutliers = (data, analysis, settings) => {
+  const result = {};
+  Object.keys(analysis.numeric).forEach((column) => {
+    const numbers = numbersOf(data, column);
+    const fences = outlierFences(numbers, analysis.numeric[column], settings);
+    if (!fences) return;
+    const rows = [];
+    data.forEach((row, idx) => {
+      if (isOutside(row[column], fences)) rows.push(idx);
+    });
+    result[column] = { ...fences, rows };
+  });
+  return result;
+};
+
+// { column: { low, high } } for the columns with outliers, as the charts
+// and the grid take them.
+export const outlierFenceMap = (outliers) =>
+  Object.fromEntries(
+    Object.entries(outliers || {})
+      .filter(([, o]) => o.rows.length)
+      .map(([column, { low, high }]) => [column, { low, high }])
+  );
+
+// The n outlying values of column furthest from the middle of its fences,
+// most extreme first. outlier is the column's entry from detectOutliers.
+export const mostExtreme = (data, column, { low, high, rows }, n) => {
+  const centre = (low + high) / 2;
+  return rows
+    .map((idx) => toNumber(data[idx][column]))
+    .sort((a, b) => Math.abs(b - centre) - Math.abs(a - centre))
+    .slice(0, n);
+};
+
+export const outlierRows = (outliers) =>
+  [...new Set(Object.values(outliers || {}).flatMap((o) => o.rows))].sort(
+    (a, b) => a - b
+  );
+
+// Anomalous periods of a resampled series: each value is held against
+// the fences of its nearest neighbours (a Hampel-style moving window, so
+// trends and seasons don't count as anomalies). Returns the indices into
+// points.
+export const seriesAnomalies = (points, measure, settings) => {
+  const present = [];
+  points.forEach((p, i) => {
+    if (p[measure] !== null && p[measure] !== undefined) present.push(i);
+  });
+  if (present.length < MIN_SERIES_POINTS) return [];
+  const values = present.map((i) => points[i][measure]);
+  const size = 2 * SERIES_WINDOW;
+  return present.filter((_, k) => {
+    // Windows stay full at the ends by reaching further the other way
+    const start = Math.min(
+      Math.max(0, k - SERIES_WINDOW),
+      values.length - size - 1
+    );
+    const neighbours = values
+      .slice(start, start + size + 1)
+      .filter((_, j) => start + j !== k);
+    const stats = describe(neighbours);
+    const fences = outlierFences(neighbours, stats, settings);
+    // A flat neighbourhood has no spread: any departure from it stands out
+    return fences
+      ? values[k] < fences.low || values[k] > fences.high
+      : values[k] !== stats.median;
+  });
+};
@@ -0,0 +1,141 @@
+import { analyzeData } from "./analysis";
+import {
+  DEFAULT_OUTLIER_SETTINGS,
+  describeFences,
+  detectOutliers,
+  isOutside,
+  mostExtreme,
+  outlierFenceMap,
+  outlierFences,
+  outlierRows,
+  seriesAnomalies,
+} from "./outliers";
+import { describe as describeNumbers } from "./stats";
+
+const numbers = [10, 11, 12, 13, 14, 15, 16, 17, 18, 100];
+const stats = describeNumbers(numbers);
+const fences = (method, threshold) =>
+  outlierFences(numbers, stats, { method, threshold });
+
+describe("outlierFences", () => {
+  it("places IQR fences beyond the quartiles", () => {
+    expect(fences("iqr", 1.5)).toEqual({ low: 5.5, high: 23.5 });
+    expect(fences("iqr", 3)).toEqual({ low: -1.25, high: 30.25 });
+  });
+
+  it("places z-score fences around the mean", () => {
+    const { low, high } = fences("zscore", 2);
+    expect(low).toBeCloseTo(stats.mean - 2 * stats.stdDev);
+    expect(high).toBeCloseTo(stats.mean + 2 * stats.stdDev);
+    // The outlier inflates the deviation it is measured in
+    expect(isOutside(100, fences("zscore", 3))).toBe(false);
+    expect(isOutside(100, fences("zscore", 2))).toBe(true);
+  });
+
+  it("places modified z-score fences around the median", () => {
+    // The median is 14.5 and the median absolute deviation 2.5
+    const { low, high } = fences("modifiedZ", 3.5);
+    expect(low).toBeCloseTo(14.5 - (3.5 * 2.5) / 0.6745);
+    expect(high).toBeCloseTo(14.5 + (3.5 * 2.5) / 0.6745);
+  });
+
+  it("gives no fences without a spread or enough values", () => {
+    const flat = [5, 5, 5, 5];
+    ["iqr", "zscore", "modifiedZ"].forEach((method) => {
+      expect(
+        outlierFences(flat, describeNumbers(flat), { method, threshold: 2 })
+      ).toBeNull();
+    });
+    expect(
+      outlierFences([1, 9], describeNumbers([1, 9]), DEFAULT_OUTLIER_SETTINGS)
+    ).toBeNull();
+  });
+});
+
+describe("isOutside", () => {
+  it("reads numbers from text and ignores the rest", () => {
+    const range = { low: 0, high: 10 };
+    expect(isOutside("11", range)).toBe(true);
+    expect(isOutside(-1, range)).toBe(true);
+    expect(isOutside(10, range)).toBe(false);
+    expect(isOutside("n/a", range)).toBe(false);
+    expect(isOutside(11, null)).toBe(false);
+  });
+});
+
+describe("detectOutliers", () => {
+  const data = [
+    ...numbers.map((v, i) => ({ v, flat: 1, name: `row ${i}` })),
+    { v: "", flat: 1, name: "blank" },
+    { v: -40, flat: 1, name: "low" },
+  ];
+  const analysis = analyzeData(data, ["v", "flat", "name"]);
+
+  it("finds the outlying rows of each numeric column", () => {
+    const found = detectOutliers(data, analysis, DEFAULT_OUTLIER_SETTINGS);
+    // Columns without a spread are left out
+    expect(Object.keys(found)).toEqual(["v"]);
+    expect(found.v.rows).toEqual([9, 11]);
+    expect(outlierRows(found)).toEqual([9, 11]);
+    expect(mostExtreme(data, "v", found.v, 1)).toEqual([100]);
+    expect(mostExtreme(data, "v", found.v, 5)).toEqual([100, -40]);
+    expect(outlierFenceMap(found)).toEqual({
+      v: { low: found.v.low, high: found.v.high },
+    });
+  });
+
+  it("follows the chosen method and threshold", () => {
+    const loose = detectOutliers(data, analysis, {
+      method: "iqr",
+      threshold: 50,
+    });
+    expect(loose.v.rows).toEqual([]);
+    expect(outlierFenceMap(loose)).toEqual({});
+    const robust = detectOutliers(data, analysis, {
+      method: "modifiedZ",
+      threshold: 3.5,
+    });
+    expect(robust.v.rows).toEqual([9, 11]);
+  });
+
+  it("describes the fences", () => {
+    expect(describeFences({ low: -1.25, high: 30.25 })).toBe(
+      "outside -1.25 to 30.25"
+    );
+  });
+});
+
+describe("seriesAnomalies", () => {
+  const series = (values) => values.map((value) => ({ value }));
+
+  it("holds each period against its neighbours, not the whole series", () => {
+    const rising = [1, 2, 3, 4, 5, 30, 7, 8, 9, 10, 11, 12];
+    expect(
+      seriesAnomalies(series(rising), "value", DEFAULT_OUTLIER_SETTINGS)
+    ).toEqual([5]);
+    // A steady trend has no anomalies, even at its ends
+    expect(
+      seriesAnomalies(
+        series(rising.map((v, i) => i * 10)),
+        "value",
+        DEFAULT_OUTLIER_SETTINGS
+      )
+    ).toEqual([]);
+  });
+
+  it("skips blank periods and flags departures from a flat stretch", () => {
+    const points = series([3, 3, null, 3, 3, 3, 4, 3, 3, 3]);
+    expect(seriesAnomalies(points, "value", DEFAULT_OUTLIER_SETTINGS)).toEqual([
+      6,
+    ]);
+  });
+
+  it("needs enough periods to compare with", () => {
+    expect(
+      seriesAnomalies(series([1, 1, 1, 50, 1, 1]), "value", {
+        method: "zscore",
+        threshold: 3,
+      })
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,139 @@
+/* eslint-disable no-restricted-globals */
+import { ingest } from "./ingest";
+import { analyzeData } from "./analysis";
+import { localReport } from "./findings";
+import { detectOutliers } from "./outliers";
+import { columnModes, detectPII } from "./privacy";
+import { runPipeline } from "./transforms";
+
+// Holds the imported table for as long as the file is open, so every pass
+// over the rows (parsing, transform replays, the analyses derived from the
+// rows) stays off the main thread. Replies carry the id of the request.
+
+let imported = null;
+let current = null;
+let outlierSettings = null;
+let privacyOverrides = {};
+
+// The analyses that walk every row besides analyzeData
+const derive = () => ({
+  piiColumns: current.piiColumns,
+  outliers: detectOutliers(current.rows, current.analysis, outlierSettings),
+  findings: current.rows.length
+    ? localReport(
+        current.rows,
+        current.headers,
+        current.analysis,
+        outlierSettings,
+        columnModes(current.headers, current.piiColumns, privacyOverrides)
+      )
+    : null,
+});
+
+const setCurrent = (rows, headers, analysis) => {
+  current = { rows, headers, analysis, piiColumns: detectPII(rows, headers) };
+};
+
+const importFile = async ({ id, source, name, options }) => {
+  const totalBytes = typeof source === "string" ? source.length : source.size;
+  const { rows, headers, format, delimiter, emptyRows } = await ingest(source, {
+    name,
+    options,
+    onProgress: (bytesRead, rowCount) => {
+      self.postMessage({
+        type: "progress",
+        stage: "reading",
+        bytesRead,
+        totalBytes,
+        rows: rowCount,
+      });
+    },
+  });
+
+  const analysis = analyzeData(rows, headers, {
+    columnTypes: options.columnTypes,
+    onProgress: (done, total) => {
+      self.postMessage({
+        type: "progress",
+        stage: "analyzing",
+        bytesRead: totalBytes,
+        totalBytes,
+        rows: rows.length,
+        columnsDone: done,
+        columnsTotal: total,
+      });
+    },
+  });
+  imported = {
+    rows,
+    headers,
+    analysis,
+    columnTypes: options.columnTypes || {},
+    numberFormat: {
+      decimalSeparator: options.decimalSeparator || ".",
+      thousandsSeparator: options.thousandsSeparator || "",
+    },
+  };
+  setCurrent(rows, headers, analysis);
+  self.postMessage({
+    type: "done",
+    id,
+    data: rows,
+    headers,
+    analysis,
+    importSummary: { format, delimiter, emptyRows },
+    derived: derive(),
+  });
+};
+
+// Replays the transform steps over the imported table
+const transform = ({ id, steps }) => {
+  let errors = {};
+  let notes = {};
+  if (!steps.length) {
+    setCurrent(imported.rows, imported.headers, imported.analysis);
+  } else {
+    const result = runPipeline(
+      {
+        rows: imported.rows,
+        headers: imported.headers,
+        columnTypes: imported.columnTypes,
+        numberFormat: imported.numberFormat,
+      },
+      steps
+    );
+    ({ errors, notes } = result);
+    setCurrent(
+      result.rows,
+      result.headers,
+      analyzeData(result.rows, result.headers, {
+        columnTypes: result.columnTypes,
+      })
+    );
+  }
+  self.postMessage({
+    type: "transformed",
+    id,
+    data: current.rows,
+    headers: current.headers,
+    analysis: current.analysis,
+    errors,
+    notes,
+    derived: derive(),
+  });
+};
+
+self.onmessage = async (e) => {
+  const message = e.data;
+  if (message.outlierSettings) outlierSettings = message.outlierSettings;
+  if (message.privacyOverrides) privacyOverrides = message.privacyOverrides;
+  try {
+    if (message.type === "import") await importFile(message);
+    else if (message.type === "transform") transform(message);
+    else if (message.type === "derive") {
+      self.postMessage({ type: "derived", id: message.id, derived: derive() });
+    }
+  } catch (error) {
+    self.postMessage({ type: "error", id: message.id, message: error.message });
+  }
+};
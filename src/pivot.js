@@ -0,0 +1,143 @@
+import { aggregate, AGGREGATIONS, compareKeys } from "./aggregate";
+
+const BLANK = "(blank)";
+const TOTAL = "Total";
+
+const keyOf = (row, fields) =>
+  fields.map((f) =>
+    row[f] === null || row[f] === undefined || row[f] === ""
+      ? BLANK
+      : String(row[f])
+  );
+
+const compareKeyLists = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    const order = compareKeys(a[i], b[i]);
+    if (order) return order;
+  }
+  return 0;
+};
+
+export const valueLabel = ({ column, agg }) =>
+  column ? `${AGGREGATIONS[agg]} of ${column}` : AGGREGATIONS[agg];
+
+// Cross-tabulates data. Every aggregation is computed from the raw cells
+// of its group, so subtotals of medians and means are exact rather than
+// aggregates of aggregates. Returns:
+//   columns: [{ key, labels }] for each column-field combination, plus Total
+//   lines:   [{ kind: "row" | "subtotal" | "grand", labels, level, cells }]
+//            where cells[columnKey] holds one result per value spec
+export const buildPivot = (data, { rows = [], columns = [], values = [] }) => {
+  // Counting rows needs no value column
+  const specs = values.length ? values : [{ column: null, agg: "count" }];
+  const groups = new Map();
+  const rowKeys = new Map();
+  const colKeys = new Map();
+
+  const push = (rowKey, colKey, row) => {
+    const id = `${rowKey}\u0000${colKey}`;
+    if (!groups.has(id))
+      groups.set(
+        id,
+        specs.map(() => [])
+      );
+    const cells = groups.get(id);
+    specs.forEach((spec, i) => cells[i].push(spec.column && row[spec.column]));
+  };
+
+  data.forEach((row) => {
+    const rowLabels = keyOf(row, rows);
+    const colLabels = keyOf(row, columns);
+    const colKey = JSON.stringify(colLabels);
+    colKeys.set(colKey, colLabels);
+    // Every prefix of the row key is a subtotal level; the empty prefix is
+    // the grand total
+    for (let level = 0; level <= rows.length; level++) {
+      const prefix = rowLabels.slice(0, level);
+      const rowKey = JSON.stringify(prefix);
+      rowKeys.set(rowKey, prefix);
+      push(rowKey, colKey, row);
+      if (columns.length) push(rowKey, TOTAL, row);
+    }
+  });
+
+  const columnList = [...colKeys.entries()]
+    .sort((a, b) => compareKeyLists(a[1], b[1]))
+    .map(([key, labels]) => ({ key, labels }));
+  if (columns.length) columnList.push({ key: TOTAL, labels: [TOTAL] });
+
+  const cellsFor = (rowKey) => {
+    const cells = {};
+    columnList.forEach(({ key }) => {
+      const raw = groups.get(`${rowKey}\u0000${key}`);
+      cells[key] = raw
+        ? specs.map((spec, i) => aggregate(raw[i], spec.agg))
+        : specs.map(() => null);
+    });
+    return cells;
+  };
+
+  // Leaf rows in sorted order; a subtotal closes each group as soon as the
+  // next leaf no longer shares its prefix
+  const leaves = [...rowKeys.values()]
+    .filter((labels) => labels.length === rows.length && labels.length > 0)
+    .sort(compareKeyLists);
+  const lines = [];
+  leaves.forEach((labels, i) => {
+    lines.push({
+      kind: "row",
+      labels,
+      level: labels.length,
+      cells: cellsFor(JSON.stringify(labels)),
+    });
+    const next = leaves[i + 1];
+    for (let level = rows.length - 1; level >= 1; level--) {
+      const prefix = labels.slice(0, level);
+      if (next && prefix.every((label, j) => next[j] === label)) break;
+      lines.push({
+        kind: "subtotal",
+        labels: prefix,
+        level,
+        cells: cellsFor(JSON.stringify(prefix)),
+      });
+    }
+  });
+  lines.push({
+    kind: "grand",
+    labels: [],
+    level: 0,
+    cells: cellsFor(JSON.stringify([])),
+  });
+
+  return { columns: columnList, lines, specs };
+};
+
+// Text for row-field column i of a pivot line.
+export const pivotRowLabel = (line, i) => {
+  if (line.kind === "grand") return i === 0 ? "Grand total" : "";
+  if (line.kind === "subtotal" && i === line.labels.length - 1) {
+    return `${line.labels[i]} total`;
+  }
+  return line.labels[i] ?? "";
+};
+
+// Flattens a pivot into plain rows for export: one column per row field,
+// then one per column combination and value.
+export const pivotToTable = (pivot, rowFields) => {
+  const headers = [
+    ...(rowFields.length ? rowFields : [""]),
+    ...pivot.columns.flatMap((col) =>
+      pivot.specs.map((spec) =>
+        [...col.labels.filter((l) => l), valueLabel(spec)].join(" · ")
+      )
+    ),
+  ];
+  const body = pivot.lines.map((line) => {
+    const labels = rowFields.map((_, i) => pivotRowLabel(line, i));
+    return [
+      ...(rowFields.length ? labels : ["Total"]),
+      ...pivot.columns.flatMap((col) => line.cells[col.key]),
+    ];
+  });
+  return { headers, body };
+};
@@ -0,0 +1,131 @@
+import { buildPivot, pivotRowLabel, pivotToTable } from "./pivot";
+
+const data = [
+  { region: "North", month: "Jan", product: "A", revenue: 10 },
+  { region: "North", month: "Jan", product: "B", revenue: 20 },
+  { region: "North", month: "Feb", product: "A", revenue: 30 },
+  { region: "South", month: "Jan", product: "A", revenue: 5 },
+  { region: "South", month: "Feb", product: "B", revenue: "" },
+  { region: "", month: "Feb", product: "A", revenue: 1 },
+];
+
+const cellsOf = (pivot, kind, labels) =>
+  pivot.lines.find(
+    (line) =>
+      line.kind === kind &&
+      JSON.stringify(line.labels) === JSON.stringify(labels)
+  ).cells;
+
+describe("buildPivot", () => {
+  it("counts rows when there is no value column", () => {
+    const pivot = buildPivot(data, { rows: ["region"] });
+    const [key] = pivot.columns.map((col) => col.key);
+    expect(pivot.lines.map((line) => [line.labels, line.cells[key]])).toEqual([
+      [["(blank)"], [1]],
+      [["North"], [3]],
+      [["South"], [2]],
+      [[], [6]],
+    ]);
+  });
+
+  it("closes each group with a subtotal and ends with the grand total", () => {
+    const pivot = buildPivot(data, {
+      rows: ["region", "month"],
+      values: [{ column: "revenue", agg: "sum" }],
+    });
+    expect(pivot.lines.map((line) => [line.kind, line.labels])).toEqual([
+      ["row", ["(blank)", "Feb"]],
+      ["subtotal", ["(blank)"]],
+      ["row", ["North", "Feb"]],
+      ["row", ["North", "Jan"]],
+      ["subtotal", ["North"]],
+      ["row", ["South", "Feb"]],
+      ["row", ["South", "Jan"]],
+      ["subtotal", ["South"]],
+      ["grand", []],
+    ]);
+    const [key] = pivot.columns.map((col) => col.key);
+    expect(cellsOf(pivot, "subtotal", ["North"])[key]).toEqual([60]);
+    expect(cellsOf(pivot, "grand", [])[key]).toEqual([66]);
+    // Cells that are not numbers are left out rather than counted as zero
+    expect(cellsOf(pivot, "row", ["South", "Feb"])[key]).toEqual([null]);
+  });
+
+  it("computes subtotals from the raw cells, not from the group results", () => {
+    const pivot = buildPivot(data, {
+      rows: ["region", "product"],
+      values: [{ column: "revenue", agg: "median" }],
+    });
+    const [key] = pivot.columns.map((col) => col.key);
+    expect(cellsOf(pivot, "row", ["North", "A"])[key]).toEqual([20]);
+    expect(cellsOf(pivot, "subtotal", ["North"])[key]).toEqual([20]);
+    // The median of the region subtotals (1, 20 and 5) would be 5
+    expect(cellsOf(pivot, "grand", [])[key]).toEqual([10]);
+  });
+
+  it("splits columns by the column fields and adds a total column", () => {
+    const pivot = buildPivot(data, {
+      rows: ["region"],
+      columns: ["month"],
+      values: [
+        { column: "revenue", agg: "sum" },
+        { column: "revenue", agg: "max" },
+      ],
+    });
+    expect(pivot.columns.map((col) => col.labels)).toEqual([
+      ["Feb"],
+      ["Jan"],
+      ["Total"],
+    ]);
+    const north = cellsOf(pivot, "row", ["North"]);
+    expect(north['["Jan"]']).toEqual([30, 20]);
+    expect(north.Total).toEqual([60, 30]);
+    expect(cellsOf(pivot, "row", ["(blank)"])['["Jan"]']).toEqual([null, null]);
+  });
+});
+
+describe("pivotRowLabel", () => {
+  it("labels subtotals and the grand total", () => {
+    const pivot = buildPivot(data, { rows: ["region", "month"] });
+    const subtotal = pivot.lines.find((line) => line.kind === "subtotal");
+    const grand = pivot.lines[pivot.lines.length - 1];
+    expect([0, 1].map((i) => pivotRowLabel(subtotal, i))).toEqual([
+      "(blank) total",
+      "",
+    ]);
+    expect([0, 1].map((i) => pivotRowLabel(grand, i))).toEqual([
+      "Grand total",
+      "",
+    ]);
+  });
+});
+
+describe("pivotToTable", () => {
+  it("flattens the pivot into headers and rows", () => {
+    const pivot = buildPivot(data, {
+      rows: ["region"],
+      columns: ["month"],
+      values: [{ column: "revenue", agg: "sum" }],
+    });
+    const table = pivotToTable(pivot, ["region"]);
+    expect(table.headers).toEqual([
+      "region",
+      "Feb · Sum of revenue",
+      "Jan · Sum of revenue",
+      "Total · Sum of revenue",
+    ]);
+    expect(table.body).toContainEqual(["North", 30, 30, 60]);
+    expect(table.body[table.body.length - 1]).toEqual([
+      "Grand total",
+      31,
+      35,
+      66,
+    ]);
+  });
+
+  it("uses a single total row when there are no row fields", () => {
+    const table = pivotToTable(buildPivot(data, {}), []);
+    expect(table.headers).toEqual(["", "Count"]);
+    expect(table.body).toEqual([["Total", 6]]);
+  });
+});
@@ -0,0 +1,219 @@
+// What the AI provider may see of each column. Detection is a heuristic
+// over column names and a sample of values; the user has the last word
+// through the per-column modes.
+
+export const PRIVACY_MODES = {
+  include: "Send",
+  mask: "Mask",
+  hash: "Hash",
+  exclude: "Exclude",
+};
+
+export const PII_KINDS = {
+  email: "Email address",
+  phone: "Phone number",
+  name: "Personal name",
+  nationalId: "National ID",
+  address: "Postal address",
+  birthDate: "Date of birth",
+};
+
+const SAMPLE_SIZE = 200;
+// Share of sampled values that must match for a value-based detection
+const MATCH_SHARE = 0.5;
+// Categories past this many are left out of the statistics sent
+export const MAX_SHARED_CATEGORIES = 20;
+
+const HEADER_PATTERNS = [
+  ["email", /e-?mail/i],
+  ["phone", /phone|mobile|\bcell\b|\btel\b|telephone|\bfax\b/i],
+  [
+    "nationalId",
+    /\bssn\b|social.?security|national.?(id|insurance)|passport|tax.?id|\bnino\b|\bsin\b|\btin\b/i,
+  ],
+  [
+    "name",
+    /^(first|last|full|given|family|middle|sur|maiden)[\s_-]?name$|^name$|^(employee|customer|contact|person|patient|client|user|manager)[\s_-]?name$/i,
+  ],
+  ["address", /address|street|postcode|postal.?code|\bzip\b/i],
+  ["birthDate", /birth|\bdob\b/i],
+];
+
+const VALUE_PATTERNS = [
+  ["email", /^[^\s@]+@[^\s@]+\.[^\s@]+$/],
+  ["nationalId", /^\d{3}-\d{2}-\d{4}$|^[A-CEGHJ-PR-TW-Z]{2}\d{6}[A-D]$/i],
+  ["phone", /^(?=(?:\D*\d){7,15}\D*$)\+?[\d\s().-]+$/],
+];
+
+const isBlank = (v) => v === null || v === undefined || v === "";
+
+// Returns { [column]: { kind, reason } } for columns that look personal.
+export const detectPII = (data, headers) => {
+  const found = {};
+  headers.forEach((column) => {
+    const byName = HEADER_PATTERNS.find(([, pattern]) => pattern.test(column));
+    if (byName) {
+      found[column] = { kind: byName[0], reason: "column name" };
+      return;
+    }
+    const sample = [];
+    for (let i = 0; i < data.length && sample.length < SAMPLE_SIZE; i++) {
+      const value = data[i][column];
+      // Numbers are never e-mails, and phone-like numbers are usually amounts
+      if (!isBlank(value) && typeof value === "string") {
+        sample.push(value.trim());
+      }
+    }
+    if (!sample.length) return;
+    VALUE_PATTERNS.some(([kind, pattern]) => {
+      const share =
+        sample.filter((v) => pattern.test(v)).length / sample.length;
+      if (share < MATCH_SHARE) return false;
+      found[column] = {
+        kind,
+        reason: `${Math.round(share * 100)}% of values look like one`,
+      };
+      return true;
+    });
+  });
+  return found;
+};
+
+// Effective mode of every column: the user's choice, otherwise excluded
+// when the column was detected as personal data.
+export const columnModes = (headers, detected, overrides = {}) =>
+  Object.fromEntries(
+    headers.map((column) => [
+      column,
+      overrides[column] || (detected[column] ? "exclude" : "include"),
+    ])
+  );
+
+// Pseudonyms only need to be stable within a session; the salt keeps
+// them from being looked up across sessions.
+const SALT = Math.random().toString(36).slice(2);
+
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+};
+
+// Masking keeps the shape of a value (A-Z becomes X, a-z x, digits 9) so
+// the model can still tell formats apart.
+export const protectValue = (value, mode) => {
+  if (isBlank(value) || mode === "include") return value;
+  const text = String(value);
+  if (mode === "hash") return `#${fnv1a(SALT + text)}`;
+  return text.replace(/[A-Z]/g, "X").replace(/[a-z]/g, "x").replace(/\d/g, "9");
+};
+
+export const sharedColumns = (headers, modes) =>
+  headers.filter((column) => modes[column] !== "exclude");
+
+export const sanitizeRows = (rows, headers, modes) =>
+  rows.map((row) =>
+    Object.fromEntries(
+      sharedColumns(headers, modes).map((column) => [
+        column,
+        protectValue(row[column], modes[column]),
+      ])
+    )
+  );
+
+// The statistics of one column as they may be shared: distributions are
+// cut to the most common values and protected like the cells, and the
+// numeric or date statistics of a protected column are withheld.
+export const sanitizeColumnStats = (analysis, column, mode) => {
+  if (mode === "exclude") return null;
+  const categorical = analysis.categorical[column];
+  if (categorical) {
+    const distribution = {};
+    Object.entries(categorical.distribution)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_SHARED_CATEGORIES)
+      .forEach(([value, count]) => {
+        const key = protectValue(value, mode);
+        distribution[key] = (distribution[key] || 0) + count;
+      });
+    return {
+      unique: categorical.unique,
+      total: categorical.total,
+      mostCommon: categorical.mostCommon && [
+        protectValue(categorical.mostCommon[0], mode),
+        categorical.mostCommon[1],
+      ],
+      distribution,
+    };
+  }
+  const stats = analysis.numeric[column] || analysis.dates[column];
+  if (!stats) return null;
+  return mode === "include" ? stats : { count: stats.count };
+};
+
+export const sanitizeAnalysis = (analysis, headers, modes) => {
+  const shared = sharedColumns(headers, modes);
+  const pick = (group) =>
+    Object.fromEntries(
+      shared
+        .filter((column) => group[column])
+        .map((column) => [
+          column,
+          sanitizeColumnStats(analysis, column, modes[column]),
+        ])
+    );
+  return {
+    totalRows: analysis.totalRows,
+    totalColumns: shared.length,
+    types: Object.fromEntries(
+      shared.map((column) => [column, analysis.types[column]])
+    ),
+    numeric: pick(analysis.numeric),
+    categorical: pick(analysis.categorical),
+    dates: pick(analysis.dates),
+  };
+};
+
+// Strictest first: a value computed from several columns is protected as
+// the most private of them.
+const MODE_ORDER = ["exclude", "hash", "mask", "include"];
+
+const strictestMode = (columns, modes) =>
+  MODE_ORDER.find((mode) =>
+    columns.some((column) => (modes[column] || "include") === mode)
+  ) || "include";
+
+// Every column a chart point draws on; see protectPoint.
+export const sourceColumns = (sources, keyColumns = {}) => [
+  ...new Set([...Object.values(sources).flat(), ...Object.values(keyColumns)]),
+];
+
+// A hovered chart point as it may be shared. sources maps each key of
+// the point to the columns its value comes from ([] for counts, shares
+// and record numbers); keys that are themselves a column's value (one
+// series per group) name that column in keyColumns. Keys without a
+// source and values of excluded columns are dropped, the rest are
+// protected like cells, numbers included.
+export const protectPoint = (point, sources, modes, keyColumns = {}) => {
+  const shared = {};
+  Object.entries(point).forEach(([key, value]) => {
+    const columns = sources[key];
+    if (!columns || (value !== null && typeof value === "object")) return;
+    const mode = strictestMode(
+      keyColumns[key] ? [...columns, keyColumns[key]] : columns,
+      modes
+    );
+    if (mode === "exclude") return;
+    const name = keyColumns[key]
+      ? protectValue(key, modes[keyColumns[key]] || "include")
+      : key;
+    shared[name] =
+      mode === "include" || value === null || value === undefined
+        ? value
+        : protectValue(String(value), mode);
+  });
+  return shared;
+};
@@ -0,0 +1,178 @@
+import {
+  MAX_SHARED_CATEGORIES,
+  columnModes,
+  detectPII,
+  protectPoint,
+  protectValue,
+  sanitizeAnalysis,
+  sanitizeColumnStats,
+  sanitizeRows,
+  sourceColumns,
+} from "./privacy";
+
+describe("detectPII", () => {
+  it("detects personal columns by name", () => {
+    const found = detectPII(
+      [],
+      ["E-mail", "Customer Name", "DOB", "zip", "name_of_product", "Region"]
+    );
+    expect(Object.keys(found)).toEqual([
+      "E-mail",
+      "Customer Name",
+      "DOB",
+      "zip",
+    ]);
+    expect(found["Customer Name"]).toEqual({
+      kind: "name",
+      reason: "column name",
+    });
+  });
+
+  it("detects personal columns by a majority of their values", () => {
+    const data = [
+      { contact: "ann@example.com", ref: "123-45-6789", amount: 5551234567 },
+      { contact: "bob@example.org", ref: "987-65-4321", amount: 5559876543 },
+      { contact: "n/a", ref: "+44 20 7946 0958", amount: 1 },
+    ];
+    const found = detectPII(data, ["contact", "ref", "amount"]);
+    expect(found.contact).toEqual({
+      kind: "email",
+      reason: "67% of values look like one",
+    });
+    expect(found.ref.kind).toBe("nationalId");
+    // Numbers that look like phone numbers are usually amounts
+    expect(found.amount).toBeUndefined();
+  });
+});
+
+describe("columnModes", () => {
+  it("excludes detected columns unless the user chose otherwise", () => {
+    const detected = { email: { kind: "email" }, phone: { kind: "phone" } };
+    expect(
+      columnModes(["email", "phone", "sales"], detected, { phone: "mask" })
+    ).toEqual({ email: "exclude", phone: "mask", sales: "include" });
+  });
+});
+
+describe("protectValue", () => {
+  it("keeps the shape of masked values", () => {
+    expect(protectValue("Ann Lee 42", "mask")).toBe("Xxx Xxx 99");
+    expect(protectValue(1234, "mask")).toBe("9999");
+  });
+
+  it("hashes values into stable pseudonyms", () => {
+    const first = protectValue("ann@example.com", "hash");
+    expect(first).toMatch(/^#[0-9a-f]{8}$/);
+    expect(protectValue("ann@example.com", "hash")).toBe(first);
+    expect(protectValue("bob@example.com", "hash")).not.toBe(first);
+  });
+
+  it("leaves blanks and included values alone", () => {
+    expect(protectValue("", "mask")).toBe("");
+    expect(protectValue(null, "hash")).toBeNull();
+    expect(protectValue("Ann", "include")).toBe("Ann");
+  });
+});
+
+describe("sanitizeRows", () => {
+  it("drops excluded columns and protects the rest", () => {
+    const modes = { name: "mask", email: "exclude", sales: "include" };
+    expect(
+      sanitizeRows(
+        [{ name: "Ann", email: "ann@example.com", sales: 5 }],
+        ["name", "email", "sales"],
+        modes
+      )
+    ).toEqual([{ name: "Xxx", sales: 5 }]);
+  });
+});
+
+describe("sanitizeColumnStats", () => {
+  const analysis = {
+    totalRows: 30,
+    types: {
+      city: { type: "categorical" },
+      salary: { type: "integer" },
+      secret: { type: "categorical" },
+    },
+    numeric: { salary: { count: 30, mean: 50000, max: 90000 } },
+    categorical: {
+      city: {
+        unique: 25,
+        total: 30,
+        mostCommon: ["Oslo", 6],
+        distribution: Object.fromEntries(
+          Array.from({ length: 25 }, (_, i) => [`City ${i}`, 25 - i])
+        ),
+      },
+      secret: {
+        unique: 1,
+        total: 30,
+        mostCommon: ["x", 30],
+        distribution: { x: 30 },
+      },
+    },
+    dates: {},
+  };
+
+  it("cuts distributions to the most common values and protects them", () => {
+    const stats = sanitizeColumnStats(analysis, "city", "mask");
+    // The 20 most common cities, merged by their masked shape
+    expect(stats.distribution).toEqual({ "Xxxx 9": 205, "Xxxx 99": 105 });
+    expect(stats.mostCommon).toEqual(["Xxxx", 6]);
+    const included = sanitizeColumnStats(analysis, "city", "include");
+    expect(Object.keys(included.distribution)).toHaveLength(
+      MAX_SHARED_CATEGORIES
+    );
+  });
+
+  it("withholds the statistics of protected numeric columns", () => {
+    expect(sanitizeColumnStats(analysis, "salary", "include")).toBe(
+      analysis.numeric.salary
+    );
+    expect(sanitizeColumnStats(analysis, "salary", "hash")).toEqual({
+      count: 30,
+    });
+    expect(sanitizeColumnStats(analysis, "salary", "exclude")).toBeNull();
+  });
+
+  it("leaves excluded columns out of the whole analysis", () => {
+    const shared = sanitizeAnalysis(analysis, ["city", "salary", "secret"], {
+      city: "include",
+      salary: "include",
+      secret: "exclude",
+    });
+    expect(shared.totalColumns).toBe(2);
+    expect(Object.keys(shared.types)).toEqual(["city", "salary"]);
+    expect(shared.categorical.secret).toBeUndefined();
+  });
+});
+
+describe("protectPoint", () => {
+  const modes = { region: "include", salary: "mask", name: "exclude" };
+
+  it("protects each field as its strictest source column", () => {
+    const point = { name: "North", value: 120, share: 0.4, extra: "x" };
+    const sources = { name: ["region"], value: ["salary"], share: [] };
+    expect(protectPoint(point, sources, modes)).toEqual({
+      name: "North",
+      value: "999",
+      share: 0.4,
+    });
+    expect(
+      protectPoint({ total: 5 }, { total: ["region", "name"] }, modes)
+    ).toEqual({});
+  });
+
+  it("protects series named after a column's values", () => {
+    const point = { name: "2024", Ann: 3 };
+    const sources = { name: ["region"], Ann: [] };
+    expect(protectPoint(point, sources, modes, { Ann: "name" })).toEqual({
+      name: "2024",
+    });
+    expect(
+      protectPoint(point, sources, { ...modes, name: "mask" }, { Ann: "name" })
+    ).toEqual({ name: "2024", Xxx: "9" });
+    expect(sourceColumns(sources, { Ann: "name" })).toEqual(["region", "name"]);
+  });
+});
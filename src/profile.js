@@ -0,0 +1,135 @@
+import { isDateType, isNumericType, parseDate, toNumber } from "./columnTypes";
+
+const BOOLEAN_WORDS = ["true", "false", "yes", "no", "y", "n", "1", "0"];
+
+const isEmpty = (v) => v === null || v === undefined || v === "";
+
+// Collapses a value to its character classes: "EMP-0042" -> "A-9",
+// "2024-01-05" -> "9-9-9". Values outside a column's dominant shape are
+// flagged as out of pattern.
+const shapeOf = (value) =>
+  String(value)
+    .trim()
+    .replace(/[A-Z]+/g, "A")
+    .replace(/[a-z]+/g, "a")
+    .replace(/\d+/g, "9")
+    .replace(/Aa/g, "A")
+    .replace(/\s+/g, " ");
+
+const fitsType = (value, typeInfo) => {
+  if (isNumericType(typeInfo.type)) return !isNaN(toNumber(value));
+  if (isDateType(typeInfo.type)) {
+    return !isNaN(parseDate(value, typeInfo.dateOrder));
+  }
+  if (typeInfo.type === "boolean") {
+    return (
+      typeof value === "boolean" ||
+      BOOLEAN_WORDS.includes(String(value).trim().toLowerCase())
+    );
+  }
+  return true;
+};
+
+// Columns where every value is expected to be unique
+const isKeyLike = (typeInfo, unique, count) =>
+  typeInfo.type === "identifier" ||
+  (typeInfo.type !== "text" && count > 0 && unique / count >= 0.98);
+
+const PATTERN_TYPES = ["identifier", "categorical", "date", "datetime"];
+
+// Per-column issue lists hold row indices into data so the preview can be
+// narrowed to exactly the offending rows.
+export const profileData = (data, headers, types) => {
+  const columns = {};
+
+  headers.forEach((header) => {
+    const typeInfo = types[header] || { type: "categorical" };
+    const missing = [];
+    const mixedType = [];
+    const whitespace = [];
+    const seen = new Map();
+    const shapes = new Map();
+    let present = 0;
+    let numericStrings = 0;
+
+    data.forEach((row, idx) => {
+      const value = row[header];
+      if (isEmpty(value) || (typeof value === "string" && !value.trim())) {
+        missing.push(idx);
+        return;
+      }
+      present++;
+      if (!fitsType(value, typeInfo)) mixedType.push(idx);
+      if (typeof value === "number") numericStrings++;
+      if (typeof value === "string" && value !== value.trim()) {
+        whitespace.push(idx);
+      }
+      const key = String(value);
+      if (seen.has(key)) seen.get(key).push(idx);
+      else seen.set(key, [idx]);
+      if (PATTERN_TYPES.includes(typeInfo.type)) {
+        const shape = shapeOf(value);
+        if (shapes.has(shape)) shapes.get(shape).push(idx);
+        else shapes.set(shape, [idx]);
+      }
+    });
+
+    // In text columns, a minority of bare numbers is the mixed-type signal
+    if (
+      !isNumericType(typeInfo.type) &&
+      !isDateType(typeInfo.type) &&
+      typeInfo.type !== "boolean" &&
+      numericStrings > 0 &&
+      numericStrings < present / 2
+    ) {
+      data.forEach((row, idx) => {
+        if (typeof row[header] === "number") mixedType.push(idx);
+      });
+    }
+
+    let duplicateKeys = null;
+    if (isKeyLike(typeInfo, seen.size, present)) {
+      duplicateKeys = [];
+      seen.forEach((indices) => {
+        if (indices.length > 1) duplicateKeys.push(...indices);
+      });
+      duplicateKeys.sort((a, b) => a - b);
+    }
+
+    let outOfPattern = [];
+    let pattern = null;
+    if (shapes.size > 1) {
+      const [dominant, dominantRows] = [...shapes.entries()].sort(
+        (a, b) => b[1].length - a[1].length
+      )[0];
+      if (dominantRows.length >= present * 0.9) {
+        pattern = dominant;
+        shapes.forEach((indices, shape) => {
+          if (shape !== dominant) outOfPattern.push(...indices);
+        });
+        outOfPattern.sort((a, b) => a - b);
+      }
+    }
+
+    columns[header] = {
+      type: typeInfo.type,
+      missing,
+      missingRate: data.length ? missing.length / data.length : 0,
+      mixedType,
+      whitespace,
+      duplicateKeys,
+      outOfPattern,
+      pattern,
+    };
+  });
+
+  const duplicateRows = [];
+  const rowKeys = new Set();
+  data.forEach((row, idx) => {
+    const key = JSON.stringify(headers.map((header) => row[header] ?? null));
+    if (rowKeys.has(key)) duplicateRows.push(idx);
+    else rowKeys.add(key);
+  });
+
+  return { columns, duplicateRows };
+};
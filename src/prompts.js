@@ -0,0 +1,116 @@
+import { REPORT_SCHEMA } from "./aiReport";
+import {
+  DEFAULT_OUTLIER_SETTINGS,
+  OUTLIER_METHODS,
+  detectOutliers,
+  mostExtreme,
+} from "./outliers";
+import {
+  protectPoint,
+  sanitizeAnalysis,
+  sanitizeColumnStats,
+  sanitizeRows,
+  sharedColumns,
+} from "./privacy";
+
+// The AI requests that describe the data, built after the privacy modes
+// have been applied. Each returns { prompt, context }: prompt is exactly
+// the text sent, context the same facts for the mock provider.
+
+export const SAMPLE_ROWS = 3;
+export const EXTREME_VALUES = 3;
+
+// Outlier counts per shared column; the fences and the most extreme
+// values are numbers of the column, so only included columns show them.
+const outlierSummary = (data, analysis, modes, settings) => {
+  const summary = {};
+  Object.entries(detectOutliers(data, analysis, settings)).forEach(
+    ([column, outlier]) => {
+      const mode = modes[column];
+      if (mode === "exclude" || !outlier.rows.length) return;
+      if (mode !== "include") {
+        summary[column] = { count: outlier.rows.length };
+        return;
+      }
+      summary[column] = {
+        low: outlier.low,
+        high: outlier.high,
+        count: outlier.rows.length,
+        mostExtreme: mostExtreme(data, column, outlier, EXTREME_VALUES),
+      };
+    }
+  );
+  return summary;
+};
+
+export const reportRequest = (
+  data,
+  headers,
+  analysis,
+  modes,
+  outlierSettings = DEFAULT_OUTLIER_SETTINGS
+) => {
+  const context = {
+    columns: sharedColumns(headers, modes),
+    rowCount: data.length,
+    sampleRows: sanitizeRows(data.slice(0, SAMPLE_ROWS), headers, modes),
+    statistics: sanitizeAnalysis(analysis, headers, modes),
+    outliers: outlierSummary(data, analysis, modes, outlierSettings),
+  };
+  const method = OUTLIER_METHODS[outlierSettings.method];
+  return {
+    context,
+    prompt: `Analyze this CSV data and provide intelligent insights. Here's the data summary:
+
+Columns: ${context.columns.join(", ")}
+Total Rows: ${context.rowCount}
+Sample Data: ${JSON.stringify(context.sampleRows)}
+Statistics: ${JSON.stringify(context.statistics)}
+Outliers (values more than ${outlierSettings.threshold} ${
+      method.unit
+    }): ${JSON.stringify(context.outliers)}
+
+Please provide:
+1. What type of data is this? (e.g., sales data, employee data, survey results, etc.)
+2. Key insights and patterns you notice
+3. Notable trends or anomalies
+4. Recommendations for further analysis
+5. What the data reveals about the subject
+
+Reply with a single JSON object and nothing else, in exactly this shape:
+${REPORT_SCHEMA}`,
+  };
+};
+
+// The hovered point goes through protectPoint with sources and
+// keyColumns as the chart gave them; callers refuse the request first
+// when one of those columns is excluded.
+export const insightRequest = ({
+  chartType,
+  column,
+  dataPoint,
+  sources,
+  keyColumns,
+  totalRows,
+  analysis,
+  modes,
+}) => {
+  const context = {
+    chartType,
+    column,
+    dataPoint: protectPoint(dataPoint, sources, modes, keyColumns),
+    totalRows,
+    columnStats: sanitizeColumnStats(analysis, column, modes[column]),
+  };
+  return {
+    context,
+    prompt: `Provide a brief insight about this data point from a ${chartType} chart:
+
+Column: ${column}
+Data Point: ${JSON.stringify(context.dataPoint)}
+Total Records: ${totalRows}
+Column Statistics: ${JSON.stringify(context.columnStats)}
+
+Give a 2-3 sentence insight about what this data point means, its significance, or any interesting pattern. Be specific and actionable.`,
+  };
+};
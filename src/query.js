@@ -0,0 +1,421 @@
+import { AGGREGATIONS, aggregate, compareKeys } from "./aggregate";
+import { isDateType, parseDate, toNumber } from "./columnTypes";
+
+// Structured queries the "ask your data" chat gets back from the model and
+// runs locally over every row, so answers come from the real numbers.
+//
+// {
+//   filters: [{ column, part?, op, value?, values? }],
+//   groupBy: [column | { column, part }],
+//   measures: [{ agg, column? }],
+//   sort: { by, direction: "asc" | "desc" },
+//   limit: number
+// }
+//
+// part extracts year, quarter, month or weekday from a date column. With
+// neither groupBy nor measures the matching rows themselves are returned.
+
+export class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "QueryError";
+  }
+}
+
+export const QUERY_OPERATORS = {
+  equals: "=",
+  notEquals: "≠",
+  contains: "contains",
+  gt: ">",
+  gte: "≥",
+  lt: "<",
+  lte: "≤",
+  between: "between",
+  in: "in",
+  blank: "is blank",
+  notBlank: "is not blank",
+};
+
+const dateOf = (time) => new Date(time);
+export const DATE_PARTS = {
+  year: (time) => dateOf(time).getUTCFullYear(),
+  quarter: (time) => Math.floor(dateOf(time).getUTCMonth() / 3) + 1,
+  month: (time) => dateOf(time).getUTCMonth() + 1,
+  // ISO weekday: Monday is 1, Sunday is 7
+  weekday: (time) => ((dateOf(time).getUTCDay() + 6) % 7) + 1,
+};
+
+// Names a filter may use for a date part: "Q3", "July" or "Mon"
+const MONTH_NAMES = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+const WEEKDAY_NAMES = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+const partNumber = (part, target) => {
+  const text = String(target).trim().toLowerCase();
+  const quarter = /^q([1-4])$/.exec(text);
+  if (part === "quarter" && quarter) return Number(quarter[1]);
+  const names = { month: MONTH_NAMES, weekday: WEEKDAY_NAMES }[part];
+  const index =
+    names && text.length >= 3 ? names.indexOf(text.slice(0, 3)) : -1;
+  return index === -1 ? target : index + 1;
+};
+
+const DEFAULT_ROW_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const isBlank = (v) => v === null || v === undefined || v === "";
+
+const isObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const toField = (field) =>
+  typeof field === "string" ? { column: field } : field || {};
+
+export const fieldName = ({ column, part }) =>
+  part ? `${part}(${column})` : column;
+
+export const measureName = ({ agg, column }) =>
+  agg === "count" && !column ? "Count" : `${AGGREGATIONS[agg]} of ${column}`;
+
+// Checks a query against the data's columns and fills in defaults.
+// Throws QueryError with a message meant for the user.
+export const validateQuery = (query, headers) => {
+  if (!query || typeof query !== "object" || Array.isArray(query)) {
+    throw new QueryError("The reply did not contain a query object");
+  }
+  const listOf = (key) => {
+    if (query[key] === undefined || query[key] === null) return [];
+    if (!Array.isArray(query[key])) {
+      throw new QueryError(`"${key}" must be a list`);
+    }
+    return query[key];
+  };
+  const checkField = (raw, where) => {
+    if (typeof raw !== "string" && !isObject(raw)) {
+      throw new QueryError(`Every entry in ${where} needs a column`);
+    }
+    const field = toField(raw);
+    if (!headers.includes(field.column)) {
+      throw new QueryError(`Unknown column "${field.column}" in ${where}`);
+    }
+    if (field.part && !DATE_PARTS[field.part]) {
+      throw new QueryError(`Unknown date part "${field.part}" in ${where}`);
+    }
+    return field.part
+      ? { column: field.column, part: field.part }
+      : { column: field.column };
+  };
+
+  const filters = listOf("filters").map((filter) => {
+    if (!isObject(filter)) {
+      throw new QueryError("Every filter must be an object");
+    }
+    if (!QUERY_OPERATORS[filter.op]) {
+      throw new QueryError(`Unknown filter operator "${filter.op}"`);
+    }
+    const values = filter.op === "between" || filter.op === "in";
+    if (values && !Array.isArray(filter.values)) {
+      throw new QueryError(`"${filter.op}" needs a values list`);
+    }
+    if (filter.op === "between" && filter.values.length !== 2) {
+      throw new QueryError('"between" needs exactly two values');
+    }
+    return {
+      ...checkField(filter, "filters"),
+      op: filter.op,
+      ...(values ? { values: filter.values } : { value: filter.value }),
+    };
+  });
+  const groupBy = listOf("groupBy").map((g) => checkField(g, "groupBy"));
+  let measures = listOf("measures").map((m) => {
+    if (!isObject(m)) {
+      throw new QueryError("Every measure must be an object");
+    }
+    if (!AGGREGATIONS[m.agg]) {
+      throw new QueryError(`Unknown aggregation "${m.agg}"`);
+    }
+    if (m.agg !== "count" && !m.column) {
+      throw new QueryError(`${AGGREGATIONS[m.agg]} needs a column`);
+    }
+    return m.column
+      ? { agg: m.agg, column: checkField(m.column, "measures").column }
+      : { agg: m.agg };
+  });
+  if (groupBy.length && !measures.length) measures = [{ agg: "count" }];
+
+  const outputs = measures.length
+    ? [...groupBy.map(fieldName), ...measures.map(measureName)]
+    : headers;
+  let sort = null;
+  if (query.sort?.by) {
+    if (!outputs.includes(query.sort.by)) {
+      throw new QueryError(`Cannot sort by "${query.sort.by}"`);
+    }
+    sort = {
+      by: query.sort.by,
+      direction: query.sort.direction === "desc" ? "desc" : "asc",
+    };
+  }
+  const limit =
+    Number(query.limit) || (measures.length ? 0 : DEFAULT_ROW_LIMIT);
+
+  return {
+    filters,
+    groupBy,
+    measures,
+    sort,
+    limit: Math.min(Math.max(0, limit), MAX_LIMIT),
+  };
+};
+
+const sameText = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+const compareValues = (a, b) => {
+  const x = typeof a === "number" ? a : toNumber(a);
+  const y = typeof b === "number" ? b : toNumber(b);
+  return Number.isFinite(x) && Number.isFinite(y) ? x - y : compareKeys(a, b);
+};
+
+// Runs a validated query over data, whose columns are headers. types is
+// analysis.types, for date parsing. Returns { headers, rows, matched }
+// where matched counts the rows that passed the filters.
+export const runQuery = (data, query, { headers: columns, types = {} }) => {
+  // Cells of a whole date column compare as timestamps
+  const valueOf = (row, { column, part }) => {
+    const cell = row[column];
+    const typeInfo = types[column];
+    if (!part && !isDateType(typeInfo?.type)) return cell;
+    if (isBlank(cell)) return null;
+    const time = parseDate(
+      cell instanceof Date ? cell : String(cell),
+      typeInfo?.dateOrder
+    );
+    if (Number.isNaN(time)) return null;
+    return part ? DATE_PARTS[part](time) : time;
+  };
+  // Targets are read like the cells they are compared with: dates as
+  // timestamps, date parts as numbers
+  const targetOf = ({ column, part }, target) => {
+    if (part) return partNumber(part, target);
+    if (!isDateType(types[column]?.type)) return target;
+    const time = parseDate(String(target), types[column]?.dateOrder);
+    return Number.isNaN(time) ? target : time;
+  };
+
+  const matches = (row, filter) => {
+    const value = valueOf(row, filter);
+    const target = targetOf(filter, filter.value);
+    switch (filter.op) {
+      case "blank":
+        return isBlank(value);
+      case "notBlank":
+        return !isBlank(value);
+      case "equals":
+        return (
+          !isBlank(value) &&
+          (sameText(value, target) || compareValues(value, target) === 0)
+        );
+      case "notEquals":
+        return (
+          isBlank(value) ||
+          !(sameText(value, target) || compareValues(value, target) === 0)
+        );
+      case "contains":
+        // Whole dates are searched as written in the data
+        return (
+          !isBlank(value) &&
+          (String(filter.part ? value : row[filter.column])
+            .toLowerCase()
+            .includes(String(filter.value).toLowerCase()) ||
+            compareValues(value, target) === 0)
+        );
+      case "in":
+        return filter.values.some(
+          (v) =>
+            sameText(value ?? "", v) ||
+            (!isBlank(value) && compareValues(value, targetOf(filter, v)) === 0)
+        );
+      default:
+        break;
+    }
+    if (isBlank(value)) return false;
+    if (filter.op === "between") {
+      const [low, high] = filter.values.map((v) => targetOf(filter, v));
+      return compareValues(value, low) >= 0 && compareValues(value, high) <= 0;
+    }
+    const order = compareValues(value, target);
+    return {
+      gt: order > 0,
+      gte: order >= 0,
+      lt: order < 0,
+      lte: order <= 0,
+    }[filter.op];
+  };
+
+  const matched = data.filter((row) =>
+    query.filters.every((filter) => matches(row, filter))
+  );
+
+  let headers;
+  let rows;
+  if (!query.measures.length) {
+    headers = columns;
+    rows = matched;
+  } else {
+    const groups = new Map();
+    matched.forEach((row) => {
+      const keys = query.groupBy.map((field) => valueOf(row, field));
+      const id = JSON.stringify(keys);
+      if (!groups.has(id)) {
+        groups.set(id, { keys, cells: query.measures.map(() => []) });
+      }
+      const group = groups.get(id);
+      query.measures.forEach((m, i) =>
+        group.cells[i].push(m.column ? row[m.column] : null)
+      );
+    });
+    // A query without groupBy still answers with one (total) row
+    if (!query.groupBy.length && !groups.size) {
+      groups.set("[]", { keys: [], cells: query.measures.map(() => []) });
+    }
+    headers = [
+      ...query.groupBy.map(fieldName),
+      ...query.measures.map(measureName),
+    ];
+    rows = [...groups.values()]
+      .map(({ keys, cells }) => {
+        const out = {};
+        query.groupBy.forEach((field, i) => {
+          const key = keys[i];
+          // Whole dates were grouped as timestamps
+          out[fieldName(field)] =
+            !field.part && isDateType(types[field.column]?.type) && key !== null
+              ? new Date(key).toISOString().slice(0, 10)
+              : key ?? "(blank)";
+        });
+        query.measures.forEach((m, i) => {
+          out[measureName(m)] = aggregate(cells[i], m.agg);
+        });
+        return out;
+      })
+      .sort((a, b) =>
+        query.groupBy.reduce(
+          (order, field) =>
+            order || compareValues(a[fieldName(field)], b[fieldName(field)]),
+          0
+        )
+      );
+  }
+
+  if (query.sort) {
+    const { by, direction } = query.sort;
+    const sign = direction === "desc" ? -1 : 1;
+    // Blanks stay last whichever the direction
+    rows = [...rows].sort((a, b) => {
+      if (isBlank(a[by])) return isBlank(b[by]) ? 0 : 1;
+      if (isBlank(b[by])) return -1;
+      return sign * compareValues(a[by], b[by]);
+    });
+  }
+  if (query.limit) rows = rows.slice(0, query.limit);
+  return { headers, rows, matched: matched.length };
+};
+
+const literal = (value) =>
+  typeof value === "number" ? String(value) : JSON.stringify(String(value));
+
+// SQL-like one-liner of a validated query, for showing what was run.
+export const formatQuery = (query) => {
+  const select = query.measures.length
+    ? [...query.groupBy.map(fieldName), ...query.measures.map(measureName)]
+    : ["*"];
+  const where = query.filters.map((f) => {
+    const name = fieldName(f);
+    if (f.op === "blank" || f.op === "notBlank") {
+      return `${name} ${QUERY_OPERATORS[f.op]}`;
+    }
+    if (f.op === "between") {
+      return `${name} between ${literal(f.values[0])} and ${literal(
+        f.values[1]
+      )}`;
+    }
+    if (f.op === "in")
+      return `${name} in (${f.values.map(literal).join(", ")})`;
+    return `${name} ${QUERY_OPERATORS[f.op]} ${literal(f.value)}`;
+  });
+  return [
+    `SELECT ${select.join(", ")}`,
+    where.length && `WHERE ${where.join(" AND ")}`,
+    query.groupBy.length &&
+      `GROUP BY ${query.groupBy.map(fieldName).join(", ")}`,
+    query.sort &&
+      `ORDER BY ${query.sort.by} ${query.sort.direction.toUpperCase()}`,
+    query.limit && `LIMIT ${query.limit}`,
+  ]
+    .filter(Boolean)
+    .join(" ");
+};
+
+// Pulls { title, query } out of the model's reply, which may wrap the
+// JSON in prose or a code fence. A bare query object is accepted too.
+export const parseQueryReply = (text) => {
+  const match = String(text).match(/\{[\s\S]*\}/);
+  if (!match) throw new QueryError("The reply did not contain a query");
+  let parsed;
+  try {
+    parsed = JSON.parse(match[0]);
+  } catch (error) {
+    throw new QueryError(`The query is not valid JSON: ${error.message}`);
+  }
+  return parsed.query
+    ? { title: parsed.title || "", query: parsed.query }
+    : { title: "", query: parsed };
+};
+
+// Prompt asking for a query that answers question. columns describe the
+// data ({ name, type, values? , min?, max? }); history holds earlier
+// questions and their queries so follow-ups can refer back to them.
+export const queryPrompt = ({ question, columns, rowCount, history = [] }) =>
+  `You translate questions about a table into a JSON query that the app runs itself. Do not answer the question or compute anything; only write the query.
+
+The table has ${rowCount} rows and these columns:
+${columns.map((c) => `- ${JSON.stringify(c)}`).join("\n")}
+
+Query format:
+{
+  "filters": [{ "column": "<column>", "part": "year|quarter|month|weekday (optional, date columns only)", "op": "${Object.keys(
+    QUERY_OPERATORS
+  ).join(
+    "|"
+  )}", "value": <for single-value operators>, "values": [<for between (two values) and in>] }],
+  "groupBy": ["<column>" or { "column": "<date column>", "part": "year|quarter|month|weekday" }],
+  "measures": [{ "agg": "${Object.keys(AGGREGATIONS).join(
+    "|"
+  )}", "column": "<column, omit for a row count>" }],
+  "sort": { "by": "<output column>", "direction": "asc|desc" },
+  "limit": <number>
+}
+Output columns are named "<column>" or "<part>(<column>)" for groups, "Count" for a row count and "<Agg> of <column>" for measures, with Agg one of ${Object.values(
+    AGGREGATIONS
+  ).join(", ")}. Without groupBy and measures the matching rows are listed.
+${
+  history.length
+    ? `\nEarlier in this conversation:\n${history
+        .map((h) => `Q: ${h.question}\nQuery: ${JSON.stringify(h.query)}`)
+        .join("\n")}\n`
+    : ""
+}
+Question: ${question}
+
+Reply with JSON only: { "title": "<short title for the result>", "query": { ... } }`;
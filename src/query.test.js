@@ -0,0 +1,236 @@
+import {
+  QueryError,
+  formatQuery,
+  parseQueryReply,
+  runQuery,
+  validateQuery,
+} from "./query";
+
+const headers = ["region", "sales", "day"];
+const types = {
+  region: { type: "categorical" },
+  sales: { type: "integer" },
+  day: { type: "date", dateOrder: "mdy" },
+};
+const data = [
+  { region: "North", sales: 10, day: "2024-01-15" },
+  { region: "north", sales: 20, day: "2024-07-01" },
+  { region: "South", sales: 5, day: "2024-08-20" },
+  { region: "", sales: "", day: "" },
+];
+
+const run = (query) =>
+  runQuery(data, validateQuery(query, headers), { headers, types });
+
+const regionsOf = (query) => run(query).rows.map((row) => row.region);
+
+describe("validateQuery", () => {
+  it("fills in defaults", () => {
+    expect(validateQuery({}, headers)).toEqual({
+      filters: [],
+      groupBy: [],
+      measures: [],
+      sort: null,
+      limit: 100,
+    });
+    expect(validateQuery({ groupBy: ["region"] }, headers).measures).toEqual([
+      { agg: "count" },
+    ]);
+    expect(validateQuery({ limit: 5000 }, headers).limit).toBe(1000);
+  });
+
+  it.each([
+    [null, "The reply did not contain a query object"],
+    [[], "The reply did not contain a query object"],
+    [{ filters: "region" }, '"filters" must be a list'],
+    [{ groupBy: { column: "region" } }, '"groupBy" must be a list'],
+    [{ measures: 3 }, '"measures" must be a list'],
+    [{ filters: [null] }, "Every filter must be an object"],
+    [{ filters: ["region"] }, "Every filter must be an object"],
+    [{ groupBy: [null] }, "Every entry in groupBy needs a column"],
+    [{ groupBy: [7] }, "Every entry in groupBy needs a column"],
+    [{ measures: [null] }, "Every measure must be an object"],
+    [
+      { measures: [{ agg: "sum", column: 4 }] },
+      "Every entry in measures needs a column",
+    ],
+    [{ groupBy: ["city"] }, 'Unknown column "city" in groupBy'],
+    [
+      { groupBy: [{ column: "day", part: "hour" }] },
+      'Unknown date part "hour" in groupBy',
+    ],
+    [
+      { filters: [{ column: "sales", op: "like", value: 1 }] },
+      'Unknown filter operator "like"',
+    ],
+    [
+      { filters: [{ column: "sales", op: "in", value: 1 }] },
+      '"in" needs a values list',
+    ],
+    [
+      { filters: [{ column: "sales", op: "between", values: [1] }] },
+      '"between" needs exactly two values',
+    ],
+    [{ measures: [{ agg: "mode" }] }, 'Unknown aggregation "mode"'],
+    [{ measures: [{ agg: "sum" }] }, "Sum needs a column"],
+    [{ sort: { by: "Count" } }, 'Cannot sort by "Count"'],
+  ])("rejects %j", (query, message) => {
+    expect(() => validateQuery(query, headers)).toThrow(
+      new QueryError(message)
+    );
+  });
+});
+
+describe("runQuery", () => {
+  const filter = (column, op, extra) => ({
+    filters: [{ column, op, ...extra }],
+  });
+
+  it("compares text without case and numbers as numbers", () => {
+    expect(regionsOf(filter("region", "equals", { value: "NORTH" }))).toEqual([
+      "North",
+      "north",
+    ]);
+    expect(regionsOf(filter("sales", "equals", { value: "20" }))).toEqual([
+      "north",
+    ]);
+    expect(
+      regionsOf(filter("region", "notEquals", { value: "north" }))
+    ).toEqual(["South", ""]);
+  });
+
+  it("runs the comparison operators and skips blanks", () => {
+    expect(regionsOf(filter("sales", "gt", { value: 5 }))).toEqual([
+      "North",
+      "north",
+    ]);
+    expect(regionsOf(filter("sales", "gte", { value: 10 }))).toHaveLength(2);
+    expect(regionsOf(filter("sales", "lt", { value: 10 }))).toEqual(["South"]);
+    expect(regionsOf(filter("sales", "lte", { value: 10 }))).toHaveLength(2);
+    expect(regionsOf(filter("sales", "between", { values: [6, 20] }))).toEqual([
+      "North",
+      "north",
+    ]);
+  });
+
+  it("finds blanks and text", () => {
+    expect(regionsOf(filter("sales", "blank"))).toEqual([""]);
+    expect(regionsOf(filter("sales", "notBlank"))).toHaveLength(3);
+    expect(regionsOf(filter("region", "contains", { value: "OUT" }))).toEqual([
+      "South",
+    ]);
+    expect(
+      regionsOf(filter("region", "in", { values: ["south", ""] }))
+    ).toEqual(["South", ""]);
+  });
+
+  it("reads filters on date columns as dates", () => {
+    expect(regionsOf(filter("day", "in", { values: ["07/01/2024"] }))).toEqual([
+      "north",
+    ]);
+    expect(regionsOf(filter("day", "equals", { value: "2024-07-01" }))).toEqual(
+      ["north"]
+    );
+    expect(
+      regionsOf(
+        filter("day", "between", { values: ["2024-06-01", "2024-12-31"] })
+      )
+    ).toEqual(["north", "South"]);
+    expect(regionsOf(filter("day", "contains", { value: "2024-0" }))).toEqual([
+      "North",
+      "north",
+      "South",
+    ]);
+  });
+
+  it("reads filters on date parts as numbers or names", () => {
+    const part = (name, op, extra) => ({
+      filters: [{ column: "day", part: name, op, ...extra }],
+    });
+    expect(regionsOf(part("quarter", "in", { values: ["Q3"] }))).toEqual([
+      "north",
+      "South",
+    ]);
+    expect(regionsOf(part("quarter", "equals", { value: 1 }))).toEqual([
+      "North",
+    ]);
+    expect(regionsOf(part("month", "in", { values: ["July", "jan"] }))).toEqual(
+      ["North", "north"]
+    );
+    expect(regionsOf(part("weekday", "equals", { value: "Monday" }))).toEqual([
+      "North",
+      "north",
+    ]);
+    expect(regionsOf(part("year", "contains", { value: "2024" }))).toHaveLength(
+      3
+    );
+  });
+
+  it("groups and aggregates", () => {
+    const result = run({
+      groupBy: [{ column: "day", part: "quarter" }],
+      measures: [{ agg: "sum", column: "sales" }, { agg: "count" }],
+      sort: { by: "Sum of sales", direction: "desc" },
+    });
+    expect(result.headers).toEqual(["quarter(day)", "Sum of sales", "Count"]);
+    expect(result.rows).toEqual([
+      { "quarter(day)": 3, "Sum of sales": 25, Count: 2 },
+      { "quarter(day)": 1, "Sum of sales": 10, Count: 1 },
+      { "quarter(day)": "(blank)", "Sum of sales": null, Count: 1 },
+    ]);
+    expect(result.matched).toBe(4);
+  });
+
+  it("groups whole dates by day and answers totals with one row", () => {
+    const byDay = run({
+      ...filter("day", "notBlank"),
+      groupBy: ["day"],
+      limit: 1,
+    });
+    expect(byDay.rows).toEqual([{ day: "2024-01-15", Count: 1 }]);
+    const total = run({
+      ...filter("region", "equals", { value: "east" }),
+      measures: [{ agg: "count" }],
+    });
+    expect(total.rows).toEqual([{ Count: 0 }]);
+  });
+});
+
+describe("formatQuery", () => {
+  it("writes a SQL-like line", () => {
+    const query = validateQuery(
+      {
+        filters: [
+          { column: "sales", op: "between", values: [1, 10] },
+          { column: "region", op: "in", values: ["North"] },
+        ],
+        groupBy: ["region"],
+        measures: [{ agg: "mean", column: "sales" }],
+        sort: { by: "region" },
+        limit: 3,
+      },
+      headers
+    );
+    expect(formatQuery(query)).toBe(
+      'SELECT region, Mean of sales WHERE sales between 1 and 10 AND region in ("North") GROUP BY region ORDER BY region ASC LIMIT 3'
+    );
+  });
+});
+
+describe("parseQueryReply", () => {
+  it("finds the query inside prose or a code fence", () => {
+    expect(
+      parseQueryReply(
+        'Here:\n```json\n{"title": "T", "query": {"limit": 1}}\n```'
+      )
+    ).toEqual({ title: "T", query: { limit: 1 } });
+    expect(parseQueryReply('{"limit": 2}')).toEqual({
+      title: "",
+      query: { limit: 2 },
+    });
+    expect(() => parseQueryReply("no idea")).toThrow(QueryError);
+    expect(() => parseQueryReply("{oops}")).toThrow(
+      "The query is not valid JSON"
+    );
+  });
+});
@@ -0,0 +1,165 @@
+import { REPORT_LISTS } from "./aiReport";
+import { escapeXml } from "./export";
+import { CHECK_LABELS } from "./findings";
+import { formatNumber } from "./format";
+
+// Standalone HTML version of the dashboard: styles and charts are inline,
+// so the file can be mailed or archived as is. The
+// print rules lay it out for A4 when it is saved as PDF from the browser.
+
+const STYLES = `
+* { box-sizing: border-box; }
+body { margin: 0; padding: 32px; font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #000; background: #fff; }
+main { max-width: 1100px; margin: 0 auto; }
+header { border-bottom: 4px solid #000; padding-bottom: 16px; margin-bottom: 24px; }
+h1 { margin: 0 0 4px; font-size: 28px; }
+h2 { margin: 0 0 12px; font-size: 20px; }
+h3 { margin: 16px 0 8px; font-size: 15px; text-transform: uppercase; letter-spacing: 0.05em; }
+.muted { color: #555; font-size: 13px; }
+.card { border: 4px solid #000; border-radius: 12px; padding: 20px; margin-bottom: 24px; break-inside: avoid; page-break-inside: avoid; }
+.dark { background: #000; color: #fff; }
+.dark .muted { color: #ccc; }
+.kpis { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 16px; margin-bottom: 24px; }
+.kpis .card { margin: 0; }
+.kpi { font-size: 30px; font-weight: 700; }
+.charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(460px, 1fr)); gap: 24px; }
+.charts .card { margin: 0; }
+.chart svg { display: block; width: 100%; height: auto; }
+.stats { overflow-x: auto; }
+.stats table { width: 100%; border-collapse: collapse; font-size: 12px; }
+.stats th { background: #000; color: #fff; text-align: left; }
+.stats th, .stats td { padding: 6px 8px; border-bottom: 1px solid #ccc; white-space: nowrap; }
+ul { margin: 0; padding-left: 20px; }
+li { margin-bottom: 4px; }
+@page { size: A4; margin: 14mm; }
+@media print {
+  body { padding: 0; }
+  .card { border-width: 2px; }
+  .dark { background: #fff; color: #000; border-color: #000; }
+  .dark .muted { color: #555; }
+  .charts { display: block; }
+  .charts .card { margin-bottom: 16px; }
+  .stats { overflow: visible; }
+  .stats table { font-size: 8px; }
+  .stats th { background: #fff; color: #000; border-bottom: 2px solid #000; }
+  .stats th, .stats td { padding: 3px 4px; white-space: normal; }
+}
+`;
+
+const text = (value) => escapeXml(value ?? "");
+
+// Confidence, referenced columns and fact check, as in the dashboard card
+const meta = ({ confidence, columns = [], check }) => {
+  const parts = [
+    confidence && `${confidence} confidence`,
+    ...columns,
+    check && `${CHECK_LABELS[check.status]}: ${check.note}`,
+  ].filter(Boolean);
+  return parts.length
+    ? ` <span class="muted">${text(parts.join(" · "))}</span>`
+    : "";
+};
+
+const list = (items) =>
+  `<ul>${items
+    .map((item) => `<li>${text(item.text)}${meta(item)}</li>`)
+    .join("")}</ul>`;
+
+const insightsSection = (insights) => {
+  if (!insights) return "";
+  const sections = REPORT_LISTS.filter(([key]) => insights[key]?.length).map(
+    ([key, label]) => `<h3>${label}</h3>${list(insights[key])}`
+  );
+  if (insights.local) {
+    return `<section class="card dark">
+<h2>Data findings</h2>
+<p>${text(insights.summary)}</p>
+${sections.join("\n")}
+</section>`;
+  }
+  return `<section class="card dark">
+<h2>AI Intelligence Report</h2>
+<h3>Data type identified</h3><p>${text(insights.dataType)}${meta(insights)}</p>
+<h3>Executive summary</h3><p>${text(insights.summary)}</p>
+${sections.join("\n")}
+</section>`;
+};
+
+const chartSection = ({ title, description, svg }) =>
+  `<section class="card chart">
+<h2>${text(title)}</h2>
+${description ? `<p class="muted">${text(description)}</p>` : ""}
+${svg || '<p class="muted">Nothing to draw.</p>'}
+</section>`;
+
+const statisticsSection = ({ headers, rows }) =>
+  `<section class="card stats">
+<h2>Statistical analysis</h2>
+<table>
+<thead><tr>${headers.map((h) => `<th>${text(h)}</th>`).join("")}</tr></thead>
+<tbody>
+${rows
+  .map(
+    (row) =>
+      `<tr>${row
+        .map(
+          (v) => `<td>${text(typeof v === "number" ? formatNumber(v) : v)}</td>`
+        )
+        .join("")}</tr>`
+  )
+  .join("\n")}
+</tbody>
+</table>
+</section>`;
+
+// charts are { title, description, svg } with svg the markup from
+// chartSvgMarkup, which is inserted as is; every other value is escaped.
+export const buildReport = ({
+  title,
+  subtitle,
+  filters = [],
+  insights,
+  kpis,
+  charts,
+  statistics,
+  autoPrint = false,
+}) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${text(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<header>
+<h1>${text(title)}</h1>
+<p class="muted">${text(subtitle)}</p>
+${
+  filters.length
+    ? `<p class="muted">Filtered to ${text(filters.join("; "))}</p>`
+    : ""
+}
+</header>
+${insightsSection(insights)}
+<div class="kpis">
+${kpis
+  .map(
+    ({ label, value, note }) =>
+      `<section class="card dark"><div class="muted">${text(
+        label
+      )}</div><div class="kpi">${text(value)}</div>${
+        note ? `<div class="muted">${text(note)}</div>` : ""
+      }</section>`
+  )
+  .join("\n")}
+</div>
+<div class="charts">
+${charts.map(chartSection).join("\n")}
+</div>
+${statistics.rows.length ? statisticsSection(statistics) : ""}
+</main>
+${autoPrint ? "<script>window.onload = () => window.print();</script>" : ""}
+</body>
+</html>`;
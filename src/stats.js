@@ -0,0 +1,221 @@
+// Linear interpolation between closest ranks on an ascending array.
+export const quantile = (sorted, q) => {
+  if (!sorted.length) return NaN;
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+};
+
+// Descriptive statistics over finite numbers, kept as raw numbers so callers
+// can keep computing with them; formatting happens at render time.
+// missingCount is passed in because only the caller knows the row count.
+export const describe = (
+  numbers,
+  { missingCount = 0, invalidCount = 0 } = {}
+) => {
+  const count = numbers.length;
+  const sorted = Float64Array.from(numbers).sort();
+  let sum = 0;
+  let zeroCount = 0;
+  for (let i = 0; i < count; i++) {
+    sum += sorted[i];
+    if (sorted[i] === 0) zeroCount++;
+  }
+  const mean = count ? sum / count : NaN;
+
+  let m2 = 0;
+  let m3 = 0;
+  let m4 = 0;
+  let distinctCount = 0;
+  for (let i = 0; i < count; i++) {
+    const d = sorted[i] - mean;
+    m2 += d * d;
+    m3 += d * d * d;
+    m4 += d * d * d * d;
+    if (i === 0 || sorted[i] !== sorted[i - 1]) distinctCount++;
+  }
+  // Sample variance; skewness and excess kurtosis use population moments
+  const variance = count > 1 ? m2 / (count - 1) : 0;
+  const popVariance = count ? m2 / count : 0;
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+
+  return {
+    count,
+    sum,
+    mean,
+    median: quantile(sorted, 0.5),
+    min: count ? sorted[0] : NaN,
+    max: count ? sorted[count - 1] : NaN,
+    variance,
+    stdDev: Math.sqrt(variance),
+    q1,
+    q3,
+    iqr: q3 - q1,
+    p5: quantile(sorted, 0.05),
+    p95: quantile(sorted, 0.95),
+    skewness: popVariance ? m3 / count / Math.pow(popVariance, 1.5) : 0,
+    kurtosis: popVariance ? m4 / count / (popVariance * popVariance) - 3 : 0,
+    zeroCount,
+    missingCount,
+    invalidCount,
+    distinctCount,
+  };
+};
+
+// Average ranks (1-based) with ties sharing their mean rank; NaN stays NaN.
+export const rank = (values) => {
+  const order = [];
+  values.forEach((v, i) => {
+    if (!Number.isNaN(v)) order.push(i);
+  });
+  order.sort((a, b) => values[a] - values[b]);
+  const ranks = new Float64Array(values.length).fill(NaN);
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) {
+      j++;
+    }
+    const avg = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k]] = avg;
+    i = j + 1;
+  }
+  return ranks;
+};
+
+// Pearson correlation over the positions where both series have a value.
+export const pearson = (xs, ys) => {
+  let n = 0;
+  let sx = 0;
+  let sy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    if (Number.isNaN(xs[i]) || Number.isNaN(ys[i])) continue;
+    n++;
+    sx += xs[i];
+    sy += ys[i];
+  }
+  if (n < 3) return { r: NaN, n };
+  const mx = sx / n;
+  const my = sy / n;
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    if (Number.isNaN(xs[i]) || Number.isNaN(ys[i])) continue;
+    const dx = xs[i] - mx;
+    const dy = ys[i] - my;
+    cov += dx * dy;
+    vx += dx * dx;
+    vy += dy * dy;
+  }
+  return { r: vx && vy ? cov / Math.sqrt(vx * vy) : NaN, n };
+};
+
+// Full matrix of pairwise correlations. Spearman ranks each column once over
+// all of its values, which is exact when the columns have no gaps.
+export const correlationMatrix = (seriesByColumn, method = "pearson") => {
+  const columns = Object.keys(seriesByColumn);
+  const series = columns.map((col) =>
+    method === "spearman" ? rank(seriesByColumn[col]) : seriesByColumn[col]
+  );
+  const matrix = columns.map(() => new Array(columns.length));
+  for (let i = 0; i < columns.length; i++) {
+    for (let j = i; j < columns.length; j++) {
+      const cell =
+        i === j
+          ? { r: 1, n: series[i].filter((v) => !Number.isNaN(v)).length }
+          : pearson(series[i], series[j]);
+      matrix[i][j] = cell;
+      matrix[j][i] = cell;
+    }
+  }
+  return { columns, matrix };
+};
+
+// Ordinary least squares fit of y on x over {x, y} points.
+export const linearRegression = (points) => {
+  const n = points.length;
+  if (n < 2) return null;
+  let sx = 0;
+  let sy = 0;
+  points.forEach((p) => {
+    sx += p.x;
+    sy += p.y;
+  });
+  const mx = sx / n;
+  const my = sy / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  points.forEach((p) => {
+    sxy += (p.x - mx) * (p.y - my);
+    sxx += (p.x - mx) * (p.x - mx);
+    syy += (p.y - my) * (p.y - my);
+  });
+  if (!sxx) return null;
+  const slope = sxy / sxx;
+  return {
+    slope,
+    intercept: my - slope * mx,
+    r2: syy ? (sxy * sxy) / (sxx * syy) : 1,
+    n,
+  };
+};
+
+const MAX_BINS = 100;
+
+// Suggested bin count: Freedman–Diaconis is robust to outliers, Sturges
+// suits small, roughly normal samples. Falls back to Sturges when the IQR
+// is zero (FD would ask for infinitely narrow bins).
+export const suggestBinCount = (stats, rule = "fd") => {
+  const { count, min, max, iqr } = stats;
+  if (count < 2 || max === min) return 1;
+  const sturges = Math.ceil(Math.log2(count) + 1);
+  if (rule === "sturges" || !iqr) return Math.min(sturges, MAX_BINS);
+  const width = (2 * iqr) / Math.cbrt(count);
+  return Math.max(1, Math.min(Math.ceil((max - min) / width), MAX_BINS));
+};
+
+// Equal-width bins between min and max; the last bin is closed on the right.
+export const histogram = (numbers, binCount, min, max) => {
+  const width = (max - min) / binCount || 1;
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    x0: min + i * width,
+    x1: min + (i + 1) * width,
+    count: 0,
+  }));
+  numbers.forEach((v) => {
+    const idx = Math.min(Math.floor((v - min) / width), binCount - 1);
+    if (idx >= 0) bins[idx].count++;
+  });
+  return bins;
+};
+
+// Tukey box plot: whiskers reach the most extreme values inside the
+// fences (1.5 × IQR unless given, see outlierFences); anything beyond them
+// is an outlier.
+export const boxPlot = (numbers, stats, fences) => {
+  const lowerFence = fences ? fences.low : stats.q1 - 1.5 * stats.iqr;
+  const upperFence = fences ? fences.high : stats.q3 + 1.5 * stats.iqr;
+  let whiskerLow = Infinity;
+  let whiskerHigh = -Infinity;
+  const outliers = [];
+  numbers.forEach((v) => {
+    if (v < lowerFence || v > upperFence) {
+      outliers.push(v);
+      return;
+    }
+    if (v < whiskerLow) whiskerLow = v;
+    if (v > whiskerHigh) whiskerHigh = v;
+  });
+  return {
+    q1: stats.q1,
+    median: stats.median,
+    q3: stats.q3,
+    whiskerLow: whiskerLow === Infinity ? stats.q1 : whiskerLow,
+    whiskerHigh: whiskerHigh === -Infinity ? stats.q3 : whiskerHigh,
+    outliers,
+  };
+};
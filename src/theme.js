@@ -0,0 +1,20 @@
+export const COLORS = [
+  "#000000",
+  "#1a1a1a",
+  "#333333",
+  "#4d4d4d",
+  "#666666",
+  "#808080",
+  "#999999",
+  "#b3b3b3",
+];
+
+export const TOOLTIP_STYLE = {
+  backgroundColor: "#000",
+  color: "#fff",
+  border: "3px solid #000",
+  borderRadius: "8px",
+  padding: "12px",
+  fontSize: "14px",
+  fontWeight: "bold",
+};
@@ -0,0 +1,141 @@
+import { aggregate } from "./aggregate";
+import { parseDate } from "./columnTypes";
+
+export const RESAMPLE_PERIODS = {
+  day: "Day",
+  week: "Week",
+  month: "Month",
+  quarter: "Quarter",
+};
+
+// Gaps are filled with empty periods so the axis stays evenly spaced, but
+// a daily resample over decades would be too many points to draw.
+const MAX_FILLED_PERIODS = 5000;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Start of the UTC period containing time. Weeks start on Monday.
+export const periodStart = (time, period) => {
+  const d = new Date(time);
+  const year = d.getUTCFullYear();
+  const month = d.getUTCMonth();
+  const day = Date.UTC(year, month, d.getUTCDate());
+  switch (period) {
+    case "week":
+      return day - ((d.getUTCDay() + 6) % 7) * DAY;
+    case "month":
+      return Date.UTC(year, month, 1);
+    case "quarter":
+      return Date.UTC(year, month - (month % 3), 1);
+    default:
+      return day;
+  }
+};
+
+const nextPeriod = (start, period) => {
+  const d = new Date(start);
+  switch (period) {
+    case "week":
+      return start + 7 * DAY;
+    case "month":
+      return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+    case "quarter":
+      return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 3, 1);
+    default:
+      return start + DAY;
+  }
+};
+
+export const formatPeriod = (start, period) => {
+  const iso = new Date(start).toISOString();
+  switch (period) {
+    case "month":
+      return iso.slice(0, 7);
+    case "quarter":
+      return `${iso.slice(0, 4)} Q${
+        Math.floor(new Date(start).getUTCMonth() / 3) + 1
+      }`;
+    case "week":
+      return `Wk ${iso.slice(0, 10)}`;
+    default:
+      return iso.slice(0, 10);
+  }
+};
+
+// Buckets rows by period of dateColumn and aggregates each measure.
+// Returns rows sorted by time: [{ time, label, [measure]: value }].
+export const resample = (
+  data,
+  { dateColumn, dateOrder, measures, period = "month", agg = "sum" }
+) => {
+  const buckets = new Map();
+  data.forEach((row) => {
+    const time = parseDate(row[dateColumn], dateOrder);
+    if (isNaN(time)) return;
+    const start = periodStart(time, period);
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(row);
+  });
+  if (!buckets.size) return [];
+
+  const starts = [...buckets.keys()].sort((a, b) => a - b);
+  const filled = [];
+  const last = starts[starts.length - 1];
+  for (let t = starts[0]; t <= last; t = nextPeriod(t, period)) {
+    filled.push(t);
+    if (filled.length > MAX_FILLED_PERIODS) break;
+  }
+  const timeline = filled.length > MAX_FILLED_PERIODS ? starts : filled;
+
+  return timeline.map((start) => {
+    const rows = buckets.get(start) || [];
+    const point = { time: start, label: formatPeriod(start, period) };
+    measures.forEach((m) => {
+      point[m] = rows.length
+        ? aggregate(
+            rows.map((r) => r[m]),
+            agg
+          )
+        : agg === "count"
+        ? 0
+        : null;
+    });
+    return point;
+  });
+};
+
+export const rollingKey = (measure, window) => `${measure} (${window}-pt avg)`;
+export const changeKey = (measure) => `${measure} % change`;
+
+// Adds a trailing rolling mean over the last `window` non-empty periods.
+export const addRollingMean = (points, measure, window) => {
+  const key = rollingKey(measure, window);
+  const recent = [];
+  return points.map((point) => {
+    if (point[measure] !== null) recent.push(point[measure]);
+    if (recent.length > window) recent.shift();
+    return {
+      ...point,
+      [key]:
+        recent.length === window
+          ? recent.reduce((a, b) => a + b, 0) / window
+          : null,
+    };
+  });
+};
+
+// Percentage change from the previous period; null when either side is
+// missing or the previous value is zero.
+export const addPeriodChange = (points, measure) => {
+  const key = changeKey(measure);
+  return points.map((point, i) => {
+    const prev = i > 0 ? points[i - 1][measure] : null;
+    const current = point[measure];
+    return {
+      ...point,
+      [key]:
+        prev === null || current === null || prev === 0
+          ? null
+          : ((current - prev) / Math.abs(prev)) * 100,
+    };
+  });
+};
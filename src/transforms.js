@@ -0,0 +1,408 @@
+import { toNumber } from "./columnTypes";
+import { coerceValue, parseLocaleNumber } from "./ingest";
+import { aggregate } from "./aggregate";
+import { compileFormula } from "./formula";
+
+// Cleaning steps. Each transform takes { rows, headers, columnTypes } and
+// returns a new one without mutating its input, so any prefix of the
+// pipeline can be replayed from the imported data for undo and reordering.
+// columnTypes collects type overrides for analyzeData, in the import
+// dialog's vocabulary ("number", "text", ...). numberFormat holds the
+// import's decimal and thousands separators.
+// A transform may add a note to its result, such as how many values it
+// could not convert; runPipeline returns it beside the errors.
+
+const isBlank = (v) => v === null || v === undefined || v === "";
+
+const requireColumn = (headers, column) => {
+  if (!headers.includes(column)) {
+    throw new Error(`Column "${column}" does not exist`);
+  }
+};
+
+const mapColumn = (rows, column, fn) =>
+  rows.map((row) => ({ ...row, [column]: fn(row[column], row) }));
+
+// Insert new headers right after an existing one
+const insertAfter = (headers, anchor, added) => {
+  const idx = headers.indexOf(anchor);
+  return [...headers.slice(0, idx + 1), ...added, ...headers.slice(idx + 1)];
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const DEFAULT_NUMBER_FORMAT = { decimalSeparator: ".", thousandsSeparator: "" };
+
+// Reads text as a number in the import's format, ignoring currency symbols
+// and percent signs; accounting-style "(1,200)" is negative. Without a
+// thousands separator, the mark that is not the decimal separator only
+// counts as grouping in whole groups of three, so "1,5" is not read as 15.
+const readNumber = (value, { decimalSeparator, thousandsSeparator }) => {
+  if (typeof value === "number") return value;
+  let text = String(value).trim();
+  const negative = /^\(.*\)$/.test(text);
+  text = text.replace(/[()%]/g, "").replace(/[$€£¥₹]|USD|EUR|GBP/gi, "");
+  text = text.trim();
+  const group = thousandsSeparator || (decimalSeparator === "," ? "." : ",");
+  if (!thousandsSeparator && text.includes(group)) {
+    const grouped = new RegExp(
+      `^[-+]?\\d{1,3}(${escapeRegExp(group)}\\d{3})+(${escapeRegExp(
+        decimalSeparator
+      )}\\d+)?$`
+    );
+    if (!grouped.test(text)) return NaN;
+  }
+  const number = parseLocaleNumber(text, {
+    decimalSeparator,
+    thousandsSeparator: group,
+  });
+  return negative ? -number : number;
+};
+
+const changeType = (value, type, numberFormat) => {
+  if (isBlank(value)) return null;
+  if (type === "number") {
+    const n = readNumber(value, numberFormat);
+    return Number.isFinite(n) ? n : value;
+  }
+  if (type === "boolean") return coerceValue(String(value), "boolean");
+  return type === "auto" ? value : String(value);
+};
+
+export const FILL_METHODS = {
+  constant: "Constant",
+  mean: "Mean",
+  median: "Median",
+  ffill: "Forward fill",
+};
+
+export const FILTER_OPERATORS = {
+  equals: "equals",
+  notEquals: "does not equal",
+  contains: "contains",
+  gt: "is greater than",
+  lt: "is less than",
+  blank: "is blank",
+  notBlank: "is not blank",
+};
+
+const matchesCondition = (value, operator, target) => {
+  const text = isBlank(value) ? "" : String(value);
+  switch (operator) {
+    case "equals":
+      return text === target;
+    case "notEquals":
+      return text !== target;
+    case "contains":
+      return text.toLowerCase().includes(target.toLowerCase());
+    case "gt":
+      return toNumber(value) > Number(target);
+    case "lt":
+      return toNumber(value) < Number(target);
+    case "blank":
+      return text.trim() === "";
+    case "notBlank":
+      return text.trim() !== "";
+    default:
+      throw new Error(`Unknown operator: ${operator}`);
+  }
+};
+
+export const TRANSFORMS = {
+  trim: {
+    label: "Trim whitespace",
+    describe: ({ columns }) =>
+      `Trim whitespace in ${
+        columns.length ? columns.join(", ") : "all columns"
+      }`,
+    apply: (table, { columns }) => {
+      const targets = columns.length ? columns : table.headers;
+      targets.forEach((c) => requireColumn(table.headers, c));
+      return {
+        ...table,
+        rows: table.rows.map((row) => {
+          const next = { ...row };
+          targets.forEach((c) => {
+            if (typeof next[c] === "string") next[c] = next[c].trim();
+          });
+          return next;
+        }),
+      };
+    },
+  },
+  changeType: {
+    label: "Change type",
+    describe: ({ column, type }) => `Treat ${column} as ${type}`,
+    apply: (table, { column, type }) => {
+      requireColumn(table.headers, column);
+      const { [column]: _previous, ...otherTypes } = table.columnTypes;
+      const numberFormat = table.numberFormat || DEFAULT_NUMBER_FORMAT;
+      let failed = 0;
+      const rows = mapColumn(table.rows, column, (v) => {
+        const next = changeType(v, type, numberFormat);
+        if (type === "number" && next !== null && typeof next !== "number") {
+          failed++;
+        }
+        return next;
+      });
+      return {
+        ...table,
+        rows,
+        columnTypes:
+          type === "auto" ? otherTypes : { ...otherTypes, [column]: type },
+        note: failed
+          ? `${failed.toLocaleString()} ${
+              failed === 1 ? "value is" : "values are"
+            } not a number and kept as text`
+          : undefined,
+      };
+    },
+  },
+  fillMissing: {
+    label: "Fill missing values",
+    describe: ({ column, method, value }) =>
+      `Fill blanks in ${column} with ${
+        method === "constant"
+          ? `"${value}"`
+          : FILL_METHODS[method].toLowerCase()
+      }`,
+    apply: (table, { column, method, value }) => {
+      requireColumn(table.headers, column);
+      if (method === "ffill") {
+        let last = null;
+        return {
+          ...table,
+          rows: mapColumn(table.rows, column, (v) => {
+            if (isBlank(v)) return last;
+            last = v;
+            return v;
+          }),
+        };
+      }
+      let fill = value;
+      if (method === "mean" || method === "median") {
+        fill = aggregate(
+          table.rows.map((row) => row[column]),
+          method
+        );
+        if (fill === null) throw new Error(`${column} has no numbers`);
+      }
+      return {
+        ...table,
+        rows: mapColumn(table.rows, column, (v) => (isBlank(v) ? fill : v)),
+      };
+    },
+  },
+  dropColumns: {
+    label: "Drop columns",
+    describe: ({ columns }) => `Drop ${columns.join(", ")}`,
+    apply: (table, { columns }) => {
+      columns.forEach((c) => requireColumn(table.headers, c));
+      return {
+        ...table,
+        rows: table.rows.map((row) => {
+          const next = { ...row };
+          columns.forEach((c) => delete next[c]);
+          return next;
+        }),
+        headers: table.headers.filter((h) => !columns.includes(h)),
+        columnTypes: Object.fromEntries(
+          Object.entries(table.columnTypes).filter(
+            ([c]) => !columns.includes(c)
+          )
+        ),
+      };
+    },
+  },
+  dedupe: {
+    label: "Remove duplicate rows",
+    describe: ({ columns }) =>
+      columns.length
+        ? `Remove rows with duplicate ${columns.join(" + ")}`
+        : "Remove duplicate rows",
+    apply: (table, { columns }) => {
+      const keys = columns.length ? columns : table.headers;
+      keys.forEach((c) => requireColumn(table.headers, c));
+      const seen = new Set();
+      return {
+        ...table,
+        rows: table.rows.filter((row) => {
+          const key = JSON.stringify(keys.map((c) => row[c] ?? null));
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        }),
+      };
+    },
+  },
+  findReplace: {
+    label: "Find and replace",
+    describe: ({ column, find, replace }) =>
+      `Replace "${find}" with "${replace}" in ${column || "all columns"}`,
+    apply: (table, { column, find, replace, regex, matchCase }) => {
+      if (!find) throw new Error("Nothing to find");
+      if (column) requireColumn(table.headers, column);
+      let pattern;
+      try {
+        pattern = new RegExp(
+          regex ? find : escapeRegExp(find),
+          matchCase ? "g" : "gi"
+        );
+      } catch (error) {
+        throw new Error(`Invalid pattern: ${error.message}`);
+      }
+      const targets = column ? [column] : table.headers;
+      return {
+        ...table,
+        rows: table.rows.map((row) => {
+          const next = { ...row };
+          targets.forEach((c) => {
+            if (isBlank(next[c])) return;
+            const text = String(next[c]);
+            const replaced = text.replace(pattern, replace);
+            if (replaced !== text) next[c] = replaced;
+          });
+          return next;
+        }),
+      };
+    },
+  },
+  split: {
+    label: "Split column",
+    describe: ({ column, delimiter }) => `Split ${column} on "${delimiter}"`,
+    apply: (table, { column, delimiter, parts }) => {
+      requireColumn(table.headers, column);
+      if (!delimiter) throw new Error("Choose a delimiter");
+      const count = Math.max(2, Number(parts) || 2);
+      const added = Array.from(
+        { length: count },
+        (_, i) => `${column}_${i + 1}`
+      );
+      added.forEach((name) => {
+        if (table.headers.includes(name)) {
+          throw new Error(`Column "${name}" already exists`);
+        }
+      });
+      return {
+        ...table,
+        rows: table.rows.map((row) => {
+          const pieces = isBlank(row[column])
+            ? []
+            : String(row[column]).split(delimiter);
+          // Anything past the last part stays together in it
+          const tail = pieces.slice(count - 1).join(delimiter);
+          const next = { ...row };
+          added.forEach((name, i) => {
+            const piece = i === count - 1 ? tail : pieces[i];
+            next[name] = isBlank(piece) ? null : piece.trim();
+          });
+          return next;
+        }),
+        headers: insertAfter(table.headers, column, added),
+      };
+    },
+  },
+  merge: {
+    label: "Merge columns",
+    describe: ({ columns, name }) =>
+      `Merge ${columns.join(" + ")} into ${name}`,
+    apply: (table, { columns, separator, name }) => {
+      if (columns.length < 2) throw new Error("Pick at least two columns");
+      columns.forEach((c) => requireColumn(table.headers, c));
+      if (!name) throw new Error("Name the merged column");
+      if (table.headers.includes(name)) {
+        throw new Error(`Column "${name}" already exists`);
+      }
+      return {
+        ...table,
+        rows: table.rows.map((row) => ({
+          ...row,
+          [name]: columns
+            .map((c) => row[c])
+            .filter((v) => !isBlank(v))
+            .join(separator),
+        })),
+        headers: insertAfter(table.headers, columns[columns.length - 1], [
+          name,
+        ]),
+      };
+    },
+  },
+  rename: {
+    label: "Rename column",
+    describe: ({ column, name }) => `Rename ${column} to ${name}`,
+    apply: (table, { column, name }) => {
+      requireColumn(table.headers, column);
+      if (!name) throw new Error("Enter a new name");
+      if (name !== column && table.headers.includes(name)) {
+        throw new Error(`Column "${name}" already exists`);
+      }
+      const { [column]: type, ...otherTypes } = table.columnTypes;
+      return {
+        ...table,
+        rows: table.rows.map(({ [column]: value, ...rest }) => ({
+          ...rest,
+          [name]: value,
+        })),
+        headers: table.headers.map((h) => (h === column ? name : h)),
+        columnTypes: type ? { ...otherTypes, [name]: type } : otherTypes,
+      };
+    },
+  },
+  calculate: {
+    label: "Calculated column",
+    describe: ({ name, formula }) => `${name} = ${formula}`,
+    apply: (table, { name, formula, dateOrders }) => {
+      if (!name) throw new Error("Name the new column");
+      if (table.headers.includes(name)) {
+        throw new Error(`Column "${name}" already exists`);
+      }
+      const { evaluate } = compileFormula(formula, table.headers, {
+        dateOrders,
+      });
+      return {
+        ...table,
+        rows: table.rows.map((row) => ({ ...row, [name]: evaluate(row) })),
+        headers: [...table.headers, name],
+      };
+    },
+  },
+  filterRows: {
+    label: "Filter rows",
+    describe: ({ column, operator, value }) =>
+      `Keep rows where ${column} ${FILTER_OPERATORS[operator]}${
+        ["blank", "notBlank"].includes(operator) ? "" : ` "${value}"`
+      }`,
+    apply: (table, { column, operator, value }) => {
+      requireColumn(table.headers, column);
+      return {
+        ...table,
+        rows: table.rows.filter((row) =>
+          matchesCondition(row[column], operator, value)
+        ),
+      };
+    },
+  },
+};
+
+// Replays steps over the imported table. A step that fails (say, its
+// column was dropped by a step moved ahead of it) is skipped and its
+// message returned in errors, keyed by step id; notes are kept the same way.
+export const runPipeline = (table, steps) => {
+  const errors = {};
+  const notes = {};
+  const result = steps.reduce((current, step) => {
+    try {
+      const { note, ...next } = TRANSFORMS[step.type].apply(
+        current,
+        step.params
+      );
+      if (note) notes[step.id] = note;
+      return next;
+    } catch (error) {
+      errors[step.id] = error.message;
+      return current;
+    }
+  }, table);
+  return { ...result, errors, notes };
+};
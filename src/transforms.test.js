@@ -0,0 +1,222 @@
+import { TRANSFORMS, runPipeline } from "./transforms";
+
+const table = (rows, extra = {}) => ({
+  rows,
+  headers: Object.keys(rows[0]),
+  columnTypes: {},
+  ...extra,
+});
+
+const apply = (type, input, params) => TRANSFORMS[type].apply(input, params);
+
+describe("transforms", () => {
+  it("trims whitespace in the chosen columns", () => {
+    const input = table([{ a: " x ", b: " y " }]);
+    expect(apply("trim", input, { columns: ["a"] }).rows).toEqual([
+      { a: "x", b: " y " },
+    ]);
+    expect(apply("trim", input, { columns: [] }).rows).toEqual([
+      { a: "x", b: "y" },
+    ]);
+  });
+
+  it("changes a column to numbers in the import's number format", () => {
+    const input = table([
+      { v: "1,200" },
+      { v: "1,5" },
+      { v: "$3.50" },
+      { v: "(40)" },
+      { v: "n/a" },
+      { v: "" },
+    ]);
+    const result = apply("changeType", input, { column: "v", type: "number" });
+    expect(result.rows.map((row) => row.v)).toEqual([
+      1200,
+      "1,5",
+      3.5,
+      -40,
+      "n/a",
+      null,
+    ]);
+    expect(result.columnTypes).toEqual({ v: "number" });
+    expect(result.note).toBe("2 values are not a number and kept as text");
+
+    const european = apply(
+      "changeType",
+      {
+        ...input,
+        numberFormat: { decimalSeparator: ",", thousandsSeparator: "" },
+      },
+      { column: "v", type: "number" }
+    );
+    expect(european.rows.map((row) => row.v).slice(0, 2)).toEqual([1.2, 1.5]);
+  });
+
+  it("changes a column to booleans and text", () => {
+    const input = table([{ v: "yes" }, { v: 1 }, { v: "maybe" }]);
+    expect(
+      apply("changeType", input, { column: "v", type: "boolean" }).rows
+    ).toEqual([{ v: true }, { v: true }, { v: "maybe" }]);
+    const text = apply("changeType", input, { column: "v", type: "text" });
+    expect(text.rows[1].v).toBe("1");
+    expect(
+      apply("changeType", text, { column: "v", type: "auto" }).columnTypes
+    ).toEqual({});
+  });
+
+  it("fills missing values", () => {
+    const input = table([{ v: 1 }, { v: null }, { v: 5 }, { v: "" }]);
+    const fill = (params) =>
+      apply("fillMissing", input, { column: "v", ...params }).rows.map(
+        (row) => row.v
+      );
+    expect(fill({ method: "constant", value: 0 })).toEqual([1, 0, 5, 0]);
+    expect(fill({ method: "mean" })).toEqual([1, 3, 5, 3]);
+    expect(fill({ method: "median" })).toEqual([1, 3, 5, 3]);
+    expect(fill({ method: "ffill" })).toEqual([1, 1, 5, 5]);
+    expect(() =>
+      apply("fillMissing", table([{ v: "x" }]), { column: "v", method: "mean" })
+    ).toThrow("v has no numbers");
+  });
+
+  it("drops columns along with their type overrides", () => {
+    const input = table([{ a: 1, b: 2 }], { columnTypes: { b: "number" } });
+    const result = apply("dropColumns", input, { columns: ["b"] });
+    expect(result.rows).toEqual([{ a: 1 }]);
+    expect(result.headers).toEqual(["a"]);
+    expect(result.columnTypes).toEqual({});
+  });
+
+  it("removes duplicate rows by all or some columns", () => {
+    const input = table([
+      { a: 1, b: 1 },
+      { a: 1, b: 2 },
+      { a: 1, b: 1 },
+    ]);
+    expect(apply("dedupe", input, { columns: [] }).rows).toHaveLength(2);
+    expect(apply("dedupe", input, { columns: ["a"] }).rows).toHaveLength(1);
+  });
+
+  it("finds and replaces text or patterns", () => {
+    const input = table([{ a: "Cat cat", b: "cat" }]);
+    expect(
+      apply("findReplace", input, { column: "a", find: "cat", replace: "dog" })
+        .rows
+    ).toEqual([{ a: "dog dog", b: "cat" }]);
+    expect(
+      apply("findReplace", input, {
+        column: "",
+        find: "^c",
+        replace: "b",
+        regex: true,
+        matchCase: true,
+      }).rows
+    ).toEqual([{ a: "Cat cat", b: "bat" }]);
+    expect(() =>
+      apply("findReplace", input, { find: "(", replace: "", regex: true })
+    ).toThrow("Invalid pattern");
+  });
+
+  it("splits a column and keeps the rest in the last part", () => {
+    const input = table([{ name: "a-b-c", n: 1 }]);
+    const result = apply("split", input, {
+      column: "name",
+      delimiter: "-",
+      parts: 2,
+    });
+    expect(result.headers).toEqual(["name", "name_1", "name_2", "n"]);
+    expect(result.rows[0]).toMatchObject({ name_1: "a", name_2: "b-c" });
+  });
+
+  it("merges columns and skips blanks", () => {
+    const input = table([{ a: "x", b: null, c: "z" }]);
+    const result = apply("merge", input, {
+      columns: ["a", "b", "c"],
+      separator: " ",
+      name: "all",
+    });
+    expect(result.rows[0].all).toBe("x z");
+    expect(result.headers).toEqual(["a", "b", "c", "all"]);
+  });
+
+  it("renames a column and moves its type override", () => {
+    const input = table([{ a: 1, b: 2 }], { columnTypes: { a: "text" } });
+    const result = apply("rename", input, { column: "a", name: "c" });
+    expect(result.headers).toEqual(["c", "b"]);
+    expect(result.rows).toEqual([{ b: 2, c: 1 }]);
+    expect(result.columnTypes).toEqual({ c: "text" });
+    expect(() => apply("rename", input, { column: "a", name: "b" })).toThrow(
+      'Column "b" already exists'
+    );
+  });
+
+  it("adds a calculated column", () => {
+    const input = table([{ price: 2, qty: 3 }]);
+    const result = apply("calculate", input, {
+      name: "total",
+      formula: "[price] * [qty]",
+    });
+    expect(result.rows[0].total).toBe(6);
+    expect(result.headers).toEqual(["price", "qty", "total"]);
+  });
+
+  it("filters rows", () => {
+    const input = table([{ v: "10" }, { v: "x" }, { v: "" }]);
+    const keep = (operator, value) =>
+      apply("filterRows", input, { column: "v", operator, value }).rows.map(
+        (row) => row.v
+      );
+    expect(keep("equals", "x")).toEqual(["x"]);
+    expect(keep("notEquals", "x")).toEqual(["10", ""]);
+    expect(keep("contains", "X")).toEqual(["x"]);
+    expect(keep("gt", "5")).toEqual(["10"]);
+    expect(keep("lt", "5")).toEqual([]);
+    expect(keep("blank")).toEqual([""]);
+    expect(keep("notBlank")).toEqual(["10", "x"]);
+  });
+});
+
+describe("runPipeline", () => {
+  const input = table([{ a: " 1 ", b: "x" }], {
+    numberFormat: { decimalSeparator: ".", thousandsSeparator: "" },
+  });
+  const steps = [
+    { id: 1, type: "trim", params: { columns: [] } },
+    { id: 2, type: "changeType", params: { column: "a", type: "number" } },
+    { id: 3, type: "dropColumns", params: { columns: ["b"] } },
+  ];
+
+  it("applies the steps in order without changing its input", () => {
+    const result = runPipeline(input, steps);
+    expect(result.rows).toEqual([{ a: 1 }]);
+    expect(result.numberFormat).toEqual(input.numberFormat);
+    expect(input.rows).toEqual([{ a: " 1 ", b: "x" }]);
+  });
+
+  it("undoes a step by replaying the ones before it", () => {
+    expect(runPipeline(input, steps.slice(0, 2)).rows).toEqual([
+      { a: 1, b: "x" },
+    ]);
+    expect(runPipeline(input, []).rows).toEqual(input.rows);
+  });
+
+  it("skips failing steps and reports them by id", () => {
+    const result = runPipeline(input, [
+      steps[2],
+      { id: 4, type: "changeType", params: { column: "b", type: "number" } },
+      { id: 5, type: "trim", params: { columns: [] } },
+    ]);
+    expect(result.errors).toEqual({ 4: 'Column "b" does not exist' });
+    expect(result.rows).toEqual([{ a: "1" }]);
+  });
+
+  it("returns the notes of the steps", () => {
+    const result = runPipeline(input, [
+      { id: 6, type: "changeType", params: { column: "b", type: "number" } },
+    ]);
+    expect(result.notes).toEqual({
+      6: "1 value is not a number and kept as text",
+    });
+    expect(result).not.toHaveProperty("note");
+  });
+});